@@ -6,62 +6,166 @@ import Home from './pages/Home';
 import Footer from './components/Footer';
 import AddVehicle from './pages/AddVehicle';
 import VehicleList from './pages/VehicleList';
+import VehicleDetails from './pages/VehicleDetails';
+import EditVehicle from './pages/EditVehicle';
 import SearchBooking from './pages/SearchBooking';
 import BookingHistory from './pages/BookingHistory';
+import BookingDetails from './pages/BookingDetails';
+import BookingConfirmation from './pages/BookingConfirmation';
+import ShipmentDetails from './pages/ShipmentDetails';
+import Waitlist from './pages/Waitlist';
+import Login from './pages/Login';
+import PricingSettings from './pages/PricingSettings';
+import AuthProvider from './context/AuthProvider';
+import RequireAuth from './components/RequireAuth';
+import WaitlistWatcher from './components/WaitlistWatcher';
+import { PERMISSIONS } from './utils/permissions';
 
 function App() {
   return (
     <Router>
-      <div className="min-h-screen bg-secondary-50 flex flex-col">
-        {/* Navigation */}
-        <Navbar />
+      <AuthProvider>
+        <div className="min-h-screen bg-secondary-50 flex flex-col">
+          {/* Navigation */}
+          <Navbar />
+
+          {/* Tells the user when a vehicle they're waiting for frees up */}
+          <WaitlistWatcher />
         
-        {/* Main Content */}
-        <main className="flex-1 container mx-auto px-4 sm:px-6 lg:px-8 py-8">
-          <Routes>
-            <Route path="/" element={<Home />} />
+          {/* Main Content */}
+          <main className="flex-1 container mx-auto px-4 sm:px-6 lg:px-8 py-8">
+            <Routes>
+              <Route path="/" element={<Home />} />
+              <Route path="/login" element={<Login />} />
+
+               {/* Vehicle Management */}
+              <Route
+                path="/add-vehicle"
+                element={
+                  <RequireAuth permissions={[PERMISSIONS.VEHICLE_CREATE]}>
+                    <AddVehicle />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/vehicles"
+                element={
+                  <RequireAuth permissions={[PERMISSIONS.VEHICLE_VIEW]}>
+                    <VehicleList />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/vehicles/:id"
+                element={
+                  <RequireAuth permissions={[PERMISSIONS.VEHICLE_VIEW]}>
+                    <VehicleDetails />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/vehicles/:id/edit"
+                element={
+                  <RequireAuth permissions={[PERMISSIONS.VEHICLE_UPDATE]}>
+                    <EditVehicle />
+                  </RequireAuth>
+                }
+              />
 
-             {/* Vehicle Management */}
-            <Route path="/add-vehicle" element={<AddVehicle />} />
-            <Route path="/vehicles" element={<VehicleList />} />
+               {/* Booking System */}
+              <Route
+                path="/search-book"
+                element={
+                  <RequireAuth permissions={[PERMISSIONS.BOOKING_CREATE]}>
+                    <SearchBooking />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/bookings"
+                element={
+                  <RequireAuth permissions={[PERMISSIONS.BOOKING_VIEW_ALL, PERMISSIONS.BOOKING_VIEW_OWN]}>
+                    <BookingHistory />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/bookings/:id"
+                element={
+                  <RequireAuth permissions={[PERMISSIONS.BOOKING_VIEW_ALL, PERMISSIONS.BOOKING_VIEW_OWN]}>
+                    <BookingDetails />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/bookings/:id/confirmation"
+                element={
+                  <RequireAuth permissions={[PERMISSIONS.BOOKING_VIEW_ALL, PERMISSIONS.BOOKING_VIEW_OWN]}>
+                    <BookingConfirmation />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/shipments/:id"
+                element={
+                  <RequireAuth permissions={[PERMISSIONS.BOOKING_VIEW_ALL, PERMISSIONS.BOOKING_VIEW_OWN]}>
+                    <ShipmentDetails />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/waitlist"
+                element={
+                  <RequireAuth permissions={[PERMISSIONS.BOOKING_CREATE]}>
+                    <Waitlist />
+                  </RequireAuth>
+                }
+              />
 
-             {/* Booking System */}
-            <Route path="/search-book" element={<SearchBooking />} />
-            <Route path="/bookings" element={<BookingHistory />} />
+               {/* Settings */}
+              <Route
+                path="/settings/pricing"
+                element={
+                  <RequireAuth permissions={[PERMISSIONS.PRICING_MANAGE]}>
+                    <PricingSettings />
+                  </RequireAuth>
+                }
+              />
 
-            <Route path="*" element={<NotFound />} />
-          </Routes>
-        </main>
+              <Route path="*" element={<NotFound />} />
+            </Routes>
+          </main>
 
-        <Footer />
+          <Footer />
 
-        {/* Toast Notifications */}
-        <Toaster
-          position="top-right"
-          toastOptions={{
-            duration: 4000,
-            style: {
-              background: '#ffffff',
-              color: '#1e293b',
-              border: '1px solid #e2e8f0',
-              borderRadius: '0.5rem',
-              boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
-            },
-            success: {
-              iconTheme: {
-                primary: '#22c55e',
-                secondary: '#ffffff',
+          {/* Toast Notifications */}
+          <Toaster
+            position="top-right"
+            toastOptions={{
+              duration: 4000,
+              style: {
+                background: '#ffffff',
+                color: '#1e293b',
+                border: '1px solid #e2e8f0',
+                borderRadius: '0.5rem',
+                boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
               },
-            },
-            error: {
-              iconTheme: {
-                primary: '#ef4444',
-                secondary: '#ffffff',
+              success: {
+                iconTheme: {
+                  primary: '#22c55e',
+                  secondary: '#ffffff',
+                },
               },
-            },
-          }}
-        />
-      </div>
+              error: {
+                iconTheme: {
+                  primary: '#ef4444',
+                  secondary: '#ffffff',
+                },
+              },
+            }}
+          />
+        </div>
+      </AuthProvider>
     </Router>
   );
 }
@@ -0,0 +1,81 @@
+/**
+ * AlternativeStartTimes Component
+ * Nearby start times with suitable vehicles free, offered when a search finds nothing
+ */
+
+import React from 'react';
+import { CalendarClock, Loader2 } from 'lucide-react';
+import { formatDate } from '../utils/helpers';
+
+/**
+ * Describe how far a slot is from the requested time (e.g. "2 hours earlier", "1 day later")
+ * @param {number} offsetHours - Hours from the requested start
+ * @returns {string} Description
+ */
+const describeOffset = (offsetHours) => {
+  const direction = offsetHours < 0 ? 'earlier' : 'later';
+  const hours = Math.abs(offsetHours);
+  if (hours % 24 === 0) {
+    const days = hours / 24;
+    return `${days} day${days === 1 ? '' : 's'} ${direction}`;
+  }
+  return `${hours} hour${hours === 1 ? '' : 's'} ${direction}`;
+};
+
+/**
+ * @param {Object[]} suggestions - [{ startTime, offsetHours, availableCount, vehicleNames }]
+ * @param {boolean} loading - Whether suggestions are being looked up
+ * @param {Function} onSelect - Called with the chosen start time
+ * @param {boolean} disabled - Whether the slots can be chosen
+ */
+const AlternativeStartTimes = ({ suggestions, loading, onSelect, disabled = false }) => {
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-4 text-sm text-secondary-600">
+        <Loader2 className="h-4 w-4 animate-spin mr-2" />
+        Looking for nearby start times...
+      </div>
+    );
+  }
+
+  if (suggestions.length === 0) {
+    return (
+      <p className="text-sm text-secondary-500">
+        No suitable vehicles are free in the next two weeks at around this time.
+      </p>
+    );
+  }
+
+  return (
+    <div className="max-w-xl mx-auto text-left">
+      <div className="flex items-center space-x-2 mb-3">
+        <CalendarClock className="h-5 w-5 text-primary-600" />
+        <h4 className="font-medium text-secondary-900">Nearest available start times</h4>
+      </div>
+      <div className="space-y-2">
+        {suggestions.map(suggestion => (
+          <button
+            key={suggestion.startTime}
+            type="button"
+            onClick={() => onSelect(suggestion.startTime)}
+            disabled={disabled}
+            className="w-full flex items-center justify-between px-4 py-3 border border-secondary-200 rounded-lg bg-white hover:border-primary-400 hover:bg-primary-50 transition-colors"
+          >
+            <div>
+              <div className="font-medium text-secondary-900">{formatDate(suggestion.startTime, 'EEE, d MMM · p')}</div>
+              <div className="text-xs text-secondary-500">
+                {describeOffset(suggestion.offsetHours)} · {suggestion.vehicleNames.join(', ')}
+                {suggestion.availableCount > suggestion.vehicleNames.length && ` +${suggestion.availableCount - suggestion.vehicleNames.length} more`}
+              </div>
+            </div>
+            <span className="text-sm font-medium text-primary-600">
+              {suggestion.availableCount} free · Search
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AlternativeStartTimes;
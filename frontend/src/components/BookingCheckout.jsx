@@ -0,0 +1,380 @@
+/**
+ * BookingCheckout Component
+ * Step-by-step checkout for a vehicle picked in the search - route and schedule,
+ * contacts, cargo, then price and terms - while the vehicle is held for a few minutes
+ */
+
+import React, { useState } from 'react';
+import {
+  AlertCircle,
+  ArrowLeft,
+  ArrowRight,
+  Calendar,
+  Check,
+  CheckCircle2,
+  Clock,
+  Loader2,
+  MapPin,
+  Package,
+  RefreshCw,
+  Timer,
+  Truck,
+  X,
+} from 'lucide-react';
+import useCountdown from '../hooks/useCountdown';
+import QuoteBreakdown from './QuoteBreakdown';
+import { formatPlaceName } from '../utils/geo';
+import { CARGO_REQUIREMENTS } from '../utils/cargo';
+import { getOptionLabel } from '../utils/vehicles';
+import {
+  CONTACT_ROLES,
+  TERMS_OF_CARRIAGE,
+  EMPTY_CHECKOUT_FORM,
+  CHECKOUT_VALIDATION_RULES,
+  toBookingDetails,
+} from '../utils/bookingDetails';
+import { formatCapacity, formatCurrency, formatDate, validateForm } from '../utils/helpers';
+
+const CHECKOUT_STEPS = [
+  { value: 'trip', label: 'Route & Schedule', fields: [] },
+  {
+    value: 'contacts',
+    label: 'Contacts',
+    fields: CONTACT_ROLES.flatMap(({ value }) => [`${value}Name`, `${value}Phone`, `${value}Address`]),
+  },
+  { value: 'cargo', label: 'Cargo', fields: ['cargoDescription', 'declaredValue'] },
+  { value: 'confirm', label: 'Price & Terms', fields: ['termsAccepted'] },
+];
+
+/**
+ * Labelled input with its validation error
+ */
+const CheckoutField = ({ name, label, error, children }) => (
+  <div>
+    <label htmlFor={name} className="form-label">{label}</label>
+    {children}
+    {error && (
+      <div className="flex items-center space-x-1 form-error">
+        <AlertCircle className="h-4 w-4" />
+        <span>{error}</span>
+      </div>
+    )}
+  </div>
+);
+
+/**
+ * @param {Object} vehicle - Vehicle being booked
+ * @param {Object} hold - Hold on the vehicle ({ expiresAt, startTime, endTime })
+ * @param {Object} bookingData - Booking to create ({ fromPincode, toPincode, cargo, ... })
+ * @param {Object|null} route - Route estimate for the trip
+ * @param {Object} quote - Itemised quote for the vehicle
+ * @param {Object} initialValues - Checkout form values to start with (e.g. the user's name)
+ * @param {Function} onConfirm - Called with the booking details (see toBookingDetails)
+ * @param {Function} onCancel - Called to close the checkout and release the hold
+ * @param {Function} onRenewHold - Called to hold the vehicle again after the hold expired
+ * @param {boolean} isBooking - Whether the booking is being created
+ * @param {boolean} isRenewing - Whether the hold is being renewed
+ */
+const BookingCheckout = ({
+  vehicle,
+  hold,
+  bookingData,
+  route,
+  quote,
+  initialValues = {},
+  onConfirm,
+  onCancel,
+  onRenewHold,
+  isBooking,
+  isRenewing,
+}) => {
+  const { isExpired, label } = useCountdown(hold.expiresAt);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [form, setForm] = useState({ ...EMPTY_CHECKOUT_FORM, ...initialValues });
+  const [errors, setErrors] = useState({});
+
+  const step = CHECKOUT_STEPS[stepIndex];
+  const isLastStep = stepIndex === CHECKOUT_STEPS.length - 1;
+  const { cargo } = bookingData;
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  /**
+   * Check the current step's fields
+   * @returns {boolean} True if the step is complete
+   */
+  const validateStep = () => {
+    const rules = Object.fromEntries(step.fields.map(field => [field, CHECKOUT_VALIDATION_RULES[field]]));
+    const validation = validateForm(form, rules);
+    setErrors(validation.errors);
+    return validation.isValid;
+  };
+
+  const handleNext = () => {
+    if (!validateStep()) return;
+    if (isLastStep) {
+      onConfirm(toBookingDetails(form));
+    } else {
+      setStepIndex(index => index + 1);
+    }
+  };
+
+  const renderInput = (name, label, props = {}) => (
+    <CheckoutField name={name} label={label} error={errors[name]}>
+      <input
+        id={name}
+        name={name}
+        value={form[name]}
+        onChange={handleChange}
+        className={`form-input ${errors[name] ? 'border-danger-500' : ''}`}
+        disabled={isBooking}
+        {...props}
+      />
+    </CheckoutField>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-screen overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-secondary-200">
+          <h2 className="text-2xl font-semibold text-secondary-900">Checkout</h2>
+          <button
+            onClick={onCancel}
+            disabled={isBooking}
+            className="text-secondary-400 hover:text-secondary-600 transition-colors"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Steps */}
+          <ol className="flex items-center justify-between">
+            {CHECKOUT_STEPS.map((item, index) => (
+              <li key={item.value} className="flex items-center space-x-2 text-sm">
+                <span
+                  className={`flex items-center justify-center h-7 w-7 rounded-full font-medium
+                    ${index < stepIndex ? 'bg-success-600 text-white' : ''}
+                    ${index === stepIndex ? 'bg-primary-600 text-white' : ''}
+                    ${index > stepIndex ? 'bg-secondary-100 text-secondary-500' : ''}
+                  `}
+                >
+                  {index < stepIndex ? <Check className="h-4 w-4" /> : index + 1}
+                </span>
+                <span className={`hidden sm:inline ${index === stepIndex ? 'font-medium text-secondary-900' : 'text-secondary-500'}`}>
+                  {item.label}
+                </span>
+              </li>
+            ))}
+          </ol>
+
+          {/* Hold countdown */}
+          {isExpired ? (
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 p-4 bg-danger-50 border border-danger-200 rounded-lg">
+              <div className="text-sm text-danger-700">
+                Your hold on {vehicle.name} has expired and the vehicle has been released.
+              </div>
+              <button
+                onClick={onRenewHold}
+                disabled={isRenewing}
+                className="btn-secondary flex items-center justify-center space-x-2"
+              >
+                <RefreshCw className={`h-4 w-4 ${isRenewing ? 'animate-spin' : ''}`} />
+                <span>Hold Again</span>
+              </button>
+            </div>
+          ) : (
+            <div className="flex items-center justify-between p-4 bg-success-50 border border-success-200 rounded-lg">
+              <div className="text-sm text-success-800">
+                {vehicle.name} is held for you while you check out. Confirm before the timer runs out.
+              </div>
+              <span className="inline-flex items-center font-mono text-lg text-success-800" title="Time left to confirm">
+                <Timer className="h-5 w-5 mr-1" />
+                {label}
+              </span>
+            </div>
+          )}
+
+          {/* Route & Schedule */}
+          {step.value === 'trip' && (
+            <div className="space-y-3 text-sm">
+              <div className="flex items-center space-x-3">
+                <Truck className="h-4 w-4 text-secondary-500" />
+                <div>
+                  <div className="text-secondary-600">Vehicle</div>
+                  <div className="font-medium text-secondary-900">
+                    {vehicle.name} · {formatCapacity(vehicle.capacityKg)}
+                  </div>
+                </div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <MapPin className="h-4 w-4 text-secondary-500" />
+                <div>
+                  <div className="text-secondary-600">Route</div>
+                  <div className="font-medium text-secondary-900">{bookingData.fromPincode} → {bookingData.toPincode}</div>
+                  {route && (
+                    <div className="text-secondary-500">
+                      {formatPlaceName(route.from)} → {formatPlaceName(route.to)}
+                      {route.distanceKm !== null && ` · ${route.distanceKm} km`}
+                    </div>
+                  )}
+                </div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <Calendar className="h-4 w-4 text-secondary-500" />
+                <div>
+                  <div className="text-secondary-600">Start Time</div>
+                  <div className="font-medium text-secondary-900">{formatDate(hold.startTime, 'PPpp')}</div>
+                </div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <Clock className="h-4 w-4 text-secondary-500" />
+                <div>
+                  <div className="text-secondary-600">Expected End Time</div>
+                  <div className="font-medium text-secondary-900">{formatDate(hold.endTime, 'PPpp')}</div>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Contacts */}
+          {step.value === 'contacts' && (
+            <div className="space-y-6">
+              {CONTACT_ROLES.map(role => (
+                <fieldset key={role.value} className="space-y-4">
+                  <legend className="font-medium text-secondary-900">
+                    {role.label} <span className="text-sm font-normal text-secondary-500">· {role.description}</span>
+                  </legend>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    {renderInput(`${role.value}Name`, 'Name', { type: 'text', autoComplete: 'name' })}
+                    {renderInput(`${role.value}Phone`, 'Mobile Number', { type: 'tel', autoComplete: 'tel', placeholder: 'e.g., 98765 43210' })}
+                  </div>
+                  <CheckoutField name={`${role.value}Address`} label={role.addressLabel} error={errors[`${role.value}Address`]}>
+                    <textarea
+                      id={`${role.value}Address`}
+                      name={`${role.value}Address`}
+                      value={form[`${role.value}Address`]}
+                      onChange={handleChange}
+                      rows={2}
+                      className={`form-input ${errors[`${role.value}Address`] ? 'border-danger-500' : ''}`}
+                      placeholder={`Building, street and landmark near ${role.value === 'consignor' ? bookingData.fromPincode : bookingData.toPincode}`}
+                      disabled={isBooking}
+                    />
+                  </CheckoutField>
+                </fieldset>
+              ))}
+            </div>
+          )}
+
+          {/* Cargo */}
+          {step.value === 'cargo' && (
+            <div className="space-y-4">
+              <div className="flex items-center space-x-2 text-sm text-secondary-600">
+                <Package className="h-4 w-4 text-secondary-500" />
+                <span>
+                  {formatCapacity(cargo.weightKg)}
+                  {cargo.requirements &&
+                    ` · ${cargo.requirements.split(',').map(value => getOptionLabel(CARGO_REQUIREMENTS, value)).join(', ')}`}
+                </span>
+              </div>
+              {renderInput('cargoDescription', 'What are you sending?', {
+                type: 'text',
+                placeholder: 'e.g., 40 cartons of packaged snacks',
+              })}
+              {renderInput('declaredValue', 'Declared Value (₹)', {
+                type: 'number',
+                min: '1',
+                step: '1',
+                placeholder: 'e.g., 250000',
+              })}
+              <p className="text-xs text-secondary-500">
+                The declared value is the most we pay out if the goods are lost or damaged.
+              </p>
+            </div>
+          )}
+
+          {/* Price & Terms */}
+          {step.value === 'confirm' && (
+            <div className="space-y-4">
+              <div className="border border-secondary-200 rounded-lg p-4">
+                <h3 className="font-medium text-secondary-900 mb-3">Price</h3>
+                <QuoteBreakdown quote={quote} />
+              </div>
+
+              <div className="text-sm">
+                <h3 className="font-medium text-secondary-900 mb-2">Terms of Carriage</h3>
+                <ul className="list-disc pl-5 space-y-1 text-secondary-600">
+                  {TERMS_OF_CARRIAGE.map(term => <li key={term}>{term}</li>)}
+                </ul>
+              </div>
+
+              <div>
+                <label className="flex items-start space-x-2 text-sm text-secondary-700">
+                  <input
+                    type="checkbox"
+                    name="termsAccepted"
+                    checked={form.termsAccepted}
+                    onChange={handleChange}
+                    className="mt-0.5"
+                    disabled={isBooking}
+                  />
+                  <span>I accept the terms of carriage and confirm the goods are declared correctly</span>
+                </label>
+                {errors.termsAccepted && (
+                  <div className="flex items-center space-x-1 form-error">
+                    <AlertCircle className="h-4 w-4" />
+                    <span>{errors.termsAccepted}</span>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="flex flex-col-reverse sm:flex-row sm:justify-between gap-3 p-6 border-t border-secondary-200">
+          {stepIndex === 0 ? (
+            <button onClick={onCancel} disabled={isBooking} className="btn-secondary">
+              Cancel
+            </button>
+          ) : (
+            <button
+              onClick={() => setStepIndex(index => index - 1)}
+              disabled={isBooking}
+              className="btn-secondary flex items-center justify-center space-x-2"
+            >
+              <ArrowLeft className="h-4 w-4" />
+              <span>Back</span>
+            </button>
+          )}
+          <button
+            onClick={handleNext}
+            disabled={isBooking || (isLastStep && isExpired)}
+            className="btn-primary flex items-center justify-center space-x-2"
+          >
+            {isLastStep ? (
+              <>
+                {isBooking ? <Loader2 className="h-4 w-4 animate-spin" /> : <CheckCircle2 className="h-4 w-4" />}
+                <span>Confirm Booking · {formatCurrency(quote.total)}</span>
+              </>
+            ) : (
+              <>
+                <span>Continue</span>
+                <ArrowRight className="h-4 w-4" />
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BookingCheckout;
@@ -0,0 +1,133 @@
+/**
+ * CancelBookingDialog Component
+ * Asks why a booking or shipment is being cancelled before cancelling it
+ */
+
+import React, { useState } from 'react';
+import { AlertCircle, Loader2, X, XCircle } from 'lucide-react';
+import { CANCELLATION_REASONS, MAX_STATUS_NOTE_LENGTH } from '../utils/statusTransitions';
+import { validateForm } from '../utils/helpers';
+
+// 'Other' needs a note to say what the reason was
+const getCancellationRules = (reason) => ({
+  reason: {
+    required: true,
+    requiredMessage: 'Choose a reason for cancelling',
+  },
+  note: {
+    required: reason === 'other',
+    requiredMessage: 'Say why the booking is being cancelled',
+    maxLength: MAX_STATUS_NOTE_LENGTH,
+  },
+});
+
+/**
+ * @param {string} title - Dialog heading
+ * @param {string} description - What will be cancelled
+ * @param {Function} onConfirm - Called with { reason, note }
+ * @param {Function} onClose - Called to keep the booking
+ * @param {boolean} isCancelling - Whether the cancellation is being sent
+ */
+const CancelBookingDialog = ({ title = 'Cancel Booking', description, onConfirm, onClose, isCancelling }) => {
+  const [form, setForm] = useState({ reason: '', note: '' });
+  const [errors, setErrors] = useState({});
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validation = validateForm(form, getCancellationRules(form.reason));
+    setErrors(validation.errors);
+    if (!validation.isValid) return;
+
+    onConfirm({ reason: form.reason, ...(form.note.trim() && { note: form.note.trim() }) });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg max-w-lg w-full max-h-screen overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-secondary-200">
+          <h2 className="text-2xl font-semibold text-secondary-900">{title}</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isCancelling}
+            className="text-secondary-400 hover:text-secondary-600 transition-colors"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {description && <p className="text-sm text-secondary-600">{description}</p>}
+
+          <div>
+            <label htmlFor="reason" className="form-label">Reason</label>
+            <select
+              id="reason"
+              name="reason"
+              value={form.reason}
+              onChange={handleChange}
+              disabled={isCancelling}
+              className={`form-input ${errors.reason ? 'border-danger-500' : ''}`}
+            >
+              <option value="" disabled>Choose a reason</option>
+              {CANCELLATION_REASONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {errors.reason && (
+              <div className="flex items-center space-x-1 form-error">
+                <AlertCircle className="h-4 w-4" />
+                <span>{errors.reason}</span>
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="note" className="form-label">
+              Note {form.reason !== 'other' && <span className="text-secondary-400 font-normal">(optional)</span>}
+            </label>
+            <textarea
+              id="note"
+              name="note"
+              value={form.note}
+              onChange={handleChange}
+              rows={3}
+              maxLength={MAX_STATUS_NOTE_LENGTH}
+              disabled={isCancelling}
+              className={`form-input ${errors.note ? 'border-danger-500' : ''}`}
+              placeholder="Anything the team should know"
+            />
+            {errors.note && (
+              <div className="flex items-center space-x-1 form-error">
+                <AlertCircle className="h-4 w-4" />
+                <span>{errors.note}</span>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end space-x-3 p-6 border-t border-secondary-200">
+          <button type="button" onClick={onClose} disabled={isCancelling} className="btn-secondary">
+            Go Back
+          </button>
+          <button type="submit" disabled={isCancelling} className="btn-danger flex items-center space-x-2">
+            {isCancelling ? <Loader2 className="h-4 w-4 animate-spin" /> : <XCircle className="h-4 w-4" />}
+            <span>{title}</span>
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CancelBookingDialog;
@@ -0,0 +1,129 @@
+/**
+ * CargoDetailsFields Component
+ * Optional cargo volume, largest item and handling requirement inputs for the vehicle search
+ */
+
+import React from 'react';
+import { AlertCircle, Package } from 'lucide-react';
+import { CARGO_REQUIREMENTS } from '../utils/cargo';
+
+const ITEM_INPUTS = [
+  { field: 'itemLengthM', label: 'Length', max: 20 },
+  { field: 'itemWidthM', label: 'Width', max: 3 },
+  { field: 'itemHeightM', label: 'Height', max: 4.5 },
+];
+
+/**
+ * @param {Object} values - Cargo form values (see EMPTY_CARGO_FORM)
+ * @param {Object} errors - Field errors
+ * @param {Function} onChange - Input change handler
+ * @param {Function} onRequirementsChange - Called with the new list of requirements
+ * @param {boolean} disabled - Whether the inputs are disabled
+ */
+const CargoDetailsFields = ({ values, errors, onChange, onRequirementsChange, disabled = false }) => {
+  const toggleRequirement = (requirement) => {
+    onRequirementsChange(values.requirements.includes(requirement)
+      ? values.requirements.filter(value => value !== requirement)
+      : [...values.requirements, requirement]);
+  };
+
+  const itemError = ITEM_INPUTS.map(({ field }) => errors[field]).find(Boolean);
+
+  return (
+    <div className="border-t border-secondary-200 pt-6">
+      <div className="flex items-center space-x-2 mb-4">
+        <Package className="h-5 w-5 text-secondary-600" />
+        <h3 className="font-medium text-secondary-900">Cargo Details</h3>
+        <span className="text-sm text-secondary-500">(optional - only vehicles that suit your cargo are shown)</span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {/* Volume */}
+        <div>
+          <label htmlFor="cargoVolumeM3" className="form-label">
+            Cargo Volume (m³)
+          </label>
+          <input
+            type="number"
+            id="cargoVolumeM3"
+            name="cargoVolumeM3"
+            value={values.cargoVolumeM3}
+            onChange={onChange}
+            className={`form-input ${errors.cargoVolumeM3 ? 'border-danger-500' : ''}`}
+            placeholder="e.g., 12"
+            min="0"
+            step="0.01"
+            disabled={disabled}
+          />
+          {errors.cargoVolumeM3 && (
+            <div className="flex items-center space-x-1 form-error">
+              <AlertCircle className="h-4 w-4" />
+              <span>{errors.cargoVolumeM3}</span>
+            </div>
+          )}
+          <p className="text-xs text-secondary-500 mt-1">
+            Total space the load takes up
+          </p>
+        </div>
+
+        {/* Largest Item */}
+        <div>
+          <span className="form-label">Largest Item (m)</span>
+          <div className="grid grid-cols-3 gap-2">
+            {ITEM_INPUTS.map(({ field, label, max }) => (
+              <input
+                key={field}
+                type="number"
+                id={field}
+                name={field}
+                value={values[field]}
+                onChange={onChange}
+                className={`form-input ${errors[field] ? 'border-danger-500' : ''}`}
+                placeholder={label}
+                aria-label={`Largest item ${label.toLowerCase()} (m)`}
+                min="0"
+                max={max}
+                step="0.01"
+                disabled={disabled}
+              />
+            ))}
+          </div>
+          {itemError && (
+            <div className="flex items-center space-x-1 form-error">
+              <AlertCircle className="h-4 w-4" />
+              <span>{itemError}</span>
+            </div>
+          )}
+          <p className="text-xs text-secondary-500 mt-1">
+            Length × width × height; it may be turned to fit
+          </p>
+        </div>
+
+        {/* Requirements */}
+        <div>
+          <span className="form-label">Handling Requirements</span>
+          <div className="grid grid-cols-2 gap-2">
+            {CARGO_REQUIREMENTS.map(option => (
+              <label
+                key={option.value}
+                className="flex items-start space-x-2 text-sm text-secondary-700 cursor-pointer"
+                title={option.description}
+              >
+                <input
+                  type="checkbox"
+                  checked={values.requirements.includes(option.value)}
+                  onChange={() => toggleRequirement(option.value)}
+                  className="mt-0.5 rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+                  disabled={disabled}
+                />
+                <span>{option.label}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CargoDetailsFields;
@@ -0,0 +1,105 @@
+/**
+ * FilterPresets Component
+ * The user's saved filter combinations for a list page: apply one in a click,
+ * save the current filters under a name, or delete one
+ */
+
+import React, { useState } from 'react';
+import { Bookmark, BookmarkPlus, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import useAuth from '../hooks/useAuth';
+import { getFilterPresets, saveFilterPreset, deleteFilterPreset } from '../services/filterPresets';
+
+const MAX_PRESET_NAME_LENGTH = 40;
+
+/**
+ * @param {string} list - List the presets filter (e.g. 'vehicles')
+ * @param {string} query - URL query of the current filters
+ * @param {Function} onApply - Called with a preset's URL query
+ * @param {boolean} canSave - Whether there are filters worth saving
+ */
+const FilterPresets = ({ list, query, onApply, canSave }) => {
+  const { user } = useAuth();
+  const [presets, setPresets] = useState(() => getFilterPresets(user?.id, list));
+  const [isNaming, setIsNaming] = useState(false);
+  const [name, setName] = useState('');
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    setPresets(saveFilterPreset(user?.id, list, trimmed, query));
+    setIsNaming(false);
+    setName('');
+    toast.success(`Saved filters as "${trimmed}"`);
+  };
+
+  const handleDelete = (preset) => {
+    setPresets(deleteFilterPreset(user?.id, list, preset.id));
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <Bookmark className="h-4 w-4 text-secondary-500" />
+      {presets.length === 0 && !isNaming && (
+        <span className="text-sm text-secondary-500">No saved filters</span>
+      )}
+
+      {presets.map(preset => (
+        <span
+          key={preset.id}
+          className={`inline-flex items-center rounded-full border text-sm ${
+            preset.query === query
+              ? 'border-primary-400 bg-primary-50 text-primary-700'
+              : 'border-secondary-300 text-secondary-700'
+          }`}
+        >
+          <button type="button" onClick={() => onApply(preset.query)} className="pl-3 pr-1 py-1 hover:text-primary-600">
+            {preset.name}
+          </button>
+          <button
+            type="button"
+            onClick={() => handleDelete(preset)}
+            className="pr-2 py-1 text-secondary-400 hover:text-danger-600"
+            title={`Delete "${preset.name}"`}
+          >
+            <X className="h-3.5 w-3.5" />
+          </button>
+        </span>
+      ))}
+
+      {isNaming ? (
+        <form onSubmit={handleSave} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={MAX_PRESET_NAME_LENGTH}
+            placeholder="Name these filters"
+            className="form-input py-1 w-48"
+            autoFocus
+          />
+          <button type="submit" disabled={!name.trim()} className="btn-primary text-sm px-3 py-1">
+            Save
+          </button>
+          <button type="button" onClick={() => setIsNaming(false)} className="btn-secondary text-sm px-3 py-1">
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setIsNaming(true)}
+          disabled={!canSave}
+          className="inline-flex items-center space-x-1 text-sm font-medium text-primary-600 hover:text-primary-700 disabled:text-secondary-400"
+        >
+          <BookmarkPlus className="h-4 w-4" />
+          <span>Save current filters</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default FilterPresets;
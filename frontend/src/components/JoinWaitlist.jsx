@@ -0,0 +1,95 @@
+/**
+ * JoinWaitlist Component
+ * Offered when a search finds nothing: wait for a suitable vehicle to free up
+ * around the requested start time and have it held for you
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { BellRing, CheckCircle2, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { waitlistAPI, getErrorMessage } from '../services/api';
+import { requestNotificationPermission } from '../services/browserNotifications';
+import { WAITLIST_FLEXIBILITY_OPTIONS, WAITLIST_HOLD_MINUTES } from '../utils/waitlist';
+
+/**
+ * @param {Object} searchParams - Parameters of the search that found nothing
+ * @param {string} customerId - Customer the booking would be for
+ */
+const JoinWaitlist = ({ searchParams, customerId }) => {
+  const [flexibilityHours, setFlexibilityHours] = useState(WAITLIST_FLEXIBILITY_OPTIONS[1].value);
+  const [isJoining, setIsJoining] = useState(false);
+  const [joined, setJoined] = useState(false);
+
+  const handleJoin = async () => {
+    setIsJoining(true);
+
+    // Ask while the user is acting, so browsers don't block the prompt
+    requestNotificationPermission();
+
+    try {
+      const response = await waitlistAPI.joinWaitlist({ ...searchParams, customerId, flexibilityHours });
+
+      if (response.data.success) {
+        setJoined(true);
+        if (response.data.data.status === 'offered') {
+          toast.success('A vehicle is free in your window and is being held for you');
+        } else {
+          toast.success("You're on the waitlist. We'll let you know when a vehicle frees up");
+        }
+      }
+    } catch (error) {
+      console.error('Error joining waitlist:', error);
+      toast.error(getErrorMessage(error));
+    } finally {
+      setIsJoining(false);
+    }
+  };
+
+  if (joined) {
+    return (
+      <div className="max-w-xl mx-auto flex items-center justify-center space-x-2 text-sm text-success-700">
+        <CheckCircle2 className="h-5 w-5" />
+        <span>
+          You're on the waitlist. <Link to="/waitlist" className="font-medium underline">View your waitlist</Link>
+        </span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-xl mx-auto text-left p-4 border border-primary-200 bg-primary-50 rounded-lg">
+      <div className="flex items-center space-x-2 mb-2">
+        <BellRing className="h-5 w-5 text-primary-600" />
+        <h4 className="font-medium text-secondary-900">Join the waitlist</h4>
+      </div>
+      <p className="text-sm text-secondary-600 mb-3">
+        We'll keep checking and hold a suitable vehicle for you for {WAITLIST_HOLD_MINUTES} minutes as soon as one frees up.
+      </p>
+      <div className="flex flex-col sm:flex-row gap-3">
+        <select
+          value={flexibilityHours}
+          onChange={(e) => setFlexibilityHours(Number(e.target.value))}
+          disabled={isJoining}
+          className="form-input flex-1"
+          aria-label="How flexible is the start time"
+        >
+          {WAITLIST_FLEXIBILITY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handleJoin}
+          disabled={isJoining}
+          className="btn-primary flex items-center justify-center space-x-2"
+        >
+          {isJoining ? <Loader2 className="h-4 w-4 animate-spin" /> : <BellRing className="h-4 w-4" />}
+          <span>Notify Me</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default JoinWaitlist;
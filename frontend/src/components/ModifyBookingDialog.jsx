@@ -0,0 +1,404 @@
+/**
+ * ModifyBookingDialog Component
+ * Reschedules a booking or changes its drop pincode: checks the booked vehicle is
+ * free for the new trip and what it costs, and offers other vehicles or start
+ * times when it isn't
+ */
+
+import React, { useState } from 'react';
+import {
+  AlertCircle,
+  CalendarClock,
+  CheckCircle2,
+  Loader2,
+  Search,
+  Truck,
+  X,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { bookingAPI, getErrorMessage } from '../services/api';
+import { getRecentLocations } from '../services/recentLocations';
+import useAuth from '../hooks/useAuth';
+import PincodeAutocomplete from './PincodeAutocomplete';
+import QuoteBreakdown from './QuoteBreakdown';
+import { getNewStartTimeError, formatPriceDifference } from '../utils/bookingChanges';
+import { MAX_STATUS_NOTE_LENGTH } from '../utils/statusTransitions';
+import { getPincodeError } from '../utils/geo';
+import {
+  formatCapacity,
+  formatCurrency,
+  formatDate,
+  formatDateForInput,
+  getMinBookingDateTime,
+  validateForm,
+} from '../utils/helpers';
+
+// The booked start time is kept even once it's closer than a new booking's notice
+const getModificationRules = (bookedStartTime) => ({
+  startTime: {
+    required: true,
+    requiredMessage: 'Choose a start time',
+    validate: (value) => (value === bookedStartTime ? null : getNewStartTimeError(value)),
+  },
+  toPincode: {
+    required: true,
+    pattern: /^\d{6}$/,
+    message: 'Enter a 6 digit pincode or pick a destination from the list',
+    validate: getPincodeError,
+  },
+});
+
+/**
+ * @param {Object} booking - Booking to change, with its vehicle populated
+ * @param {Function} onModified - Called with the updated booking
+ * @param {Function} onClose - Called to leave the booking as it is
+ */
+const ModifyBookingDialog = ({ booking, onModified, onClose }) => {
+  const { user } = useAuth();
+  const bookedStartTime = formatDateForInput(booking.startTime);
+  const bookedVehicle = booking.vehicleId;
+
+  const [form, setForm] = useState({ startTime: bookedStartTime, toPincode: booking.toPincode, note: '' });
+  // Another vehicle picked from the alternatives, or null to keep the booked one
+  const [newVehicle, setNewVehicle] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [recentPincodes] = useState(() => getRecentLocations(user?.id));
+
+  /**
+   * Get what differs from the booking, leaving out anything unchanged
+   */
+  const getChanges = (values, vehicle) => ({
+    ...(values.startTime !== bookedStartTime && { startTime: new Date(values.startTime).toISOString() }),
+    ...(values.toPincode.trim() !== booking.toPincode && { toPincode: values.toPincode.trim() }),
+    ...(vehicle && { vehicleId: vehicle.id }),
+  });
+
+  const hasChanges = Object.keys(getChanges(form, newVehicle)).length > 0;
+
+  const updateForm = (values) => {
+    setForm(prev => ({ ...prev, ...values }));
+    setPreview(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    // The note doesn't change the trip, so a checked change stays checked
+    if (name === 'note') {
+      setForm(prev => ({ ...prev, note: value }));
+    } else {
+      updateForm({ [name]: value });
+    }
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  /**
+   * Ask the server whether the change can be made and what it costs
+   */
+  const checkChange = async (values = form, vehicle = newVehicle) => {
+    const validation = validateForm(values, getModificationRules(bookedStartTime));
+    setErrors(validation.errors);
+    if (!validation.isValid) return;
+
+    setIsChecking(true);
+    setPreview(null);
+
+    try {
+      const response = await bookingAPI.previewBookingChange(booking.id, getChanges(values, vehicle));
+
+      if (response.data.success) {
+        setPreview(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error checking booking change:', error);
+      toast.error(getErrorMessage(error));
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleSelectStartTime = (startTime) => {
+    const values = { ...form, startTime: formatDateForInput(startTime) };
+    updateForm(values);
+    checkChange(values);
+  };
+
+  const handleSelectVehicle = (vehicle) => {
+    setNewVehicle(vehicle);
+    setPreview(null);
+    checkChange(form, vehicle);
+  };
+
+  const handleKeepVehicle = () => {
+    setNewVehicle(null);
+    setPreview(null);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+
+    try {
+      const response = await bookingAPI.modifyBooking(booking.id, {
+        ...getChanges(form, newVehicle),
+        expectedTotal: preview.quote.total,
+        ...(form.note.trim() && { note: form.note.trim() }),
+      });
+
+      if (response.data.success) {
+        toast.success('Booking updated');
+        onModified(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error modifying booking:', error);
+      toast.error(getErrorMessage(error));
+      // Someone took the vehicle or the price moved since the check - show what's possible now
+      if (error.response?.status === 409) {
+        checkChange();
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (preview?.available) {
+      handleSave();
+    } else {
+      checkChange();
+    }
+  };
+
+  const isBusy = isChecking || isSaving;
+  const alternatives = preview?.alternatives;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg max-w-2xl w-full max-h-screen overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-secondary-200">
+          <h2 className="text-2xl font-semibold text-secondary-900">Modify Booking</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isSaving}
+            className="text-secondary-400 hover:text-secondary-600 transition-colors"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-secondary-600">
+            Booked: {bookedVehicle?.name || 'Vehicle removed'} · {booking.fromPincode} → {booking.toPincode} on{' '}
+            {formatDate(booking.startTime, 'PP p')} · {formatCurrency(booking.totalCost)}
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="startTime" className="form-label">Start Time</label>
+              <input
+                id="startTime"
+                name="startTime"
+                type="datetime-local"
+                value={form.startTime}
+                onChange={handleChange}
+                min={getMinBookingDateTime()}
+                disabled={isBusy}
+                className={`form-input ${errors.startTime ? 'border-danger-500' : ''}`}
+              />
+              {errors.startTime && (
+                <div className="flex items-center space-x-1 form-error">
+                  <AlertCircle className="h-4 w-4" />
+                  <span>{errors.startTime}</span>
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="toPincode" className="form-label">Drop Pincode</label>
+              <PincodeAutocomplete
+                id="toPincode"
+                name="toPincode"
+                value={form.toPincode}
+                onChange={(value) => handleChange({ target: { name: 'toPincode', value } })}
+                recentPincodes={recentPincodes}
+                hasError={Boolean(errors.toPincode)}
+                placeholder="e.g., 400001 or Mumbai"
+                disabled={isBusy}
+              />
+              {errors.toPincode && (
+                <div className="flex items-center space-x-1 form-error">
+                  <AlertCircle className="h-4 w-4" />
+                  <span>{errors.toPincode}</span>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {newVehicle && (
+            <div className="flex items-center justify-between text-sm">
+              <span className="flex items-center space-x-2 text-secondary-700">
+                <Truck className="h-4 w-4" />
+                <span>Moving to {newVehicle.name} · {formatCapacity(newVehicle.capacityKg)}</span>
+              </span>
+              <button
+                type="button"
+                onClick={handleKeepVehicle}
+                disabled={isBusy}
+                className="font-medium text-primary-600 hover:text-primary-700"
+              >
+                Keep {bookedVehicle?.name || 'the booked vehicle'}
+              </button>
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="note" className="form-label">
+              Note <span className="text-secondary-400 font-normal">(optional)</span>
+            </label>
+            <textarea
+              id="note"
+              name="note"
+              value={form.note}
+              onChange={handleChange}
+              rows={2}
+              maxLength={MAX_STATUS_NOTE_LENGTH}
+              disabled={isSaving}
+              className="form-input"
+              placeholder="Why the booking is changing"
+            />
+          </div>
+
+          {isChecking && (
+            <div className="flex justify-center items-center py-4 text-sm text-secondary-600">
+              <Loader2 className="h-4 w-4 animate-spin mr-2" />
+              Checking availability and price...
+            </div>
+          )}
+
+          {/* Vehicle free: the new price */}
+          {preview?.available && (
+            <div className="space-y-4">
+              <div className="p-4 bg-success-50 border border-success-200 rounded-lg text-sm text-success-800">
+                <div className="flex items-center space-x-2 font-medium">
+                  <CheckCircle2 className="h-4 w-4" />
+                  <span>{preview.vehicle.name} is free for the new trip</span>
+                </div>
+                <div className="mt-1">
+                  {preview.fromPincode} → {preview.toPincode} · {formatDate(preview.startTime, 'PP p')} to{' '}
+                  {formatDate(preview.endTime, 'PP p')} ({preview.estimatedRideDurationHours} hours)
+                </div>
+              </div>
+
+              <div className="flex justify-between items-baseline">
+                <span className="text-secondary-600">
+                  {formatCurrency(preview.previousTotal)} → {formatCurrency(preview.quote.total)}
+                </span>
+                <span className={`text-lg font-semibold ${preview.priceDifference > 0 ? 'text-danger-600' : 'text-success-600'}`}>
+                  {formatPriceDifference(preview.priceDifference)}
+                </span>
+              </div>
+              <QuoteBreakdown quote={preview.quote} />
+            </div>
+          )}
+
+          {/* Vehicle busy: other vehicles at this time, or this vehicle at another time */}
+          {preview && !preview.available && (
+            <div className="space-y-4">
+              <div className="flex items-center space-x-2 p-4 bg-danger-50 border border-danger-200 rounded-lg text-sm text-danger-800">
+                <AlertCircle className="h-4 w-4" />
+                <span>{preview.unavailableReason}</span>
+              </div>
+
+              {alternatives.vehicles.length > 0 && (
+                <div>
+                  <h3 className="flex items-center space-x-2 font-medium text-secondary-900 mb-2">
+                    <Truck className="h-4 w-4 text-primary-600" />
+                    <span>Other vehicles free at {formatDate(preview.startTime, 'PP p')}</span>
+                  </h3>
+                  <div className="space-y-2">
+                    {alternatives.vehicles.map(vehicle => (
+                      <button
+                        key={vehicle.id}
+                        type="button"
+                        onClick={() => handleSelectVehicle(vehicle)}
+                        disabled={isBusy}
+                        className="w-full flex items-center justify-between px-4 py-3 border border-secondary-200 rounded-lg bg-white hover:border-primary-400 hover:bg-primary-50 transition-colors text-left"
+                      >
+                        <div>
+                          <div className="font-medium text-secondary-900">{vehicle.name}</div>
+                          <div className="text-xs text-secondary-500">{formatCapacity(vehicle.capacityKg)}</div>
+                        </div>
+                        <div className="text-right text-sm">
+                          <div className="font-medium text-secondary-900">{formatCurrency(vehicle.totalCost)}</div>
+                          <div className="text-xs text-secondary-500">{formatPriceDifference(vehicle.priceDifference)}</div>
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {alternatives.startTimes.length > 0 && (
+                <div>
+                  <h3 className="flex items-center space-x-2 font-medium text-secondary-900 mb-2">
+                    <CalendarClock className="h-4 w-4 text-primary-600" />
+                    <span>When {preview.vehicle.name} is free</span>
+                  </h3>
+                  <div className="space-y-2">
+                    {alternatives.startTimes.map(slot => (
+                      <button
+                        key={slot.startTime}
+                        type="button"
+                        onClick={() => handleSelectStartTime(slot.startTime)}
+                        disabled={isBusy}
+                        className="w-full flex items-center justify-between px-4 py-3 border border-secondary-200 rounded-lg bg-white hover:border-primary-400 hover:bg-primary-50 transition-colors text-left"
+                      >
+                        <span className="font-medium text-secondary-900">{formatDate(slot.startTime, 'EEE, d MMM · p')}</span>
+                        <div className="text-right text-sm">
+                          <div className="font-medium text-secondary-900">{formatCurrency(slot.totalCost)}</div>
+                          <div className="text-xs text-secondary-500">{formatPriceDifference(slot.priceDifference)}</div>
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {alternatives.vehicles.length === 0 && alternatives.startTimes.length === 0 && (
+                <p className="text-sm text-secondary-500">
+                  No other suitable vehicle is free then, and {preview.vehicle.name} isn't free nearby. Try another start time.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end space-x-3 p-6 border-t border-secondary-200">
+          <button type="button" onClick={onClose} disabled={isSaving} className="btn-secondary">
+            Go Back
+          </button>
+          {preview?.available ? (
+            <button type="submit" disabled={isBusy} className="btn-primary flex items-center space-x-2">
+              {isSaving ? <Loader2 className="h-4 w-4 animate-spin" /> : <CheckCircle2 className="h-4 w-4" />}
+              <span>Confirm Change · {formatPriceDifference(preview.priceDifference)}</span>
+            </button>
+          ) : (
+            <button type="submit" disabled={isBusy || !hasChanges} className="btn-primary flex items-center space-x-2">
+              {isChecking ? <Loader2 className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
+              <span>Check Availability</span>
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ModifyBookingDialog;
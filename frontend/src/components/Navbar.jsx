@@ -4,7 +4,7 @@
  */
 
 import React, { useState } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { 
   Truck, 
   Menu, 
@@ -12,21 +12,39 @@ import {
   Plus, 
   Search, 
   Calendar, 
-  List 
+  List,
+  LogIn,
+  LogOut,
+  User,
+  IndianRupee,
+  BellRing,
+  RotateCcw
 } from 'lucide-react';
+import { isMockMode, resetMockData } from '../services/mockBackend';
+import useAuth from '../hooks/useAuth';
+import { PERMISSIONS, ROLE_LABELS, hasAnyPermission } from '../utils/permissions';
 
 const Navbar = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const location = useLocation();
+  const navigate = useNavigate();
+  const { user, isAuthenticated, logout } = useAuth();
 
-  // Navigation items
+  // Navigation items - only the ones the user's role can open
   const navItems = [
     { path: '/', label: 'Home', icon: Truck },
-    { path: '/add-vehicle', label: 'Add Vehicle', icon: Plus },
-    { path: '/search-book', label: 'Search & Book', icon: Search },
-    { path: '/bookings', label: 'Bookings', icon: Calendar },
-    { path: '/vehicles', label: 'All Vehicles', icon: List },
-  ];
+    { path: '/add-vehicle', label: 'Add Vehicle', icon: Plus, permissions: [PERMISSIONS.VEHICLE_CREATE] },
+    { path: '/search-book', label: 'Search & Book', icon: Search, permissions: [PERMISSIONS.BOOKING_CREATE] },
+    {
+      path: '/bookings',
+      label: hasAnyPermission(user, [PERMISSIONS.BOOKING_VIEW_ALL]) ? 'Bookings' : 'My Bookings',
+      icon: Calendar,
+      permissions: [PERMISSIONS.BOOKING_VIEW_ALL, PERMISSIONS.BOOKING_VIEW_OWN],
+    },
+    { path: '/waitlist', label: 'Waitlist', icon: BellRing, permissions: [PERMISSIONS.BOOKING_CREATE] },
+    { path: '/vehicles', label: 'All Vehicles', icon: List, permissions: [PERMISSIONS.VEHICLE_VIEW] },
+    { path: '/settings/pricing', label: 'Pricing', icon: IndianRupee, permissions: [PERMISSIONS.PRICING_MANAGE] },
+  ].filter(item => !item.permissions || hasAnyPermission(user, item.permissions));
 
   const isActiveLink = (path) => {
     return location.pathname === path;
@@ -40,19 +58,55 @@ const Navbar = () => {
     setIsMenuOpen(false);
   };
 
+  const handleLogout = async () => {
+    closeMenu();
+    await logout();
+    navigate('/');
+  };
+
+  // Seeded users get new IDs, so sign out first and reload the app against the fresh data
+  const handleResetDemoData = async () => {
+    if (!confirm('Reset the demo data? Every vehicle, booking and waitlist change made in this browser is lost, and you will be signed out.')) {
+      return;
+    }
+
+    closeMenu();
+    if (isAuthenticated) {
+      await logout();
+    }
+    resetMockData();
+    window.location.assign('/');
+  };
+
   return (
     <nav className="bg-white shadow-medium border-b border-secondary-200 sticky top-0 z-50">
       <div className="container mx-auto px-4 sm:px-6 lg:px-8">
         <div className="flex justify-between items-center h-16">
           {/* Logo and Brand */}
-          <Link
-            to="/"
-            className="flex items-center space-x-3 text-primary-600 hover:text-primary-700 transition-colors duration-200"
-            onClick={closeMenu}
-          >
-            <Truck className="h-8 w-8" />
-            <span className="text-xl font-bold">FleetLink</span>
-          </Link>
+          <div className="flex items-center space-x-2">
+            <Link
+              to="/"
+              className="flex items-center space-x-3 text-primary-600 hover:text-primary-700 transition-colors duration-200"
+              onClick={closeMenu}
+            >
+              <Truck className="h-8 w-8" />
+              <span className="text-xl font-bold">FleetLink</span>
+              {isMockMode() && (
+                <span className="badge badge-warning" title="Requests are served by the in-browser mock backend">
+                  Demo data
+                </span>
+              )}
+            </Link>
+            {isMockMode() && (
+              <button
+                onClick={handleResetDemoData}
+                className="p-1 rounded text-secondary-500 hover:text-secondary-900 hover:bg-secondary-100"
+                title="Reset demo data"
+              >
+                <RotateCcw className="h-4 w-4" />
+              </button>
+            )}
+          </div>
 
           {/* Desktop Navigation */}
           <div className="hidden md:flex items-center space-x-1">
@@ -77,6 +131,34 @@ const Navbar = () => {
                 </Link>
               );
             })}
+
+            <div className="pl-3 ml-2 border-l border-secondary-200 flex items-center space-x-2">
+              {isAuthenticated ? (
+                <>
+                  <span className="flex items-center space-x-1 text-sm text-secondary-700">
+                    <User className="h-4 w-4" />
+                    <span>{user.name}</span>
+                    <span className="text-xs text-secondary-500">({ROLE_LABELS[user.role] || user.role})</span>
+                  </span>
+                  <button
+                    onClick={handleLogout}
+                    className="flex items-center space-x-2 px-3 py-2 rounded-lg text-sm font-medium text-secondary-600 hover:text-secondary-900 hover:bg-secondary-100 transition-colors duration-200"
+                  >
+                    <LogOut className="h-4 w-4" />
+                    <span>Logout</span>
+                  </button>
+                </>
+              ) : (
+                <Link
+                  to="/login"
+                  state={{ from: location }}
+                  className="flex items-center space-x-2 px-3 py-2 rounded-lg text-sm font-medium text-primary-600 hover:bg-primary-50 transition-colors duration-200"
+                >
+                  <LogIn className="h-4 w-4" />
+                  <span>Login</span>
+                </Link>
+              )}
+            </div>
           </div>
 
           {/* Mobile Menu Button */}
@@ -121,6 +203,26 @@ const Navbar = () => {
                   </Link>
                 );
               })}
+
+              {isAuthenticated ? (
+                <button
+                  onClick={handleLogout}
+                  className="w-full flex items-center space-x-3 px-4 py-3 rounded-lg text-base font-medium text-secondary-600 hover:text-secondary-900 hover:bg-secondary-50 transition-colors duration-200"
+                >
+                  <LogOut className="h-5 w-5" />
+                  <span>Logout ({user.name})</span>
+                </button>
+              ) : (
+                <Link
+                  to="/login"
+                  state={{ from: location }}
+                  onClick={closeMenu}
+                  className="flex items-center space-x-3 px-4 py-3 rounded-lg text-base font-medium text-primary-600 hover:bg-primary-50 transition-colors duration-200"
+                >
+                  <LogIn className="h-5 w-5" />
+                  <span>Login</span>
+                </Link>
+              )}
             </div>
           </div>
         )}
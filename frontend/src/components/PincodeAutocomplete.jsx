@@ -0,0 +1,167 @@
+/**
+ * PincodeAutocomplete Component
+ * Pincode input that suggests locations from the pincode directory by code,
+ * locality, city or district, and offers the user's recent locations
+ */
+
+import React, { useState } from 'react';
+import { MapPin, History } from 'lucide-react';
+import { findPincode, searchPincodes, formatPincodeLabel, formatPlaceName } from '../utils/geo';
+
+/**
+ * @param {string} value - Selected pincode (or the raw text while typing)
+ * @param {Function} onChange - Called with the new value
+ * @param {string[]} recentPincodes - Recently used pincodes, shown before the user types
+ * @param {boolean} hasError - Whether to show the error border
+ */
+const PincodeAutocomplete = ({
+  id,
+  name,
+  value,
+  onChange,
+  recentPincodes = [],
+  hasError = false,
+  disabled = false,
+  placeholder,
+}) => {
+  const [query, setQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const selected = findPincode(value);
+
+  // While typing show the query; otherwise show the selected location's name
+  const displayValue = isOpen ? query : (selected ? formatPincodeLabel(selected) : value);
+
+  const recentOptions = recentPincodes.map(findPincode).filter(Boolean);
+  const showingRecent = isOpen && !query.trim();
+  const options = showingRecent ? recentOptions : (isOpen ? searchPincodes(query) : []);
+  const listId = `${id}-options`;
+
+  const handleFocus = () => {
+    setQuery(value || '');
+    setActiveIndex(-1);
+    setIsOpen(true);
+  };
+
+  const handleBlur = () => {
+    setIsOpen(false);
+  };
+
+  const handleInputChange = (e) => {
+    const text = e.target.value;
+    setQuery(text);
+    setActiveIndex(-1);
+    setIsOpen(true);
+    onChange(text.trim());
+  };
+
+  const selectOption = (entry) => {
+    onChange(entry.pincode);
+    setQuery(entry.pincode);
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    // Reopen the list after a selection without retyping
+    if (!isOpen && e.key === 'ArrowDown') {
+      e.preventDefault();
+      handleFocus();
+      return;
+    }
+    if (!isOpen || options.length === 0) return;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActiveIndex(prev => (prev + 1) % options.length);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveIndex(prev => (prev <= 0 ? options.length - 1 : prev - 1));
+        break;
+      case 'Enter':
+        if (activeIndex >= 0) {
+          e.preventDefault();
+          selectOption(options[activeIndex]);
+        }
+        break;
+      case 'Escape':
+        setIsOpen(false);
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        id={id}
+        name={name}
+        value={displayValue}
+        onChange={handleInputChange}
+        onFocus={handleFocus}
+        onBlur={handleBlur}
+        onKeyDown={handleKeyDown}
+        className={`form-input ${hasError ? 'border-danger-500' : ''}`}
+        placeholder={placeholder}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={isOpen && options.length > 0}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+        disabled={disabled}
+      />
+
+      {isOpen && options.length > 0 && (
+        <ul
+          id={listId}
+          role="listbox"
+          className="absolute z-20 mt-1 w-full bg-white border border-secondary-200 rounded-lg shadow-medium max-h-64 overflow-y-auto"
+        >
+          {showingRecent && (
+            <li role="presentation" className="px-3 py-2 text-xs font-medium text-secondary-500 uppercase">Recent</li>
+          )}
+          {options.map((entry, index) => {
+            const Icon = showingRecent ? History : MapPin;
+            return (
+              <li
+                key={entry.pincode}
+                id={`${listId}-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                // mousedown fires before the input's blur closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  selectOption(entry);
+                }}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`px-3 py-2 text-sm cursor-pointer flex items-center space-x-2
+                  ${index === activeIndex ? 'bg-primary-50 text-primary-800' : 'text-secondary-700'}
+                `}
+              >
+                <Icon className="h-4 w-4 text-secondary-400 flex-shrink-0" />
+                <span>
+                  <span className="font-medium">{entry.pincode}</span>
+                  <span className="text-secondary-500"> – {formatPlaceName(entry)}</span>
+                  <span className="text-xs text-secondary-400"> · {entry.state}</span>
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {isOpen && !showingRecent && query.trim().length >= 2 && options.length === 0 && (
+        <div className="absolute z-20 mt-1 w-full bg-white border border-secondary-200 rounded-lg shadow-medium px-3 py-2 text-sm text-secondary-500">
+          No matching locations
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PincodeAutocomplete;
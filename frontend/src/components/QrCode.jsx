@@ -0,0 +1,41 @@
+/**
+ * QrCode Component
+ * Scannable QR code drawn as an SVG
+ */
+
+import React, { useMemo } from 'react';
+import { createQrCode } from '../utils/qrCode';
+
+// Light margin scanners need around the code, in modules
+const QUIET_ZONE = 4;
+
+/**
+ * @param {string} value - Text to encode
+ * @param {number} size - Width and height in pixels
+ * @param {string} title - Accessible description
+ */
+const QrCode = ({ value, size = 160, title = 'QR code' }) => {
+  const modules = useMemo(() => createQrCode(value), [value]);
+  const dimension = modules.length + QUIET_ZONE * 2;
+
+  // One path for all dark modules keeps the SVG small
+  const path = modules.flatMap((row, y) =>
+    row.map((dark, x) => (dark ? `M${x + QUIET_ZONE},${y + QUIET_ZONE}h1v1h-1z` : ''))
+  ).join('');
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox={`0 0 ${dimension} ${dimension}`}
+      shapeRendering="crispEdges"
+      role="img"
+      aria-label={title}
+    >
+      <rect width={dimension} height={dimension} fill="#ffffff" />
+      <path d={path} fill="#000000" />
+    </svg>
+  );
+};
+
+export default QrCode;
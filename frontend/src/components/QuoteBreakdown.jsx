@@ -0,0 +1,43 @@
+/**
+ * QuoteBreakdown Component
+ * Itemised price breakdown for a quote from the pricing engine
+ */
+
+import React from 'react';
+import { formatCurrency } from '../utils/helpers';
+
+/**
+ * @param {Object} quote - Result of calculateQuote
+ */
+const QuoteBreakdown = ({ quote }) => {
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="text-xs text-secondary-500">Rate card: {quote.rateCard.name}</div>
+
+      {quote.lineItems.map(item => (
+        <div key={item.code} className="flex justify-between">
+          <span className="text-secondary-600">
+            {item.label}
+            {item.detail && <span className="text-secondary-400"> ({item.detail})</span>}
+          </span>
+          <span>{formatCurrency(item.amount)}</span>
+        </div>
+      ))}
+
+      <div className="border-t pt-2 flex justify-between">
+        <span className="text-secondary-600">Subtotal:</span>
+        <span>{formatCurrency(quote.subtotal)}</span>
+      </div>
+      <div className="flex justify-between">
+        <span className="text-secondary-600">GST ({quote.gstPercent}%):</span>
+        <span>{formatCurrency(quote.gst)}</span>
+      </div>
+      <div className="border-t pt-2 flex justify-between font-semibold">
+        <span>Total Amount:</span>
+        <span className="text-primary-600">{formatCurrency(quote.total)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default QuoteBreakdown;
@@ -0,0 +1,46 @@
+/**
+ * RequireAuth Component
+ * Route guard that sends anonymous visitors to the login page and
+ * shows an access denied message to users without the required permission
+ */
+
+import React from 'react';
+import { Navigate, Link, useLocation } from 'react-router-dom';
+import { ShieldAlert } from 'lucide-react';
+import useAuth from '../hooks/useAuth';
+import { hasAnyPermission, ROLE_LABELS } from '../utils/permissions';
+
+/**
+ * @param {string[]} permissions - The user needs at least one of these (optional)
+ */
+const RequireAuth = ({ permissions = [], children }) => {
+  const { user, isAuthenticated } = useAuth();
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  if (permissions.length > 0 && !hasAnyPermission(user, permissions)) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-96 text-center">
+        <div className="bg-danger-100 rounded-full p-4 mb-6">
+          <ShieldAlert className="h-8 w-8 text-danger-600" />
+        </div>
+        <h1 className="text-2xl font-semibold text-secondary-900 mb-2">
+          Access Denied
+        </h1>
+        <p className="text-secondary-500 mb-8">
+          Your role ({ROLE_LABELS[user.role] || user.role}) doesn't have access to this page.
+        </p>
+        <Link to="/" className="btn-primary">
+          Go Home
+        </Link>
+      </div>
+    );
+  }
+
+  return children;
+};
+
+export default RequireAuth;
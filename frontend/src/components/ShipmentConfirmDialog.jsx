@@ -0,0 +1,142 @@
+/**
+ * ShipmentConfirmDialog Component
+ * Review of a split shipment before it's booked: the route, every vehicle with
+ * the load it carries and its cost, and the cargo
+ */
+
+import React from 'react';
+import { CheckCircle2, Layers, Loader2, MapPin, Package, Truck, X } from 'lucide-react';
+import { formatPlaceName } from '../utils/geo';
+import { CARGO_REQUIREMENTS } from '../utils/cargo';
+import { BODY_TYPES, getOptionLabel, formatDimensions, formatVolume } from '../utils/vehicles';
+import { formatCapacity, formatCurrency, formatDate } from '../utils/helpers';
+
+/**
+ * @param {Object} option - Vehicle group being booked ({ vehicles, totalCost })
+ * @param {Object} shipmentData - Shipment to create ({ fromPincode, toPincode, startTime, cargo })
+ * @param {Object|null} route - Route estimate for the trip
+ * @param {Function} onConfirm - Called to book the shipment
+ * @param {Function} onClose - Called to go back to the options
+ * @param {boolean} isBooking - Whether the shipment is being booked
+ */
+const ShipmentConfirmDialog = ({ option, shipmentData, route, onConfirm, onClose, isBooking }) => {
+  const { cargo } = shipmentData;
+  const largestItem = cargo.itemLengthM && {
+    lengthM: cargo.itemLengthM,
+    widthM: cargo.itemWidthM,
+    heightM: cargo.itemHeightM,
+  };
+  const requirements = (cargo.requirements || '').split(',').filter(Boolean)
+    .map(value => getOptionLabel(CARGO_REQUIREMENTS, value));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-screen overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-secondary-200">
+          <div className="flex items-center space-x-3">
+            <Layers className="h-6 w-6 text-primary-600" />
+            <h2 className="text-2xl font-semibold text-secondary-900">
+              Book {option.vehicles.length} Vehicles as One Shipment
+            </h2>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isBooking}
+            className="text-secondary-400 hover:text-secondary-600 transition-colors"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Route */}
+          <div className="flex items-start space-x-3 text-sm">
+            <MapPin className="h-5 w-5 text-secondary-500 flex-shrink-0" />
+            <div>
+              <div className="font-medium text-secondary-900">
+                {shipmentData.fromPincode} → {shipmentData.toPincode}
+                {route && (
+                  <span className="font-normal text-secondary-600">
+                    {' '}({formatPlaceName(route.from)} → {formatPlaceName(route.to)})
+                  </span>
+                )}
+              </div>
+              <div className="text-secondary-600">Starts {formatDate(shipmentData.startTime)}</div>
+            </div>
+          </div>
+
+          {/* Vehicles */}
+          <div>
+            <h3 className="font-medium text-secondary-900 mb-2">Vehicles</h3>
+            <div className="divide-y divide-secondary-100 border border-secondary-100 rounded-lg">
+              {option.vehicles.map(vehicle => (
+                <div key={vehicle.id} className="flex items-center justify-between gap-2 px-4 py-3 text-sm">
+                  <div className="flex items-center space-x-3">
+                    <Truck className="h-4 w-4 text-secondary-500" />
+                    <span className="font-medium text-secondary-900">{vehicle.name}</span>
+                    {vehicle.bodyType && (
+                      <span className="badge badge-secondary">{getOptionLabel(BODY_TYPES, vehicle.bodyType)}</span>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-6 text-secondary-600">
+                    <span>Carries <strong className="text-secondary-900">{formatCapacity(vehicle.loadKg)}</strong></span>
+                    <span className="font-medium text-secondary-900">{formatCurrency(vehicle.estimatedCost)}</span>
+                  </div>
+                </div>
+              ))}
+              <div className="flex justify-between px-4 py-3 text-sm font-semibold text-secondary-900 bg-secondary-50">
+                <span>Estimated total</span>
+                <span className="text-primary-600">{formatCurrency(option.totalCost)}</span>
+              </div>
+            </div>
+          </div>
+
+          {/* Cargo */}
+          <div>
+            <h3 className="flex items-center space-x-2 font-medium text-secondary-900 mb-2">
+              <Package className="h-4 w-4 text-secondary-500" />
+              <span>Cargo</span>
+            </h3>
+            <dl className="grid grid-cols-2 gap-x-6 gap-y-1 text-sm">
+              <dt className="text-secondary-600">Weight</dt>
+              <dd className="text-secondary-900">{formatCapacity(cargo.weightKg)}</dd>
+              {cargo.cargoVolumeM3 !== undefined && (
+                <>
+                  <dt className="text-secondary-600">Volume</dt>
+                  <dd className="text-secondary-900">{formatVolume(cargo.cargoVolumeM3)}</dd>
+                </>
+              )}
+              {largestItem && (
+                <>
+                  <dt className="text-secondary-600">Largest item</dt>
+                  <dd className="text-secondary-900">{formatDimensions(largestItem)}</dd>
+                </>
+              )}
+              <dt className="text-secondary-600">Handling</dt>
+              <dd className="text-secondary-900">{requirements.length > 0 ? requirements.join(', ') : 'None'}</dd>
+            </dl>
+          </div>
+
+          <p className="text-sm text-secondary-600">
+            All {option.vehicles.length} vehicles are booked together or none of them are, and the shipment is cancelled as one.
+          </p>
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end space-x-3 p-6 border-t border-secondary-200">
+          <button type="button" onClick={onClose} disabled={isBooking} className="btn-secondary">
+            Go Back
+          </button>
+          <button type="button" onClick={onConfirm} disabled={isBooking} className="btn-primary flex items-center space-x-2">
+            {isBooking ? <Loader2 className="h-4 w-4 animate-spin" /> : <CheckCircle2 className="h-4 w-4" />}
+            <span>Book Shipment · {formatCurrency(option.totalCost)}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShipmentConfirmDialog;
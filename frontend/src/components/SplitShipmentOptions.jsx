@@ -0,0 +1,107 @@
+/**
+ * SplitShipmentOptions Component
+ * Groups of vehicles that can carry a load together, cheapest first, each bookable as one shipment
+ */
+
+import React from 'react';
+import { CheckCircle2, Layers, Loader2, Star, Truck } from 'lucide-react';
+import VehicleLink from './VehicleLink';
+import { BODY_TYPES, getOptionLabel } from '../utils/vehicles';
+import { formatCapacity, formatCurrency } from '../utils/helpers';
+
+/**
+ * @param {Object[]} options - Vehicle groups from the split search
+ * @param {number} weightKg - Total weight of the load
+ * @param {Object} takenVehicles - vehicleId -> { reason } for vehicles taken since the search ran
+ * @param {Function} onBook - Called with the option to book
+ * @param {number|null} bookingIndex - Index of the option being booked
+ * @param {boolean} disabled - Whether booking is disabled
+ */
+const SplitShipmentOptions = ({ options, weightKg, takenVehicles, onBook, bookingIndex, disabled = false }) => {
+  return (
+    <div className="space-y-4">
+      {options.map((option, index) => {
+        const takenVehicle = option.vehicles.find(vehicle => takenVehicles[vehicle.id]);
+        const isBooking = bookingIndex === index;
+
+        return (
+          <div
+            key={option.vehicles.map(vehicle => vehicle.id).join('-')}
+            className={`bg-white border rounded-lg p-6 ${index === 0 ? 'border-primary-300' : 'border-secondary-200'}
+              ${takenVehicle ? 'opacity-50 grayscale' : ''}
+            `}
+          >
+            {/* Option Header */}
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+              <div className="flex items-center space-x-3">
+                <Layers className="h-6 w-6 text-primary-600" />
+                <div>
+                  <h3 className="text-lg font-semibold text-secondary-900">
+                    {option.vehicles.length} vehicles · {formatCapacity(option.totalCapacityKg)} combined
+                  </h3>
+                  <p className="text-sm text-secondary-600">
+                    {formatCapacity(option.totalCapacityKg - weightKg)} spare capacity
+                  </p>
+                </div>
+                {index === 0 && (
+                  <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-success-100 text-success-800">
+                    <Star className="h-3 w-3 mr-1" />
+                    Lowest Cost
+                  </span>
+                )}
+              </div>
+              <div className="text-right">
+                <div className="text-sm text-secondary-600">Estimated Total</div>
+                <div className="text-xl font-semibold text-primary-600">{formatCurrency(option.totalCost)}</div>
+              </div>
+            </div>
+
+            {/* Vehicles */}
+            <div className="divide-y divide-secondary-100 border border-secondary-100 rounded-lg mb-4">
+              {option.vehicles.map(vehicle => (
+                <div key={vehicle.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 px-4 py-3 text-sm">
+                  <div className="flex items-center space-x-3">
+                    <Truck className="h-4 w-4 text-secondary-500" />
+                    <VehicleLink vehicle={vehicle} className="font-medium" />
+                    {vehicle.bodyType && (
+                      <span className="badge badge-secondary">{getOptionLabel(BODY_TYPES, vehicle.bodyType)}</span>
+                    )}
+                    {takenVehicles[vehicle.id] && (
+                      <span className="badge badge-danger">{takenVehicles[vehicle.id].reason}</span>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-6 text-secondary-600">
+                    <span>Carries <strong className="text-secondary-900">{formatCapacity(vehicle.loadKg)}</strong> of {formatCapacity(vehicle.capacityKg)}</span>
+                    <span className="font-medium text-secondary-900">{formatCurrency(vehicle.estimatedCost)}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <button
+              onClick={() => onBook(option, index)}
+              disabled={disabled || Boolean(takenVehicle)}
+              className="w-full btn-primary flex items-center justify-center space-x-2"
+            >
+              {takenVehicle ? (
+                <span>No Longer Available ({takenVehicle.name})</span>
+              ) : isBooking ? (
+                <>
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                  <span>Booking {option.vehicles.length} vehicles...</span>
+                </>
+              ) : (
+                <>
+                  <CheckCircle2 className="h-4 w-4" />
+                  <span>Book All {option.vehicles.length} Vehicles</span>
+                </>
+              )}
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SplitShipmentOptions;
@@ -0,0 +1,382 @@
+/**
+ * VehicleBulkImport Component
+ * Import vehicles from a CSV or XLSX file: map columns, preview every row with
+ * its validation errors, then add the valid rows one by one
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Upload,
+  FileSpreadsheet,
+  Download,
+  CheckCircle2,
+  XCircle,
+  Loader2,
+  AlertCircle,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { validateForm } from '../utils/helpers';
+import { readSpreadsheetFile, downloadCsv } from '../utils/spreadsheet';
+import {
+  VEHICLE_VALIDATION_RULES,
+  VEHICLE_IMPORT_FIELDS,
+  guessImportMapping,
+  readImportRow,
+  toVehiclePayload,
+  getServerFieldErrors,
+} from '../utils/vehicles';
+import { vehicleAPI, getErrorMessage } from '../services/api';
+
+const MAX_IMPORT_ROWS = 500;
+
+const TEMPLATE_ROWS = [
+  VEHICLE_IMPORT_FIELDS.map(({ field }) => field),
+  ['Tata Signa 4825.TK', 'MH 46 BM 2231', 'open', 'diesel', '25000', '10', '7.6', '2.4', '1.8'],
+  ['Mahindra Bolero Pickup', 'KA 01 AQ 5520', 'open', 'diesel', '1500', '4', '2.7', '1.7', '1.3'],
+  ['Eicher Pro 2095', '22 BH 4471 AC', 'container', 'cng', '4000', '6', '', '', ''],
+];
+
+/**
+ * Build the import rows from the file's data rows and the column mapping
+ * @param {string[][]} dataRows - File rows after the header
+ * @param {Object} mapping - Field → column index
+ * @returns {Object[]} Rows ({ rowNumber, cells, formData, errors })
+ */
+const buildImportRows = (dataRows, mapping) => {
+  return dataRows
+    .map((cells, index) => ({ cells, rowNumber: index + 2 }))
+    .filter(({ cells }) => cells.some(cell => String(cell).trim() !== ''))
+    .map(({ cells, rowNumber }) => {
+      const formData = readImportRow(cells, mapping);
+      return { rowNumber, cells, formData, errors: validateForm(formData, VEHICLE_VALIDATION_RULES).errors };
+    });
+};
+
+const VehicleBulkImport = () => {
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [dataRows, setDataRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [isReading, setIsReading] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  // Row number → { status: 'imported' | 'failed', message }
+  const [results, setResults] = useState(null);
+  const fileInputRef = useRef(null);
+  const unmountedRef = useRef(false);
+
+  // Stop submitting rows if the user leaves the page mid-import
+  useEffect(() => {
+    unmountedRef.current = false;
+    return () => {
+      unmountedRef.current = true;
+    };
+  }, []);
+
+  const rows = buildImportRows(dataRows, mapping);
+  const validRows = rows.filter(row => Object.keys(row.errors).length === 0);
+  const invalidCount = rows.length - validRows.length;
+  const unmappedFields = VEHICLE_IMPORT_FIELDS.filter(({ field, required }) => required && mapping[field] === '');
+
+  /**
+   * Read the selected file and guess the column mapping from its header row
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsReading(true);
+    setResults(null);
+
+    try {
+      const [headerRow = [], ...body] = await readSpreadsheetFile(file);
+
+      if (body.length === 0) {
+        toast.error('The file has no rows below the header');
+        return;
+      }
+      if (body.length > MAX_IMPORT_ROWS) {
+        toast.error(`Import at most ${MAX_IMPORT_ROWS} vehicles at a time`);
+        return;
+      }
+
+      setFileName(file.name);
+      setHeaders(headerRow.map(header => String(header).trim()));
+      setDataRows(body);
+      setMapping(guessImportMapping(headerRow));
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      toast.error(error.message || 'Could not read the file');
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const handleMappingChange = (field, value) => {
+    setMapping(prev => ({ ...prev, [field]: value === '' ? '' : Number(value) }));
+    setResults(null);
+  };
+
+  /**
+   * Add the valid rows one at a time, recording each outcome
+   */
+  const handleImport = async () => {
+    setIsImporting(true);
+    setProgress({ done: 0, total: validRows.length });
+    const outcomes = {};
+
+    for (const row of validRows) {
+      if (unmountedRef.current) return;
+
+      try {
+        await vehicleAPI.addVehicle(toVehiclePayload(row.formData));
+        outcomes[row.rowNumber] = { status: 'imported' };
+      } catch (error) {
+        const serverErrors = getServerFieldErrors(error);
+        outcomes[row.rowNumber] = {
+          status: 'failed',
+          message: serverErrors ? Object.values(serverErrors).join('; ') : getErrorMessage(error),
+        };
+      }
+      setProgress(prev => ({ ...prev, done: prev.done + 1 }));
+    }
+
+    setResults(outcomes);
+    setIsImporting(false);
+
+    const importedCount = Object.values(outcomes).filter(outcome => outcome.status === 'imported').length;
+    if (importedCount > 0) {
+      toast.success(`Imported ${importedCount} vehicle${importedCount === 1 ? '' : 's'}`);
+    }
+    if (importedCount < validRows.length) {
+      toast.error(`${validRows.length - importedCount} row${validRows.length - importedCount === 1 ? '' : 's'} failed to import`);
+    }
+  };
+
+  /**
+   * Download the rows that weren't imported, as uploaded plus an Error column
+   */
+  const handleDownloadReport = () => {
+    const failedRows = rows
+      .map(row => {
+        const errors = Object.values(row.errors).filter(Boolean);
+        const message = errors.length > 0 ? errors.join('; ') : results?.[row.rowNumber]?.message;
+        return message && [row.rowNumber, ...headers.map((_, index) => row.cells[index] ?? ''), message];
+      })
+      .filter(Boolean);
+
+    downloadCsv(`${fileName.replace(/\.[^.]+$/, '')}-failures.csv`, [['Row', ...headers, 'Error'], ...failedRows]);
+  };
+
+  const handleClear = () => {
+    setFileName('');
+    setHeaders([]);
+    setDataRows([]);
+    setMapping({});
+    setResults(null);
+  };
+
+  const failureCount = invalidCount +
+    Object.values(results || {}).filter(outcome => outcome.status === 'failed').length;
+
+  return (
+    <div className="space-y-6">
+      {/* File Picker */}
+      <div className="card">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <FileSpreadsheet className="h-8 w-8 text-primary-600" />
+            <div>
+              <div className="font-medium text-secondary-900">{fileName || 'Choose a CSV or XLSX file'}</div>
+              <div className="text-sm text-secondary-500">
+                {fileName
+                  ? `${rows.length} row${rows.length === 1 ? '' : 's'} found`
+                  : `One vehicle per row with a header row, up to ${MAX_IMPORT_ROWS} rows`}
+              </div>
+            </div>
+          </div>
+
+          <div className="flex space-x-2">
+            <button
+              type="button"
+              onClick={() => downloadCsv('vehicle-import-template.csv', TEMPLATE_ROWS)}
+              className="btn-secondary flex items-center space-x-2"
+            >
+              <Download className="h-4 w-4" />
+              <span>Template</span>
+            </button>
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isReading || isImporting}
+              className="btn-primary flex items-center space-x-2"
+            >
+              {isReading ? <Loader2 className="h-4 w-4 animate-spin" /> : <Upload className="h-4 w-4" />}
+              <span>{fileName ? 'Choose Another File' : 'Choose File'}</span>
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+              onChange={handleFileChange}
+              className="hidden"
+            />
+          </div>
+        </div>
+      </div>
+
+      {fileName && (
+        <>
+          {/* Column Mapping */}
+          <div className="card">
+            <h2 className="text-lg font-medium text-secondary-900 mb-4">Map Columns</h2>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {VEHICLE_IMPORT_FIELDS.map(({ field, label, required }) => (
+                <div key={field}>
+                  <label htmlFor={`map-${field}`} className="form-label">{label}{required && ' *'}</label>
+                  <select
+                    id={`map-${field}`}
+                    value={mapping[field]}
+                    onChange={(e) => handleMappingChange(field, e.target.value)}
+                    disabled={isImporting || Boolean(results)}
+                    className={`form-input ${required && mapping[field] === '' ? 'border-danger-500' : ''}`}
+                  >
+                    <option value="">Not mapped</option>
+                    {headers.map((header, index) => (
+                      <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            {unmappedFields.length > 0 && (
+              <div className="flex items-center space-x-1 form-error mt-3">
+                <AlertCircle className="h-4 w-4" />
+                <span>Choose a column for {unmappedFields.map(({ label }) => label).join(', ')}</span>
+              </div>
+            )}
+          </div>
+
+          {/* Preview */}
+          <div className="card">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-4">
+              <h2 className="text-lg font-medium text-secondary-900">Preview</h2>
+              <div className="flex items-center space-x-2 text-sm">
+                <span className="badge badge-success">{validRows.length} valid</span>
+                {invalidCount > 0 && <span className="badge badge-danger">{invalidCount} with errors</span>}
+              </div>
+            </div>
+
+            <div className="max-h-96 overflow-auto border border-secondary-200 rounded-lg">
+              <table className="min-w-full text-sm">
+                <thead className="bg-secondary-50 sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-secondary-600">Row</th>
+                    {VEHICLE_IMPORT_FIELDS.map(({ field, label }) => (
+                      <th key={field} className="px-3 py-2 text-left font-medium text-secondary-600">{label}</th>
+                    ))}
+                    <th className="px-3 py-2 text-left font-medium text-secondary-600">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-secondary-100">
+                  {rows.map(row => {
+                    const rowErrors = Object.values(row.errors).filter(Boolean);
+                    const outcome = results?.[row.rowNumber];
+                    const isFailed = rowErrors.length > 0 || outcome?.status === 'failed';
+
+                    return (
+                      <tr key={row.rowNumber} className={isFailed ? 'bg-danger-50' : ''}>
+                        <td className="px-3 py-2 text-secondary-500">{row.rowNumber}</td>
+                        {VEHICLE_IMPORT_FIELDS.map(({ field }) => (
+                          <td
+                            key={field}
+                            className={`px-3 py-2 ${row.errors[field] ? 'text-danger-700 font-medium' : 'text-secondary-900'}`}
+                          >
+                            {row.formData[field] || <span className="text-secondary-400">—</span>}
+                          </td>
+                        ))}
+                        <td className="px-3 py-2">
+                          {rowErrors.length > 0 ? (
+                            <span className="text-danger-700">{rowErrors.join('; ')}</span>
+                          ) : outcome?.status === 'imported' ? (
+                            <span className="flex items-center space-x-1 text-success-700">
+                              <CheckCircle2 className="h-4 w-4" />
+                              <span>Imported</span>
+                            </span>
+                          ) : outcome?.status === 'failed' ? (
+                            <span className="flex items-center space-x-1 text-danger-700">
+                              <XCircle className="h-4 w-4" />
+                              <span>{outcome.message}</span>
+                            </span>
+                          ) : (
+                            <span className="text-secondary-500">Ready</span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Progress */}
+            {isImporting && (
+              <div className="mt-4">
+                <div className="flex justify-between text-sm text-secondary-600 mb-1">
+                  <span>Importing vehicles...</span>
+                  <span>{progress.done} / {progress.total}</span>
+                </div>
+                <div className="h-2 bg-secondary-200 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-primary-600 transition-all duration-200"
+                    style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                  />
+                </div>
+              </div>
+            )}
+
+            {/* Actions */}
+            <div className="flex flex-col sm:flex-row space-y-3 sm:space-y-0 sm:space-x-4 pt-4">
+              {!results && (
+                <button
+                  type="button"
+                  onClick={handleImport}
+                  disabled={isImporting || validRows.length === 0 || unmappedFields.length > 0}
+                  className="btn-primary flex items-center justify-center space-x-2 flex-1"
+                >
+                  {isImporting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Upload className="h-4 w-4" />}
+                  <span>
+                    {isImporting
+                      ? 'Importing...'
+                      : `Import ${validRows.length} Valid Vehicle${validRows.length === 1 ? '' : 's'}`}
+                  </span>
+                </button>
+              )}
+              {failureCount > 0 && !isImporting && (
+                <button
+                  type="button"
+                  onClick={handleDownloadReport}
+                  className="btn-secondary flex items-center justify-center space-x-2 flex-1"
+                >
+                  <Download className="h-4 w-4" />
+                  <span>Download Failure Report ({failureCount})</span>
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={handleClear}
+                disabled={isImporting}
+                className="btn-secondary flex-1"
+              >
+                {results ? 'Import Another File' : 'Clear'}
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VehicleBulkImport;
@@ -0,0 +1,204 @@
+/**
+ * VehicleFormFields Component
+ * Vehicle inputs shared by the add and edit vehicle forms
+ */
+
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+import { BODY_TYPES, FUEL_TYPES, calculateCargoVolume, formatVolume } from '../utils/vehicles';
+
+/**
+ * @param {Object} formData - Form values (see EMPTY_VEHICLE_FORM)
+ * @param {Object} errors - Field errors
+ * @param {Function} onChange - Input change handler
+ * @param {boolean} disabled - Whether the inputs are disabled
+ */
+const VehicleFormFields = ({ formData, errors, onChange, disabled = false }) => {
+  const inputClass = (field) =>
+    `form-input ${errors[field] ? 'border-danger-500 focus:border-danger-500 focus:ring-danger-500' : ''}`;
+
+  const dimensions = {
+    lengthM: Number(formData.lengthM),
+    widthM: Number(formData.widthM),
+    heightM: Number(formData.heightM)
+  };
+  const volume = Object.values(dimensions).every(value => value > 0) ? calculateCargoVolume(dimensions) : null;
+
+  return (
+    <>
+      {/* Vehicle Name */}
+      <div>
+        <label htmlFor="name" className="form-label">
+          Vehicle Name *
+        </label>
+        <input
+          type="text"
+          id="name"
+          name="name"
+          value={formData.name}
+          onChange={onChange}
+          className={inputClass('name')}
+          placeholder="Enter vehicle name (e.g., Truck-001, Van-A1)"
+          disabled={disabled}
+        />
+        <FieldError message={errors.name} />
+      </div>
+
+      {/* Registration Number */}
+      <div>
+        <label htmlFor="registrationNumber" className="form-label">
+          Registration Number *
+        </label>
+        <input
+          type="text"
+          id="registrationNumber"
+          name="registrationNumber"
+          value={formData.registrationNumber}
+          onChange={onChange}
+          className={`${inputClass('registrationNumber')} uppercase`}
+          placeholder="e.g., MH 12 AB 1234 or 22 BH 1234 AA"
+          autoComplete="off"
+          disabled={disabled}
+        />
+        <FieldError message={errors.registrationNumber} />
+      </div>
+
+      {/* Body & Fuel Type */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="bodyType" className="form-label">
+            Body Type *
+          </label>
+          <select
+            id="bodyType"
+            name="bodyType"
+            value={formData.bodyType}
+            onChange={onChange}
+            className={inputClass('bodyType')}
+            disabled={disabled}
+          >
+            <option value="">Select body type</option>
+            {BODY_TYPES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <FieldError message={errors.bodyType} />
+        </div>
+
+        <div>
+          <label htmlFor="fuelType" className="form-label">
+            Fuel Type *
+          </label>
+          <select
+            id="fuelType"
+            name="fuelType"
+            value={formData.fuelType}
+            onChange={onChange}
+            className={inputClass('fuelType')}
+            disabled={disabled}
+          >
+            <option value="">Select fuel type</option>
+            {FUEL_TYPES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <FieldError message={errors.fuelType} />
+        </div>
+      </div>
+
+      {/* Capacity */}
+      <div>
+        <label htmlFor="capacityKg" className="form-label">
+          Capacity (kg) *
+        </label>
+        <input
+          type="number"
+          id="capacityKg"
+          name="capacityKg"
+          value={formData.capacityKg}
+          onChange={onChange}
+          className={inputClass('capacityKg')}
+          placeholder="Enter capacity in kilograms"
+          min="1"
+          max="50000"
+          disabled={disabled}
+        />
+        <FieldError message={errors.capacityKg} />
+        <p className="text-sm text-secondary-500 mt-1">
+          Enter the maximum weight capacity of the vehicle
+        </p>
+      </div>
+
+      {/* Number of Tyres */}
+      <div>
+        <label htmlFor="tyres" className="form-label">
+          Number of Tyres *
+        </label>
+        <input
+          type="number"
+          id="tyres"
+          name="tyres"
+          value={formData.tyres}
+          onChange={onChange}
+          className={inputClass('tyres')}
+          placeholder="Enter number of tyres"
+          min="2"
+          max="18"
+          disabled={disabled}
+        />
+        <FieldError message={errors.tyres} />
+        <p className="text-sm text-secondary-500 mt-1">
+          Typical values: 2-4 (small vehicles), 6 (trucks), 10+ (heavy vehicles)
+        </p>
+      </div>
+
+      {/* Cargo Box */}
+      <div>
+        <span className="form-label">Cargo Box Dimensions (m)</span>
+        <div className="grid grid-cols-3 gap-4">
+          {[
+            { field: 'lengthM', label: 'Length', max: 20 },
+            { field: 'widthM', label: 'Width', max: 3 },
+            { field: 'heightM', label: 'Height', max: 4.5 },
+          ].map(({ field, label, max }) => (
+            <div key={field}>
+              <input
+                type="number"
+                id={field}
+                name={field}
+                value={formData[field]}
+                onChange={onChange}
+                className={inputClass(field)}
+                placeholder={label}
+                aria-label={`${label} (m)`}
+                min="0"
+                max={max}
+                step="0.01"
+                disabled={disabled}
+              />
+              <FieldError message={errors[field]} />
+            </div>
+          ))}
+        </div>
+        <p className="text-sm text-secondary-500 mt-1">
+          {volume
+            ? `Cargo volume: ${formatVolume(volume)}`
+            : 'Optional - inside length, width and height of the cargo box'}
+        </p>
+      </div>
+    </>
+  );
+};
+
+const FieldError = ({ message }) => {
+  if (!message) return null;
+
+  return (
+    <div className="flex items-center space-x-1 form-error">
+      <AlertCircle className="h-4 w-4" />
+      <span>{message}</span>
+    </div>
+  );
+};
+
+export default VehicleFormFields;
@@ -0,0 +1,37 @@
+/**
+ * VehicleLink Component
+ * Vehicle name linking to its detail page, for users who can open it
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import useAuth from '../hooks/useAuth';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
+
+/**
+ * @param {Object} vehicle - Vehicle ({ id, name }), or null if it no longer exists
+ * @param {string} fallback - Text shown when there is no vehicle
+ */
+const VehicleLink = ({ vehicle, fallback = 'Vehicle not found', className = '' }) => {
+  const { user } = useAuth();
+
+  if (!vehicle?.id) {
+    return <span className={className}>{fallback}</span>;
+  }
+
+  if (!hasPermission(user, PERMISSIONS.VEHICLE_VIEW)) {
+    return <span className={className}>{vehicle.name}</span>;
+  }
+
+  return (
+    <Link
+      to={`/vehicles/${vehicle.id}`}
+      onClick={(e) => e.stopPropagation()}
+      className={`text-primary-600 hover:text-primary-700 hover:underline ${className}`}
+    >
+      {vehicle.name}
+    </Link>
+  );
+};
+
+export default VehicleLink;
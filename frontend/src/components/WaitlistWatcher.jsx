@@ -0,0 +1,132 @@
+/**
+ * WaitlistWatcher Component
+ * Watches the user's waitlist from any page and tells them, in the app and with a
+ * browser notification, when a vehicle has been held for one of their searches.
+ * Checks again on live booking and vehicle changes, and periodically while waiting.
+ */
+
+import { useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { waitlistAPI, isRequestCancelled } from '../services/api';
+import { subscribeToQueries } from '../services/queryCache';
+import { REALTIME_EVENTS } from '../services/realtime';
+import { showBrowserNotification } from '../services/browserNotifications';
+import useRealtimeEvents from '../hooks/useRealtimeEvents';
+import useAuth from '../hooks/useAuth';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
+import { ACTIVE_WAITLIST_STATUSES } from '../utils/waitlist';
+import { formatDate, storage } from '../utils/helpers';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+// Offers already announced, so a reload or another tab doesn't announce them again
+const NOTIFIED_STORAGE_KEY = 'fleetlink_waitlist_notified';
+const MAX_REMEMBERED_OFFERS = 20;
+
+const WaitlistWatcher = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const enabled = hasPermission(user, PERMISSIONS.BOOKING_CREATE);
+  const isWaitingRef = useRef(false);
+  const abortControllerRef = useRef(null);
+
+  /**
+   * Tell the user about a vehicle held for them, once per offer
+   * @param {Object} entry - Waitlist entry with an offer
+   */
+  const announceOffer = (entry) => {
+    const notified = storage.get(NOTIFIED_STORAGE_KEY, []);
+    if (notified.includes(entry.offer.holdId)) return;
+    storage.set(NOTIFIED_STORAGE_KEY, [entry.offer.holdId, ...notified].slice(0, MAX_REMEMBERED_OFFERS));
+
+    const vehicleName = entry.offer.vehicle?.name || 'A vehicle';
+    const message = `${vehicleName} is free for ${entry.fromPincode} → ${entry.toPincode} on ${formatDate(entry.offer.startTime, 'EEE, d MMM · p')}. It's held for you until ${formatDate(entry.offer.expiresAt, 'p')}.`;
+    const openWaitlist = () => navigate('/waitlist');
+
+    toast.success(
+      (t) => (
+        <span>
+          {message}{' '}
+          <button
+            type="button"
+            className="font-medium text-primary-600 underline"
+            onClick={() => {
+              toast.dismiss(t.id);
+              openWaitlist();
+            }}
+          >
+            Book it now
+          </button>
+        </span>
+      ),
+      { id: entry.offer.holdId, duration: 15000 }
+    );
+    showBrowserNotification('A vehicle on your waitlist is free', {
+      body: message,
+      tag: entry.offer.holdId,
+      onClick: openWaitlist,
+    });
+  };
+
+  /**
+   * Fetch the waitlist and announce any new offers
+   */
+  const checkWaitlist = async () => {
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    try {
+      const response = await waitlistAPI.getWaitlist({ signal: controller.signal, forceRefresh: true });
+
+      if (response.data.success) {
+        const entries = response.data.data;
+        isWaitingRef.current = entries.some(entry => entry.status === 'waiting');
+        entries
+          .filter(entry => entry.status === 'offered')
+          .forEach(announceOffer);
+      }
+    } catch (error) {
+      if (isRequestCancelled(error)) return;
+      console.error('Error checking waitlist:', error);
+    }
+  };
+
+  // Keep the latest check for timers and subscriptions without restarting them on every render
+  const checkRef = useRef(null);
+  checkRef.current = checkWaitlist;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    checkRef.current();
+    // Time passing alone can free a slot (holds lapse), so poll while anything is waiting
+    const timer = setInterval(() => {
+      if (isWaitingRef.current) checkRef.current();
+    }, POLL_INTERVAL_MS);
+    const unsubscribe = subscribeToQueries('/waitlist', () => checkRef.current());
+
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+      abortControllerRef.current?.abort();
+    };
+  }, [enabled, user?.id]);
+
+  useRealtimeEvents((event) => {
+    if (!enabled) return;
+
+    if (event.type === REALTIME_EVENTS.WAITLIST_OFFERED) {
+      if (event.data?.userId === user.id && ACTIVE_WAITLIST_STATUSES.includes(event.data.status)) {
+        announceOffer(event.data);
+      }
+    } else if (isWaitingRef.current && (event.type === REALTIME_EVENTS.BOOKING_CANCELLED || event.type === REALTIME_EVENTS.BOOKING_MODIFIED || event.type.startsWith('vehicle.'))) {
+      // A freed vehicle is offered when the server next processes the waitlist
+      checkWaitlist();
+    }
+  });
+
+  return null;
+};
+
+export default WaitlistWatcher;
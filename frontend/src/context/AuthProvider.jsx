@@ -0,0 +1,46 @@
+/**
+ * Auth Provider Component
+ * Keeps the logged-in user in React state, in sync with the stored session
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { AuthContext } from './authContext';
+import { authAPI } from '../services/api';
+import { getCurrentUser, subscribeToSession } from '../services/auth';
+
+const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(() => getCurrentUser());
+
+  // Follow logins, logouts and expired sessions (including from other tabs)
+  useEffect(() => {
+    return subscribeToSession((session) => {
+      setUser(session?.user || null);
+    });
+  }, []);
+
+  /**
+   * Log in with email and password
+   * @returns {Promise<Object>} Logged-in user
+   */
+  const login = useCallback(async (email, password) => {
+    const response = await authAPI.login({ email, password });
+    return response.data.data.user;
+  }, []);
+
+  const logout = useCallback(() => authAPI.logout(), []);
+
+  const value = useMemo(() => ({
+    user,
+    isAuthenticated: Boolean(user),
+    login,
+    logout,
+  }), [user, login, logout]);
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export default AuthProvider;
@@ -0,0 +1,8 @@
+/**
+ * Auth Context
+ * Shares the logged-in user and auth actions with the component tree
+ */
+
+import { createContext } from 'react';
+
+export const AuthContext = createContext(null);
@@ -0,0 +1,160 @@
+/**
+ * Pincode Directory
+ * Offline directory of Indian pincodes with locality, district, state and coordinates.
+ * Covers head post offices of major cities and common logistics hubs; unknown
+ * pincodes are located approximately from their prefix (see utils/geo.js).
+ *
+ * Row format: [pincode, locality, district, state, latitude, longitude]
+ */
+
+const PINCODE_ROWS = [
+  // Delhi NCR
+  ['110001', 'Connaught Place', 'New Delhi', 'Delhi', 28.6315, 77.2167],
+  ['110002', 'Darya Ganj', 'Central Delhi', 'Delhi', 28.6448, 77.2427],
+  ['110003', 'Lodhi Road', 'New Delhi', 'Delhi', 28.5918, 77.2273],
+  ['110005', 'Karol Bagh', 'Central Delhi', 'Delhi', 28.6519, 77.1909],
+  ['110006', 'Chandni Chowk', 'Central Delhi', 'Delhi', 28.6562, 77.2300],
+  ['110016', 'Hauz Khas', 'South Delhi', 'Delhi', 28.5494, 77.2001],
+  ['110017', 'Malviya Nagar', 'South Delhi', 'Delhi', 28.5355, 77.2100],
+  ['110019', 'Kalkaji', 'South Delhi', 'Delhi', 28.5494, 77.2588],
+  ['110020', 'Okhla Industrial Area', 'South Delhi', 'Delhi', 28.5355, 77.2731],
+  ['110024', 'Lajpat Nagar', 'South Delhi', 'Delhi', 28.5677, 77.2433],
+  ['110037', 'Mahipalpur', 'South West Delhi', 'Delhi', 28.5562, 77.1000],
+  ['110048', 'Greater Kailash', 'South Delhi', 'Delhi', 28.5482, 77.2385],
+  ['110075', 'Dwarka', 'South West Delhi', 'Delhi', 28.5921, 77.0460],
+  ['110085', 'Rohini', 'North West Delhi', 'Delhi', 28.7041, 77.1025],
+  ['110092', 'Preet Vihar', 'East Delhi', 'Delhi', 28.6366, 77.2946],
+  ['121001', 'Faridabad', 'Faridabad', 'Haryana', 28.4089, 77.3178],
+  ['122001', 'Gurgaon', 'Gurugram', 'Haryana', 28.4595, 77.0266],
+  ['201001', 'Ghaziabad', 'Ghaziabad', 'Uttar Pradesh', 28.6692, 77.4538],
+  ['201301', 'Noida', 'Gautam Buddha Nagar', 'Uttar Pradesh', 28.5708, 77.3261],
+
+  // North
+  ['141001', 'Ludhiana', 'Ludhiana', 'Punjab', 30.9010, 75.8573],
+  ['143001', 'Amritsar', 'Amritsar', 'Punjab', 31.6340, 74.8723],
+  ['144001', 'Jalandhar', 'Jalandhar', 'Punjab', 31.3260, 75.5762],
+  ['160017', 'Sector 17', 'Chandigarh', 'Chandigarh', 30.7398, 76.7827],
+  ['171001', 'Shimla', 'Shimla', 'Himachal Pradesh', 31.1048, 77.1734],
+  ['180001', 'Jammu', 'Jammu', 'Jammu and Kashmir', 32.7266, 74.8570],
+  ['190001', 'Srinagar', 'Srinagar', 'Jammu and Kashmir', 34.0837, 74.7973],
+  ['208001', 'Kanpur', 'Kanpur Nagar', 'Uttar Pradesh', 26.4499, 80.3319],
+  ['211001', 'Prayagraj', 'Prayagraj', 'Uttar Pradesh', 25.4358, 81.8463],
+  ['221001', 'Varanasi', 'Varanasi', 'Uttar Pradesh', 25.3176, 82.9739],
+  ['226001', 'Hazratganj', 'Lucknow', 'Uttar Pradesh', 26.8467, 80.9462],
+  ['248001', 'Dehradun', 'Dehradun', 'Uttarakhand', 30.3165, 78.0322],
+  ['250001', 'Meerut', 'Meerut', 'Uttar Pradesh', 28.9845, 77.7064],
+  ['282001', 'Agra', 'Agra', 'Uttar Pradesh', 27.1767, 78.0081],
+
+  // Rajasthan & Gujarat
+  ['302001', 'Jaipur', 'Jaipur', 'Rajasthan', 26.9124, 75.7873],
+  ['313001', 'Udaipur', 'Udaipur', 'Rajasthan', 24.5854, 73.7125],
+  ['324001', 'Kota', 'Kota', 'Rajasthan', 25.2138, 75.8648],
+  ['342001', 'Jodhpur', 'Jodhpur', 'Rajasthan', 26.2389, 73.0243],
+  ['360001', 'Rajkot', 'Rajkot', 'Gujarat', 22.3039, 70.8022],
+  ['380001', 'Bhadra', 'Ahmedabad', 'Gujarat', 23.0225, 72.5714],
+  ['380009', 'Navrangpura', 'Ahmedabad', 'Gujarat', 23.0365, 72.5611],
+  ['380015', 'Satellite', 'Ahmedabad', 'Gujarat', 23.0300, 72.5176],
+  ['382010', 'Gandhinagar', 'Gandhinagar', 'Gujarat', 23.2156, 72.6369],
+  ['390001', 'Vadodara', 'Vadodara', 'Gujarat', 22.3072, 73.1812],
+  ['395001', 'Surat', 'Surat', 'Gujarat', 21.1702, 72.8311],
+
+  // Maharashtra & Goa
+  ['400001', 'Fort', 'Mumbai', 'Maharashtra', 18.9388, 72.8354],
+  ['400005', 'Colaba', 'Mumbai', 'Maharashtra', 18.9067, 72.8147],
+  ['400013', 'Lower Parel', 'Mumbai', 'Maharashtra', 18.9982, 72.8258],
+  ['400020', 'Churchgate', 'Mumbai', 'Maharashtra', 18.9322, 72.8264],
+  ['400050', 'Bandra West', 'Mumbai Suburban', 'Maharashtra', 19.0596, 72.8295],
+  ['400051', 'Bandra East', 'Mumbai Suburban', 'Maharashtra', 19.0607, 72.8479],
+  ['400053', 'Andheri West', 'Mumbai Suburban', 'Maharashtra', 19.1364, 72.8296],
+  ['400069', 'Andheri East', 'Mumbai Suburban', 'Maharashtra', 19.1197, 72.8468],
+  ['400070', 'Kurla', 'Mumbai Suburban', 'Maharashtra', 19.0726, 72.8845],
+  ['400076', 'Powai', 'Mumbai Suburban', 'Maharashtra', 19.1176, 72.9060],
+  ['400080', 'Mulund West', 'Mumbai Suburban', 'Maharashtra', 19.1726, 72.9425],
+  ['400099', 'Sahar', 'Mumbai Suburban', 'Maharashtra', 19.0990, 72.8740],
+  ['400601', 'Thane West', 'Thane', 'Maharashtra', 19.2183, 72.9781],
+  ['400703', 'Vashi', 'Thane', 'Maharashtra', 19.0771, 72.9986],
+  ['403001', 'Panaji', 'North Goa', 'Goa', 15.4909, 73.8278],
+  ['403802', 'Vasco da Gama', 'South Goa', 'Goa', 15.3860, 73.8440],
+  ['410206', 'Panvel', 'Raigad', 'Maharashtra', 18.9894, 73.1175],
+  ['411001', 'Pune City', 'Pune', 'Maharashtra', 18.5204, 73.8567],
+  ['411014', 'Viman Nagar', 'Pune', 'Maharashtra', 18.5679, 73.9143],
+  ['411057', 'Hinjewadi', 'Pune', 'Maharashtra', 18.5913, 73.7389],
+  ['422001', 'Nashik', 'Nashik', 'Maharashtra', 19.9975, 73.7898],
+  ['431001', 'Aurangabad', 'Chhatrapati Sambhajinagar', 'Maharashtra', 19.8762, 75.3433],
+  ['440001', 'Nagpur', 'Nagpur', 'Maharashtra', 21.1458, 79.0882],
+
+  // Central
+  ['452001', 'Indore', 'Indore', 'Madhya Pradesh', 22.7196, 75.8577],
+  ['462001', 'Bhopal', 'Bhopal', 'Madhya Pradesh', 23.2599, 77.4126],
+  ['474001', 'Gwalior', 'Gwalior', 'Madhya Pradesh', 26.2183, 78.1828],
+  ['482001', 'Jabalpur', 'Jabalpur', 'Madhya Pradesh', 23.1815, 79.9864],
+  ['492001', 'Raipur', 'Raipur', 'Chhattisgarh', 21.2514, 81.6296],
+
+  // Telangana & Andhra Pradesh
+  ['500001', 'Abids', 'Hyderabad', 'Telangana', 17.3850, 78.4867],
+  ['500003', 'Secunderabad', 'Hyderabad', 'Telangana', 17.4399, 78.4983],
+  ['500032', 'Gachibowli', 'Rangareddy', 'Telangana', 17.4401, 78.3489],
+  ['500081', 'Madhapur', 'Rangareddy', 'Telangana', 17.4483, 78.3915],
+  ['501218', 'Shamshabad', 'Rangareddy', 'Telangana', 17.2403, 78.4294],
+  ['520001', 'Vijayawada', 'NTR', 'Andhra Pradesh', 16.5062, 80.6480],
+  ['530001', 'Visakhapatnam', 'Visakhapatnam', 'Andhra Pradesh', 17.6868, 83.2185],
+
+  // Karnataka
+  ['560001', 'MG Road', 'Bengaluru Urban', 'Karnataka', 12.9716, 77.5946],
+  ['560008', 'Indiranagar', 'Bengaluru Urban', 'Karnataka', 12.9784, 77.6408],
+  ['560034', 'Koramangala', 'Bengaluru Urban', 'Karnataka', 12.9352, 77.6245],
+  ['560037', 'Marathahalli', 'Bengaluru Urban', 'Karnataka', 12.9569, 77.7011],
+  ['560066', 'Whitefield', 'Bengaluru Urban', 'Karnataka', 12.9698, 77.7500],
+  ['560100', 'Electronic City', 'Bengaluru Urban', 'Karnataka', 12.8452, 77.6602],
+  ['560103', 'Bellandur', 'Bengaluru Urban', 'Karnataka', 12.9304, 77.6784],
+  ['560300', 'Kempegowda Airport', 'Bengaluru Rural', 'Karnataka', 13.1986, 77.7066],
+  ['570001', 'Mysuru', 'Mysuru', 'Karnataka', 12.2958, 76.6394],
+  ['575001', 'Mangaluru', 'Dakshina Kannada', 'Karnataka', 12.9141, 74.8560],
+  ['580020', 'Hubballi', 'Dharwad', 'Karnataka', 15.3647, 75.1240],
+
+  // Tamil Nadu
+  ['600001', 'Parrys', 'Chennai', 'Tamil Nadu', 13.0878, 80.2785],
+  ['600017', 'T Nagar', 'Chennai', 'Tamil Nadu', 13.0418, 80.2341],
+  ['600020', 'Adyar', 'Chennai', 'Tamil Nadu', 13.0012, 80.2565],
+  ['600032', 'Guindy Industrial Estate', 'Chennai', 'Tamil Nadu', 13.0067, 80.2206],
+  ['600040', 'Anna Nagar', 'Chennai', 'Tamil Nadu', 13.0850, 80.2101],
+  ['600042', 'Velachery', 'Chennai', 'Tamil Nadu', 12.9815, 80.2180],
+  ['600096', 'Perungudi', 'Chennai', 'Tamil Nadu', 12.9654, 80.2461],
+  ['602105', 'Sriperumbudur', 'Kancheepuram', 'Tamil Nadu', 12.9675, 79.9419],
+  ['620001', 'Tiruchirappalli', 'Tiruchirappalli', 'Tamil Nadu', 10.7905, 78.7047],
+  ['625001', 'Madurai', 'Madurai', 'Tamil Nadu', 9.9252, 78.1198],
+  ['641001', 'Coimbatore', 'Coimbatore', 'Tamil Nadu', 11.0168, 76.9558],
+
+  // Kerala
+  ['673001', 'Kozhikode', 'Kozhikode', 'Kerala', 11.2588, 75.7804],
+  ['682011', 'Ernakulam', 'Ernakulam', 'Kerala', 9.9816, 76.2999],
+  ['695001', 'Thiruvananthapuram', 'Thiruvananthapuram', 'Kerala', 8.5241, 76.9366],
+
+  // East & North East
+  ['700001', 'BBD Bagh', 'Kolkata', 'West Bengal', 22.5726, 88.3639],
+  ['700016', 'Park Street', 'Kolkata', 'West Bengal', 22.5535, 88.3520],
+  ['700019', 'Ballygunge', 'Kolkata', 'West Bengal', 22.5280, 88.3657],
+  ['700064', 'Salt Lake', 'North 24 Parganas', 'West Bengal', 22.5867, 88.4171],
+  ['700091', 'Salt Lake Sector V', 'North 24 Parganas', 'West Bengal', 22.5760, 88.4337],
+  ['700156', 'New Town', 'North 24 Parganas', 'West Bengal', 22.5958, 88.4795],
+  ['711101', 'Howrah', 'Howrah', 'West Bengal', 22.5958, 88.2636],
+  ['713201', 'Durgapur', 'Paschim Bardhaman', 'West Bengal', 23.5204, 87.3119],
+  ['734001', 'Siliguri', 'Darjeeling', 'West Bengal', 26.7271, 88.3953],
+  ['751001', 'Bhubaneswar', 'Khordha', 'Odisha', 20.2961, 85.8245],
+  ['753001', 'Cuttack', 'Cuttack', 'Odisha', 20.4625, 85.8830],
+  ['781001', 'Guwahati', 'Kamrup Metropolitan', 'Assam', 26.1445, 91.7362],
+  ['800001', 'Patna', 'Patna', 'Bihar', 25.5941, 85.1376],
+  ['831001', 'Jamshedpur', 'East Singhbhum', 'Jharkhand', 22.8046, 86.2029],
+  ['834001', 'Ranchi', 'Ranchi', 'Jharkhand', 23.3441, 85.3096],
+];
+
+export const PINCODE_DIRECTORY = PINCODE_ROWS.map(
+  ([pincode, locality, district, state, latitude, longitude]) => ({
+    pincode,
+    locality,
+    district,
+    state,
+    latitude,
+    longitude,
+  })
+);
@@ -0,0 +1,20 @@
+/**
+ * useAuth Hook
+ * Access the logged-in user and login/logout actions
+ */
+
+import { useContext } from 'react';
+import { AuthContext } from '../context/authContext';
+
+/**
+ * @returns {Object} { user, isAuthenticated, login, logout }
+ */
+const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+export default useAuth;
@@ -0,0 +1,43 @@
+/**
+ * useCountdown Hook
+ * Time left until a deadline, updated every second
+ */
+
+import { useEffect, useState } from 'react';
+
+/**
+ * Format a duration as minutes and seconds (e.g. "9:05")
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+/**
+ * @param {string|Date|null} deadline - When the countdown ends
+ * @returns {Object} { msLeft, isExpired, label }
+ */
+const useCountdown = (deadline) => {
+  const [now, setNow] = useState(() => Date.now());
+  const deadlineMs = deadline ? new Date(deadline).getTime() : null;
+
+  useEffect(() => {
+    if (deadlineMs === null) return;
+
+    setNow(Date.now());
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= deadlineMs) clearInterval(timer);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [deadlineMs]);
+
+  const msLeft = deadlineMs === null ? 0 : Math.max(0, deadlineMs - now);
+  return { msLeft, isExpired: deadlineMs !== null && msLeft === 0, label: formatCountdown(msLeft) };
+};
+
+export default useCountdown;
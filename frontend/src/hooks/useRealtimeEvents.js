@@ -0,0 +1,25 @@
+/**
+ * useRealtimeEvents Hook
+ * Subscribes a component to live vehicle and booking events for its lifetime
+ */
+
+import { useEffect, useRef } from 'react';
+import { subscribeToRealtime } from '../services/realtime';
+
+/**
+ * @param {Function} handler - Called with each { type, data } event
+ */
+const useRealtimeEvents = (handler) => {
+  const handlerRef = useRef(handler);
+
+  // Always call the latest handler without resubscribing
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    return subscribeToRealtime((event) => handlerRef.current(event));
+  }, []);
+};
+
+export default useRealtimeEvents;
@@ -0,0 +1,231 @@
+/**
+ * Booking Confirmation Page Component
+ * Shown after checkout: the booking ID with a QR code to show at pickup, the
+ * trip and contacts as booked, and what happens next
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import {
+  CheckCircle2,
+  AlertCircle,
+  Loader2,
+  MapPin,
+  Calendar,
+  Clock,
+  Package,
+  Users,
+  Printer,
+  Search,
+  ClipboardList,
+} from 'lucide-react';
+import { bookingAPI, getErrorMessage, isRequestCancelled } from '../services/api';
+import VehicleLink from '../components/VehicleLink';
+import QrCode from '../components/QrCode';
+import { CONTACT_ROLES } from '../utils/bookingDetails';
+import { formatCapacity, formatCurrency, formatDate, getStatusBadgeClass } from '../utils/helpers';
+
+const BookingConfirmation = () => {
+  const { id } = useParams();
+
+  const [booking, setBooking] = useState(null);
+  const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => {
+    /**
+     * Load the booking that was just made
+     */
+    const fetchBooking = async () => {
+      abortControllerRef.current?.abort();
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+
+      setError(null);
+
+      try {
+        const response = await bookingAPI.getBookingById(id, { signal: controller.signal });
+
+        if (response.data.success) {
+          setBooking(response.data.data);
+          setNotFound(false);
+        }
+      } catch (error) {
+        if (isRequestCancelled(error)) return;
+        console.error('Error fetching booking:', error);
+
+        if (error.response?.status === 404) {
+          setNotFound(true);
+        } else {
+          setError(getErrorMessage(error));
+        }
+      }
+    };
+
+    fetchBooking();
+    return () => abortControllerRef.current?.abort();
+  }, [id]);
+
+  if (notFound) {
+    return (
+      <div className="card text-center py-12">
+        <ClipboardList className="h-16 w-16 text-secondary-300 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-secondary-700 mb-2">Booking not found</h3>
+        <p className="text-secondary-500 mb-6">Check the link or find the booking in your booking history.</p>
+        <Link to="/bookings" className="btn-primary">Back to Bookings</Link>
+      </div>
+    );
+  }
+
+  if (error && !booking) {
+    return (
+      <div className="card bg-danger-50 border-danger-200">
+        <div className="flex items-center space-x-3">
+          <AlertCircle className="h-6 w-6 text-danger-600" />
+          <div>
+            <h3 className="font-medium text-danger-800">Error Loading Booking</h3>
+            <p className="text-danger-600">{error}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!booking) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <Loader2 className="h-8 w-8 animate-spin text-primary-600" />
+        <span className="ml-3 text-secondary-600">Loading booking...</span>
+      </div>
+    );
+  }
+
+  const reference = booking.id.slice(-8).toUpperCase();
+  const { cargo } = booking;
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      {/* Header */}
+      <div className="card text-center">
+        <CheckCircle2 className="h-14 w-14 text-success-600 mx-auto mb-3" />
+        <h1 className="text-3xl font-bold text-secondary-900 mb-1">Booking Confirmed</h1>
+        <p className="text-secondary-600 mb-6">
+          {formatCurrency(booking.totalCost)} · <span className={`badge ${getStatusBadgeClass(booking.status)}`}>{booking.status}</span>
+        </p>
+
+        <div className="flex flex-col sm:flex-row items-center justify-center gap-6">
+          <QrCode
+            value={`${window.location.origin}/bookings/${booking.id}`}
+            size={160}
+            title={`QR code for booking ${reference}`}
+          />
+          <div className="text-center sm:text-left">
+            <div className="text-sm text-secondary-600">Booking ID</div>
+            <div className="text-3xl font-mono font-semibold text-secondary-900 tracking-wider">{reference}</div>
+            <div className="text-xs text-secondary-500 mt-1 break-all">{booking.id}</div>
+            <p className="text-sm text-secondary-600 mt-3 max-w-xs">
+              Show this code or quote the booking ID to the driver at pickup.
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Trip */}
+        <div className="card">
+          <h2 className="text-lg font-medium text-secondary-900 mb-4">Trip</h2>
+          <div className="space-y-3 text-sm">
+            <div className="flex items-center space-x-3">
+              <MapPin className="h-4 w-4 text-secondary-500" />
+              <div>
+                <div className="text-secondary-600">Route</div>
+                <div className="font-medium text-secondary-900">{booking.fromPincode} → {booking.toPincode}</div>
+              </div>
+            </div>
+            <div className="flex items-center space-x-3">
+              <Calendar className="h-4 w-4 text-secondary-500" />
+              <div>
+                <div className="text-secondary-600">Start Time</div>
+                <div className="font-medium text-secondary-900">{formatDate(booking.startTime, 'PPpp')}</div>
+              </div>
+            </div>
+            <div className="flex items-center space-x-3">
+              <Clock className="h-4 w-4 text-secondary-500" />
+              <div>
+                <div className="text-secondary-600">Expected End Time</div>
+                <div className="font-medium text-secondary-900">{formatDate(booking.endTime, 'PPpp')}</div>
+              </div>
+            </div>
+            <div className="flex items-center space-x-3">
+              <Package className="h-4 w-4 text-secondary-500" />
+              <div>
+                <div className="text-secondary-600">Vehicle</div>
+                <VehicleLink vehicle={booking.vehicleId} fallback="Vehicle removed" className="font-medium" />
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Contacts & Cargo */}
+        <div className="card">
+          <div className="flex items-center space-x-2 mb-4">
+            <Users className="h-5 w-5 text-secondary-600" />
+            <h2 className="text-lg font-medium text-secondary-900">Contacts & Cargo</h2>
+          </div>
+          <div className="space-y-4 text-sm">
+            {CONTACT_ROLES.filter(role => booking[role.value]).map(role => (
+              <div key={role.value}>
+                <div className="text-secondary-600">{role.label}</div>
+                <div className="font-medium text-secondary-900">
+                  {booking[role.value].name} · {booking[role.value].phone}
+                </div>
+                <div className="text-secondary-500">{booking[role.value].address}</div>
+              </div>
+            ))}
+            {cargo && (
+              <div>
+                <div className="text-secondary-600">Goods</div>
+                <div className="font-medium text-secondary-900">
+                  {cargo.description || 'Not described'}
+                  {cargo.weightKg && ` · ${formatCapacity(cargo.weightKg)}`}
+                </div>
+                {cargo.declaredValue && (
+                  <div className="text-secondary-500">Declared value {formatCurrency(cargo.declaredValue)}</div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Next Steps */}
+      <div className="card">
+        <h2 className="text-lg font-medium text-secondary-900 mb-4">What happens next</h2>
+        <ol className="list-decimal pl-5 space-y-2 text-sm text-secondary-700">
+          <li>We assign a driver and share their details before the trip starts.</li>
+          <li>Have the goods packed and the consignor ready at the pickup address by {formatDate(booking.startTime, 'PP p')}.</li>
+          <li>The consignee checks the goods on delivery; report any damage to us the same day.</li>
+          <li>Need to change plans? You can cancel free of charge from your bookings until the trip starts.</li>
+        </ol>
+
+        <div className="flex flex-col sm:flex-row gap-3 mt-6 print:hidden">
+          <Link to={`/bookings/${booking.id}`} className="btn-primary flex items-center justify-center space-x-2">
+            <ClipboardList className="h-4 w-4" />
+            <span>View Booking</span>
+          </Link>
+          <Link to="/search-book" className="btn-secondary flex items-center justify-center space-x-2">
+            <Search className="h-4 w-4" />
+            <span>Book Another Vehicle</span>
+          </Link>
+          <button onClick={() => window.print()} className="btn-secondary flex items-center justify-center space-x-2">
+            <Printer className="h-4 w-4" />
+            <span>Print</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BookingConfirmation;
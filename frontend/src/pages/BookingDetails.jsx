@@ -0,0 +1,504 @@
+/**
+ * Booking Details Page Component
+ * Everything about one booking - trip, contacts, cargo, cost breakdown and the
+ * audit trail of its status changes - at a link that can be bookmarked and shared
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import {
+  ClipboardList,
+  ArrowLeft,
+  RefreshCw,
+  Loader2,
+  AlertCircle,
+  MapPin,
+  Calendar,
+  Clock,
+  Package,
+  User,
+  Truck,
+  Users,
+  History,
+  Layers,
+  Copy,
+  QrCode as QrCodeIcon,
+  XCircle,
+  CalendarClock,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { bookingAPI, getErrorMessage, isRequestCancelled } from '../services/api';
+import { subscribeToQueries } from '../services/queryCache';
+import useRealtimeEvents from '../hooks/useRealtimeEvents';
+import useAuth from '../hooks/useAuth';
+import VehicleLink from '../components/VehicleLink';
+import QuoteBreakdown from '../components/QuoteBreakdown';
+import CancelBookingDialog from '../components/CancelBookingDialog';
+import ModifyBookingDialog from '../components/ModifyBookingDialog';
+import { PERMISSIONS, hasPermission, canCancelBooking, canModifyBooking } from '../utils/permissions';
+import { CONTACT_ROLES } from '../utils/bookingDetails';
+import { isBookingModifiable, describeBookingChange } from '../utils/bookingChanges';
+import {
+  CANCELLATION_REASONS,
+  getNextBookingStatuses,
+  getStatusLabel,
+  isBookingCancellable,
+} from '../utils/statusTransitions';
+import { CARGO_REQUIREMENTS } from '../utils/cargo';
+import { getOptionLabel, formatDimensions, formatVolume } from '../utils/vehicles';
+import {
+  formatCapacity,
+  formatCurrency,
+  formatDate,
+  getStatusBadgeClass,
+  copyToClipboard,
+} from '../utils/helpers';
+
+const BookingDetails = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+
+  const [booking, setBooking] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [updating, setUpdating] = useState(false);
+  const [showCancelDialog, setShowCancelDialog] = useState(false);
+  const [showModifyDialog, setShowModifyDialog] = useState(false);
+  const abortControllerRef = useRef(null);
+
+  /**
+   * Load the booking with its vehicle, customer and history
+   */
+  const fetchBooking = async ({ forceRefresh = false, silent = false } = {}) => {
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    if (!silent) setLoading(true);
+    setError(null);
+
+    try {
+      const response = await bookingAPI.getBookingById(id, { signal: controller.signal, forceRefresh });
+
+      if (response.data.success) {
+        setBooking(response.data.data);
+        setNotFound(false);
+      }
+    } catch (error) {
+      if (isRequestCancelled(error)) return;
+      console.error('Error fetching booking:', error);
+
+      if (error.response?.status === 404) {
+        setNotFound(true);
+      } else {
+        setError(getErrorMessage(error));
+      }
+    } finally {
+      if (abortControllerRef.current === controller) {
+        setLoading(false);
+      }
+    }
+  };
+
+  // Keep the latest fetch for subscriptions without resubscribing on every render
+  const refetchRef = useRef(null);
+  refetchRef.current = fetchBooking;
+
+  useEffect(() => {
+    refetchRef.current();
+    return () => abortControllerRef.current?.abort();
+  }, [id]);
+
+  // Pick up background revalidations and invalidations from mutations
+  useEffect(() => {
+    return subscribeToQueries(`/bookings/${id}`, () => refetchRef.current({ silent: true }));
+  }, [id]);
+
+  // Someone else changing the booking adds to its history
+  useRealtimeEvents((event) => {
+    if (event.type.startsWith('booking.') && event.data?.id === id) {
+      fetchBooking({ silent: true });
+    }
+  });
+
+  /**
+   * Show a status change straight away, undoing it if the server refuses
+   * @param {string} status - Status to show
+   * @param {Function} request - Sends the change
+   * @param {string} successMessage - Toast once the server accepts
+   */
+  const changeStatus = async (status, request, successMessage) => {
+    const previous = booking;
+    setUpdating(true);
+    setBooking(prev => ({ ...prev, status }));
+
+    try {
+      const response = await request();
+
+      if (response.data.success) {
+        setBooking(prev => ({ ...prev, ...response.data.data }));
+        toast.success(successMessage);
+      }
+    } catch (error) {
+      console.error('Error updating booking status:', error);
+      setBooking(previous);
+      toast.error(getErrorMessage(error));
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleStatusUpdate = (status) => {
+    changeStatus(status, () => bookingAPI.updateBookingStatus(booking.id, status), `Booking status updated to ${status}`);
+  };
+
+  const handleCancel = (cancellation) => {
+    setShowCancelDialog(false);
+    changeStatus('cancelled', () => bookingAPI.cancelBooking(booking.id, cancellation), 'Booking cancelled successfully');
+  };
+
+  const handleModified = (updatedBooking) => {
+    setShowModifyDialog(false);
+    setBooking(prev => ({ ...prev, ...updatedBooking }));
+  };
+
+  const handleCopyLink = async () => {
+    if (await copyToClipboard(window.location.href)) {
+      toast.success('Booking link copied');
+    }
+  };
+
+  if (notFound) {
+    return (
+      <div className="card text-center py-12">
+        <ClipboardList className="h-16 w-16 text-secondary-300 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-secondary-700 mb-2">Booking not found</h3>
+        <p className="text-secondary-500 mb-6">Check the link or find the booking in your booking history.</p>
+        <Link to="/bookings" className="btn-primary">Back to Bookings</Link>
+      </div>
+    );
+  }
+
+  if (error && !booking) {
+    return (
+      <div className="card bg-danger-50 border-danger-200">
+        <div className="flex items-center space-x-3">
+          <AlertCircle className="h-6 w-6 text-danger-600" />
+          <div>
+            <h3 className="font-medium text-danger-800">Error Loading Booking</h3>
+            <p className="text-danger-600">{error}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!booking) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <Loader2 className="h-8 w-8 animate-spin text-primary-600" />
+        <span className="ml-3 text-secondary-600">Loading booking...</span>
+      </div>
+    );
+  }
+
+  const { cargo, customer } = booking;
+  const vehicle = booking.vehicleId;
+  const canViewAll = hasPermission(user, PERMISSIONS.BOOKING_VIEW_ALL);
+  const nextStatuses = hasPermission(user, PERMISSIONS.BOOKING_UPDATE_STATUS) ? getNextBookingStatuses(booking) : [];
+  // Split shipments are cancelled as a whole from the shipment page
+  const canCancel = !booking.shipmentId && canCancelBooking(user, booking) && isBookingCancellable(booking);
+  const canModify = canModifyBooking(user, booking) && isBookingModifiable(booking);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <Link to="/bookings" className="inline-flex items-center space-x-1 text-sm text-secondary-600 hover:text-primary-600 mb-4">
+          <ArrowLeft className="h-4 w-4" />
+          <span>Booking History</span>
+        </Link>
+
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <div className="bg-primary-100 p-3 rounded-lg">
+              <ClipboardList className="h-6 w-6 text-primary-600" />
+            </div>
+            <div>
+              <h1 className="text-3xl font-bold text-secondary-900">
+                Booking {booking.id.slice(-8).toUpperCase()}
+              </h1>
+              <div className="flex items-center space-x-2">
+                <span className={`badge ${getStatusBadgeClass(booking.status)}`}>{booking.status}</span>
+                <span className="text-secondary-600">Booked {formatDate(booking.createdAt, 'PP p')}</span>
+              </div>
+            </div>
+          </div>
+
+          <button
+            onClick={() => fetchBooking({ forceRefresh: true })}
+            disabled={loading}
+            className="btn-secondary flex items-center space-x-2"
+          >
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            <span>Refresh</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          {/* Trip */}
+          <div className="card">
+            <h2 className="text-lg font-medium text-secondary-900 mb-4">Trip</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+              <div className="flex items-center space-x-3">
+                <MapPin className="h-4 w-4 text-secondary-500" />
+                <div>
+                  <div className="text-secondary-600">Route</div>
+                  <div className="font-medium text-secondary-900">{booking.fromPincode} → {booking.toPincode}</div>
+                </div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <Clock className="h-4 w-4 text-secondary-500" />
+                <div>
+                  <div className="text-secondary-600">Duration</div>
+                  <div className="font-medium text-secondary-900">{booking.estimatedRideDurationHours} hours</div>
+                </div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <Calendar className="h-4 w-4 text-secondary-500" />
+                <div>
+                  <div className="text-secondary-600">Start Time</div>
+                  <div className="font-medium text-secondary-900">{formatDate(booking.startTime, 'PPpp')}</div>
+                </div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <Calendar className="h-4 w-4 text-secondary-500" />
+                <div>
+                  <div className="text-secondary-600">Expected End Time</div>
+                  <div className="font-medium text-secondary-900">{formatDate(booking.endTime, 'PPpp')}</div>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Vehicle & Customer */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="card">
+              <div className="flex items-center space-x-2 mb-4">
+                <Truck className="h-5 w-5 text-secondary-600" />
+                <h2 className="text-lg font-medium text-secondary-900">Vehicle</h2>
+              </div>
+              <div className="space-y-2 text-sm">
+                <VehicleLink vehicle={vehicle} fallback="Vehicle removed" className="font-medium" />
+                {vehicle && (
+                  <>
+                    <div className="flex justify-between">
+                      <span className="text-secondary-600">Registration:</span>
+                      <span className="font-medium text-secondary-900">{vehicle.registrationNumber || 'N/A'}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-secondary-600">Capacity:</span>
+                      <span className="font-medium text-secondary-900">{formatCapacity(vehicle.capacityKg)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-secondary-600">Vehicle Status:</span>
+                      <span className={`badge ${getStatusBadgeClass(vehicle.status)}`}>{vehicle.status}</span>
+                    </div>
+                  </>
+                )}
+                {booking.shipmentId && (
+                  <Link
+                    to={`/shipments/${booking.shipmentId}`}
+                    className="inline-flex items-center space-x-1 font-medium text-primary-600 hover:text-primary-700"
+                  >
+                    <Layers className="h-3.5 w-3.5" />
+                    <span>
+                      Split shipment {booking.shipmentId.slice(-8).toUpperCase()} · carries {formatCapacity(booking.loadKg)}
+                    </span>
+                  </Link>
+                )}
+              </div>
+            </div>
+
+            <div className="card">
+              <div className="flex items-center space-x-2 mb-4">
+                <User className="h-5 w-5 text-secondary-600" />
+                <h2 className="text-lg font-medium text-secondary-900">Customer</h2>
+              </div>
+              <div className="space-y-2 text-sm">
+                {customer && <div className="font-medium text-secondary-900">{customer.name}</div>}
+                {customer && <div className="text-secondary-600">{customer.email}</div>}
+                <div className="flex justify-between">
+                  <span className="text-secondary-600">Customer ID:</span>
+                  <span className="font-medium text-secondary-900">{booking.customerId}</span>
+                </div>
+                {canViewAll && (
+                  <Link
+                    to={`/bookings?search=${encodeURIComponent(booking.customerId)}`}
+                    className="inline-block font-medium text-primary-600 hover:text-primary-700"
+                  >
+                    All bookings for this customer
+                  </Link>
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* Contacts & Cargo */}
+          {(booking.consignor || cargo) && (
+            <div className="card">
+              <div className="flex items-center space-x-2 mb-4">
+                <Users className="h-5 w-5 text-secondary-600" />
+                <h2 className="text-lg font-medium text-secondary-900">Contacts & Cargo</h2>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                {CONTACT_ROLES.filter(role => booking[role.value]).map(role => (
+                  <div key={role.value}>
+                    <div className="text-secondary-600">{role.label}</div>
+                    <div className="font-medium text-secondary-900">{booking[role.value].name}</div>
+                    <div className="text-secondary-600">{booking[role.value].phone}</div>
+                    <div className="text-secondary-500">{booking[role.value].address}</div>
+                  </div>
+                ))}
+                {cargo && (
+                  <div>
+                    <div className="flex items-center space-x-1 text-secondary-600">
+                      <Package className="h-4 w-4" />
+                      <span>Cargo</span>
+                    </div>
+                    {cargo.description && <div className="font-medium text-secondary-900">{cargo.description}</div>}
+                    <div className="text-secondary-600">
+                      {formatCapacity(cargo.weightKg)}
+                      {cargo.volumeM3 && ` · ${formatVolume(cargo.volumeM3)}`}
+                      {cargo.item && ` · largest item ${formatDimensions(cargo.item)}`}
+                    </div>
+                    {cargo.requirements?.length > 0 && (
+                      <div className="text-secondary-500">
+                        {cargo.requirements.map(value => getOptionLabel(CARGO_REQUIREMENTS, value)).join(', ')}
+                      </div>
+                    )}
+                    {cargo.declaredValue && (
+                      <div className="text-secondary-500">Declared value {formatCurrency(cargo.declaredValue)}</div>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Audit Trail */}
+          <div className="card">
+            <div className="flex items-center space-x-2 mb-4">
+              <History className="h-5 w-5 text-secondary-600" />
+              <h2 className="text-lg font-medium text-secondary-900">History</h2>
+            </div>
+            <ol className="relative border-l border-secondary-200 ml-2 space-y-5">
+              {booking.statusHistory.map((entry, index) => (
+                <li key={`${entry.changedAt}-${index}`} className="ml-5 text-sm">
+                  <span className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border-2 border-white bg-primary-500" />
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className={`badge ${getStatusBadgeClass(entry.status)}`}>{entry.status}</span>
+                    {entry.changes && <span className="font-medium text-secondary-700">Booking changed</span>}
+                    {entry.reason && (
+                      <span className="font-medium text-secondary-700">{getStatusLabel(CANCELLATION_REASONS, entry.reason)}</span>
+                    )}
+                    {entry.note && <span className="text-secondary-700">{entry.note}</span>}
+                  </div>
+                  {entry.changes?.map(change => (
+                    <div key={change.field} className="text-secondary-700 mt-1">{describeBookingChange(change)}</div>
+                  ))}
+                  <div className="text-secondary-500 mt-1">
+                    {formatDate(entry.changedAt, 'PPpp')}
+                    {entry.changedBy && ` · by ${entry.changedBy}`}
+                  </div>
+                </li>
+              ))}
+            </ol>
+          </div>
+        </div>
+
+        <div className="space-y-6">
+          {/* Cost */}
+          <div className="card">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-medium text-secondary-900">Cost</h2>
+              <span className="text-xl font-semibold text-primary-600">{formatCurrency(booking.totalCost)}</span>
+            </div>
+            {booking.quote
+              ? <QuoteBreakdown quote={booking.quote} />
+              : <p className="text-sm text-secondary-500">No breakdown was recorded for this booking.</p>}
+          </div>
+
+          {/* Actions */}
+          <div className="card space-y-3">
+            <h2 className="text-lg font-medium text-secondary-900">Actions</h2>
+            {nextStatuses.map(option => (
+              <button
+                key={option.value}
+                onClick={() => handleStatusUpdate(option.value)}
+                disabled={updating}
+                className={`w-full flex items-center justify-center space-x-2 ${option.value === 'no-show' ? 'btn-secondary' : 'btn-primary'}`}
+              >
+                {updating && <Loader2 className="h-4 w-4 animate-spin" />}
+                <span>{option.action}</span>
+              </button>
+            ))}
+            {canModify && (
+              <button
+                onClick={() => setShowModifyDialog(true)}
+                disabled={updating}
+                className="w-full btn-secondary flex items-center justify-center space-x-2"
+              >
+                <CalendarClock className="h-4 w-4" />
+                <span>Modify Booking</span>
+              </button>
+            )}
+            <Link
+              to={`/bookings/${booking.id}/confirmation`}
+              className="w-full btn-secondary flex items-center justify-center space-x-2"
+            >
+              <QrCodeIcon className="h-4 w-4" />
+              <span>Pickup QR Code</span>
+            </Link>
+            <button onClick={handleCopyLink} className="w-full btn-secondary flex items-center justify-center space-x-2">
+              <Copy className="h-4 w-4" />
+              <span>Copy Link</span>
+            </button>
+            {canCancel && (
+              <button
+                onClick={() => setShowCancelDialog(true)}
+                disabled={updating}
+                className="w-full btn-danger flex items-center justify-center space-x-2"
+              >
+                <XCircle className="h-4 w-4" />
+                <span>Cancel Booking</span>
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {showCancelDialog && (
+        <CancelBookingDialog
+          description={`Booking ${booking.id.slice(-8).toUpperCase()} · ${booking.fromPincode} → ${booking.toPincode} on ${formatDate(booking.startTime, 'PP p')}`}
+          onConfirm={handleCancel}
+          onClose={() => setShowCancelDialog(false)}
+          isCancelling={updating}
+        />
+      )}
+
+      {showModifyDialog && (
+        <ModifyBookingDialog
+          booking={booking}
+          onModified={handleModified}
+          onClose={() => setShowModifyDialog(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default BookingDetails;
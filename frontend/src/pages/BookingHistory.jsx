@@ -3,7 +3,8 @@
  * Displays all bookings with filtering and management capabilities
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { 
   Calendar, 
   Search, 
@@ -17,30 +18,57 @@ import {
   AlertCircle,
   ChevronLeft,
   ChevronRight,
-  X,
-  Edit
+  Edit,
+  Layers,
+  ArrowUp,
+  ArrowDown
 } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { bookingAPI } from '../services/api';
+import { bookingAPI, getErrorMessage, isRequestCancelled } from '../services/api';
+import { subscribeToQueries } from '../services/queryCache';
+import { REALTIME_EVENTS } from '../services/realtime';
+import { getCustomerId } from '../services/auth';
+import useRealtimeEvents from '../hooks/useRealtimeEvents';
+import useAuth from '../hooks/useAuth';
+import VehicleLink from '../components/VehicleLink';
+import CancelBookingDialog from '../components/CancelBookingDialog';
+import ModifyBookingDialog from '../components/ModifyBookingDialog';
+import { PERMISSIONS, hasPermission, canCancelBooking, canModifyBooking } from '../utils/permissions';
+import { BOOKING_STATUSES, getNextBookingStatuses, isBookingCancellable } from '../utils/statusTransitions';
+import { isBookingModifiable } from '../utils/bookingChanges';
+import {
+  PAGE_SIZE_OPTIONS,
+  SORT_ORDERS,
+  readListQuery,
+  toListSearchParams,
+  hasActiveFilters
+} from '../utils/listQuery';
+import {
+  BOOKING_SORT_FIELDS,
+  BOOKING_FILTER_KEYS,
+  BOOKING_QUERY_VALUES,
+  DEFAULT_BOOKING_QUERY
+} from '../utils/bookingSearch';
 import { 
   formatDate, 
-  formatCapacity, 
   formatCurrency,
   getStatusBadgeClass, 
   debounce 
 } from '../utils/helpers';
 
 const BookingHistory = () => {
+  const { user } = useAuth();
+  // Customers only ever see their own bookings
+  const canViewAll = hasPermission(user, PERMISSIONS.BOOKING_VIEW_ALL);
+  // Search, filters, sort and page live in the URL, so a view can be shared and survives a reload
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = readListQuery(searchParams, DEFAULT_BOOKING_QUERY, BOOKING_QUERY_VALUES);
+  const queryKey = searchParams.toString();
+
   // State management
   const [bookings, setBookings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [filters, setFilters] = useState({
-    search: '',
-    status: '',
-    fromDate: '',
-    toDate: ''
-  });
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
@@ -49,61 +77,115 @@ const BookingHistory = () => {
     hasPrev: false
   });
   const [updating, setUpdating] = useState(false);
-  const [selectedBooking, setSelectedBooking] = useState(null);
+  // Booking waiting on a cancellation reason
+  const [cancellingBooking, setCancellingBooking] = useState(null);
+  const [modifyingBooking, setModifyingBooking] = useState(null);
+  const abortControllerRef = useRef(null);
 
   // Fetch bookings with debounced search
-  const fetchBookings = debounce(async (page = 1, searchFilters = filters) => {
-    setLoading(true);
+  const fetchBookings = debounce(async (listQuery = query, { forceRefresh = false, silent = false } = {}) => {
+    // Abort any in-flight request so a stale response can't overwrite newer results
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    if (!silent) setLoading(true);
     setError(null);
     
     try {
       const params = {
-        page,
-        limit: 10,
-        ...(searchFilters.status && { status: searchFilters.status }),
-        ...(searchFilters.fromDate && { fromDate: searchFilters.fromDate }),
-        ...(searchFilters.toDate && { toDate: searchFilters.toDate })
+        page: listQuery.page,
+        limit: listQuery.limit,
+        sort: listQuery.sort,
+        order: listQuery.order,
+        ...(listQuery.search.trim() && { search: listQuery.search.trim() }),
+        ...(listQuery.status && { status: listQuery.status }),
+        ...(listQuery.fromDate && { fromDate: listQuery.fromDate }),
+        ...(listQuery.toDate && { toDate: listQuery.toDate })
       };
 
-      const response = await bookingAPI.getAllBookings(params);
+      const requestOptions = { signal: controller.signal, forceRefresh };
+      const response = listQuery.mine || !canViewAll
+        ? await bookingAPI.getCustomerBookings(getCustomerId(user), params, requestOptions)
+        : await bookingAPI.getAllBookings(params, requestOptions);
       
       if (response.data.success) {
         const data = response.data.data;
-        
-        // Filter by search term locally (for customer ID search)
-        let filteredBookings = data.bookings;
-        if (searchFilters.search) {
-          filteredBookings = data.bookings.filter(booking =>
-            booking.customerId.toLowerCase().includes(searchFilters.search.toLowerCase()) ||
-            booking.vehicleId?.name?.toLowerCase().includes(searchFilters.search.toLowerCase())
-          );
-        }
-        
-        setBookings(filteredBookings);
+        setBookings(data.bookings);
         setPagination(data.pagination);
       }
     } catch (error) {
+      if (isRequestCancelled(error)) return;
       console.error('Error fetching bookings:', error);
       setError(error.message || 'Failed to fetch bookings');
       toast.error('Failed to load bookings');
     } finally {
-      setLoading(false);
+      if (abortControllerRef.current === controller) {
+        setLoading(false);
+      }
     }
   }, 500);
 
-  // Load bookings on component mount and filter changes
+  // Load bookings on component mount and whenever the URL's query changes
   useEffect(() => {
-    fetchBookings(1, filters);
-  }, [filters]);
+    fetchBookings(query);
+  }, [queryKey]);
+
+  // Abort any pending request when leaving the page
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  // Pick up background revalidations and invalidations from mutations
+  const refetchRef = useRef(null);
+  refetchRef.current = () => fetchBookings(query, { silent: true });
+
+  useEffect(() => {
+    return subscribeToQueries('/bookings', () => refetchRef.current());
+  }, []);
+
+  // Keep the list live: patch changed bookings in place, refetch when new ones arrive
+  useRealtimeEvents((event) => {
+    switch (event.type) {
+      case REALTIME_EVENTS.BOOKING_CREATED:
+        refetchRef.current();
+        break;
+      case REALTIME_EVENTS.BOOKING_STATUS_CHANGED:
+      case REALTIME_EVENTS.BOOKING_CANCELLED:
+      case REALTIME_EVENTS.BOOKING_MODIFIED: {
+        const patchBooking = (booking) => ({
+          ...booking,
+          ...event.data,
+          // Keep the populated vehicle if the event only carries its ID
+          vehicleId: typeof event.data.vehicleId === 'object' ? event.data.vehicleId : booking.vehicleId,
+        });
+
+        setBookings(prev => prev.map(booking =>
+          booking.id === event.data.id ? patchBooking(booking) : booking
+        ));
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  /**
+   * Put a change to the search, filters, sort or page into the URL
+   * Anything but a page change starts again from the first page
+   * @param {Object} changes - Query fields to set
+   */
+  const updateQuery = (changes) => {
+    const nextQuery = { ...query, page: 1, ...changes };
+    // Typing a search replaces the history entry rather than adding one per keystroke
+    setSearchParams(toListSearchParams(nextQuery, DEFAULT_BOOKING_QUERY), { replace: 'search' in changes });
+  };
 
   /**
    * Handle filter changes
    */
   const handleFilterChange = (field, value) => {
-    setFilters(prev => ({
-      ...prev,
-      [field]: value
-    }));
+    updateQuery({ [field]: value });
   };
 
   /**
@@ -111,7 +193,7 @@ const BookingHistory = () => {
    */
   const handlePageChange = (page) => {
     if (page >= 1 && page <= pagination.totalPages) {
-      fetchBookings(page, filters);
+      updateQuery({ page });
     }
   };
 
@@ -119,80 +201,88 @@ const BookingHistory = () => {
    * Clear all filters
    */
   const clearFilters = () => {
-    setFilters({
-      search: '',
-      status: '',
-      fromDate: '',
-      toDate: ''
-    });
+    updateQuery(Object.fromEntries(BOOKING_FILTER_KEYS.map(key => [key, DEFAULT_BOOKING_QUERY[key]])));
   };
 
   /**
    * Refresh booking list
    */
   const handleRefresh = () => {
-    fetchBookings(pagination.currentPage, filters);
+    fetchBookings(query, { forceRefresh: true });
     toast.success('Booking list refreshed');
   };
 
   /**
-   * Update booking status
+   * Show a change to a booking straight away
+   * @param {string} bookingId - Booking ID
+   * @param {Object|Function} changes - Fields to set, or a function returning the booking to show
    */
-  const handleStatusUpdate = async (bookingId, newStatus) => {
+  const showBookingChange = (bookingId, changes) => {
+    setBookings(prev => prev.map(booking =>
+      booking.id === bookingId
+        ? (typeof changes === 'function' ? changes(booking) : { ...booking, ...changes })
+        : booking
+    ));
+  };
+
+  /**
+   * Update booking status, showing it before the server answers and undoing it if the server refuses
+   * @param {Object} booking - Booking as listed
+   * @param {string} newStatus - Status to move to
+   */
+  const handleStatusUpdate = async (booking, newStatus) => {
     setUpdating(true);
+    showBookingChange(booking.id, { status: newStatus });
     
     try {
-      const response = await bookingAPI.updateBookingStatus(bookingId, newStatus);
+      const response = await bookingAPI.updateBookingStatus(booking.id, newStatus);
       
       if (response.data.success) {
-        // Update booking in local state
-        setBookings(prev => prev.map(booking => 
-          booking.id === bookingId 
-            ? { ...booking, status: newStatus }
-            : booking
-        ));
-        
         toast.success(`Booking status updated to ${newStatus}`);
       }
     } catch (error) {
       console.error('Error updating booking status:', error);
-      toast.error('Failed to update booking status');
+      showBookingChange(booking.id, () => booking);
+      toast.error(getErrorMessage(error));
     } finally {
       setUpdating(false);
     }
   };
 
   /**
-   * Cancel booking
+   * Cancel the booking waiting on a reason, showing it cancelled straight away
+   * @param {Object} cancellation - { reason, note }
    */
-  const handleCancelBooking = async (bookingId) => {
-    if (!confirm('Are you sure you want to cancel this booking?')) {
-      return;
-    }
-
+  const handleCancelBooking = async (cancellation) => {
+    const booking = cancellingBooking;
     setUpdating(true);
+    setCancellingBooking(null);
+    showBookingChange(booking.id, { status: 'cancelled' });
     
     try {
-      const response = await bookingAPI.cancelBooking(bookingId);
+      const response = await bookingAPI.cancelBooking(booking.id, cancellation);
       
       if (response.data.success) {
-        // Update booking in local state
-        setBookings(prev => prev.map(booking => 
-          booking.id === bookingId 
-            ? { ...booking, status: 'cancelled' }
-            : booking
-        ));
-        
         toast.success('Booking cancelled successfully');
       }
     } catch (error) {
       console.error('Error cancelling booking:', error);
-      toast.error(error.response?.data?.error?.message || 'Failed to cancel booking');
+      showBookingChange(booking.id, () => booking);
+      toast.error(getErrorMessage(error));
     } finally {
       setUpdating(false);
     }
   };
 
+  /**
+   * Show a rescheduled booking once the server has accepted the change
+   * @param {Object} updatedBooking - Booking returned by the server
+   */
+  const handleBookingModified = (updatedBooking) => {
+    setModifyingBooking(null);
+    showBookingChange(updatedBooking.id, updatedBooking);
+  };
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -237,8 +327,8 @@ const BookingHistory = () => {
               <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-secondary-400" />
               <input
                 type="text"
-                placeholder="Customer ID or Vehicle..."
-                value={filters.search}
+                placeholder="Customer, booking ID, vehicle or pincode..."
+                value={query.search}
                 onChange={(e) => handleFilterChange('search', e.target.value)}
                 className="form-input pl-10"
               />
@@ -249,15 +339,14 @@ const BookingHistory = () => {
           <div>
             <label className="form-label">Status</label>
             <select
-              value={filters.status}
+              value={query.status}
               onChange={(e) => handleFilterChange('status', e.target.value)}
               className="form-input"
             >
               <option value="">All Statuses</option>
-              <option value="confirmed">Confirmed</option>
-              <option value="in-progress">In Progress</option>
-              <option value="completed">Completed</option>
-              <option value="cancelled">Cancelled</option>
+              {BOOKING_STATUSES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
             </select>
           </div>
 
@@ -266,7 +355,7 @@ const BookingHistory = () => {
             <label className="form-label">From Date</label>
             <input
               type="date"
-              value={filters.fromDate}
+              value={query.fromDate}
               onChange={(e) => handleFilterChange('fromDate', e.target.value)}
               className="form-input"
             />
@@ -277,20 +366,63 @@ const BookingHistory = () => {
             <label className="form-label">To Date</label>
             <input
               type="date"
-              value={filters.toDate}
+              value={query.toDate}
               onChange={(e) => handleFilterChange('toDate', e.target.value)}
               className="form-input"
             />
           </div>
         </div>
 
-        <div className="flex justify-end mt-4">
-          <button
-            onClick={clearFilters}
-            className="btn-secondary"
-          >
-            Clear Filters
-          </button>
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mt-4">
+          {canViewAll ? (
+            <label className="flex items-center space-x-2 text-sm text-secondary-700">
+              <input
+                type="checkbox"
+                checked={query.mine}
+                onChange={(e) => handleFilterChange('mine', e.target.checked)}
+                className="rounded border-secondary-300"
+              />
+              <span>Only my bookings ({getCustomerId(user)})</span>
+            </label>
+          ) : (
+            <span />
+          )}
+          <div className="flex flex-wrap items-center gap-2">
+            <label htmlFor="sort" className="text-sm text-secondary-600">Sort by</label>
+            <select
+              id="sort"
+              value={query.sort}
+              onChange={(e) => handleFilterChange('sort', e.target.value)}
+              className="form-input w-auto"
+            >
+              {BOOKING_SORT_FIELDS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => handleFilterChange('order', query.order === 'asc' ? 'desc' : 'asc')}
+              className="btn-secondary flex items-center space-x-1"
+            >
+              {query.order === 'asc' ? <ArrowUp className="h-4 w-4" /> : <ArrowDown className="h-4 w-4" />}
+              <span>{SORT_ORDERS.find(option => option.value === query.order).label}</span>
+            </button>
+            <select
+              value={query.limit}
+              onChange={(e) => handleFilterChange('limit', parseInt(e.target.value))}
+              className="form-input w-auto"
+              aria-label="Bookings per page"
+            >
+              {PAGE_SIZE_OPTIONS.map(size => (
+                <option key={size} value={size}>{size} per page</option>
+              ))}
+            </select>
+            <button
+              onClick={clearFilters}
+              className="btn-secondary"
+            >
+              Clear Filters
+            </button>
+          </div>
         </div>
       </div>
 
@@ -325,7 +457,7 @@ const BookingHistory = () => {
                 No bookings found
               </h3>
               <p className="text-secondary-500">
-                {Object.values(filters).some(f => f) 
+                {hasActiveFilters(query, DEFAULT_BOOKING_QUERY, BOOKING_FILTER_KEYS)
                   ? 'Try adjusting your filters or search criteria.'
                   : 'No bookings have been made yet.'
                 }
@@ -338,8 +470,8 @@ const BookingHistory = () => {
                   key={booking.id}
                   booking={booking}
                   onStatusUpdate={handleStatusUpdate}
-                  onCancel={handleCancelBooking}
-                  onViewDetails={(booking) => setSelectedBooking(booking)}
+                  onCancel={setCancellingBooking}
+                  onModify={setModifyingBooking}
                   updating={updating}
                 />
               ))}
@@ -377,14 +509,22 @@ const BookingHistory = () => {
         </>
       )}
 
-      {/* Booking Details Modal */}
-      {selectedBooking && (
-        <BookingDetailsModal
-          booking={selectedBooking}
-          onClose={() => setSelectedBooking(null)}
-          onStatusUpdate={handleStatusUpdate}
-          onCancel={handleCancelBooking}
-          updating={updating}
+      {/* Cancellation Reason */}
+      {cancellingBooking && (
+        <CancelBookingDialog
+          description={`Booking ${cancellingBooking.id.slice(-8).toUpperCase()} · ${cancellingBooking.fromPincode} → ${cancellingBooking.toPincode} on ${formatDate(cancellingBooking.startTime, 'PP p')}`}
+          onConfirm={handleCancelBooking}
+          onClose={() => setCancellingBooking(null)}
+          isCancelling={updating}
+        />
+      )}
+
+      {/* Reschedule */}
+      {modifyingBooking && (
+        <ModifyBookingDialog
+          booking={modifyingBooking}
+          onModified={handleBookingModified}
+          onClose={() => setModifyingBooking(null)}
         />
       )}
     </div>
@@ -394,7 +534,14 @@ const BookingHistory = () => {
 /**
  * Booking Card Component
  */
-const BookingCard = ({ booking, onStatusUpdate, onCancel, onViewDetails, updating }) => {
+const BookingCard = ({ booking, onStatusUpdate, onCancel, onModify, updating }) => {
+  const { user } = useAuth();
+  // Only offer the moves the booking can make from where it is now
+  const nextStatuses = hasPermission(user, PERMISSIONS.BOOKING_UPDATE_STATUS) ? getNextBookingStatuses(booking) : [];
+  // Split shipments are cancelled as a whole from the shipment page
+  const canCancel = canCancelBooking(user, booking) && !booking.shipmentId && isBookingCancellable(booking);
+  const canModify = canModifyBooking(user, booking) && isBookingModifiable(booking);
+
   return (
     <div className="card hover:shadow-medium transition-shadow duration-200">
       <div className="flex flex-col lg:flex-row lg:items-center justify-between space-y-4 lg:space-y-0">
@@ -413,8 +560,9 @@ const BookingCard = ({ booking, onStatusUpdate, onCancel, onViewDetails, updatin
               <span className="text-sm text-secondary-600">Vehicle</span>
             </div>
             <p className="font-medium text-secondary-900">
-              {booking.vehicleId?.name || 'Vehicle not found'}
+              <VehicleLink vehicle={booking.vehicleId} />
             </p>
+            {booking.shipmentId && <ShipmentLink booking={booking} />}
           </div>
 
           {/* Route & Time */}
@@ -456,33 +604,49 @@ const BookingCard = ({ booking, onStatusUpdate, onCancel, onViewDetails, updatin
 
         {/* Actions */}
         <div className="flex flex-col space-y-2 lg:ml-6">
-          <button
-            onClick={() => onViewDetails(booking)}
-            className="btn-secondary text-sm px-4 py-2"
+          <Link
+            to={`/bookings/${booking.id}`}
+            className="btn-secondary text-sm px-4 py-2 text-center"
           >
             View Details
-          </button>
+          </Link>
+          
+          {canModify && (
+            <button
+              onClick={() => onModify(booking)}
+              disabled={updating}
+              className="btn-secondary text-sm px-4 py-2 flex items-center justify-center space-x-1"
+            >
+              <Edit className="h-4 w-4" />
+              <span>Modify</span>
+            </button>
+          )}
           
-          {booking.status === 'confirmed' && (
+          {(nextStatuses.length > 0 || canCancel) && (
             <div className="flex space-x-2">
-              <select
-                onChange={(e) => onStatusUpdate(booking.id, e.target.value)}
-                disabled={updating}
-                className="text-xs border border-secondary-300 rounded px-2 py-1 focus:outline-none focus:ring-1 focus:ring-primary-500"
-                defaultValue=""
-              >
-                <option value="" disabled>Change Status</option>
-                <option value="in-progress">In Progress</option>
-                <option value="completed">Completed</option>
-              </select>
+              {nextStatuses.length > 0 && (
+                <select
+                  onChange={(e) => onStatusUpdate(booking, e.target.value)}
+                  disabled={updating}
+                  className="text-xs border border-secondary-300 rounded px-2 py-1 focus:outline-none focus:ring-1 focus:ring-primary-500"
+                  value=""
+                >
+                  <option value="" disabled>Change Status</option>
+                  {nextStatuses.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              )}
               
-              <button
-                onClick={() => onCancel(booking.id)}
-                disabled={updating}
-                className="btn-danger text-xs px-3 py-1"
-              >
-                Cancel
-              </button>
+              {canCancel && (
+                <button
+                  onClick={() => onCancel(booking)}
+                  disabled={updating}
+                  className="btn-danger text-xs px-3 py-1"
+                >
+                  Cancel
+                </button>
+              )}
             </div>
           )}
         </div>
@@ -490,7 +654,9 @@ const BookingCard = ({ booking, onStatusUpdate, onCancel, onViewDetails, updatin
 
       {/* Booking ID and Date */}
       <div className="mt-4 pt-4 border-t border-secondary-200 flex justify-between items-center text-sm text-secondary-500">
-        <span>ID: {booking.id.slice(-8).toUpperCase()}</span>
+        <Link to={`/bookings/${booking.id}`} className="hover:text-primary-600">
+          ID: {booking.id.slice(-8).toUpperCase()}
+        </Link>
         <span>Created: {formatDate(booking.createdAt, 'PP')}</span>
       </div>
     </div>
@@ -498,184 +664,16 @@ const BookingCard = ({ booking, onStatusUpdate, onCancel, onViewDetails, updatin
 };
 
 /**
- * Booking Details Modal Component
+ * Link from a booking to the split shipment it belongs to
  */
-const BookingDetailsModal = ({ booking, onClose, onStatusUpdate, onCancel, updating }) => {
-  return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-      <div className="bg-white rounded-lg max-w-2xl w-full max-h-screen overflow-y-auto">
-        {/* Modal Header */}
-        <div className="flex items-center justify-between p-6 border-b border-secondary-200">
-          <h2 className="text-2xl font-semibold text-secondary-900">Booking Details</h2>
-          <button
-            onClick={onClose}
-            className="text-secondary-400 hover:text-secondary-600 transition-colors"
-          >
-            <X className="h-6 w-6" />
-          </button>
-        </div>
-
-        {/* Modal Content */}
-        <div className="p-6 space-y-6">
-          {/* Booking Overview */}
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <h3 className="font-medium text-secondary-900 mb-3">Booking Information</h3>
-              <div className="space-y-2 text-sm">
-                <div className="flex justify-between">
-                  <span className="text-secondary-600">Booking ID:</span>
-                  <span className="font-medium">{booking.id.slice(-12).toUpperCase()}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-secondary-600">Customer ID:</span>
-                  <span className="font-medium">{booking.customerId}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-secondary-600">Status:</span>
-                  <span className={`badge ${getStatusBadgeClass(booking.status)}`}>
-                    {booking.status}
-                  </span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-secondary-600">Total Cost:</span>
-                  <span className="font-medium">{formatCurrency(booking.totalCost)}</span>
-                </div>
-              </div>
-            </div>
-
-            <div>
-              <h3 className="font-medium text-secondary-900 mb-3">Vehicle Information</h3>
-              <div className="space-y-2 text-sm">
-                <div className="flex justify-between">
-                  <span className="text-secondary-600">Vehicle Name:</span>
-                  <span className="font-medium">{booking.vehicleId?.name || 'N/A'}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-secondary-600">Capacity:</span>
-                  <span className="font-medium">
-                    {booking.vehicleId?.capacityKg ? formatCapacity(booking.vehicleId.capacityKg) : 'N/A'}
-                  </span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-secondary-600">Tyres:</span>
-                  <span className="font-medium">{booking.vehicleId?.tyres || 'N/A'}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-secondary-600">Vehicle Status:</span>
-                  <span className={`badge ${getStatusBadgeClass(booking.vehicleId?.status)}`}>
-                    {booking.vehicleId?.status || 'N/A'}
-                  </span>
-                </div>
-              </div>
-            </div>
-          </div>
-
-          {/* Route Information */}
-          <div>
-            <h3 className="font-medium text-secondary-900 mb-3">Route & Timing</h3>
-            <div className="bg-secondary-50 rounded-lg p-4">
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <MapPin className="h-4 w-4 text-secondary-500" />
-                    <span className="text-sm text-secondary-600">Route</span>
-                  </div>
-                  <p className="font-medium text-secondary-900">
-                    {booking.fromPincode} → {booking.toPincode}
-                  </p>
-                </div>
-                
-                <div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <Clock className="h-4 w-4 text-secondary-500" />
-                    <span className="text-sm text-secondary-600">Duration</span>
-                  </div>
-                  <p className="font-medium text-secondary-900">
-                    {booking.estimatedRideDurationHours} hours
-                  </p>
-                </div>
-              </div>
-
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
-                <div>
-                  <span className="text-sm text-secondary-600">Start Time:</span>
-                  <p className="font-medium text-secondary-900">
-                    {formatDate(booking.startTime, 'PPpp')}
-                  </p>
-                </div>
-                
-                <div>
-                  <span className="text-sm text-secondary-600">End Time:</span>
-                  <p className="font-medium text-secondary-900">
-                    {formatDate(booking.endTime, 'PPpp')}
-                  </p>
-                </div>
-              </div>
-            </div>
-          </div>
-
-          {/* Timestamps */}
-          <div>
-            <h3 className="font-medium text-secondary-900 mb-3">Timestamps</h3>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
-              <div>
-                <span className="text-secondary-600">Created:</span>
-                <p className="font-medium text-secondary-900">
-                  {formatDate(booking.createdAt, 'PPpp')}
-                </p>
-              </div>
-              
-              <div>
-                <span className="text-secondary-600">Last Updated:</span>
-                <p className="font-medium text-secondary-900">
-                  {formatDate(booking.updatedAt, 'PPpp')}
-                </p>
-              </div>
-            </div>
-          </div>
-        </div>
-
-        {/* Modal Actions */}
-        <div className="flex justify-end space-x-3 p-6 border-t border-secondary-200">
-          {booking.status === 'confirmed' && (
-            <>
-              <select
-                onChange={(e) => {
-                  onStatusUpdate(booking.id, e.target.value);
-                  onClose();
-                }}
-                disabled={updating}
-                className="btn-secondary"
-                defaultValue=""
-              >
-                <option value="" disabled>Update Status</option>
-                <option value="in-progress">Mark In Progress</option>
-                <option value="completed">Mark Completed</option>
-              </select>
-              
-              <button
-                onClick={() => {
-                  onCancel(booking.id);
-                  onClose();
-                }}
-                disabled={updating}
-                className="btn-danger"
-              >
-                Cancel Booking
-              </button>
-            </>
-          )}
-          
-          <button
-            onClick={onClose}
-            className="btn-secondary"
-          >
-            Close
-          </button>
-        </div>
-      </div>
-    </div>
-  );
-};
+const ShipmentLink = ({ booking }) => (
+  <Link
+    to={`/shipments/${booking.shipmentId}`}
+    className="inline-flex items-center space-x-1 text-sm font-medium text-primary-600 hover:text-primary-700 mt-1"
+  >
+    <Layers className="h-3.5 w-3.5" />
+    <span>Split shipment {booking.shipmentId.slice(-8).toUpperCase()}</span>
+  </Link>
+);
 
 export default BookingHistory;
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * Edit Vehicle Page Component
+ * Form to correct an existing vehicle's details
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Edit, Save, ArrowLeft, AlertCircle, Archive, Loader2, Truck } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { validateForm } from '../utils/helpers';
+import {
+  VEHICLE_VALIDATION_RULES,
+  toVehicleFormData,
+  toVehiclePayload,
+  getServerFieldErrors
+} from '../utils/vehicles';
+import { vehicleAPI, getErrorMessage, isRequestCancelled } from '../services/api';
+import VehicleFormFields from '../components/VehicleFormFields';
+
+const EditVehicle = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [vehicle, setVehicle] = useState(null);
+  const [formData, setFormData] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [loadError, setLoadError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Load the vehicle into the form
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchVehicle = async () => {
+      setLoadError(null);
+
+      try {
+        // Edit the latest saved values, not a cached copy
+        const response = await vehicleAPI.getVehicleById(id, { signal: controller.signal, forceRefresh: true });
+
+        if (response.data.success) {
+          setVehicle(response.data.data);
+          setFormData(toVehicleFormData(response.data.data));
+        }
+      } catch (error) {
+        if (isRequestCancelled(error)) return;
+        console.error('Error fetching vehicle:', error);
+        setLoadError(error.response?.status === 404 ? 'Vehicle not found' : getErrorMessage(error));
+      }
+    };
+
+    fetchVehicle();
+    return () => controller.abort();
+  }, [id]);
+
+  /**
+   * Handle form input changes
+   */
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  /**
+   * Validate form and save
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validation = validateForm(formData, VEHICLE_VALIDATION_RULES);
+
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      toast.error('Please fix the errors in the form');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrors({});
+
+    try {
+      const response = await vehicleAPI.updateVehicle(id, toVehiclePayload(formData));
+
+      if (response.data.success) {
+        toast.success('Vehicle updated successfully!');
+        navigate(`/vehicles/${id}`);
+      }
+    } catch (error) {
+      console.error('Error updating vehicle:', error);
+      toast.error(getErrorMessage(error));
+
+      const serverErrors = getServerFieldErrors(error);
+      if (serverErrors) {
+        setErrors(serverErrors);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Put back the saved values
+   */
+  const handleReset = () => {
+    setFormData(toVehicleFormData(vehicle));
+    setErrors({});
+  };
+
+  if (loadError) {
+    return (
+      <div className="max-w-2xl mx-auto card text-center py-12">
+        <Truck className="h-16 w-16 text-secondary-300 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-secondary-700 mb-2">{loadError}</h3>
+        <Link to="/vehicles" className="btn-primary">Back to All Vehicles</Link>
+      </div>
+    );
+  }
+
+  if (!vehicle) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <Loader2 className="h-8 w-8 animate-spin text-primary-600" />
+        <span className="ml-3 text-secondary-600">Loading vehicle...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      {/* Header */}
+      <div className="mb-8">
+        <Link to={`/vehicles/${id}`} className="inline-flex items-center space-x-1 text-sm text-secondary-600 hover:text-primary-600 mb-4">
+          <ArrowLeft className="h-4 w-4" />
+          <span>Back to {vehicle.name}</span>
+        </Link>
+
+        <div className="flex items-center space-x-3">
+          <div className="bg-primary-100 p-3 rounded-lg">
+            <Edit className="h-6 w-6 text-primary-600" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-secondary-900">Edit Vehicle</h1>
+            <p className="text-secondary-600">Correct the details of {vehicle.name}</p>
+          </div>
+        </div>
+      </div>
+
+      {vehicle.archivedAt ? (
+        <div className="card bg-warning-50 border-warning-200">
+          <div className="flex items-center space-x-3">
+            <Archive className="h-6 w-6 text-warning-600" />
+            <div>
+              <h3 className="font-medium text-warning-800">This vehicle is archived</h3>
+              <p className="text-warning-700">Restore it from the vehicle page before editing.</p>
+            </div>
+          </div>
+        </div>
+      ) : (
+        <div className="card">
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <VehicleFormFields
+              formData={formData}
+              errors={errors}
+              onChange={handleInputChange}
+              disabled={isSubmitting}
+            />
+
+            <div className="flex items-start space-x-2 text-sm text-secondary-600">
+              <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+              <span>Changes apply to future searches; existing bookings keep the price they were quoted.</span>
+            </div>
+
+            {/* Form Actions */}
+            <div className="flex flex-col sm:flex-row space-y-3 sm:space-y-0 sm:space-x-4 pt-4">
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="btn-primary flex items-center justify-center space-x-2 flex-1"
+              >
+                {isSubmitting ? (
+                  <>
+                    <Loader2 className="h-4 w-4 animate-spin" />
+                    <span>Saving...</span>
+                  </>
+                ) : (
+                  <>
+                    <Save className="h-4 w-4" />
+                    <span>Save Changes</span>
+                  </>
+                )}
+              </button>
+
+              <button
+                type="button"
+                onClick={handleReset}
+                disabled={isSubmitting}
+                className="btn-secondary flex-1"
+              >
+                Discard Changes
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EditVehicle;
@@ -0,0 +1,212 @@
+/**
+ * Login Page Component
+ * Email/password sign-in that returns the user to the page they came from
+ */
+
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { LogIn, AlertCircle, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { validateForm } from '../utils/helpers';
+import { getErrorMessage } from '../services/api';
+import { isMockMode, isMockModeForced, setMockMode } from '../services/mockBackend';
+import { DEMO_USERS, DEMO_PASSWORD } from '../services/mockData';
+import useAuth from '../hooks/useAuth';
+
+const Login = () => {
+  const { login, isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const redirectTo = location.state?.from?.pathname || '/';
+
+  // Form state
+  const [formData, setFormData] = useState({ email: '', password: '' });
+
+  // UI state
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Form validation rules
+  const validationRules = {
+    email: {
+      required: true,
+      pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      message: 'Please enter a valid email address'
+    },
+    password: {
+      required: true,
+      minLength: 6
+    }
+  };
+
+  /**
+   * Handle form input changes
+   */
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  /**
+   * Validate and log in
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validation = validateForm(formData, validationRules);
+
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrors({});
+
+    try {
+      const user = await login(formData.email.trim(), formData.password);
+      toast.success(`Welcome back, ${user.name}!`);
+      navigate(redirectTo, { replace: true });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      toast.error(getErrorMessage(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Switch this browser between the API server and the mock backend
+   * The API client picks its adapter at load, so the page is reloaded
+   */
+  const handleSwitchMockMode = () => {
+    setMockMode(!isMockMode());
+    window.location.reload();
+  };
+
+  if (isAuthenticated) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  return (
+    <div className="max-w-md mx-auto">
+      {/* Header */}
+      <div className="mb-8 text-center">
+        <div className="bg-primary-100 p-3 rounded-lg inline-block mb-4">
+          <LogIn className="h-6 w-6 text-primary-600" />
+        </div>
+        <h1 className="text-3xl font-bold text-secondary-900">Log In</h1>
+        <p className="text-secondary-600">Sign in to book and manage vehicles</p>
+      </div>
+
+      {/* Login Form */}
+      <div className="card">
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label htmlFor="email" className="form-label">
+              Email *
+            </label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              autoComplete="username"
+              value={formData.email}
+              onChange={handleInputChange}
+              className={`form-input ${errors.email ? 'border-danger-500 focus:border-danger-500 focus:ring-danger-500' : ''}`}
+              placeholder="you@company.com"
+              disabled={isSubmitting}
+            />
+            {errors.email && (
+              <div className="flex items-center space-x-1 form-error">
+                <AlertCircle className="h-4 w-4" />
+                <span>{errors.email}</span>
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="password" className="form-label">
+              Password *
+            </label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              autoComplete="current-password"
+              value={formData.password}
+              onChange={handleInputChange}
+              className={`form-input ${errors.password ? 'border-danger-500 focus:border-danger-500 focus:ring-danger-500' : ''}`}
+              placeholder="Enter your password"
+              disabled={isSubmitting}
+            />
+            {errors.password && (
+              <div className="flex items-center space-x-1 form-error">
+                <AlertCircle className="h-4 w-4" />
+                <span>{errors.password}</span>
+              </div>
+            )}
+          </div>
+
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="btn-primary w-full flex items-center justify-center space-x-2"
+          >
+            {isSubmitting ? (
+              <>
+                <Loader2 className="h-4 w-4 animate-spin" />
+                <span>Logging In...</span>
+              </>
+            ) : (
+              <>
+                <LogIn className="h-4 w-4" />
+                <span>Log In</span>
+              </>
+            )}
+          </button>
+        </form>
+      </div>
+
+      {/* Demo Accounts */}
+      {isMockMode() && (
+        <div className="mt-8 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+          <h3 className="font-medium text-blue-900 mb-2">💡 Demo accounts (password: {DEMO_PASSWORD})</h3>
+          <ul className="text-sm text-blue-700 space-y-1">
+            {DEMO_USERS.map(user => (
+              <li key={user.email}>
+                <button
+                  type="button"
+                  onClick={() => setFormData({ email: user.email, password: DEMO_PASSWORD })}
+                  className="hover:underline"
+                >
+                  • {user.email} ({user.name})
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Switch between the API server and demo data, unless the build decides */}
+      {!isMockModeForced() && (
+        <p className="mt-4 text-center text-sm text-secondary-600">
+          {isMockMode() ? 'Using demo data in this browser. ' : 'No API server to sign in to? '}
+          <button type="button" onClick={handleSwitchMockMode} className="font-medium text-primary-600 hover:underline">
+            {isMockMode() ? 'Use the API server' : 'Try it with demo data'}
+          </button>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,557 @@
+/**
+ * Pricing Settings Page Component
+ * Edit the rate cards, surcharges and GST used to price bookings
+ */
+
+import React, { useState, useEffect } from 'react';
+import { IndianRupee, AlertCircle, Loader2, Save, RotateCcw, Plus, X, Calculator } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { pricingAPI, getErrorMessage, isRequestCancelled } from '../services/api';
+import {
+  DEFAULT_PRICING_SETTINGS,
+  RATE_CARD_FIELDS,
+  calculateQuote,
+  validatePricingSettings,
+  getUpcomingHolidays,
+} from '../utils/pricing';
+import { estimateTravelHours } from '../utils/geo';
+import { formatDate, getMinBookingDateTime } from '../utils/helpers';
+import QuoteBreakdown from '../components/QuoteBreakdown';
+
+/**
+ * Convert the (string valued) form state into pricing settings
+ * @param {Object} form - Form state
+ * @returns {Object} Pricing settings
+ */
+const toSettings = (form) => {
+  const toNumber = (value) => (value === '' ? NaN : Number(value));
+
+  return {
+    rateCards: form.rateCards.map(card => ({
+      ...card,
+      name: card.name.trim(),
+      maxCapacityKg: card.maxCapacityKg === '' ? null : toNumber(card.maxCapacityKg),
+      ...Object.fromEntries(RATE_CARD_FIELDS.map(({ key }) => [key, toNumber(card[key])])),
+    })),
+    surcharges: {
+      nightPercent: toNumber(form.surcharges.nightPercent),
+      nightStartHour: toNumber(form.surcharges.nightStartHour),
+      nightEndHour: toNumber(form.surcharges.nightEndHour),
+      holidayPercent: toNumber(form.surcharges.holidayPercent),
+      holidays: [...form.surcharges.holidays].sort(),
+    },
+    gstPercent: toNumber(form.gstPercent),
+  };
+};
+
+/**
+ * Convert pricing settings into form state
+ * @param {Object} settings - Pricing settings
+ * @returns {Object} Form state
+ */
+const toForm = (settings) => ({
+  rateCards: settings.rateCards.map(card => ({
+    ...card,
+    maxCapacityKg: card.maxCapacityKg ?? '',
+  })),
+  surcharges: { ...settings.surcharges, holidays: [...settings.surcharges.holidays] },
+  gstPercent: settings.gstPercent,
+});
+
+const PricingSettings = () => {
+  const [form, setForm] = useState(() => toForm(DEFAULT_PRICING_SETTINGS));
+  const [savedSettings, setSavedSettings] = useState(null);
+  const [newHoliday, setNewHoliday] = useState('');
+  const [sampleTrip, setSampleTrip] = useState({ capacityKg: '5000', distanceKm: '150', startTime: getMinBookingDateTime() });
+
+  // UI state
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    pricingAPI.getSettings({ signal: controller.signal, forceRefresh: true })
+      .then(response => {
+        if (response.data.success) {
+          setSavedSettings(response.data.data);
+          setForm(toForm(response.data.data));
+        }
+      })
+      .catch(error => {
+        if (isRequestCancelled(error)) return;
+        console.error('Error loading pricing settings:', error);
+        setError(getErrorMessage(error));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  const clearError = (path) => {
+    if (errors[path]) {
+      setErrors(prev => ({ ...prev, [path]: '' }));
+    }
+  };
+
+  /**
+   * Update a field of a rate card
+   */
+  const handleRateCardChange = (index, key, value) => {
+    clearError(`rateCards.${index}.${key}`);
+    setForm(prev => ({
+      ...prev,
+      rateCards: prev.rateCards.map((card, i) => (i === index ? { ...card, [key]: value } : card)),
+    }));
+  };
+
+  /**
+   * Update a surcharge field
+   */
+  const handleSurchargeChange = (e) => {
+    const { name, value } = e.target;
+    clearError(`surcharges.${name}`);
+    setForm(prev => ({ ...prev, surcharges: { ...prev.surcharges, [name]: value } }));
+  };
+
+  const handleAddHoliday = () => {
+    if (!newHoliday || form.surcharges.holidays.includes(newHoliday)) return;
+    clearError('surcharges.holidays');
+    setForm(prev => ({
+      ...prev,
+      surcharges: { ...prev.surcharges, holidays: [...prev.surcharges.holidays, newHoliday].sort() },
+    }));
+    setNewHoliday('');
+  };
+
+  const handleRemoveHoliday = (date) => {
+    setForm(prev => ({
+      ...prev,
+      surcharges: { ...prev.surcharges, holidays: prev.surcharges.holidays.filter(d => d !== date) },
+    }));
+  };
+
+  /**
+   * Validate and save the settings
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const settings = toSettings(form);
+    const validationErrors = validatePricingSettings(settings);
+
+    if (validationErrors.length > 0) {
+      setErrors(Object.fromEntries(validationErrors.map(err => [err.path, err.message])));
+      toast.error('Please fix the errors in the pricing settings');
+      return;
+    }
+
+    setIsSaving(true);
+    setErrors({});
+
+    try {
+      const response = await pricingAPI.updateSettings(settings);
+
+      if (response.data.success) {
+        setSavedSettings(response.data.data);
+        setForm(toForm(response.data.data));
+        toast.success('Pricing settings saved');
+      }
+    } catch (error) {
+      console.error('Error saving pricing settings:', error);
+      toast.error(getErrorMessage(error));
+
+      if (error.response?.data?.error?.details?.validationErrors) {
+        const serverErrors = {};
+        error.response.data.error.details.validationErrors.forEach(err => {
+          serverErrors[err.path] = err.message;
+        });
+        setErrors(serverErrors);
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Load the built-in defaults into the form (not saved until submitted)
+   */
+  const handleResetToDefaults = () => {
+    setForm(toForm(DEFAULT_PRICING_SETTINGS));
+    setErrors({});
+  };
+
+  const handleDiscard = () => {
+    if (savedSettings) {
+      setForm(toForm(savedSettings));
+      setErrors({});
+    }
+  };
+
+  // Quote a sample trip with the unsaved settings so changes can be checked before saving
+  const draftSettings = toSettings(form);
+  const sampleCapacity = Number(sampleTrip.capacityKg);
+  const sampleDistance = Number(sampleTrip.distanceKm);
+  const sampleQuote = validatePricingSettings(draftSettings).length === 0 && sampleCapacity > 0 && sampleDistance >= 0
+    ? calculateQuote({
+      vehicle: { capacityKg: sampleCapacity },
+      distanceKm: sampleDistance,
+      durationHours: estimateTravelHours(sampleDistance),
+      startTime: sampleTrip.startTime,
+    }, draftSettings)
+    : null;
+
+  // Past dates no longer do anything; with none to come, the holiday surcharge never applies
+  const upcomingHolidays = getUpcomingHolidays(form.surcharges);
+
+  const fieldError = (path) => errors[path] && (
+    <div className="flex items-center space-x-1 form-error">
+      <AlertCircle className="h-4 w-4" />
+      <span>{errors[path]}</span>
+    </div>
+  );
+
+  const inputClass = (path) => `form-input ${errors[path] ? 'border-danger-500 focus:border-danger-500 focus:ring-danger-500' : ''}`;
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      {/* Header */}
+      <div className="flex items-center space-x-3">
+        <div className="bg-primary-100 p-3 rounded-lg">
+          <IndianRupee className="h-6 w-6 text-primary-600" />
+        </div>
+        <div>
+          <h1 className="text-3xl font-bold text-secondary-900">Pricing Settings</h1>
+          <p className="text-secondary-600">
+            {savedSettings?.updatedAt
+              ? `Rate cards used for every quote · last updated ${formatDate(savedSettings.updatedAt, 'PP p')}`
+              : 'Rate cards used for every quote'}
+          </p>
+        </div>
+      </div>
+
+      {/* Loading State */}
+      {loading && (
+        <div className="flex justify-center items-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-primary-600" />
+          <span className="ml-3 text-secondary-600">Loading pricing settings...</span>
+        </div>
+      )}
+
+      {/* Error State */}
+      {error && (
+        <div className="card bg-danger-50 border-danger-200">
+          <div className="flex items-center space-x-3">
+            <AlertCircle className="h-6 w-6 text-danger-600" />
+            <div>
+              <h3 className="font-medium text-danger-800">Error Loading Pricing Settings</h3>
+              <p className="text-danger-600">{error}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {!loading && !error && (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          {/* Rate Cards */}
+          <div className="card">
+            <h2 className="text-lg font-medium text-secondary-900 mb-1">Rate Cards</h2>
+            <p className="text-sm text-secondary-500 mb-4">
+              Each vehicle is priced with the first card its capacity fits. Leave the capacity limit empty for the card that covers everything larger.
+            </p>
+            {fieldError('rateCards')}
+
+            <div className="space-y-4">
+              {form.rateCards.map((card, index) => (
+                <div key={card.id} className="border border-secondary-200 rounded-lg p-4">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                    <div>
+                      <label htmlFor={`card-${index}-name`} className="form-label">Name</label>
+                      <input
+                        type="text"
+                        id={`card-${index}-name`}
+                        value={card.name}
+                        onChange={(e) => handleRateCardChange(index, 'name', e.target.value)}
+                        className={inputClass(`rateCards.${index}.name`)}
+                        disabled={isSaving}
+                      />
+                      {fieldError(`rateCards.${index}.name`)}
+                    </div>
+                    <div>
+                      <label htmlFor={`card-${index}-maxCapacityKg`} className="form-label">Capacity limit (kg)</label>
+                      <input
+                        type="number"
+                        id={`card-${index}-maxCapacityKg`}
+                        value={card.maxCapacityKg}
+                        onChange={(e) => handleRateCardChange(index, 'maxCapacityKg', e.target.value)}
+                        className={inputClass(`rateCards.${index}.maxCapacityKg`)}
+                        placeholder="No limit"
+                        min="1"
+                        disabled={isSaving}
+                      />
+                      {fieldError(`rateCards.${index}.maxCapacityKg`)}
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                    {RATE_CARD_FIELDS.map(({ key, label }) => (
+                      <div key={key}>
+                        <label htmlFor={`card-${index}-${key}`} className="form-label">{label}</label>
+                        <input
+                          type="number"
+                          id={`card-${index}-${key}`}
+                          value={card[key]}
+                          onChange={(e) => handleRateCardChange(index, key, e.target.value)}
+                          className={inputClass(`rateCards.${index}.${key}`)}
+                          min="0"
+                          step="any"
+                          disabled={isSaving}
+                        />
+                        {fieldError(`rateCards.${index}.${key}`)}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Surcharges */}
+            <div className="card space-y-4">
+              <h2 className="text-lg font-medium text-secondary-900">Surcharges &amp; Tax</h2>
+
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <label htmlFor="nightPercent" className="form-label">Night (%)</label>
+                  <input
+                    type="number"
+                    id="nightPercent"
+                    name="nightPercent"
+                    value={form.surcharges.nightPercent}
+                    onChange={handleSurchargeChange}
+                    className={inputClass('surcharges.nightPercent')}
+                    min="0"
+                    max="100"
+                    step="any"
+                    disabled={isSaving}
+                  />
+                  {fieldError('surcharges.nightPercent')}
+                </div>
+                <div>
+                  <label htmlFor="nightStartHour" className="form-label">From (hour)</label>
+                  <input
+                    type="number"
+                    id="nightStartHour"
+                    name="nightStartHour"
+                    value={form.surcharges.nightStartHour}
+                    onChange={handleSurchargeChange}
+                    className={inputClass('surcharges.nightStartHour')}
+                    min="0"
+                    max="23"
+                    disabled={isSaving}
+                  />
+                  {fieldError('surcharges.nightStartHour')}
+                </div>
+                <div>
+                  <label htmlFor="nightEndHour" className="form-label">Until (hour)</label>
+                  <input
+                    type="number"
+                    id="nightEndHour"
+                    name="nightEndHour"
+                    value={form.surcharges.nightEndHour}
+                    onChange={handleSurchargeChange}
+                    className={inputClass('surcharges.nightEndHour')}
+                    min="0"
+                    max="23"
+                    disabled={isSaving}
+                  />
+                  {fieldError('surcharges.nightEndHour')}
+                </div>
+              </div>
+              <p className="text-xs text-secondary-500">Applies to trips starting inside the night window.</p>
+
+              <div>
+                <label htmlFor="holidayPercent" className="form-label">Holiday (%)</label>
+                <input
+                  type="number"
+                  id="holidayPercent"
+                  name="holidayPercent"
+                  value={form.surcharges.holidayPercent}
+                  onChange={handleSurchargeChange}
+                  className={inputClass('surcharges.holidayPercent')}
+                  min="0"
+                  max="100"
+                  step="any"
+                  disabled={isSaving}
+                />
+                {fieldError('surcharges.holidayPercent')}
+              </div>
+
+              <div>
+                <label htmlFor="newHoliday" className="form-label">Holidays</label>
+                <div className="flex space-x-2">
+                  <input
+                    type="date"
+                    id="newHoliday"
+                    value={newHoliday}
+                    onChange={(e) => setNewHoliday(e.target.value)}
+                    className="form-input"
+                    disabled={isSaving}
+                  />
+                  <button
+                    type="button"
+                    onClick={handleAddHoliday}
+                    disabled={!newHoliday || isSaving}
+                    className="btn-secondary flex items-center space-x-1"
+                  >
+                    <Plus className="h-4 w-4" />
+                    <span>Add</span>
+                  </button>
+                </div>
+                {fieldError('surcharges.holidays')}
+                {upcomingHolidays.length === 0 && Number(form.surcharges.holidayPercent) > 0 && (
+                  <div className="flex items-center space-x-1 mt-2 text-sm text-warning-700">
+                    <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                    <span>No upcoming holidays - the holiday surcharge won't apply until you add some</span>
+                  </div>
+                )}
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {form.surcharges.holidays.length === 0 && (
+                    <span className="text-sm text-secondary-500">No holidays configured</span>
+                  )}
+                  {form.surcharges.holidays.map(date => (
+                    <span key={date} className="badge badge-secondary flex items-center space-x-1">
+                      <span className={upcomingHolidays.includes(date) ? '' : 'line-through opacity-60'}>{formatDate(date, 'PP')}</span>
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveHoliday(date)}
+                        disabled={isSaving}
+                        aria-label={`Remove ${date}`}
+                      >
+                        <X className="h-3 w-3" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label htmlFor="gstPercent" className="form-label">GST (%)</label>
+                <input
+                  type="number"
+                  id="gstPercent"
+                  value={form.gstPercent}
+                  onChange={(e) => {
+                    clearError('gstPercent');
+                    setForm(prev => ({ ...prev, gstPercent: e.target.value }));
+                  }}
+                  className={inputClass('gstPercent')}
+                  min="0"
+                  max="100"
+                  step="any"
+                  disabled={isSaving}
+                />
+                {fieldError('gstPercent')}
+              </div>
+            </div>
+
+            {/* Sample Quote */}
+            <div className="card space-y-4">
+              <div className="flex items-center space-x-2">
+                <Calculator className="h-5 w-5 text-secondary-600" />
+                <h2 className="text-lg font-medium text-secondary-900">Sample Quote</h2>
+              </div>
+              <p className="text-sm text-secondary-500">Preview of the unsaved settings for an example trip.</p>
+
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <label htmlFor="sampleCapacity" className="form-label">Vehicle (kg)</label>
+                  <input
+                    type="number"
+                    id="sampleCapacity"
+                    value={sampleTrip.capacityKg}
+                    onChange={(e) => setSampleTrip(prev => ({ ...prev, capacityKg: e.target.value }))}
+                    className="form-input"
+                    min="1"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="sampleDistance" className="form-label">Distance (km)</label>
+                  <input
+                    type="number"
+                    id="sampleDistance"
+                    value={sampleTrip.distanceKm}
+                    onChange={(e) => setSampleTrip(prev => ({ ...prev, distanceKm: e.target.value }))}
+                    className="form-input"
+                    min="0"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="sampleStart" className="form-label">Start</label>
+                  <input
+                    type="datetime-local"
+                    id="sampleStart"
+                    value={sampleTrip.startTime}
+                    onChange={(e) => setSampleTrip(prev => ({ ...prev, startTime: e.target.value }))}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+
+              {sampleQuote ? (
+                <QuoteBreakdown quote={sampleQuote} />
+              ) : (
+                <p className="text-sm text-secondary-500">Fix the highlighted settings to see a quote.</p>
+              )}
+            </div>
+          </div>
+
+          {/* Actions */}
+          <div className="flex flex-col sm:flex-row justify-end space-y-3 sm:space-y-0 sm:space-x-4">
+            <button
+              type="button"
+              onClick={handleResetToDefaults}
+              disabled={isSaving}
+              className="btn-secondary flex items-center justify-center space-x-2"
+            >
+              <RotateCcw className="h-4 w-4" />
+              <span>Load Defaults</span>
+            </button>
+            <button
+              type="button"
+              onClick={handleDiscard}
+              disabled={isSaving || !savedSettings}
+              className="btn-secondary"
+            >
+              Discard Changes
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="btn-primary flex items-center justify-center space-x-2"
+            >
+              {isSaving ? (
+                <>
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                  <span>Saving...</span>
+                </>
+              ) : (
+                <>
+                  <Save className="h-4 w-4" />
+                  <span>Save Settings</span>
+                </>
+              )}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default PricingSettings;
@@ -3,38 +3,97 @@
  * Comprehensive vehicle search and booking system with enhanced features
  */
 
-import React, { useState, useEffect } from 'react';
-import { Search, Calendar, MapPin, Truck, Clock, CheckCircle2, AlertCircle, Loader2, Star, Info } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Search, Calendar, MapPin, Truck, Clock, CheckCircle2, AlertCircle, Loader2, Star, Info, Layers } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { vehicleAPI, bookingAPI } from '../services/api';
+import { vehicleAPI, bookingAPI, holdAPI, shipmentAPI, pricingAPI, getErrorMessage, isRequestCancelled } from '../services/api';
+import { getIdempotencyKey, clearIdempotencyKey } from '../services/idempotency';
+import { REALTIME_EVENTS, getBookingVehicleId } from '../services/realtime';
+import { getCustomerId } from '../services/auth';
+import useRealtimeEvents from '../hooks/useRealtimeEvents';
+import useAuth from '../hooks/useAuth';
 import { 
   validateForm, 
   formatCapacity, 
   formatDate, 
   getMinBookingDateTime, 
+  formatDateForInput,
   getVehicleType,
   formatCurrency,
-  calculateRideDuration
+  isValidPincode
 } from '../utils/helpers';
+import { estimateRoute, formatPlaceName, getPincodeError } from '../utils/geo';
+import { calculateQuote, DEFAULT_PRICING_SETTINGS } from '../utils/pricing';
+import { BODY_TYPES, FUEL_TYPES, getOptionLabel, formatRegistrationNumber, formatVolume } from '../utils/vehicles';
+import { CARGO_VALIDATION_RULES, EMPTY_CARGO_FORM, toCargoParams } from '../utils/cargo';
+import { MAX_SPLIT_CAPACITY_KG } from '../utils/shipments';
+import QuoteBreakdown from '../components/QuoteBreakdown';
+import PincodeAutocomplete from '../components/PincodeAutocomplete';
+import VehicleLink from '../components/VehicleLink';
+import CargoDetailsFields from '../components/CargoDetailsFields';
+import SplitShipmentOptions from '../components/SplitShipmentOptions';
+import AlternativeStartTimes from '../components/AlternativeStartTimes';
+import JoinWaitlist from '../components/JoinWaitlist';
+import BookingCheckout from '../components/BookingCheckout';
+import ShipmentConfirmDialog from '../components/ShipmentConfirmDialog';
+import { getRecentLocations, addRecentLocations } from '../services/recentLocations';
+
+const SEARCH_MODES = [
+  { value: 'single', label: 'Single Vehicle', icon: Truck },
+  { value: 'split', label: 'Split Shipment', icon: Layers },
+];
+
+const MAX_SINGLE_CAPACITY_KG = 50000;
 
 const SearchBooking = () => {
-  // Search form state
+  const { user, isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Search form state (capacity can be prefilled from a vehicle's page)
   const [searchData, setSearchData] = useState({
-    capacityRequired: '',
+    capacityRequired: location.state?.capacityRequired || '',
     fromPincode: '',
     toPincode: '',
-    startTime: getMinBookingDateTime()
+    startTime: getMinBookingDateTime(),
+    ...EMPTY_CARGO_FORM
   });
   
   // UI state
+  const [searchMode, setSearchMode] = useState('single');
   const [searchErrors, setSearchErrors] = useState({});
   const [isSearching, setIsSearching] = useState(false);
   const [availableVehicles, setAvailableVehicles] = useState([]);
+  // Split mode results: { options, singleVehicleAvailable }
+  const [splitResults, setSplitResults] = useState(null);
+  const [bookingOptionIndex, setBookingOptionIndex] = useState(null);
+  // Split option under review before it's booked: { option, index, shipmentData }
+  const [confirmingShipment, setConfirmingShipment] = useState(null);
+  // Nearby start times offered when a search finds nothing (null until looked up)
+  const [alternativeStarts, setAlternativeStarts] = useState(null);
+  const [loadingAlternatives, setLoadingAlternatives] = useState(false);
+  const alternativesControllerRef = useRef(null);
+  // Parameters of the last single-vehicle search that found nothing, for joining the waitlist
+  const [unmetSearch, setUnmetSearch] = useState(null);
   const [hasSearched, setHasSearched] = useState(false);
+  // Start time the shown results were searched for; the form may have been edited since
+  const [searchedStartTime, setSearchedStartTime] = useState(null);
   const [isBooking, setIsBooking] = useState(false);
   const [bookingVehicleId, setBookingVehicleId] = useState(null);
   const [selectedVehicle, setSelectedVehicle] = useState(null);
-  const [estimatedDuration, setEstimatedDuration] = useState(0);
+  // Vehicle held while the booking is checked out: { vehicle, hold, bookingData, quote }
+  const [checkout, setCheckout] = useState(null);
+  const [isRenewingHold, setIsRenewingHold] = useState(false);
+  const checkoutRef = useRef(null);
+  checkoutRef.current = checkout;
+  // vehicleId -> { reason, bookingId } for results taken since the search ran
+  const [takenVehicles, setTakenVehicles] = useState({});
+  const [pricingSettings, setPricingSettings] = useState(DEFAULT_PRICING_SETTINGS);
+  const [recentPincodes, setRecentPincodes] = useState(() => getRecentLocations(user?.id));
+
+  // A split shipment can be heavier than any one vehicle carries
+  const maxCapacityKg = searchMode === 'split' ? MAX_SPLIT_CAPACITY_KG : MAX_SINGLE_CAPACITY_KG;
 
   // Search validation rules
   const searchValidationRules = {
@@ -42,18 +101,20 @@ const SearchBooking = () => {
       required: true,
       type: 'number',
       min: 1,
-      max: 50000,
-      message: 'Required capacity must be between 1-50,000 kg'
+      max: maxCapacityKg,
+      message: `Required capacity must be between 1-${maxCapacityKg.toLocaleString('en-IN')} kg`
     },
     fromPincode: {
       required: true,
       pattern: /^\d{6}$/,
-      message: 'From pincode must be exactly 6 digits'
+      message: 'Enter a 6 digit pincode or pick a pickup location from the list',
+      validate: getPincodeError
     },
     toPincode: {
       required: true,
       pattern: /^\d{6}$/,
-      message: 'To pincode must be exactly 6 digits'
+      message: 'Enter a 6 digit pincode or pick a destination from the list',
+      validate: getPincodeError
     },
     startTime: {
       required: true,
@@ -67,16 +128,129 @@ const SearchBooking = () => {
         }
         return null;
       }
-    }
+    },
+    ...CARGO_VALIDATION_RULES
   };
 
-  // Update estimated duration when pincodes change
+  // Load the current rate cards so quotes match what the server will charge
   useEffect(() => {
-    if (searchData.fromPincode && searchData.toPincode) {
-      const duration = calculateRideDuration(searchData.fromPincode, searchData.toPincode);
-      setEstimatedDuration(duration);
+    const controller = new AbortController();
+
+    pricingAPI.getSettings({ signal: controller.signal })
+      .then(response => {
+        if (response.data.success) {
+          setPricingSettings(response.data.data);
+        }
+      })
+      .catch(error => {
+        if (!isRequestCancelled(error)) {
+          console.error('Error loading pricing settings:', error);
+        }
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  // Don't keep a vehicle held after leaving the page mid-checkout
+  useEffect(() => {
+    return () => {
+      if (checkoutRef.current) {
+        holdAPI.releaseHold(checkoutRef.current.hold.id).catch(error => console.error('Error releasing hold:', error));
+      }
+    };
+  }, []);
+
+  // Distance and duration for the entered route
+  const route = isValidPincode(searchData.fromPincode) && isValidPincode(searchData.toPincode)
+    ? estimateRoute(searchData.fromPincode.trim(), searchData.toPincode.trim())
+    : null;
+
+  /**
+   * Check whether a booking or hold overlaps the searched time window for a vehicle
+   */
+  const overlapsSearchWindow = (booking, vehicle) => {
+    const start = new Date(searchedStartTime);
+    const end = new Date(start.getTime() + vehicle.estimatedRideDurationHours * 60 * 60 * 1000);
+    return new Date(booking.startTime) < end && new Date(booking.endTime) > start;
+  };
+
+  /**
+   * Mark a result as taken, warning the user if it was the one they were looking at
+   */
+  const markVehicleTaken = (vehicle, details) => {
+    setTakenVehicles(prev => ({ ...prev, [vehicle.id]: details }));
+
+    if (selectedVehicle?.id === vehicle.id && bookingVehicleId !== vehicle.id) {
+      toast.error(`${vehicle.name} is no longer available`);
+    }
+  };
+
+  const releaseVehicle = (vehicleId, isReleasable) => {
+    setTakenVehicles(prev => {
+      if (!prev[vehicleId] || !isReleasable(prev[vehicleId])) return prev;
+      const { [vehicleId]: _released, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  // Every vehicle on screen, whether listed on its own or as part of a split option
+  const resultVehicles = searchMode === 'split'
+    ? (splitResults?.options || []).flatMap(option => option.vehicles)
+    : availableVehicles;
+
+  // Grey out results that other dispatchers take while this page is open
+  useRealtimeEvents((event) => {
+    if (!hasSearched) return;
+    const { data } = event;
+
+    switch (event.type) {
+      case REALTIME_EVENTS.BOOKING_CREATED: {
+        const vehicle = resultVehicles.find(v => v.id === getBookingVehicleId(data));
+        if (vehicle && overlapsSearchWindow(data, vehicle)) {
+          markVehicleTaken(vehicle, { reason: 'Just booked', bookingId: data.id });
+        }
+        break;
+      }
+      case REALTIME_EVENTS.BOOKING_CANCELLED:
+        releaseVehicle(getBookingVehicleId(data), taken => taken.bookingId === data.id);
+        break;
+      case REALTIME_EVENTS.BOOKING_MODIFIED: {
+        // The booking may have moved off the vehicle it took, onto another, or both
+        setTakenVehicles(prev => Object.fromEntries(
+          Object.entries(prev).filter(([, taken]) => taken.bookingId !== data.id)
+        ));
+        const vehicle = resultVehicles.find(v => v.id === getBookingVehicleId(data));
+        if (vehicle && overlapsSearchWindow(data, vehicle)) {
+          markVehicleTaken(vehicle, { reason: 'Just booked', bookingId: data.id });
+        }
+        break;
+      }
+      case REALTIME_EVENTS.HOLD_CREATED: {
+        // The user's own holds are their checkout, not someone taking the vehicle
+        if (data.userId === user?.id) break;
+        const vehicle = resultVehicles.find(v => v.id === data.vehicleId);
+        if (vehicle && overlapsSearchWindow(data, vehicle)) {
+          markVehicleTaken(vehicle, { reason: 'Being booked', holdId: data.id });
+        }
+        break;
+      }
+      case REALTIME_EVENTS.HOLD_RELEASED:
+        releaseVehicle(data.vehicleId, taken => taken.holdId === data.id);
+        break;
+      case REALTIME_EVENTS.VEHICLE_STATUS_CHANGED: {
+        const vehicle = resultVehicles.find(v => v.id === data.id);
+        if (!vehicle) break;
+        if (data.status === 'active') {
+          releaseVehicle(vehicle.id, taken => !taken.bookingId && !taken.holdId);
+        } else {
+          markVehicleTaken(vehicle, { reason: `Now ${data.status}` });
+        }
+        break;
+      }
+      default:
+        break;
     }
-  }, [searchData.fromPincode, searchData.toPincode]);
+  });
 
   /**
    * Handle search form input changes
@@ -92,6 +266,8 @@ const SearchBooking = () => {
     // Clear results when search criteria changes
     if (hasSearched) {
       setAvailableVehicles([]);
+      setSplitResults(null);
+      setAlternativeStarts(null);
       setHasSearched(false);
     }
     
@@ -102,13 +278,41 @@ const SearchBooking = () => {
   };
 
   /**
-   * Search for available vehicles
+   * Handle a pincode picked or typed in an autocomplete field
+   */
+  const handlePincodeChange = (name) => (value) => {
+    handleSearchInputChange({ target: { name, value } });
+  };
+
+  /**
+   * Handle cargo handling requirements being ticked or cleared
    */
-  const handleSearch = async (e) => {
+  const handleRequirementsChange = (requirements) => {
+    handleSearchInputChange({ target: { name: 'requirements', value: requirements } });
+  };
+
+  /**
+   * Switch between booking one vehicle and splitting the load across several
+   */
+  const handleModeChange = (mode) => {
+    setSearchMode(mode);
+    setSearchErrors({});
+    setAvailableVehicles([]);
+    setSplitResults(null);
+    setAlternativeStarts(null);
+    setHasSearched(false);
+    setSelectedVehicle(null);
+    setTakenVehicles({});
+  };
+
+  /**
+   * Search for available vehicles, or for groups of vehicles in split mode
+   */
+  const handleSearch = async (e, mode = searchMode, criteria = searchData) => {
     e.preventDefault();
     
     // Validate search form
-    const validation = validateForm(searchData, searchValidationRules);
+    const validation = validateForm(criteria, searchValidationRules);
     
     if (!validation.isValid) {
       setSearchErrors(validation.errors);
@@ -117,7 +321,7 @@ const SearchBooking = () => {
     }
     
     // Additional validation: check if from and to pincodes are different
-    if (searchData.fromPincode === searchData.toPincode) {
+    if (criteria.fromPincode === criteria.toPincode) {
       setSearchErrors({ toPincode: 'Destination must be different from pickup location' });
       toast.error('Pickup and destination locations must be different');
       return;
@@ -126,23 +330,50 @@ const SearchBooking = () => {
     setIsSearching(true);
     setSearchErrors({});
     setAvailableVehicles([]);
+    setSplitResults(null);
+    setTakenVehicles({});
+    alternativesControllerRef.current?.abort();
+    setAlternativeStarts(null);
+    setUnmetSearch(null);
     
     try {
       const searchParams = {
-        capacityRequired: parseInt(searchData.capacityRequired),
-        fromPincode: searchData.fromPincode.trim(),
-        toPincode: searchData.toPincode.trim(),
-        startTime: new Date(searchData.startTime).toISOString()
+        capacityRequired: parseInt(criteria.capacityRequired),
+        fromPincode: criteria.fromPincode.trim(),
+        toPincode: criteria.toPincode.trim(),
+        startTime: new Date(criteria.startTime).toISOString(),
+        ...toCargoParams(criteria)
       };
+      setSearchedStartTime(searchParams.startTime);
       
+      if (mode === 'split') {
+        const response = await vehicleAPI.getSplitOptions(searchParams);
+
+        if (response.data.success) {
+          setSplitResults(response.data.data);
+          setHasSearched(true);
+          setRecentPincodes(addRecentLocations(user?.id, [searchParams.fromPincode, searchParams.toPincode]));
+
+          if (response.data.data.options.length === 0) {
+            toast.error('No combination of available vehicles can carry this load');
+          } else {
+            toast.success(`Found ${response.data.data.options.length} way(s) to split the load`);
+          }
+        }
+        return;
+      }
+
       const response = await vehicleAPI.getAvailableVehicles(searchParams);
       
       if (response.data.success) {
         setAvailableVehicles(response.data.data);
         setHasSearched(true);
+        setRecentPincodes(addRecentLocations(user?.id, [searchParams.fromPincode, searchParams.toPincode]));
         
         if (response.data.data.length === 0) {
-          toast.info('No vehicles available for the selected criteria');
+          toast('No vehicles available at this time - looking for nearby slots');
+          setUnmetSearch(searchParams);
+          fetchAlternativeStarts(searchParams);
         } else {
           toast.success(`Found ${response.data.data.length} available vehicle(s)`);
         }
@@ -157,6 +388,39 @@ const SearchBooking = () => {
     }
   };
 
+  /**
+   * Look up nearby start times with suitable vehicles free
+   */
+  const fetchAlternativeStarts = async (searchParams) => {
+    const controller = new AbortController();
+    alternativesControllerRef.current = controller;
+    setLoadingAlternatives(true);
+
+    try {
+      const response = await vehicleAPI.getAlternativeStartTimes(searchParams, { signal: controller.signal });
+      if (response.data.success) {
+        setAlternativeStarts(response.data.data);
+      }
+    } catch (error) {
+      if (!isRequestCancelled(error)) {
+        console.error('Error finding alternative start times:', error);
+      }
+    } finally {
+      if (alternativesControllerRef.current === controller) {
+        setLoadingAlternatives(false);
+      }
+    }
+  };
+
+  /**
+   * Rerun the search at a suggested start time
+   */
+  const handleAlternativeStartSelect = (startTime) => {
+    const criteria = { ...searchData, startTime: formatDateForInput(new Date(startTime)) };
+    setSearchData(criteria);
+    handleSearch({ preventDefault: () => {} }, 'single', criteria);
+  };
+
   /**
    * Handle vehicle selection for booking preview
    */
@@ -165,62 +429,47 @@ const SearchBooking = () => {
   };
 
   /**
-   * Handle vehicle booking
+   * Hold a vehicle and open the checkout
    */
   const handleBookVehicle = async (vehicle) => {
-    // Show booking confirmation
-    if (!confirm(`Confirm booking for ${vehicle.name}?\n\nRoute: ${searchData.fromPincode} → ${searchData.toPincode}\nDuration: ${vehicle.estimatedRideDurationHours} hours\nEstimated Cost: ${formatCurrency(calculateBookingCost(vehicle))}`)) {
+    if (!isAuthenticated) {
+      toast.error('Please log in to book a vehicle');
+      navigate('/login', { state: { from: location } });
       return;
     }
 
     setIsBooking(true);
     setBookingVehicleId(vehicle.id);
     
+    const bookingData = {
+      vehicleId: vehicle.id,
+      customerId: getCustomerId(user),
+      fromPincode: searchData.fromPincode.trim(),
+      toPincode: searchData.toPincode.trim(),
+      startTime: new Date(searchData.startTime).toISOString(),
+      // The server re-checks the vehicle against the cargo it was matched on
+      cargo: {
+        weightKg: parseInt(searchData.capacityRequired),
+        ...toCargoParams(searchData)
+      }
+    };
+
+    // Nobody else can book the vehicle while it's held, so checkout can't end in a conflict
     try {
-      // For demo purposes, using a hardcoded customer ID
-      // In a real app, this would come from authentication
-      const customerId = `CUST${Date.now().toString().slice(-6)}`;
-      
-      const bookingData = {
-        vehicleId: vehicle.id,
-        customerId: customerId,
-        fromPincode: searchData.fromPincode.trim(),
-        toPincode: searchData.toPincode.trim(),
-        startTime: new Date(searchData.startTime).toISOString()
-      };
-      
-      const response = await bookingAPI.createBooking(bookingData);
-      
+      const response = await holdAPI.createHold(bookingData);
+
       if (response.data.success) {
-        toast.success('Booking created successfully!');
-        
-        // Remove the booked vehicle from available list
-        setAvailableVehicles(prev => 
-          prev.filter(v => v.id !== vehicle.id)
-        );
-        
-        // Show booking confirmation details
-        const booking = response.data.data;
-        setTimeout(() => {
-          toast.success(
-            `Booking confirmed! ID: ${booking.id.slice(-8).toUpperCase()}`,
-            { duration: 6000 }
-          );
-        }, 1000);
-
-        // Reset selection
-        setSelectedVehicle(null);
+        setCheckout({ vehicle, hold: response.data.data, bookingData, quote: getQuote(vehicle) });
       }
-      
     } catch (error) {
-      console.error('Error creating booking:', error);
-      
+      console.error('Error holding vehicle:', error);
+
       if (error.response?.status === 409) {
         toast.error('This vehicle is no longer available. Please search again.');
         // Refresh search results
         handleSearch({ preventDefault: () => {} });
       } else {
-        toast.error(error.response?.data?.error?.message || 'Failed to create booking');
+        toast.error(getErrorMessage(error));
       }
     } finally {
       setIsBooking(false);
@@ -229,15 +478,172 @@ const SearchBooking = () => {
   };
 
   /**
-   * Calculate estimated booking cost
+   * Hold the vehicle in checkout again after its hold expired
    */
-  const calculateBookingCost = (vehicle) => {
-    const baseRate = 500; // Base rate per hour
-    const capacityMultiplier = Math.max(1, vehicle.capacityKg / 1000);
-    const distance = Math.abs(parseInt(searchData.toPincode) - parseInt(searchData.fromPincode));
-    const distanceMultiplier = Math.max(1, distance / 100);
+  const handleRenewHold = async () => {
+    setIsRenewingHold(true);
+
+    try {
+      const response = await holdAPI.createHold(checkout.bookingData);
+
+      if (response.data.success) {
+        setCheckout(prev => prev && { ...prev, hold: response.data.data });
+      }
+    } catch (error) {
+      console.error('Error renewing hold:', error);
+
+      if (error.response?.status === 409) {
+        toast.error(`${checkout.vehicle.name} was taken by someone else. Please search again.`);
+        setCheckout(null);
+        handleSearch({ preventDefault: () => {} });
+      } else {
+        toast.error(getErrorMessage(error));
+      }
+    } finally {
+      setIsRenewingHold(false);
+    }
+  };
+
+  /**
+   * Close the checkout, letting the held vehicle go
+   */
+  const handleCancelCheckout = () => {
+    holdAPI.releaseHold(checkout.hold.id).catch(error => console.error('Error releasing hold:', error));
+    setCheckout(null);
+  };
+
+  /**
+   * Book the held vehicle with the details collected at checkout
+   * @param {Object} details - Contacts, cargo and terms (see toBookingDetails)
+   */
+  const handleConfirmBooking = async (details) => {
+    const { vehicle, hold } = checkout;
+    const bookingData = {
+      ...checkout.bookingData,
+      ...details,
+      cargo: { ...checkout.bookingData.cargo, ...details.cargo },
+      holdId: hold.id,
+    };
+
+    setIsBooking(true);
+    setBookingVehicleId(vehicle.id);
+
+    // Same booking attempt -> same key, so a retried click can't book twice
+    const idempotencyKey = getIdempotencyKey('createBooking', bookingData);
     
-    return Math.round(baseRate * vehicle.estimatedRideDurationHours * capacityMultiplier * distanceMultiplier);
+    try {
+      const response = await bookingAPI.createBooking(bookingData, { idempotencyKey });
+      
+      if (response.data.success) {
+        clearIdempotencyKey('createBooking', bookingData);
+
+        if (response.replayed) {
+          toast.success('This booking was already created');
+        } else {
+          toast.success('Booking created successfully!');
+        }
+
+        // The hold became the booking, so there's nothing to release on the way out
+        checkoutRef.current = null;
+        setCheckout(null);
+        navigate(`/bookings/${response.data.data.id}/confirmation`);
+      }
+      
+    } catch (error) {
+      console.error('Error creating booking:', error);
+
+      // The server gave a definitive answer - a new attempt should use a new key
+      if (error.response && error.response.status < 500) {
+        clearIdempotencyKey('createBooking', bookingData);
+      }
+
+      // A 409 here means the hold ran out; checkout offers to hold the vehicle again
+      toast.error(getErrorMessage(error));
+    } finally {
+      setIsBooking(false);
+      setBookingVehicleId(null);
+    }
+  };
+
+  /**
+   * Book every vehicle of a split option together as one shipment
+   */
+  const handleBookShipment = (option, index) => {
+    if (!isAuthenticated) {
+      toast.error('Please log in to book a vehicle');
+      navigate('/login', { state: { from: location } });
+      return;
+    }
+
+    // The shipment is fixed here, so what's booked is exactly what was reviewed
+    const shipmentData = {
+      customerId: getCustomerId(user),
+      vehicleIds: option.vehicles.map(vehicle => vehicle.id),
+      fromPincode: searchData.fromPincode.trim(),
+      toPincode: searchData.toPincode.trim(),
+      startTime: new Date(searchData.startTime).toISOString(),
+      cargo: {
+        weightKg: parseInt(searchData.capacityRequired),
+        ...toCargoParams(searchData)
+      }
+    };
+    setConfirmingShipment({ option, index, shipmentData });
+  };
+
+  /**
+   * Book the reviewed split shipment
+   */
+  const handleConfirmShipment = async () => {
+    const { index, shipmentData } = confirmingShipment;
+
+    setIsBooking(true);
+    setBookingOptionIndex(index);
+
+    const idempotencyKey = getIdempotencyKey('createShipment', shipmentData);
+
+    try {
+      const response = await shipmentAPI.createShipment(shipmentData, { idempotencyKey });
+
+      if (response.data.success) {
+        clearIdempotencyKey('createShipment', shipmentData);
+        const shipment = response.data.data;
+
+        setConfirmingShipment(null);
+        toast.success(response.replayed
+          ? 'This shipment was already booked'
+          : `Shipment booked: ${shipment.bookings.length} vehicles · Total ${formatCurrency(shipment.totalCost)}`);
+        navigate(`/shipments/${shipment.id}`);
+      }
+    } catch (error) {
+      console.error('Error booking shipment:', error);
+
+      if (error.response && error.response.status < 500) {
+        clearIdempotencyKey('createShipment', shipmentData);
+      }
+
+      if (error.response?.status === 409) {
+        setConfirmingShipment(null);
+        toast.error(`${error.response.data.error.message}. Please search again.`);
+        handleSearch({ preventDefault: () => {} }, 'split');
+      } else {
+        toast.error(error.response?.data?.error?.message || 'Failed to book shipment');
+      }
+    } finally {
+      setIsBooking(false);
+      setBookingOptionIndex(null);
+    }
+  };
+
+  /**
+   * Quote a vehicle for the entered route with the current rate cards
+   */
+  const getQuote = (vehicle) => {
+    return calculateQuote({
+      vehicle,
+      distanceKm: route?.distanceKm,
+      durationHours: route?.durationHours ?? vehicle.estimatedRideDurationHours,
+      startTime: searchData.startTime,
+    }, pricingSettings);
   };
 
   /**
@@ -248,13 +654,16 @@ const SearchBooking = () => {
       capacityRequired: '',
       fromPincode: '',
       toPincode: '',
-      startTime: getMinBookingDateTime()
+      startTime: getMinBookingDateTime(),
+      ...EMPTY_CARGO_FORM
     });
     setSearchErrors({});
     setAvailableVehicles([]);
+    setSplitResults(null);
+    setAlternativeStarts(null);
     setHasSearched(false);
     setSelectedVehicle(null);
-    setEstimatedDuration(0);
+    setTakenVehicles({});
   };
 
   return (
@@ -274,9 +683,36 @@ const SearchBooking = () => {
 
       {/* Search Form */}
       <div className="card">
-        <div className="card-header">
-          <h2 className="text-xl font-semibold text-secondary-900">Search Criteria</h2>
-          <p className="text-secondary-600 mt-1">Enter your requirements to find available vehicles</p>
+        <div className="card-header flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-semibold text-secondary-900">Search Criteria</h2>
+            <p className="text-secondary-600 mt-1">
+              {searchMode === 'split'
+                ? 'Spread a load too big for one truck across several vehicles booked together'
+                : 'Enter your requirements to find available vehicles'}
+            </p>
+          </div>
+
+          {/* Mode */}
+          <div className="inline-flex self-start rounded-lg border border-secondary-200 bg-white p-1">
+            {SEARCH_MODES.map(option => {
+              const Icon = option.icon;
+              return (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => handleModeChange(option.value)}
+                  disabled={isSearching || isBooking}
+                  className={`flex items-center space-x-2 px-4 py-2 rounded-md text-sm font-medium transition-colors
+                    ${searchMode === option.value ? 'bg-primary-600 text-white' : 'text-secondary-600 hover:text-primary-600'}
+                  `}
+                >
+                  <Icon className="h-4 w-4" />
+                  <span>{option.label}</span>
+                </button>
+              );
+            })}
+          </div>
         </div>
         
         <form onSubmit={handleSearch} className="space-y-6">
@@ -284,7 +720,7 @@ const SearchBooking = () => {
             {/* Required Capacity */}
             <div>
               <label htmlFor="capacityRequired" className="form-label">
-                Required Capacity (kg) *
+                {searchMode === 'split' ? 'Total Load (kg) *' : 'Required Capacity (kg) *'}
               </label>
               <input
                 type="number"
@@ -293,9 +729,9 @@ const SearchBooking = () => {
                 value={searchData.capacityRequired}
                 onChange={handleSearchInputChange}
                 className={`form-input ${searchErrors.capacityRequired ? 'border-danger-500' : ''}`}
-                placeholder="e.g., 1000"
+                placeholder={searchMode === 'split' ? 'e.g., 60000' : 'e.g., 1000'}
                 min="1"
-                max="50000"
+                max={maxCapacityKg}
                 disabled={isSearching}
               />
               {searchErrors.capacityRequired && (
@@ -305,7 +741,7 @@ const SearchBooking = () => {
                 </div>
               )}
               <p className="text-xs text-secondary-500 mt-1">
-                Minimum weight capacity needed
+                {searchMode === 'split' ? 'Weight to share between the vehicles' : 'Minimum weight capacity needed'}
               </p>
             </div>
 
@@ -315,15 +751,14 @@ const SearchBooking = () => {
                 <MapPin className="h-4 w-4 inline mr-1" />
                 From Pincode *
               </label>
-              <input
-                type="text"
+              <PincodeAutocomplete
                 id="fromPincode"
                 name="fromPincode"
                 value={searchData.fromPincode}
-                onChange={handleSearchInputChange}
-                className={`form-input ${searchErrors.fromPincode ? 'border-danger-500' : ''}`}
-                placeholder="e.g., 110001"
-                maxLength="6"
+                onChange={handlePincodeChange('fromPincode')}
+                recentPincodes={recentPincodes}
+                hasError={Boolean(searchErrors.fromPincode)}
+                placeholder="e.g., 110001 or Connaught Place"
                 disabled={isSearching}
               />
               {searchErrors.fromPincode && (
@@ -333,7 +768,7 @@ const SearchBooking = () => {
                 </div>
               )}
               <p className="text-xs text-secondary-500 mt-1">
-                Pickup location pincode
+                Search by pincode, locality or city
               </p>
             </div>
 
@@ -343,15 +778,14 @@ const SearchBooking = () => {
                 <MapPin className="h-4 w-4 inline mr-1" />
                 To Pincode *
               </label>
-              <input
-                type="text"
+              <PincodeAutocomplete
                 id="toPincode"
                 name="toPincode"
                 value={searchData.toPincode}
-                onChange={handleSearchInputChange}
-                className={`form-input ${searchErrors.toPincode ? 'border-danger-500' : ''}`}
-                placeholder="e.g., 400001"
-                maxLength="6"
+                onChange={handlePincodeChange('toPincode')}
+                recentPincodes={recentPincodes}
+                hasError={Boolean(searchErrors.toPincode)}
+                placeholder="e.g., 400001 or Mumbai"
                 disabled={isSearching}
               />
               {searchErrors.toPincode && (
@@ -361,7 +795,7 @@ const SearchBooking = () => {
                 </div>
               )}
               <p className="text-xs text-secondary-500 mt-1">
-                Destination pincode
+                Search by pincode, locality or city
               </p>
             </div>
 
@@ -393,17 +827,33 @@ const SearchBooking = () => {
             </div>
           </div>
 
+          <CargoDetailsFields
+            values={searchData}
+            errors={searchErrors}
+            onChange={handleSearchInputChange}
+            onRequirementsChange={handleRequirementsChange}
+            disabled={isSearching}
+          />
+
           {/* Duration Preview */}
-          {estimatedDuration > 0 && (
+          {route && (
             <div className="bg-primary-50 border border-primary-200 rounded-lg p-4">
               <div className="flex items-center space-x-2 mb-2">
                 <Info className="h-5 w-5 text-primary-600" />
                 <span className="font-medium text-primary-800">Estimated Trip Duration</span>
               </div>
               <p className="text-primary-700">
-                Based on your route ({searchData.fromPincode} → {searchData.toPincode}), 
-                the estimated duration is <strong>{estimatedDuration} hours</strong>.
+                Based on your route ({formatPlaceName(route.from)} → {formatPlaceName(route.to)}),
+                {route.distanceKm !== null && <> the road distance is about <strong>{route.distanceKm} km</strong> and</>}
+                {' '}the estimated duration is <strong>{route.durationHours} hours</strong>.
               </p>
+              {route.isApproximate && (
+                <p className="text-xs text-primary-600 mt-1">
+                  {route.distanceKm === null
+                    ? "We couldn't locate one of these pincodes, so this is a default estimate."
+                    : 'One of these pincodes is outside our directory, so its location is approximated from nearby areas.'}
+                </p>
+              )}
             </div>
           )}
 
@@ -439,8 +889,53 @@ const SearchBooking = () => {
         </form>
       </div>
 
+      {/* Split Shipment Results */}
+      {hasSearched && searchMode === 'split' && (
+        <div className="card">
+          <div className="card-header">
+            <div className="flex items-center justify-between">
+              <h2 className="text-xl font-semibold text-secondary-900">
+                Split Options ({splitResults?.options.length ?? 0})
+              </h2>
+              <div className="text-sm text-secondary-600">
+                {formatCapacity(parseInt(searchData.capacityRequired))} · {searchData.fromPincode} → {searchData.toPincode}
+              </div>
+            </div>
+            {splitResults?.singleVehicleAvailable && (
+              <p className="text-sm text-primary-700 mt-2">
+                A single vehicle can carry this load.{' '}
+                <button type="button" onClick={() => handleModeChange('single')} className="underline font-medium">
+                  Search single vehicles
+                </button>
+              </p>
+            )}
+          </div>
+
+          {!splitResults?.options.length ? (
+            <div className="text-center py-12">
+              <Layers className="h-16 w-16 text-secondary-300 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-secondary-700 mb-2">
+                No vehicle combinations available
+              </h3>
+              <p className="text-secondary-500">
+                Not enough suitable vehicles are free at this time. Try a different time slot or fewer handling requirements.
+              </p>
+            </div>
+          ) : (
+            <SplitShipmentOptions
+              options={splitResults.options}
+              weightKg={parseInt(searchData.capacityRequired)}
+              takenVehicles={takenVehicles}
+              onBook={handleBookShipment}
+              bookingIndex={bookingOptionIndex}
+              disabled={isBooking}
+            />
+          )}
+        </div>
+      )}
+
       {/* Search Results */}
-      {hasSearched && (
+      {hasSearched && searchMode === 'single' && (
         <div className="card">
           <div className="card-header">
             <div className="flex items-center justify-between">
@@ -464,6 +959,25 @@ const SearchBooking = () => {
               <p className="text-secondary-500 mb-6">
                 Try adjusting your search criteria or selecting a different time slot.
               </p>
+              {(loadingAlternatives || alternativeStarts) && (
+                <div className="mb-8">
+                  <AlternativeStartTimes
+                    suggestions={alternativeStarts || []}
+                    loading={loadingAlternatives}
+                    onSelect={handleAlternativeStartSelect}
+                    disabled={isSearching}
+                  />
+                </div>
+              )}
+              {unmetSearch && (
+                <div className="mb-8">
+                  <JoinWaitlist
+                    key={JSON.stringify(unmetSearch)}
+                    searchParams={unmetSearch}
+                    customerId={getCustomerId(user)}
+                  />
+                </div>
+              )}
               <div className="space-y-2 text-sm text-secondary-600">
                 <p>💡 <strong>Tips:</strong></p>
                 <ul className="text-left max-w-md mx-auto space-y-1">
@@ -472,6 +986,17 @@ const SearchBooking = () => {
                   <li>• Check if vehicles are available for different routes</li>
                 </ul>
               </div>
+              <button
+                type="button"
+                onClick={(e) => {
+                  handleModeChange('split');
+                  handleSearch(e, 'split');
+                }}
+                className="btn-secondary inline-flex items-center space-x-2 mt-6"
+              >
+                <Layers className="h-4 w-4" />
+                <span>Split the load across several vehicles</span>
+              </button>
             </div>
           ) : (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -480,12 +1005,14 @@ const SearchBooking = () => {
                   key={vehicle.id}
                   vehicle={vehicle}
                   searchData={searchData}
+                  route={route}
                   onSelect={() => handleVehicleSelect(vehicle)}
                   onBook={handleBookVehicle}
                   isBooking={isBooking && bookingVehicleId === vehicle.id}
                   disabled={isBooking}
                   isSelected={selectedVehicle?.id === vehicle.id}
-                  estimatedCost={calculateBookingCost(vehicle)}
+                  estimatedCost={getQuote(vehicle).total}
+                  takenReason={takenVehicles[vehicle.id]?.reason}
                 />
               ))}
             </div>
@@ -503,12 +1030,43 @@ const SearchBooking = () => {
           <VehicleDetailsPanel 
             vehicle={selectedVehicle}
             searchData={searchData}
+            route={route}
             onBook={handleBookVehicle}
             isBooking={isBooking && bookingVehicleId === selectedVehicle.id}
-            estimatedCost={calculateBookingCost(selectedVehicle)}
+            quote={getQuote(selectedVehicle)}
+            takenReason={takenVehicles[selectedVehicle.id]?.reason}
           />
         </div>
       )}
+
+      {/* Checkout */}
+      {checkout && (
+        <BookingCheckout
+          vehicle={checkout.vehicle}
+          hold={checkout.hold}
+          bookingData={checkout.bookingData}
+          route={route}
+          quote={checkout.quote}
+          initialValues={{ consignorName: user?.name || '' }}
+          onConfirm={handleConfirmBooking}
+          onCancel={handleCancelCheckout}
+          onRenewHold={handleRenewHold}
+          isBooking={isBooking}
+          isRenewing={isRenewingHold}
+        />
+      )}
+
+      {/* Split shipment review */}
+      {confirmingShipment && (
+        <ShipmentConfirmDialog
+          option={confirmingShipment.option}
+          shipmentData={confirmingShipment.shipmentData}
+          route={route}
+          onConfirm={handleConfirmShipment}
+          onClose={() => setConfirmingShipment(null)}
+          isBooking={isBooking}
+        />
+      )}
     </div>
   );
 };
@@ -516,7 +1074,7 @@ const SearchBooking = () => {
 /**
  * Vehicle Card Component
  */
-const VehicleCard = ({ vehicle, searchData, onSelect, onBook, isBooking, disabled, isSelected, estimatedCost }) => {
+const VehicleCard = ({ vehicle, searchData, route, onSelect, onBook, isBooking, disabled, isSelected, estimatedCost, takenReason }) => {
   const vehicleType = getVehicleType(vehicle.capacityKg);
   const formattedCapacity = formatCapacity(vehicle.capacityKg);
 
@@ -524,23 +1082,30 @@ const VehicleCard = ({ vehicle, searchData, onSelect, onBook, isBooking, disable
     <div className={`bg-white border rounded-lg p-6 hover:shadow-medium transition-all duration-200 cursor-pointer
       ${isSelected ? 'border-primary-500 bg-primary-50' : 'border-secondary-200'}
       ${disabled ? 'opacity-75' : ''}
+      ${takenReason ? 'opacity-50 grayscale' : ''}
     `}>
       {/* Vehicle Header */}
       <div className="flex items-start justify-between mb-4" onClick={onSelect}>
         <div>
           <h3 className="text-lg font-semibold text-secondary-900 mb-1">
-            {vehicle.name}
+            <VehicleLink vehicle={vehicle} />
           </h3>
           <div className="flex items-center space-x-2">
             <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
               {vehicleType}
             </span>
+            {vehicle.bodyType && (
+              <span className="badge badge-secondary">{getOptionLabel(BODY_TYPES, vehicle.bodyType)}</span>
+            )}
             {vehicle.capacityKg >= parseInt(searchData.capacityRequired) * 1.5 && (
               <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-success-100 text-success-800">
                 <Star className="h-3 w-3 mr-1" />
                 High Capacity
               </span>
             )}
+            {takenReason && (
+              <span className="badge badge-danger">{takenReason}</span>
+            )}
           </div>
         </div>
         <Truck className="h-8 w-8 text-primary-600" />
@@ -556,11 +1121,17 @@ const VehicleCard = ({ vehicle, searchData, onSelect, onBook, isBooking, disable
           <span className="text-secondary-600">Tyres:</span>
           <span className="font-medium text-secondary-900">{vehicle.tyres}</span>
         </div>
+        {vehicle.volumeM3 && (
+          <div className="flex justify-between">
+            <span className="text-secondary-600">Volume:</span>
+            <span className="font-medium text-secondary-900">{formatVolume(vehicle.volumeM3)}</span>
+          </div>
+        )}
         <div className="flex justify-between">
           <span className="text-secondary-600">Duration:</span>
           <span className="font-medium text-secondary-900 flex items-center">
             <Clock className="h-4 w-4 mr-1" />
-            {vehicle.estimatedRideDurationHours}h
+            {route?.durationHours ?? vehicle.estimatedRideDurationHours}h
           </span>
         </div>
         <div className="flex justify-between">
@@ -569,6 +1140,9 @@ const VehicleCard = ({ vehicle, searchData, onSelect, onBook, isBooking, disable
         </div>
       </div>
 
+      {/* Match Explanation */}
+      <MatchReasons reasons={vehicle.matchReasons} className="mb-6" onClick={onSelect} />
+
       {/* Route Information */}
       <div className="bg-secondary-50 rounded-lg p-3 mb-6" onClick={onSelect}>
         <div className="flex items-center justify-between text-sm mb-2">
@@ -597,13 +1171,15 @@ const VehicleCard = ({ vehicle, searchData, onSelect, onBook, isBooking, disable
         
         <button
           onClick={() => onBook(vehicle)}
-          disabled={disabled}
+          disabled={disabled || Boolean(takenReason)}
           className="w-full btn-primary flex items-center justify-center space-x-2"
         >
-          {isBooking ? (
+          {takenReason ? (
+            <span>No Longer Available</span>
+          ) : isBooking ? (
             <>
               <Loader2 className="h-4 w-4 animate-spin" />
-              <span>Booking...</span>
+              <span>Holding...</span>
             </>
           ) : (
             <>
@@ -617,13 +1193,35 @@ const VehicleCard = ({ vehicle, searchData, onSelect, onBook, isBooking, disable
   );
 };
 
+/**
+ * Why a search result matched the weight and cargo that was searched for
+ */
+const MatchReasons = ({ reasons, className = '', onClick }) => {
+  if (!reasons?.length) return null;
+
+  return (
+    <div className={`rounded-lg p-3 bg-success-50 ${className}`} onClick={onClick}>
+      <div className="text-sm font-medium text-secondary-900 mb-2">Why this vehicle matched</div>
+      <ul className="space-y-1">
+        {reasons.map(reason => (
+          <li key={reason} className="flex items-start space-x-2 text-sm text-secondary-700">
+            <CheckCircle2 className="h-4 w-4 text-success-600 flex-shrink-0 mt-0.5" />
+            <span>{reason}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
 /**
  * Vehicle Details Panel Component
  */
-const VehicleDetailsPanel = ({ vehicle, searchData, onBook, isBooking, estimatedCost }) => {
+const VehicleDetailsPanel = ({ vehicle, searchData, route, onBook, isBooking, quote, takenReason }) => {
   const vehicleType = getVehicleType(vehicle.capacityKg);
   const formattedCapacity = formatCapacity(vehicle.capacityKg);
-  const endTime = new Date(new Date(searchData.startTime).getTime() + (vehicle.estimatedRideDurationHours * 60 * 60 * 1000));
+  const durationHours = route?.durationHours ?? vehicle.estimatedRideDurationHours;
+  const endTime = new Date(new Date(searchData.startTime).getTime() + (durationHours * 60 * 60 * 1000));
 
   return (
     <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
@@ -635,8 +1233,14 @@ const VehicleDetailsPanel = ({ vehicle, searchData, onBook, isBooking, estimated
           <div className="flex items-start space-x-4">
             <Truck className="h-12 w-12 text-primary-600 flex-shrink-0 mt-1" />
             <div>
-              <h4 className="text-xl font-semibold text-secondary-900">{vehicle.name}</h4>
-              <p className="text-secondary-600">{vehicleType} Vehicle</p>
+              <h4 className="text-xl font-semibold text-secondary-900"><VehicleLink vehicle={vehicle} /></h4>
+              <p className="text-secondary-600">
+                {vehicleType} {vehicle.bodyType ? getOptionLabel(BODY_TYPES, vehicle.bodyType) : 'Vehicle'}
+                {vehicle.fuelType && ` · ${getOptionLabel(FUEL_TYPES, vehicle.fuelType)}`}
+              </p>
+              {vehicle.registrationNumber && (
+                <p className="font-mono text-sm text-secondary-500">{formatRegistrationNumber(vehicle.registrationNumber)}</p>
+              )}
             </div>
           </div>
 
@@ -653,14 +1257,16 @@ const VehicleDetailsPanel = ({ vehicle, searchData, onBook, isBooking, estimated
             
             <div className="bg-white rounded-lg p-4 border">
               <div className="text-secondary-600 text-sm mb-1">Duration</div>
-              <div className="font-semibold text-secondary-900">{vehicle.estimatedRideDurationHours} hours</div>
+              <div className="font-semibold text-secondary-900">{durationHours} hours</div>
             </div>
             
             <div className="bg-white rounded-lg p-4 border">
               <div className="text-secondary-600 text-sm mb-1">Total Cost</div>
-              <div className="font-semibold text-primary-600">{formatCurrency(estimatedCost)}</div>
+              <div className="font-semibold text-primary-600">{formatCurrency(quote.total)}</div>
             </div>
           </div>
+
+          <MatchReasons reasons={vehicle.matchReasons} className="bg-white border" />
         </div>
       </div>
 
@@ -678,6 +1284,12 @@ const VehicleDetailsPanel = ({ vehicle, searchData, onBook, isBooking, estimated
                 <div>
                   <div className="text-sm text-secondary-600">Route</div>
                   <div className="font-medium">{searchData.fromPincode} → {searchData.toPincode}</div>
+                  {route && (
+                    <div className="text-sm text-secondary-500">
+                      {formatPlaceName(route.from)} → {formatPlaceName(route.to)}
+                      {route.distanceKm !== null && ` · ${route.distanceKm} km`}
+                    </div>
+                  )}
                 </div>
               </div>
               
@@ -701,48 +1313,32 @@ const VehicleDetailsPanel = ({ vehicle, searchData, onBook, isBooking, estimated
 
           <div className="bg-white rounded-lg p-4 border">
             <h4 className="font-medium text-secondary-900 mb-3">Cost Breakdown</h4>
-            
-            <div className="space-y-2 text-sm">
-              <div className="flex justify-between">
-                <span className="text-secondary-600">Base rate ({vehicle.estimatedRideDurationHours}h):</span>
-                <span>₹{500 * vehicle.estimatedRideDurationHours}</span>
-              </div>
-              <div className="flex justify-between">
-                <span className="text-secondary-600">Capacity factor:</span>
-                <span>×{Math.max(1, vehicle.capacityKg / 1000).toFixed(1)}</span>
-              </div>
-              <div className="flex justify-between">
-                <span className="text-secondary-600">Distance factor:</span>
-                <span>×{Math.max(1, Math.abs(parseInt(searchData.toPincode) - parseInt(searchData.fromPincode)) / 100).toFixed(1)}</span>
-              </div>
-              <div className="border-t pt-2 flex justify-between font-semibold">
-                <span>Total Amount:</span>
-                <span className="text-primary-600">{formatCurrency(estimatedCost)}</span>
-              </div>
-            </div>
+            <QuoteBreakdown quote={quote} />
           </div>
 
           <button
             onClick={() => onBook(vehicle)}
-            disabled={isBooking}
+            disabled={isBooking || Boolean(takenReason)}
             className="w-full btn-primary flex items-center justify-center space-x-2 py-4 text-lg"
           >
-            {isBooking ? (
+            {takenReason ? (
+              <span>No Longer Available ({takenReason})</span>
+            ) : isBooking ? (
               <>
                 <Loader2 className="h-5 w-5 animate-spin" />
-                <span>Processing Booking...</span>
+                <span>Holding Vehicle...</span>
               </>
             ) : (
               <>
                 <CheckCircle2 className="h-5 w-5" />
-                <span>Confirm Booking</span>
+                <span>Review & Book</span>
               </>
             )}
           </button>
           
           <div className="text-xs text-secondary-500 text-center">
-            By clicking "Confirm Booking", you agree to our terms and conditions.
-            You will receive a confirmation with booking details.
+            The vehicle is held for you for a few minutes while you fill in the booking details.
+            By confirming, you agree to our terms and conditions.
           </div>
         </div>
       </div>
@@ -0,0 +1,326 @@
+/**
+ * Shipment Details Page Component
+ * Tracks a split shipment - one load carried by several vehicles booked together - and cancels it as one
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import {
+  Layers,
+  ArrowLeft,
+  RefreshCw,
+  Loader2,
+  AlertCircle,
+  MapPin,
+  Calendar,
+  Clock,
+  Package,
+  XCircle,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { shipmentAPI, getErrorMessage, isRequestCancelled } from '../services/api';
+import { subscribeToQueries } from '../services/queryCache';
+import useRealtimeEvents from '../hooks/useRealtimeEvents';
+import useAuth from '../hooks/useAuth';
+import VehicleLink from '../components/VehicleLink';
+import CancelBookingDialog from '../components/CancelBookingDialog';
+import { canCancelBooking } from '../utils/permissions';
+import { isBookingCancellable } from '../utils/statusTransitions';
+import { CARGO_REQUIREMENTS } from '../utils/cargo';
+import { getOptionLabel, formatDimensions, formatVolume } from '../utils/vehicles';
+import { formatCapacity, formatCurrency, formatDate, getStatusBadgeClass } from '../utils/helpers';
+
+const ShipmentDetails = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+
+  const [shipment, setShipment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [showCancelDialog, setShowCancelDialog] = useState(false);
+  const abortControllerRef = useRef(null);
+
+  /**
+   * Load the shipment and its bookings
+   */
+  const fetchShipment = async ({ forceRefresh = false, silent = false } = {}) => {
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    if (!silent) setLoading(true);
+    setError(null);
+
+    try {
+      const response = await shipmentAPI.getShipmentById(id, { signal: controller.signal, forceRefresh });
+
+      if (response.data.success) {
+        setShipment(response.data.data);
+        setNotFound(false);
+      }
+    } catch (error) {
+      if (isRequestCancelled(error)) return;
+      console.error('Error fetching shipment:', error);
+
+      if (error.response?.status === 404) {
+        setNotFound(true);
+      } else {
+        setError(getErrorMessage(error));
+      }
+    } finally {
+      if (abortControllerRef.current === controller) {
+        setLoading(false);
+      }
+    }
+  };
+
+  // Keep the latest fetch for subscriptions without resubscribing on every render
+  const refetchRef = useRef(null);
+  refetchRef.current = fetchShipment;
+
+  useEffect(() => {
+    refetchRef.current();
+    return () => abortControllerRef.current?.abort();
+  }, [id]);
+
+  // Pick up background revalidations and invalidations from mutations
+  useEffect(() => {
+    return subscribeToQueries(`/shipments/${id}`, () => refetchRef.current({ silent: true }));
+  }, [id]);
+
+  // Any of the shipment's bookings changing changes the shipment
+  useRealtimeEvents((event) => {
+    if (event.type.startsWith('booking.') && event.data?.shipmentId === id) {
+      fetchShipment({ silent: true });
+    }
+  });
+
+  /**
+   * Cancel every booking in the shipment
+   * @param {Object} cancellation - { reason, note }
+   */
+  const handleCancel = async (cancellation) => {
+    setCancelling(true);
+
+    try {
+      const response = await shipmentAPI.cancelShipment(shipment.id, cancellation);
+
+      if (response.data.success) {
+        setShipment(response.data.data);
+        setShowCancelDialog(false);
+        toast.success('Shipment cancelled');
+      }
+    } catch (error) {
+      console.error('Error cancelling shipment:', error);
+      toast.error(getErrorMessage(error));
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  if (notFound) {
+    return (
+      <div className="card text-center py-12">
+        <Layers className="h-16 w-16 text-secondary-300 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-secondary-700 mb-2">Shipment not found</h3>
+        <p className="text-secondary-500 mb-6">Check the link or find the shipment in your bookings.</p>
+        <Link to="/bookings" className="btn-primary">Back to Bookings</Link>
+      </div>
+    );
+  }
+
+  if (error && !shipment) {
+    return (
+      <div className="card bg-danger-50 border-danger-200">
+        <div className="flex items-center space-x-3">
+          <AlertCircle className="h-6 w-6 text-danger-600" />
+          <div>
+            <h3 className="font-medium text-danger-800">Error Loading Shipment</h3>
+            <p className="text-danger-600">{error}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!shipment) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <Loader2 className="h-8 w-8 animate-spin text-primary-600" />
+        <span className="ml-3 text-secondary-600">Loading shipment...</span>
+      </div>
+    );
+  }
+
+  const { cargo } = shipment;
+  const canCancel = canCancelBooking(user, shipment) && isBookingCancellable(shipment);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <Link to="/bookings" className="inline-flex items-center space-x-1 text-sm text-secondary-600 hover:text-primary-600 mb-4">
+          <ArrowLeft className="h-4 w-4" />
+          <span>Booking History</span>
+        </Link>
+
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <div className="bg-primary-100 p-3 rounded-lg">
+              <Layers className="h-6 w-6 text-primary-600" />
+            </div>
+            <div>
+              <h1 className="text-3xl font-bold text-secondary-900">
+                Shipment {shipment.id.slice(-8).toUpperCase()}
+              </h1>
+              <div className="flex items-center space-x-2">
+                <span className={`badge ${getStatusBadgeClass(shipment.status)}`}>{shipment.status}</span>
+                <span className="text-secondary-600">
+                  {formatCapacity(cargo.weightKg)} across {shipment.bookings.length} vehicles
+                </span>
+              </div>
+            </div>
+          </div>
+
+          <button
+            onClick={() => fetchShipment({ forceRefresh: true })}
+            disabled={loading}
+            className="btn-secondary flex items-center space-x-2"
+          >
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            <span>Refresh</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Summary */}
+        <div className="space-y-6">
+          <div className="card">
+            <h2 className="text-lg font-medium text-secondary-900 mb-4">Trip</h2>
+            <div className="space-y-3 text-sm">
+              <div className="flex items-center space-x-3">
+                <MapPin className="h-4 w-4 text-secondary-500" />
+                <div>
+                  <div className="text-secondary-600">Route</div>
+                  <div className="font-medium text-secondary-900">{shipment.fromPincode} → {shipment.toPincode}</div>
+                </div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <Calendar className="h-4 w-4 text-secondary-500" />
+                <div>
+                  <div className="text-secondary-600">Start Time</div>
+                  <div className="font-medium text-secondary-900">{formatDate(shipment.startTime, 'PPpp')}</div>
+                </div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <Clock className="h-4 w-4 text-secondary-500" />
+                <div>
+                  <div className="text-secondary-600">Expected End Time</div>
+                  <div className="font-medium text-secondary-900">{formatDate(shipment.endTime, 'PPpp')}</div>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <div className="card">
+            <div className="flex items-center space-x-2 mb-4">
+              <Package className="h-5 w-5 text-secondary-600" />
+              <h2 className="text-lg font-medium text-secondary-900">Cargo</h2>
+            </div>
+            <div className="space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Total Weight:</span>
+                <span className="font-medium text-secondary-900">{formatCapacity(cargo.weightKg)}</span>
+              </div>
+              {cargo.volumeM3 && (
+                <div className="flex justify-between">
+                  <span className="text-secondary-600">Volume:</span>
+                  <span className="font-medium text-secondary-900">{formatVolume(cargo.volumeM3)}</span>
+                </div>
+              )}
+              {cargo.item && (
+                <div className="flex justify-between">
+                  <span className="text-secondary-600">Largest Item:</span>
+                  <span className="font-medium text-secondary-900">{formatDimensions(cargo.item)}</span>
+                </div>
+              )}
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Handling:</span>
+                <span className="font-medium text-secondary-900">
+                  {cargo.requirements.length > 0
+                    ? cargo.requirements.map(value => getOptionLabel(CARGO_REQUIREMENTS, value)).join(', ')
+                    : 'None'}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Customer:</span>
+                <span className="font-medium text-secondary-900">{shipment.customerId}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Booked:</span>
+                <span className="font-medium text-secondary-900">{formatDate(shipment.createdAt, 'PP p')}</span>
+              </div>
+            </div>
+          </div>
+
+          {canCancel && (
+            <button
+              onClick={() => setShowCancelDialog(true)}
+              disabled={cancelling}
+              className="w-full btn-danger flex items-center justify-center space-x-2"
+            >
+              {cancelling ? <Loader2 className="h-4 w-4 animate-spin" /> : <XCircle className="h-4 w-4" />}
+              <span>Cancel Shipment</span>
+            </button>
+          )}
+        </div>
+
+        {/* Vehicles */}
+        <div className="lg:col-span-2 card">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-medium text-secondary-900">Vehicles</h2>
+            <div className="text-right">
+              <div className="text-sm text-secondary-600">Total Cost</div>
+              <div className="text-xl font-semibold text-primary-600">{formatCurrency(shipment.totalCost)}</div>
+            </div>
+          </div>
+
+          <div className="divide-y divide-secondary-100">
+            {shipment.bookings.map(booking => (
+              <div key={booking.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 py-3 text-sm">
+                <div>
+                  <VehicleLink vehicle={booking.vehicleId} fallback="Vehicle removed" className="font-medium" />
+                  <div className="text-secondary-500">
+                    <Link to={`/bookings/${booking.id}`} className="text-primary-600 hover:text-primary-700">
+                      Booking {booking.id.slice(-8).toUpperCase()}
+                    </Link>
+                    {booking.vehicleId?.capacityKg && ` · carries ${formatCapacity(booking.loadKg)} of ${formatCapacity(booking.vehicleId.capacityKg)}`}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-4">
+                  <span className={`badge ${getStatusBadgeClass(booking.status)}`}>{booking.status}</span>
+                  <span className="font-medium text-secondary-900 w-24 text-right">{formatCurrency(booking.totalCost)}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {showCancelDialog && (
+        <CancelBookingDialog
+          title="Cancel Shipment"
+          description={`All ${shipment.bookings.length} vehicle bookings in this shipment will be cancelled.`}
+          onConfirm={handleCancel}
+          onClose={() => setShowCancelDialog(false)}
+          isCancelling={cancelling}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ShipmentDetails;
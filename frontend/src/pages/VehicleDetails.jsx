@@ -0,0 +1,562 @@
+/**
+ * Vehicle Details Page Component
+ * Specs, status history, booking timeline, utilisation and revenue for one vehicle
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import {
+  Truck,
+  ArrowLeft,
+  RefreshCw,
+  Loader2,
+  AlertCircle,
+  Gauge,
+  IndianRupee,
+  CalendarClock,
+  ListChecks,
+  History,
+  MapPin,
+  User,
+  Copy,
+  Search,
+  Edit,
+  Archive,
+  ArchiveRestore,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { vehicleAPI, getErrorMessage, isRequestCancelled } from '../services/api';
+import { subscribeToQueries } from '../services/queryCache';
+import { getBookingVehicleId } from '../services/realtime';
+import useRealtimeEvents from '../hooks/useRealtimeEvents';
+import useAuth from '../hooks/useAuth';
+import { PERMISSIONS, hasPermission, canSetVehicleStatus } from '../utils/permissions';
+import { getNextVehicleStatuses } from '../utils/statusTransitions';
+import { locatePincode, formatPlaceName } from '../utils/geo';
+import {
+  formatCapacity,
+  formatCurrency,
+  formatDate,
+  getVehicleType,
+  getStatusBadgeClass,
+  copyToClipboard,
+} from '../utils/helpers';
+import {
+  BODY_TYPES,
+  FUEL_TYPES,
+  getOptionLabel,
+  formatRegistrationNumber,
+  formatDimensions,
+  formatVolume,
+} from '../utils/vehicles';
+
+// Dot colour for each booking status on the timeline
+const TIMELINE_DOT_CLASSES = {
+  confirmed: 'bg-primary-500',
+  'in-progress': 'bg-warning-500',
+  completed: 'bg-success-500',
+  cancelled: 'bg-secondary-300',
+  'no-show': 'bg-danger-300',
+};
+
+const VehicleDetails = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [vehicle, setVehicle] = useState(null);
+  const [bookings, setBookings] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [updating, setUpdating] = useState(false);
+  const abortControllerRef = useRef(null);
+
+  /**
+   * Load the vehicle and its bookings
+   */
+  const fetchVehicle = async ({ forceRefresh = false, silent = false } = {}) => {
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    if (!silent) setLoading(true);
+    setError(null);
+
+    try {
+      const options = { signal: controller.signal, forceRefresh };
+      const [vehicleResponse, bookingsResponse] = await Promise.all([
+        vehicleAPI.getVehicleById(id, options),
+        vehicleAPI.getVehicleBookings(id, options),
+      ]);
+
+      if (vehicleResponse.data.success && bookingsResponse.data.success) {
+        setVehicle(vehicleResponse.data.data);
+        setBookings(bookingsResponse.data.data.bookings);
+        setSummary(bookingsResponse.data.data.summary);
+        setNotFound(false);
+      }
+    } catch (error) {
+      if (isRequestCancelled(error)) return;
+      console.error('Error fetching vehicle:', error);
+
+      if (error.response?.status === 404) {
+        setNotFound(true);
+      } else {
+        setError(getErrorMessage(error));
+      }
+    } finally {
+      if (abortControllerRef.current === controller) {
+        setLoading(false);
+      }
+    }
+  };
+
+  // Keep the latest fetch for subscriptions without resubscribing on every render
+  const refetchRef = useRef(null);
+  refetchRef.current = fetchVehicle;
+
+  useEffect(() => {
+    refetchRef.current();
+    return () => abortControllerRef.current?.abort();
+  }, [id]);
+
+  // Pick up background revalidations and invalidations from mutations
+  useEffect(() => {
+    return subscribeToQueries(`/vehicles/${id}`, () => refetchRef.current({ silent: true }));
+  }, [id]);
+
+  // Live changes to this vehicle or its bookings
+  useRealtimeEvents((event) => {
+    const isThisVehicle = event.type.startsWith('vehicle.')
+      ? event.data.id === id
+      : getBookingVehicleId(event.data) === id;
+
+    if (isThisVehicle) {
+      fetchVehicle({ silent: true });
+    }
+  });
+
+  const handleRefresh = () => {
+    fetchVehicle({ forceRefresh: true });
+  };
+
+  /**
+   * Change the vehicle's status, showing it before the server answers and undoing it if the server refuses
+   */
+  const handleStatusUpdate = async (newStatus) => {
+    if (!canSetVehicleStatus(user, newStatus)) {
+      toast.error(`You don't have permission to mark vehicles as ${newStatus}`);
+      return;
+    }
+
+    const previous = vehicle;
+    setUpdating(true);
+    setVehicle(prev => ({ ...prev, status: newStatus }));
+
+    try {
+      const response = await vehicleAPI.updateVehicleStatus(vehicle.id, newStatus);
+
+      if (response.data.success) {
+        setVehicle(prev => ({ ...prev, ...response.data.data }));
+        toast.success(`Vehicle status updated to ${newStatus}`);
+      }
+    } catch (error) {
+      console.error('Error updating vehicle status:', error);
+      setVehicle(previous);
+      toast.error(getErrorMessage(error));
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  /**
+   * Archive the vehicle; the server refuses while it has upcoming bookings
+   */
+  const handleArchive = async () => {
+    if (!confirm(`Archive ${vehicle.name}? It will no longer appear in the fleet list or search results.`)) {
+      return;
+    }
+
+    setUpdating(true);
+
+    try {
+      const response = await vehicleAPI.archiveVehicle(vehicle.id);
+
+      if (response.data.success) {
+        setVehicle(response.data.data);
+        toast.success('Vehicle archived');
+      }
+    } catch (error) {
+      console.error('Error archiving vehicle:', error);
+      toast.error(getErrorMessage(error));
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  /**
+   * Bring an archived vehicle back into the fleet
+   */
+  const handleRestore = async () => {
+    setUpdating(true);
+
+    try {
+      const response = await vehicleAPI.restoreVehicle(vehicle.id);
+
+      if (response.data.success) {
+        setVehicle(response.data.data);
+        toast.success('Vehicle restored');
+      }
+    } catch (error) {
+      console.error('Error restoring vehicle:', error);
+      toast.error(getErrorMessage(error));
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleCopyId = async () => {
+    if (await copyToClipboard(vehicle.id)) {
+      toast.success('Vehicle ID copied');
+    }
+  };
+
+  const handleBookVehicle = () => {
+    navigate('/search-book', { state: { capacityRequired: String(vehicle.capacityKg) } });
+  };
+
+  if (notFound) {
+    return (
+      <div className="card text-center py-12">
+        <Truck className="h-16 w-16 text-secondary-300 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-secondary-700 mb-2">Vehicle not found</h3>
+        <p className="text-secondary-500 mb-6">It may have been removed from the fleet.</p>
+        <Link to="/vehicles" className="btn-primary">Back to All Vehicles</Link>
+      </div>
+    );
+  }
+
+  if (error && !vehicle) {
+    return (
+      <div className="card bg-danger-50 border-danger-200">
+        <div className="flex items-center space-x-3">
+          <AlertCircle className="h-6 w-6 text-danger-600" />
+          <div>
+            <h3 className="font-medium text-danger-800">Error Loading Vehicle</h3>
+            <p className="text-danger-600">{error}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!vehicle) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <Loader2 className="h-8 w-8 animate-spin text-primary-600" />
+        <span className="ml-3 text-secondary-600">Loading vehicle...</span>
+      </div>
+    );
+  }
+
+  const now = new Date();
+  const upcomingBookings = bookings.filter(booking =>
+    ['confirmed', 'in-progress'].includes(booking.status) && new Date(booking.endTime) > now
+  );
+  const pastBookings = bookings
+    .filter(booking => !upcomingBookings.includes(booking))
+    .reverse();
+
+  const isArchived = Boolean(vehicle.archivedAt);
+  const statusOptions = isArchived ? [] : getNextVehicleStatuses(vehicle).filter(option =>
+    canSetVehicleStatus(user, option.value)
+  );
+  const canBook = hasPermission(user, PERMISSIONS.BOOKING_CREATE) && vehicle.status === 'active' && !isArchived;
+  const canEdit = hasPermission(user, PERMISSIONS.VEHICLE_UPDATE) && !isArchived;
+  const canArchive = hasPermission(user, PERMISSIONS.VEHICLE_ARCHIVE);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <Link to="/vehicles" className="inline-flex items-center space-x-1 text-sm text-secondary-600 hover:text-primary-600 mb-4">
+          <ArrowLeft className="h-4 w-4" />
+          <span>All Vehicles</span>
+        </Link>
+
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <div className="bg-primary-100 p-3 rounded-lg">
+              <Truck className="h-6 w-6 text-primary-600" />
+            </div>
+            <div>
+              <h1 className="text-3xl font-bold text-secondary-900">{vehicle.name}</h1>
+              <div className="flex items-center space-x-2">
+                <span className={`badge ${getStatusBadgeClass(vehicle.status)}`}>{vehicle.status}</span>
+                {isArchived && <span className="badge badge-secondary">archived</span>}
+                <span className="text-secondary-600">
+                  {vehicle.registrationNumber && `${formatRegistrationNumber(vehicle.registrationNumber)} · `}
+                  {getOptionLabel(BODY_TYPES, vehicle.bodyType)} · {formatCapacity(vehicle.capacityKg)}
+                </span>
+              </div>
+            </div>
+          </div>
+
+          <button
+            onClick={handleRefresh}
+            disabled={loading}
+            className="btn-secondary flex items-center space-x-2"
+          >
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            <span>Refresh</span>
+          </button>
+        </div>
+      </div>
+
+      {isArchived && (
+        <div className="card bg-warning-50 border-warning-200">
+          <div className="flex items-center space-x-3">
+            <Archive className="h-6 w-6 text-warning-600" />
+            <p className="text-warning-700">
+              Archived {formatDate(vehicle.archivedAt, 'PP p')}{vehicle.archivedBy && ` by ${vehicle.archivedBy}`}.
+              It is hidden from the fleet list and can't be booked.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Summary */}
+      {summary && (
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          <SummaryCard
+            icon={Gauge}
+            label={`Utilisation (${summary.utilisationWindowDays} days)`}
+            value={`${summary.utilisationPercent}%`}
+            detail={`${summary.hoursBooked} hours booked`}
+          />
+          <SummaryCard
+            icon={IndianRupee}
+            label="Revenue Earned"
+            value={formatCurrency(summary.revenue)}
+            detail={`${summary.completedBookings} completed trip${summary.completedBookings === 1 ? '' : 's'}`}
+          />
+          <SummaryCard
+            icon={CalendarClock}
+            label="Upcoming Bookings"
+            value={summary.upcomingBookings}
+            detail={`${formatCurrency(summary.upcomingRevenue)} booked`}
+          />
+          <SummaryCard
+            icon={ListChecks}
+            label="Total Bookings"
+            value={summary.totalBookings}
+            detail={`${summary.cancelledBookings} cancelled`}
+          />
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="space-y-6">
+          {/* Specifications */}
+          <div className="card">
+            <h2 className="text-lg font-medium text-secondary-900 mb-4">Specifications</h2>
+            <div className="space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Capacity:</span>
+                <span className="font-medium text-secondary-900">{formatCapacity(vehicle.capacityKg)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Size Class:</span>
+                <span className="font-medium text-secondary-900">{getVehicleType(vehicle.capacityKg)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Registration:</span>
+                <span className="font-medium text-secondary-900 font-mono">
+                  {vehicle.registrationNumber ? formatRegistrationNumber(vehicle.registrationNumber) : 'Not set'}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Body Type:</span>
+                <span className="font-medium text-secondary-900">{getOptionLabel(BODY_TYPES, vehicle.bodyType)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Fuel:</span>
+                <span className="font-medium text-secondary-900">{getOptionLabel(FUEL_TYPES, vehicle.fuelType)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Tyres:</span>
+                <span className="font-medium text-secondary-900">{vehicle.tyres}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Cargo Box:</span>
+                <span className="font-medium text-secondary-900">{formatDimensions(vehicle.dimensions)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Volume:</span>
+                <span className="font-medium text-secondary-900">{formatVolume(vehicle.volumeM3)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Added:</span>
+                <span className="font-medium text-secondary-900">{formatDate(vehicle.createdAt, 'PP')}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Last Updated:</span>
+                <span className="font-medium text-secondary-900">{formatDate(vehicle.updatedAt, 'PP p')}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">ID:</span>
+                <span className="font-medium text-secondary-900">{vehicle.id.slice(-8).toUpperCase()}</span>
+              </div>
+            </div>
+          </div>
+
+          {/* Quick Actions */}
+          <div className="card">
+            <h2 className="text-lg font-medium text-secondary-900 mb-4">Quick Actions</h2>
+            <div className="space-y-2">
+              {canBook && (
+                <button onClick={handleBookVehicle} className="w-full btn-primary flex items-center justify-center space-x-2">
+                  <Search className="h-4 w-4" />
+                  <span>Find a Slot for This Vehicle</span>
+                </button>
+              )}
+              {canEdit && (
+                <Link to={`/vehicles/${vehicle.id}/edit`} className="w-full btn-secondary flex items-center justify-center space-x-2">
+                  <Edit className="h-4 w-4" />
+                  <span>Edit Details</span>
+                </Link>
+              )}
+              {statusOptions.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => handleStatusUpdate(option.value)}
+                  disabled={updating}
+                  className={`w-full flex items-center justify-center space-x-2 ${option.value === 'active' ? 'btn-primary' : 'btn-secondary'}`}
+                >
+                  {updating && <Loader2 className="h-4 w-4 animate-spin" />}
+                  <span>Mark as {option.label}</span>
+                </button>
+              ))}
+              {canArchive && (
+                <button
+                  onClick={isArchived ? handleRestore : handleArchive}
+                  disabled={updating}
+                  className="w-full btn-secondary flex items-center justify-center space-x-2"
+                >
+                  {isArchived ? <ArchiveRestore className="h-4 w-4" /> : <Archive className="h-4 w-4" />}
+                  <span>{isArchived ? 'Restore Vehicle' : 'Archive Vehicle'}</span>
+                </button>
+              )}
+              <button onClick={handleCopyId} className="w-full btn-secondary flex items-center justify-center space-x-2">
+                <Copy className="h-4 w-4" />
+                <span>Copy Vehicle ID</span>
+              </button>
+            </div>
+          </div>
+
+          {/* Status History */}
+          <div className="card">
+            <div className="flex items-center space-x-2 mb-4">
+              <History className="h-5 w-5 text-secondary-600" />
+              <h2 className="text-lg font-medium text-secondary-900">Status History</h2>
+            </div>
+            <ol className="space-y-3">
+              {[...(vehicle.statusHistory || [])].reverse().map((entry, index) => (
+                <li key={`${entry.changedAt}-${index}`} className="flex items-start justify-between text-sm">
+                  <span className={`badge ${getStatusBadgeClass(entry.status)}`}>{entry.status}</span>
+                  <span className="text-right text-secondary-500">
+                    {formatDate(entry.changedAt, 'PP p')}
+                    {entry.changedBy && <span className="block text-xs">by {entry.changedBy}</span>}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          </div>
+        </div>
+
+        {/* Booking Timeline */}
+        <div className="lg:col-span-2 space-y-6">
+          <div className="card">
+            <h2 className="text-lg font-medium text-secondary-900 mb-4">Upcoming &amp; Ongoing</h2>
+            <BookingTimeline bookings={upcomingBookings} emptyText="No upcoming bookings" />
+          </div>
+          <div className="card">
+            <h2 className="text-lg font-medium text-secondary-900 mb-4">Past Bookings</h2>
+            <BookingTimeline bookings={pastBookings} emptyText="No past bookings yet" />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Summary Card Component
+ */
+const SummaryCard = ({ icon, label, value, detail }) => {
+  const Icon = icon;
+
+  return (
+    <div className="card">
+      <div className="flex items-center space-x-2 text-secondary-600 text-sm mb-2">
+        <Icon className="h-4 w-4" />
+        <span>{label}</span>
+      </div>
+      <div className="text-2xl font-bold text-secondary-900">{value}</div>
+      <div className="text-xs text-secondary-500 mt-1">{detail}</div>
+    </div>
+  );
+};
+
+/**
+ * Booking Timeline Component
+ */
+const BookingTimeline = ({ bookings, emptyText }) => {
+  if (bookings.length === 0) {
+    return <p className="text-sm text-secondary-500">{emptyText}</p>;
+  }
+
+  return (
+    <ol className="relative border-l-2 border-secondary-200 ml-2 space-y-6">
+      {bookings.map(booking => (
+        <li key={booking.id} className="ml-6">
+          <span className={`absolute -left-[7px] mt-1.5 h-3 w-3 rounded-full ring-4 ring-white ${TIMELINE_DOT_CLASSES[booking.status] || 'bg-secondary-300'}`} />
+
+          <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+            <div>
+              <div className="font-medium text-secondary-900">
+                {formatDate(booking.startTime, 'PP p')} – {formatDate(booking.endTime, 'PP p')}
+              </div>
+              <div className="flex items-center space-x-1 text-sm text-secondary-600 mt-1">
+                <MapPin className="h-4 w-4" />
+                <span>
+                  {booking.fromPincode} → {booking.toPincode}
+                  <span className="text-secondary-400">
+                    {' '}({formatPlaceName(locatePincode(booking.fromPincode))} → {formatPlaceName(locatePincode(booking.toPincode))})
+                  </span>
+                </span>
+              </div>
+              <div className="flex items-center space-x-1 text-sm text-secondary-600 mt-1">
+                <User className="h-4 w-4" />
+                <span>{booking.customerId}</span>
+                <span className="text-secondary-400">· {booking.estimatedRideDurationHours}h ·</span>
+                <Link to={`/bookings/${booking.id}`} className="text-primary-600 hover:text-primary-700">
+                  ID {booking.id.slice(-8).toUpperCase()}
+                </Link>
+              </div>
+            </div>
+
+            <div className="text-left sm:text-right">
+              <span className={`badge ${getStatusBadgeClass(booking.status)}`}>{booking.status}</span>
+              <div className="font-medium text-secondary-900 mt-1">{formatCurrency(booking.totalCost)}</div>
+            </div>
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default VehicleDetails;
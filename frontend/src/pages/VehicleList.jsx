@@ -1,42 +1,75 @@
 /**
  * Vehicle List Page Component
- * Displays all vehicles with filtering and search capabilities
+ * Displays all vehicles with filtering, search and sorting, kept in the URL
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { 
   List, 
   Search, 
   Filter, 
   Truck, 
-  Edit, 
   Eye, 
   RefreshCw, 
   Loader2,
   AlertCircle,
   ChevronLeft,
-  ChevronRight
+  ChevronRight,
+  ArrowUp,
+  ArrowDown
 } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { vehicleAPI } from '../services/api';
+import { vehicleAPI, getErrorMessage, isRequestCancelled } from '../services/api';
+import { subscribeToQueries } from '../services/queryCache';
+import { REALTIME_EVENTS } from '../services/realtime';
+import useRealtimeEvents from '../hooks/useRealtimeEvents';
+import useAuth from '../hooks/useAuth';
+import FilterPresets from '../components/FilterPresets';
+import { canSetVehicleStatus } from '../utils/permissions';
+import { VEHICLE_STATUSES, getNextVehicleStatuses } from '../utils/statusTransitions';
 import { 
   formatCapacity, 
   getVehicleType, 
   getStatusBadgeClass, 
   debounce 
 } from '../utils/helpers';
+import {
+  BODY_TYPES,
+  FUEL_TYPES,
+  getOptionLabel,
+  formatRegistrationNumber,
+  formatDimensions,
+  formatVolume
+} from '../utils/vehicles';
+import {
+  SORT_ORDERS,
+  readListQuery,
+  toListSearchParams,
+  hasActiveFilters
+} from '../utils/listQuery';
+import {
+  VEHICLE_PAGE_SIZE,
+  VEHICLE_SORT_FIELDS,
+  VEHICLE_STATUS_FILTERS,
+  VEHICLE_FILTER_KEYS,
+  DEFAULT_VEHICLE_QUERY,
+  VEHICLE_QUERY_VALUES
+} from '../utils/vehicleSearch';
 
 const VehicleList = () => {
+  const { user } = useAuth();
+
   // State management
   const [vehicles, setVehicles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [filters, setFilters] = useState({
-    search: '',
-    status: '',
-    minCapacity: '',
-    maxCapacity: ''
-  });
+  // Search, filters, sort and page live in the URL
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = readListQuery(searchParams, DEFAULT_VEHICLE_QUERY, VEHICLE_QUERY_VALUES);
+  const queryKey = searchParams.toString();
+  // What a saved preset holds: the view without its page
+  const presetQuery = toListSearchParams({ ...query, page: DEFAULT_VEHICLE_QUERY.page }, DEFAULT_VEHICLE_QUERY).toString();
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
@@ -45,59 +78,103 @@ const VehicleList = () => {
     hasPrev: false
   });
   const [updating, setUpdating] = useState(false);
+  const abortControllerRef = useRef(null);
 
   // Fetch vehicles with debounced search
-  const fetchVehicles = debounce(async (page = 1, searchFilters = filters) => {
-    setLoading(true);
+  const fetchVehicles = debounce(async (listQuery = query, { forceRefresh = false, silent = false } = {}) => {
+    // Abort any in-flight request so a stale response can't overwrite newer results
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    if (!silent) setLoading(true);
     setError(null);
     
     try {
       const params = {
-        page,
-        limit: 12,
-        ...(searchFilters.status && { status: searchFilters.status }),
-        ...(searchFilters.minCapacity && { minCapacity: parseInt(searchFilters.minCapacity) }),
-        ...(searchFilters.maxCapacity && { maxCapacity: parseInt(searchFilters.maxCapacity) })
+        page: listQuery.page,
+        limit: VEHICLE_PAGE_SIZE,
+        sort: listQuery.sort,
+        order: listQuery.order,
+        ...(listQuery.search.trim() && { search: listQuery.search.trim() }),
+        // 'archived' is listed with the statuses but is a separate flag on the API
+        ...(listQuery.status === 'archived'
+          ? { archived: true }
+          : listQuery.status && { status: listQuery.status }),
+        ...(listQuery.bodyType && { bodyType: listQuery.bodyType }),
+        ...(listQuery.fuelType && { fuelType: listQuery.fuelType }),
+        ...(listQuery.minCapacity && { minCapacity: parseInt(listQuery.minCapacity) }),
+        ...(listQuery.maxCapacity && { maxCapacity: parseInt(listQuery.maxCapacity) })
       };
 
-      const response = await vehicleAPI.getAllVehicles(params);
+      const response = await vehicleAPI.getAllVehicles(params, { signal: controller.signal, forceRefresh });
       
       if (response.data.success) {
         const data = response.data.data;
-        
-        // Filter by search term locally (for name search)
-        let filteredVehicles = data.vehicles;
-        if (searchFilters.search) {
-          filteredVehicles = data.vehicles.filter(vehicle =>
-            vehicle.name.toLowerCase().includes(searchFilters.search.toLowerCase())
-          );
-        }
-        
-        setVehicles(filteredVehicles);
+        setVehicles(data.vehicles);
         setPagination(data.pagination);
       }
     } catch (error) {
+      if (isRequestCancelled(error)) return;
       console.error('Error fetching vehicles:', error);
       setError(error.message || 'Failed to fetch vehicles');
       toast.error('Failed to load vehicles');
     } finally {
-      setLoading(false);
+      if (abortControllerRef.current === controller) {
+        setLoading(false);
+      }
     }
   }, 500);
 
-  // Load vehicles on component mount and filter changes
+  // Load vehicles on component mount and whenever the URL's query changes
+  useEffect(() => {
+    fetchVehicles(query);
+  }, [queryKey]);
+
+  // Abort any pending request when leaving the page
   useEffect(() => {
-    fetchVehicles(1, filters);
-  }, [filters]);
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  // Pick up background revalidations and invalidations from mutations
+  const refetchRef = useRef(null);
+  refetchRef.current = () => fetchVehicles(query, { silent: true });
+
+  useEffect(() => {
+    return subscribeToQueries('/vehicles', () => refetchRef.current(), { exact: true });
+  }, []);
+
+  // Patch vehicles in place when another dispatcher changes them; archiving moves
+  // a vehicle between the default and archived lists, so reload those
+  useRealtimeEvents((event) => {
+    if (event.type === REALTIME_EVENTS.VEHICLE_STATUS_CHANGED || event.type === REALTIME_EVENTS.VEHICLE_UPDATED) {
+      setVehicles(prev => prev.map(vehicle =>
+        vehicle.id === event.data.id
+          ? { ...vehicle, ...event.data }
+          : vehicle
+      ));
+    } else if (event.type === REALTIME_EVENTS.VEHICLE_ARCHIVED || event.type === REALTIME_EVENTS.VEHICLE_RESTORED) {
+      refetchRef.current();
+    }
+  });
+
+  /**
+   * Put a change to the search, filters, sort or page into the URL
+   * Anything but a page change starts again from the first page
+   * @param {Object} changes - Query fields to set
+   */
+  const updateQuery = (changes) => {
+    const nextQuery = { ...query, page: 1, ...changes };
+    // Typing a search or capacity replaces the history entry rather than adding one per keystroke
+    const typed = ['search', 'minCapacity', 'maxCapacity'].some(key => key in changes);
+    setSearchParams(toListSearchParams(nextQuery, DEFAULT_VEHICLE_QUERY), { replace: typed });
+  };
 
   /**
    * Handle filter changes
    */
   const handleFilterChange = (field, value) => {
-    setFilters(prev => ({
-      ...prev,
-      [field]: value
-    }));
+    updateQuery({ [field]: value });
   };
 
   /**
@@ -105,7 +182,7 @@ const VehicleList = () => {
    */
   const handlePageChange = (page) => {
     if (page >= 1 && page <= pagination.totalPages) {
-      fetchVehicles(page, filters);
+      updateQuery({ page });
     }
   };
 
@@ -113,44 +190,53 @@ const VehicleList = () => {
    * Clear all filters
    */
   const clearFilters = () => {
-    setFilters({
-      search: '',
-      status: '',
-      minCapacity: '',
-      maxCapacity: ''
-    });
+    updateQuery(Object.fromEntries(VEHICLE_FILTER_KEYS.map(key => [key, DEFAULT_VEHICLE_QUERY[key]])));
+  };
+
+  /**
+   * Apply a saved filter preset
+   * @param {string} savedQuery - URL query the preset holds
+   */
+  const applyPreset = (savedQuery) => {
+    setSearchParams(new URLSearchParams(savedQuery));
   };
 
   /**
    * Refresh vehicle list
    */
   const handleRefresh = () => {
-    fetchVehicles(pagination.currentPage, filters);
+    fetchVehicles(query, { forceRefresh: true });
     toast.success('Vehicle list refreshed');
   };
 
   /**
-   * Update vehicle status
+   * Update vehicle status, showing it before the server answers and undoing it if the server refuses
+   * @param {Object} vehicle - Vehicle as listed
+   * @param {string} newStatus - Status to move to
    */
-  const handleStatusUpdate = async (vehicleId, newStatus) => {
+  const handleStatusUpdate = async (vehicle, newStatus) => {
+    if (!canSetVehicleStatus(user, newStatus)) {
+      toast.error(`You don't have permission to mark vehicles as ${newStatus}`);
+      return;
+    }
+
+    const showVehicle = (shown) => {
+      setVehicles(prev => prev.map(v => (v.id === vehicle.id ? shown : v)));
+    };
+
     setUpdating(true);
+    showVehicle({ ...vehicle, status: newStatus });
     
     try {
-      const response = await vehicleAPI.updateVehicleStatus(vehicleId, newStatus);
+      const response = await vehicleAPI.updateVehicleStatus(vehicle.id, newStatus);
       
       if (response.data.success) {
-        // Update vehicle in local state
-        setVehicles(prev => prev.map(vehicle => 
-          vehicle.id === vehicleId 
-            ? { ...vehicle, status: newStatus }
-            : vehicle
-        ));
-        
         toast.success(`Vehicle status updated to ${newStatus}`);
       }
     } catch (error) {
       console.error('Error updating vehicle status:', error);
-      toast.error('Failed to update vehicle status');
+      showVehicle(vehicle);
+      toast.error(getErrorMessage(error));
     } finally {
       setUpdating(false);
     }
@@ -192,16 +278,16 @@ const VehicleList = () => {
           <h2 className="text-lg font-medium text-secondary-900">Filters</h2>
         </div>
         
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-          {/* Search by name */}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {/* Search by name or registration */}
           <div>
-            <label className="form-label">Search by Name</label>
+            <label className="form-label">Search by Name or Registration</label>
             <div className="relative">
               <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-secondary-400" />
               <input
                 type="text"
-                placeholder="Vehicle name..."
-                value={filters.search}
+                placeholder="Vehicle name or MH 12 AB 1234..."
+                value={query.search}
                 onChange={(e) => handleFilterChange('search', e.target.value)}
                 className="form-input pl-10"
               />
@@ -212,14 +298,44 @@ const VehicleList = () => {
           <div>
             <label className="form-label">Status</label>
             <select
-              value={filters.status}
+              value={query.status}
               onChange={(e) => handleFilterChange('status', e.target.value)}
               className="form-input"
             >
               <option value="">All Statuses</option>
-              <option value="active">Active</option>
-              <option value="maintenance">Maintenance</option>
-              <option value="retired">Retired</option>
+              {VEHICLE_STATUS_FILTERS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Body type filter */}
+          <div>
+            <label className="form-label">Body Type</label>
+            <select
+              value={query.bodyType}
+              onChange={(e) => handleFilterChange('bodyType', e.target.value)}
+              className="form-input"
+            >
+              <option value="">All Body Types</option>
+              {BODY_TYPES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Fuel type filter */}
+          <div>
+            <label className="form-label">Fuel Type</label>
+            <select
+              value={query.fuelType}
+              onChange={(e) => handleFilterChange('fuelType', e.target.value)}
+              className="form-input"
+            >
+              <option value="">All Fuel Types</option>
+              {FUEL_TYPES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
             </select>
           </div>
 
@@ -229,7 +345,7 @@ const VehicleList = () => {
             <input
               type="number"
               placeholder="e.g., 1000"
-              value={filters.minCapacity}
+              value={query.minCapacity}
               onChange={(e) => handleFilterChange('minCapacity', e.target.value)}
               className="form-input"
               min="0"
@@ -242,7 +358,7 @@ const VehicleList = () => {
             <input
               type="number"
               placeholder="e.g., 10000"
-              value={filters.maxCapacity}
+              value={query.maxCapacity}
               onChange={(e) => handleFilterChange('maxCapacity', e.target.value)}
               className="form-input"
               min="0"
@@ -250,13 +366,39 @@ const VehicleList = () => {
           </div>
         </div>
 
-        <div className="flex justify-end mt-4">
-          <button
-            onClick={clearFilters}
-            className="btn-secondary"
-          >
-            Clear Filters
-          </button>
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mt-4">
+          <FilterPresets
+            list="vehicles"
+            query={presetQuery}
+            onApply={applyPreset}
+            canSave={presetQuery !== ''}
+          />
+          <div className="flex flex-wrap items-center gap-2">
+            <label htmlFor="sort" className="text-sm text-secondary-600">Sort by</label>
+            <select
+              id="sort"
+              value={query.sort}
+              onChange={(e) => handleFilterChange('sort', e.target.value)}
+              className="form-input w-auto"
+            >
+              {VEHICLE_SORT_FIELDS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => handleFilterChange('order', query.order === 'asc' ? 'desc' : 'asc')}
+              className="btn-secondary flex items-center space-x-1"
+            >
+              {query.order === 'asc' ? <ArrowUp className="h-4 w-4" /> : <ArrowDown className="h-4 w-4" />}
+              <span>{SORT_ORDERS.find(option => option.value === query.order).label}</span>
+            </button>
+            <button
+              onClick={clearFilters}
+              className="btn-secondary"
+            >
+              Clear Filters
+            </button>
+          </div>
         </div>
       </div>
 
@@ -291,7 +433,7 @@ const VehicleList = () => {
                 No vehicles found
               </h3>
               <p className="text-secondary-500">
-                {Object.values(filters).some(f => f) 
+                {hasActiveFilters(query, DEFAULT_VEHICLE_QUERY, VEHICLE_FILTER_KEYS)
                   ? 'Try adjusting your filters or search criteria.'
                   : 'Start by adding some vehicles to your fleet.'
                 }
@@ -348,7 +490,14 @@ const VehicleList = () => {
  * Vehicle Card Component
  */
 const VehicleCard = ({ vehicle, onStatusUpdate, updating }) => {
-  const [showDetails, setShowDetails] = useState(false);
+  const { user } = useAuth();
+
+  // Only offer moves the vehicle can make that the user's role may set (the current status is always shown)
+  const statusOptions = [
+    ...VEHICLE_STATUSES.filter(option => option.value === vehicle.status),
+    ...getNextVehicleStatuses(vehicle).filter(option => canSetVehicleStatus(user, option.value)),
+  ];
+  const canChangeStatus = statusOptions.length > 1 && !vehicle.archivedAt;
 
   return (
     <div className="card hover:shadow-medium transition-all duration-200">
@@ -356,16 +505,24 @@ const VehicleCard = ({ vehicle, onStatusUpdate, updating }) => {
       <div className="flex items-start justify-between mb-4">
         <div className="flex-1 min-w-0">
           <h3 className="text-lg font-semibold text-secondary-900 truncate mb-1">
-            {vehicle.name}
+            <Link to={`/vehicles/${vehicle.id}`} className="hover:text-primary-600">
+              {vehicle.name}
+            </Link>
           </h3>
           <div className="flex items-center space-x-2">
             <span className={`badge ${getStatusBadgeClass(vehicle.status)}`}>
               {vehicle.status}
             </span>
+            {vehicle.archivedAt && <span className="badge badge-secondary">archived</span>}
             <span className="text-sm text-secondary-500">
-              {getVehicleType(vehicle.capacityKg)}
+              {getOptionLabel(BODY_TYPES, vehicle.bodyType)} · {getVehicleType(vehicle.capacityKg)}
             </span>
           </div>
+          {vehicle.registrationNumber && (
+            <div className="mt-1 inline-block px-2 py-0.5 border border-secondary-300 rounded font-mono text-xs text-secondary-700">
+              {formatRegistrationNumber(vehicle.registrationNumber)}
+            </div>
+          )}
         </div>
         <Truck className="h-8 w-8 text-primary-600 flex-shrink-0" />
       </div>
@@ -384,57 +541,54 @@ const VehicleCard = ({ vehicle, onStatusUpdate, updating }) => {
           <span className="font-medium text-secondary-900">{vehicle.tyres}</span>
         </div>
 
-        {showDetails && (
-          <>
-            <div className="flex justify-between text-sm">
-              <span className="text-secondary-600">Created:</span>
-              <span className="font-medium text-secondary-900">
-                {new Date(vehicle.createdAt).toLocaleDateString()}
-              </span>
-            </div>
-            
-            <div className="flex justify-between text-sm">
-              <span className="text-secondary-600">Updated:</span>
-              <span className="font-medium text-secondary-900">
-                {new Date(vehicle.updatedAt).toLocaleDateString()}
-              </span>
-            </div>
-          </>
+        <div className="flex justify-between text-sm">
+          <span className="text-secondary-600">Fuel:</span>
+          <span className="font-medium text-secondary-900">{getOptionLabel(FUEL_TYPES, vehicle.fuelType)}</span>
+        </div>
+
+        <div className="flex justify-between text-sm">
+          <span className="text-secondary-600">Cargo Box:</span>
+          <span className="font-medium text-secondary-900">{formatDimensions(vehicle.dimensions)}</span>
+        </div>
+
+        <div className="flex justify-between text-sm">
+          <span className="text-secondary-600">Volume:</span>
+          <span className="font-medium text-secondary-900">{formatVolume(vehicle.volumeM3)}</span>
+        </div>
+
+        {vehicle.utilisationPercent !== undefined && (
+          <div className="flex justify-between text-sm">
+            <span className="text-secondary-600">Utilisation (30 days):</span>
+            <span className="font-medium text-secondary-900">{vehicle.utilisationPercent}%</span>
+          </div>
         )}
       </div>
 
       {/* Actions */}
       <div className="space-y-2">
-        <button
-          onClick={() => setShowDetails(!showDetails)}
+        <Link
+          to={`/vehicles/${vehicle.id}`}
           className="w-full btn-secondary flex items-center justify-center space-x-2"
         >
           <Eye className="h-4 w-4" />
-          <span>{showDetails ? 'Hide Details' : 'Show Details'}</span>
-        </button>
+          <span>View Details</span>
+        </Link>
 
         {/* Status Update Dropdown */}
-        <div className="flex space-x-2">
-          <select
-            value={vehicle.status}
-            onChange={(e) => onStatusUpdate(vehicle.id, e.target.value)}
-            disabled={updating}
-            className="flex-1 text-sm border border-secondary-300 rounded px-2 py-1 focus:outline-none focus:ring-1 focus:ring-primary-500"
-          >
-            <option value="active">Active</option>
-            <option value="maintenance">Maintenance</option>
-            <option value="retired">Retired</option>
-          </select>
-          
-          <button
-            onClick={() => onStatusUpdate(vehicle.id, vehicle.status)}
-            disabled={updating}
-            className="btn-primary px-3 py-1 text-sm flex items-center space-x-1"
-          >
-            <Edit className="h-3 w-3" />
-            <span>Update</span>
-          </button>
-        </div>
+        {canChangeStatus && (
+          <div className="flex space-x-2">
+            <select
+              value={vehicle.status}
+              onChange={(e) => onStatusUpdate(vehicle, e.target.value)}
+              disabled={updating}
+              className="flex-1 text-sm border border-secondary-300 rounded px-2 py-1 focus:outline-none focus:ring-1 focus:ring-primary-500"
+            >
+              {statusOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
 
       {/* Vehicle ID for reference */}
@@ -0,0 +1,346 @@
+/**
+ * Waitlist Page Component
+ * Searches the user is waiting on and vehicles held for them, booked from here before the hold runs out
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import {
+  BellRing,
+  RefreshCw,
+  Loader2,
+  AlertCircle,
+  MapPin,
+  Calendar,
+  Package,
+  Timer,
+  CheckCircle2,
+  XCircle,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { bookingAPI, waitlistAPI, getErrorMessage, isRequestCancelled } from '../services/api';
+import { getIdempotencyKey, clearIdempotencyKey } from '../services/idempotency';
+import { subscribeToQueries } from '../services/queryCache';
+import useCountdown from '../hooks/useCountdown';
+import VehicleLink from '../components/VehicleLink';
+import { CARGO_REQUIREMENTS, toCargoQuery } from '../utils/cargo';
+import { getOptionLabel } from '../utils/vehicles';
+import {
+  ACTIVE_WAITLIST_STATUSES,
+  WAITLIST_FLEXIBILITY_OPTIONS,
+  getWaitlistStatus,
+} from '../utils/waitlist';
+import { formatCapacity, formatCurrency, formatDate } from '../utils/helpers';
+
+/**
+ * Vehicle held for an entry, with the time left to book it
+ * @param {Object} entry - Waitlist entry with an offer
+ * @param {Function} onBook - Called with the entry to book
+ * @param {Function} onExpire - Called when the hold runs out
+ * @param {boolean} isBooking - Whether this offer is being booked
+ * @param {boolean} disabled - Whether booking is disabled
+ */
+const HeldVehicle = ({ entry, onBook, onExpire, isBooking, disabled }) => {
+  const { offer } = entry;
+  const { isExpired, label } = useCountdown(offer.expiresAt);
+
+  // Let the page reload once the server has let the hold go
+  const onExpireRef = useRef(onExpire);
+  onExpireRef.current = onExpire;
+  useEffect(() => {
+    if (isExpired) onExpireRef.current();
+  }, [isExpired]);
+
+  return (
+    <div className="mt-4 p-4 bg-success-50 border border-success-200 rounded-lg">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="text-sm">
+          <div className="font-medium text-success-800">
+            <VehicleLink vehicle={offer.vehicle} fallback="Vehicle removed" /> is held for you
+          </div>
+          <div className="text-success-700">
+            Starting {formatDate(offer.startTime, 'EEE, d MMM · p')}
+          </div>
+        </div>
+        <div className="flex items-center space-x-4">
+          <span
+            className={`inline-flex items-center font-mono text-lg ${isExpired ? 'text-danger-600' : 'text-success-800'}`}
+            title="Time left to book"
+          >
+            <Timer className="h-5 w-5 mr-1" />
+            {label}
+          </span>
+          <button
+            onClick={() => onBook(entry)}
+            disabled={disabled || isExpired}
+            className="btn-primary flex items-center space-x-2"
+          >
+            {isBooking ? <Loader2 className="h-4 w-4 animate-spin" /> : <CheckCircle2 className="h-4 w-4" />}
+            <span>{isExpired ? 'Hold Expired' : 'Book Now'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const Waitlist = () => {
+  const navigate = useNavigate();
+
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [bookingEntryId, setBookingEntryId] = useState(null);
+  const [leavingEntryId, setLeavingEntryId] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  /**
+   * Load the user's waitlist
+   */
+  const fetchWaitlist = async ({ forceRefresh = false, silent = false } = {}) => {
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    if (!silent) setLoading(true);
+    setError(null);
+
+    try {
+      const response = await waitlistAPI.getWaitlist({ signal: controller.signal, forceRefresh });
+
+      if (response.data.success) {
+        setEntries(response.data.data);
+      }
+    } catch (error) {
+      if (isRequestCancelled(error)) return;
+      console.error('Error fetching waitlist:', error);
+      setError(getErrorMessage(error));
+    } finally {
+      if (abortControllerRef.current === controller) {
+        setLoading(false);
+      }
+    }
+  };
+
+  // Keep the latest fetch for subscriptions without resubscribing on every render
+  const refetchRef = useRef(null);
+  refetchRef.current = fetchWaitlist;
+
+  useEffect(() => {
+    refetchRef.current();
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  // Offers arriving (or made elsewhere) invalidate or mark the waitlist stale
+  useEffect(() => {
+    return subscribeToQueries('/waitlist', () => refetchRef.current({ silent: true }));
+  }, []);
+
+  /**
+   * Book the vehicle held for an entry
+   * @param {Object} entry - Waitlist entry with an offer
+   */
+  const handleBook = async (entry) => {
+    const bookingData = {
+      vehicleId: entry.offer.vehicleId,
+      customerId: entry.customerId,
+      fromPincode: entry.fromPincode,
+      toPincode: entry.toPincode,
+      startTime: entry.offer.startTime,
+      cargo: toCargoQuery(entry.cargo),
+      holdId: entry.offer.holdId,
+    };
+    const idempotencyKey = getIdempotencyKey('createBooking', bookingData);
+
+    setBookingEntryId(entry.id);
+
+    try {
+      const response = await bookingAPI.createBooking(bookingData, { idempotencyKey });
+
+      if (response.data.success) {
+        clearIdempotencyKey('createBooking', bookingData);
+        const booking = response.data.data;
+        toast.success(
+          `Booking confirmed! ID: ${booking.id.slice(-8).toUpperCase()} · Total ${formatCurrency(booking.totalCost)}`,
+          { duration: 6000 }
+        );
+        navigate(`/bookings/${booking.id}`);
+      }
+    } catch (error) {
+      console.error('Error booking held vehicle:', error);
+      if (error.response && error.response.status < 500) {
+        clearIdempotencyKey('createBooking', bookingData);
+      }
+      toast.error(getErrorMessage(error));
+      fetchWaitlist({ forceRefresh: true, silent: true });
+    } finally {
+      setBookingEntryId(null);
+    }
+  };
+
+  /**
+   * Leave the waitlist for a search
+   * @param {Object} entry - Waitlist entry
+   */
+  const handleLeave = async (entry) => {
+    const warning = entry.status === 'offered' ? ' The vehicle held for you will be released.' : '';
+    if (!confirm(`Leave the waitlist for ${entry.fromPincode} → ${entry.toPincode}?${warning}`)) {
+      return;
+    }
+
+    setLeavingEntryId(entry.id);
+
+    try {
+      const response = await waitlistAPI.leaveWaitlist(entry.id);
+
+      if (response.data.success) {
+        setEntries(prev => prev.map(e => e.id === entry.id ? response.data.data : e));
+        toast.success('You have left the waitlist');
+      }
+    } catch (error) {
+      console.error('Error leaving waitlist:', error);
+      toast.error(getErrorMessage(error));
+    } finally {
+      setLeavingEntryId(null);
+    }
+  };
+
+  const activeEntries = entries.filter(entry => ACTIVE_WAITLIST_STATUSES.includes(entry.status));
+  const pastEntries = entries.filter(entry => !ACTIVE_WAITLIST_STATUSES.includes(entry.status));
+
+  const renderEntry = (entry) => {
+    const status = getWaitlistStatus(entry.status);
+    const { cargo } = entry;
+
+    return (
+      <div key={entry.id} className="card">
+        <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+          <div className="space-y-2 text-sm">
+            <div className="flex items-center space-x-2">
+              <MapPin className="h-4 w-4 text-secondary-500" />
+              <span className="font-medium text-secondary-900">{entry.fromPincode} → {entry.toPincode}</span>
+              <span className={`badge ${status.badgeClass}`}>{status.label}</span>
+            </div>
+            <div className="flex items-center space-x-2 text-secondary-600">
+              <Calendar className="h-4 w-4 text-secondary-500" />
+              <span>
+                {formatDate(entry.startTime, 'EEE, d MMM · p')}
+                {' · '}
+                {getOptionLabel(WAITLIST_FLEXIBILITY_OPTIONS, entry.flexibilityHours)}
+              </span>
+            </div>
+            <div className="flex items-center space-x-2 text-secondary-600">
+              <Package className="h-4 w-4 text-secondary-500" />
+              <span>
+                {formatCapacity(cargo.weightKg)}
+                {cargo.requirements.length > 0 &&
+                  ` · ${cargo.requirements.map(value => getOptionLabel(CARGO_REQUIREMENTS, value)).join(', ')}`}
+              </span>
+            </div>
+            <div className="text-xs text-secondary-500">
+              Joined {formatDate(entry.createdAt, 'PP p')}
+              {entry.bookingId && ' · '}
+              {entry.bookingId && (
+                <Link to={`/bookings/${entry.bookingId}`} className="text-primary-600 hover:text-primary-700">
+                  Booking {entry.bookingId.slice(-8).toUpperCase()}
+                </Link>
+              )}
+            </div>
+          </div>
+
+          {ACTIVE_WAITLIST_STATUSES.includes(entry.status) && (
+            <button
+              onClick={() => handleLeave(entry)}
+              disabled={leavingEntryId === entry.id || bookingEntryId === entry.id}
+              className="btn-secondary flex items-center space-x-2"
+            >
+              {leavingEntryId === entry.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <XCircle className="h-4 w-4" />}
+              <span>Leave Waitlist</span>
+            </button>
+          )}
+        </div>
+
+        {entry.status === 'offered' && (
+          <HeldVehicle
+            entry={entry}
+            onBook={handleBook}
+            onExpire={() => fetchWaitlist({ forceRefresh: true, silent: true })}
+            isBooking={bookingEntryId === entry.id}
+            disabled={bookingEntryId !== null}
+          />
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <div className="bg-primary-100 p-3 rounded-lg">
+            <BellRing className="h-6 w-6 text-primary-600" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-secondary-900">Waitlist</h1>
+            <p className="text-secondary-600">
+              We'll hold a vehicle for you and let you know as soon as one frees up
+            </p>
+          </div>
+        </div>
+
+        <button
+          onClick={() => fetchWaitlist({ forceRefresh: true })}
+          disabled={loading}
+          className="btn-secondary flex items-center space-x-2"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          <span>Refresh</span>
+        </button>
+      </div>
+
+      {error && entries.length === 0 ? (
+        <div className="card bg-danger-50 border-danger-200">
+          <div className="flex items-center space-x-3">
+            <AlertCircle className="h-6 w-6 text-danger-600" />
+            <div>
+              <h3 className="font-medium text-danger-800">Error Loading Waitlist</h3>
+              <p className="text-danger-600">{error}</p>
+            </div>
+          </div>
+        </div>
+      ) : loading && entries.length === 0 ? (
+        <div className="flex justify-center items-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-primary-600" />
+          <span className="ml-3 text-secondary-600">Loading waitlist...</span>
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="card text-center py-12">
+          <BellRing className="h-16 w-16 text-secondary-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-secondary-700 mb-2">You're not waiting on any searches</h3>
+          <p className="text-secondary-500 mb-6">
+            When a search finds no vehicles, join the waitlist and we'll tell you when one frees up.
+          </p>
+          <Link to="/search-book" className="btn-primary">Search Vehicles</Link>
+        </div>
+      ) : (
+        <>
+          <div className="space-y-4">
+            {activeEntries.length > 0
+              ? activeEntries.map(renderEntry)
+              : <p className="text-secondary-500">You're not waiting on any searches right now.</p>}
+          </div>
+
+          {pastEntries.length > 0 && (
+            <div className="space-y-4">
+              <h2 className="text-lg font-medium text-secondary-900">Past</h2>
+              {pastEntries.map(renderEntry)}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Waitlist;
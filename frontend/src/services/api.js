@@ -4,6 +4,12 @@
  */
 
 import axios from 'axios';
+import { resolveRetryPolicy, shouldRetry, getRetryDelay, waitForRetry } from './retry';
+import { IDEMPOTENCY_HEADER, isReplayedResponse, isReplayConflict } from './idempotency';
+import { cachedGet, invalidateQueries } from './queryCache';
+import { isMockMode, mockAdapter } from './mockBackend';
+import { getBookingVehicleId } from './realtime';
+import { getSession, getAccessToken, setSession, updateSession, clearSession } from './auth';
 
 // Create axios instance with base configuration
 const api = axios.create({
@@ -12,18 +18,17 @@ const api = axios.create({
   headers: {
     'Content-Type': 'application/json',
   },
+  // Serve requests from the in-browser mock backend when enabled
+  ...(isMockMode() && { adapter: mockAdapter }),
 });
 
 // Request interceptor - Add auth token and log requests
 api.interceptors.request.use(
   (config) => {
-    // Add timestamp to prevent caching
-    config.params = {
-      ...config.params,
-      _t: Date.now(),
-    };
-    
-   
+    const accessToken = getAccessToken();
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
+    }
     
     return config;
   },
@@ -33,14 +38,74 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor - Handle responses and errors
+// Single in-flight token refresh shared by every request that got a 401
+let refreshPromise = null;
+
+/**
+ * Exchange the refresh token for a new token pair
+ * @returns {Promise} Resolves once the session holds a fresh access token
+ */
+const refreshSession = () => {
+  if (!refreshPromise) {
+    const { refreshToken } = getSession() || {};
+
+    refreshPromise = api.post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true, retry: false })
+      .then((response) => {
+        const { accessToken, refreshToken: nextRefreshToken, user } = response.data.data;
+        updateSession({ accessToken, refreshToken: nextRefreshToken, ...(user && { user }) });
+      })
+      .catch((error) => {
+        // Refresh token is no longer valid - the user has to log in again
+        clearSession();
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Response interceptor - Refresh expired sessions, retry transient failures, then handle errors
 api.interceptors.response.use(
   (response) => {
   
     
     return response;
   },
-  (error) => {
+  async (error) => {
+    // Cancelled requests are expected (e.g. stale fetches) - pass them through untouched
+    if (axios.isCancel(error)) {
+      return Promise.reject(error);
+    }
+
+    // Access token expired - refresh it silently and replay the request once
+    const { config } = error;
+    if (
+      error.response?.status === 401 &&
+      config &&
+      !config.skipAuthRefresh &&
+      !config.authRetried &&
+      getSession()?.refreshToken
+    ) {
+      config.authRetried = true;
+      try {
+        await refreshSession();
+        return api(config);
+      } catch (refreshError) {
+        console.error('Session refresh failed:', refreshError);
+      }
+    }
+
+    // Retry transient failures according to the retry policy
+    const policy = resolveRetryPolicy(error.config);
+    if (shouldRetry(error, policy)) {
+      config.retryCount = (config.retryCount || 0) + 1;
+      await waitForRetry(getRetryDelay(error, config.retryCount, policy), config.signal);
+      return api(config);
+    }
+
     console.error('❌ API Error:', error);
     
     // Handle different error scenarios
@@ -55,7 +120,7 @@ api.interceptors.response.use(
           error.message = data.error?.message || 'Invalid request data';
           break;
         case 401:
-          error.message = 'Authentication required';
+          error.message = data.error?.message || 'Authentication required';
           break;
         case 403:
           error.message = 'Access denied';
@@ -75,6 +140,9 @@ api.interceptors.response.use(
         case 500:
           error.message = 'Internal server error';
           break;
+        case 503:
+          error.message = 'Service temporarily unavailable. Please try again later';
+          break;
         default:
           error.message = data.error?.message || 'An error occurred';
       }
@@ -90,6 +158,56 @@ api.interceptors.response.use(
   }
 );
 
+/**
+ * Auth API methods
+ */
+export const authAPI = {
+  /**
+   * Log in and start a session
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise} API response
+   */
+  login: async (credentials) => {
+    const response = await api.post('/auth/login', credentials, { skipAuthRefresh: true, retry: false });
+    if (response.data.success) {
+      setSession(response.data.data);
+    }
+    return response;
+  },
+
+  /**
+   * Log out and end the session, even if the server can't be reached
+   * @returns {Promise} Resolves once the local session is cleared
+   */
+  logout: async () => {
+    const { refreshToken } = getSession() || {};
+    try {
+      await api.post('/auth/logout', { refreshToken }, { skipAuthRefresh: true, retry: false });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    } finally {
+      clearSession();
+    }
+  },
+
+  /**
+   * Get the logged-in user's profile
+   * @returns {Promise} API response
+   */
+  getCurrentUser: () => {
+    return api.get('/auth/me');
+  },
+
+  /**
+   * Get a short-lived token for opening the realtime event stream, which can't
+   * send the Authorization header
+   * @returns {Promise} API response with { token, expiresAt }
+   */
+  getEventsToken: () => {
+    return api.post('/auth/events-token', null, { retry: false });
+  },
+};
+
 /**
  * Vehicle API methods
  */
@@ -99,35 +217,87 @@ export const vehicleAPI = {
    * @param {Object} vehicleData - Vehicle data
    * @returns {Promise} API response
    */
-  addVehicle: (vehicleData) => {
-    return api.post('/vehicles', vehicleData);
+  addVehicle: async (vehicleData) => {
+    const response = await api.post('/vehicles', vehicleData);
+    invalidateQueries('/vehicles');
+    return response;
   },
   
   /**
    * Get available vehicles
+   * Availability is never served stale - identical concurrent searches are only deduplicated
    * @param {Object} searchParams - Search parameters
+   * @param {Object} options - Request options (e.g. { signal } for cancellation)
    * @returns {Promise} API response
    */
-  getAvailableVehicles: (searchParams) => {
-    return api.get('/vehicles/available', { params: searchParams });
+  getAvailableVehicles: (searchParams, options = {}) => {
+    return cachedGet(api, '/vehicles/available', {
+      staleTime: 0,
+      staleWhileRevalidate: false,
+      ...options,
+      params: searchParams,
+    });
   },
   
+  /**
+   * Get nearby start times at which suitable vehicles are free, nearest first
+   * Used when a search finds nothing at the requested time
+   * @param {Object} searchParams - Search parameters (as for getAvailableVehicles)
+   * @param {Object} options - Request options (e.g. { signal } for cancellation)
+   * @returns {Promise} API response
+   */
+  getAlternativeStartTimes: (searchParams, options = {}) => {
+    return cachedGet(api, '/vehicles/available/suggestions', {
+      staleTime: 0,
+      staleWhileRevalidate: false,
+      ...options,
+      params: searchParams,
+    });
+  },
+
+  /**
+   * Get groups of available vehicles that can carry a load together, cheapest first
+   * @param {Object} searchParams - Search parameters (as for getAvailableVehicles, with the total weight as capacityRequired)
+   * @param {Object} options - Request options (e.g. { signal } for cancellation)
+   * @returns {Promise} API response
+   */
+  getSplitOptions: (searchParams, options = {}) => {
+    return cachedGet(api, '/vehicles/available/split', {
+      staleTime: 0,
+      staleWhileRevalidate: false,
+      ...options,
+      params: searchParams,
+    });
+  },
+
   /**
    * Get all vehicles
-   * @param {Object} params - Query parameters
+   * @param {Object} params - Query parameters ({ search, status, archived, bodyType, fuelType, minCapacity, maxCapacity, sort, order, page, limit })
+   * @param {Object} options - Request options (e.g. { signal, forceRefresh })
    * @returns {Promise} API response
    */
-  getAllVehicles: (params = {}) => {
-    return api.get('/vehicles', { params });
+  getAllVehicles: (params = {}, options = {}) => {
+    return cachedGet(api, '/vehicles', { ...options, params });
   },
   
   /**
    * Get vehicle by ID
    * @param {string} vehicleId - Vehicle ID
+   * @param {Object} options - Request options (e.g. { signal, forceRefresh })
+   * @returns {Promise} API response
+   */
+  getVehicleById: (vehicleId, options = {}) => {
+    return cachedGet(api, `/vehicles/${vehicleId}`, options);
+  },
+
+  /**
+   * Get a vehicle's bookings (oldest first) with a utilisation and revenue summary
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} options - Request options (e.g. { signal, forceRefresh })
    * @returns {Promise} API response
    */
-  getVehicleById: (vehicleId) => {
-    return api.get(`/vehicles/${vehicleId}`);
+  getVehicleBookings: (vehicleId, options = {}) => {
+    return cachedGet(api, `/vehicles/${vehicleId}/bookings`, options);
   },
   
   /**
@@ -136,8 +306,45 @@ export const vehicleAPI = {
    * @param {string} status - New status
    * @returns {Promise} API response
    */
-  updateVehicleStatus: (vehicleId, status) => {
-    return api.patch(`/vehicles/${vehicleId}/status`, { status });
+  updateVehicleStatus: async (vehicleId, status) => {
+    const response = await api.patch(`/vehicles/${vehicleId}/status`, { status });
+    invalidateQueries('/vehicles', '/bookings');
+    return response;
+  },
+
+  /**
+   * Update a vehicle's details
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} vehicleData - Vehicle data ({ name, capacityKg, tyres })
+   * @returns {Promise} API response
+   */
+  updateVehicle: async (vehicleId, vehicleData) => {
+    const response = await api.put(`/vehicles/${vehicleId}`, vehicleData);
+    invalidateQueries('/vehicles', '/bookings');
+    return response;
+  },
+
+  /**
+   * Archive a vehicle so it can no longer be booked
+   * Rejected with 409 while the vehicle has upcoming confirmed or in-progress bookings
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Promise} API response
+   */
+  archiveVehicle: async (vehicleId) => {
+    const response = await api.delete(`/vehicles/${vehicleId}`);
+    invalidateQueries('/vehicles');
+    return response;
+  },
+
+  /**
+   * Restore an archived vehicle
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Promise} API response
+   */
+  restoreVehicle: async (vehicleId) => {
+    const response = await api.post(`/vehicles/${vehicleId}/restore`);
+    invalidateQueries('/vehicles');
+    return response;
   },
 };
 
@@ -147,39 +354,72 @@ export const vehicleAPI = {
 export const bookingAPI = {
   /**
    * Create a new booking
+   * Resolves with `response.replayed === true` when the server recognised the
+   * idempotency key and returned the booking created by an earlier attempt
    * @param {Object} bookingData - Booking data
+   * @param {Object} options - Request options ({ idempotencyKey, signal })
    * @returns {Promise} API response
    */
-  createBooking: (bookingData) => {
-    return api.post('/bookings', bookingData);
+  createBooking: async (bookingData, options = {}) => {
+    const { idempotencyKey, ...config } = options;
+
+    try {
+      const response = await api.post('/bookings', bookingData, {
+        ...config,
+        headers: {
+          ...config.headers,
+          ...(idempotencyKey && { [IDEMPOTENCY_HEADER]: idempotencyKey }),
+        },
+      });
+      response.replayed = isReplayedResponse(response);
+      invalidateQueries('/bookings', '/vehicles/available', `/vehicles/${bookingData.vehicleId}`);
+      if (bookingData.holdId) {
+        invalidateQueries('/waitlist');
+      }
+      return response;
+    } catch (error) {
+      // The original request already succeeded - treat the replay as a success
+      if (isReplayConflict(error)) {
+        invalidateQueries('/bookings', '/vehicles/available', `/vehicles/${bookingData.vehicleId}`);
+        return {
+          ...error.response,
+          data: { success: true, data: error.response.data.error.details?.booking },
+          replayed: true,
+        };
+      }
+      throw error;
+    }
   },
   
   /**
    * Get all bookings
-   * @param {Object} params - Query parameters
+   * @param {Object} params - Query parameters ({ search, status, fromDate, toDate, sort, order, page, limit })
+   * @param {Object} options - Request options (e.g. { signal, forceRefresh })
    * @returns {Promise} API response
    */
-  getAllBookings: (params = {}) => {
-    return api.get('/bookings', { params });
+  getAllBookings: (params = {}, options = {}) => {
+    return cachedGet(api, '/bookings', { ...options, params });
   },
   
   /**
    * Get booking by ID
    * @param {string} bookingId - Booking ID
+   * @param {Object} options - Request options (e.g. { signal, forceRefresh })
    * @returns {Promise} API response
    */
-  getBookingById: (bookingId) => {
-    return api.get(`/bookings/${bookingId}`);
+  getBookingById: (bookingId, options = {}) => {
+    return cachedGet(api, `/bookings/${bookingId}`, options);
   },
   
   /**
    * Get customer bookings
    * @param {string} customerId - Customer ID
-   * @param {Object} params - Query parameters
+   * @param {Object} params - Query parameters, as for getAllBookings
+   * @param {Object} options - Request options (e.g. { signal, forceRefresh })
    * @returns {Promise} API response
    */
-  getCustomerBookings: (customerId, params = {}) => {
-    return api.get(`/bookings/customer/${customerId}`, { params });
+  getCustomerBookings: (customerId, params = {}, options = {}) => {
+    return cachedGet(api, `/bookings/customer/${customerId}`, { ...options, params });
   },
   
   /**
@@ -188,17 +428,208 @@ export const bookingAPI = {
    * @param {string} status - New status
    * @returns {Promise} API response
    */
-  updateBookingStatus: (bookingId, status) => {
-    return api.patch(`/bookings/${bookingId}/status`, { status });
+  updateBookingStatus: async (bookingId, status) => {
+    const response = await api.patch(`/bookings/${bookingId}/status`, { status });
+    invalidateQueries('/bookings', '/vehicles/available', `/vehicles/${getBookingVehicleId(response.data.data)}`);
+    return response;
   },
   
+  /**
+   * Check a change to a booking without making it
+   * @param {string} bookingId - Booking ID
+   * @param {Object} changes - { startTime, toPincode, vehicleId }; anything left out stays as booked
+   * @param {Object} options - Request options (e.g. { signal })
+   * @returns {Promise} API response with the new trip, its quote and priceDifference,
+   *   and alternatives ({ vehicles, startTimes }) when the vehicle isn't free
+   */
+  previewBookingChange: (bookingId, changes, options = {}) => {
+    return api.get(`/bookings/${bookingId}/modification`, { ...options, params: changes });
+  },
+
+  /**
+   * Reschedule a booking, change its drop pincode or move it to another vehicle
+   * Rejected with 409 when the vehicle isn't free or the price differs from expectedTotal
+   * @param {string} bookingId - Booking ID
+   * @param {Object} changes - { startTime, toPincode, vehicleId, expectedTotal, note }
+   * @returns {Promise} API response
+   */
+  modifyBooking: async (bookingId, changes) => {
+    const response = await api.patch(`/bookings/${bookingId}`, changes);
+    // Moving to another vehicle frees the one it had
+    invalidateQueries('/bookings', '/vehicles/available', changes.vehicleId ? '/vehicles' : `/vehicles/${getBookingVehicleId(response.data.data)}`);
+    return response;
+  },
+
   /**
    * Cancel booking
    * @param {string} bookingId - Booking ID
+   * @param {Object} cancellation - { reason, note } (see CANCELLATION_REASONS)
+   * @returns {Promise} API response
+   */
+  cancelBooking: async (bookingId, cancellation) => {
+    const response = await api.delete(`/bookings/${bookingId}`, { data: cancellation });
+    invalidateQueries('/bookings', '/vehicles/available', `/vehicles/${getBookingVehicleId(response.data.data)}`);
+    return response;
+  },
+};
+
+/**
+ * Hold API methods
+ * A hold keeps a vehicle for the user for a few minutes while they review the booking
+ */
+export const holdAPI = {
+  /**
+   * Hold a vehicle for a trip, releasing any vehicle held for the user's previous pick
+   * Rejected with 409 when the vehicle has been booked or held by someone else
+   * @param {Object} holdData - { vehicleId, fromPincode, toPincode, startTime }
+   * @returns {Promise} API response with the hold and its expiresAt
+   */
+  createHold: async (holdData) => {
+    const response = await api.post('/holds', holdData);
+    invalidateQueries('/vehicles/available');
+    return response;
+  },
+
+  /**
+   * Let a held vehicle go before the hold expires
+   * @param {string} holdId - Hold ID
    * @returns {Promise} API response
    */
-  cancelBooking: (bookingId) => {
-    return api.delete(`/bookings/${bookingId}`);
+  releaseHold: async (holdId) => {
+    const response = await api.delete(`/holds/${holdId}`);
+    invalidateQueries('/vehicles/available');
+    return response;
+  },
+};
+
+/**
+ * Shipment API methods
+ * A shipment is a load split across several vehicles, booked and cancelled together
+ */
+export const shipmentAPI = {
+  /**
+   * Book a group of vehicles as one shipment
+   * Resolves with `response.replayed === true` when the server returned the
+   * shipment created by an earlier attempt with the same idempotency key
+   * @param {Object} shipmentData - { customerId, vehicleIds, fromPincode, toPincode, startTime, cargo }
+   * @param {Object} options - Request options ({ idempotencyKey, signal })
+   * @returns {Promise} API response
+   */
+  createShipment: async (shipmentData, options = {}) => {
+    const { idempotencyKey, ...config } = options;
+    const affectedQueries = ['/bookings', '/vehicles/available', ...shipmentData.vehicleIds.map(id => `/vehicles/${id}`)];
+
+    try {
+      const response = await api.post('/shipments', shipmentData, {
+        ...config,
+        headers: {
+          ...config.headers,
+          ...(idempotencyKey && { [IDEMPOTENCY_HEADER]: idempotencyKey }),
+        },
+      });
+      response.replayed = isReplayedResponse(response);
+      invalidateQueries(...affectedQueries);
+      return response;
+    } catch (error) {
+      if (isReplayConflict(error)) {
+        invalidateQueries(...affectedQueries);
+        return {
+          ...error.response,
+          data: { success: true, data: error.response.data.error.details?.shipment },
+          replayed: true,
+        };
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Get a shipment with its bookings
+   * @param {string} shipmentId - Shipment ID
+   * @param {Object} options - Request options (e.g. { signal, forceRefresh })
+   * @returns {Promise} API response
+   */
+  getShipmentById: (shipmentId, options = {}) => {
+    return cachedGet(api, `/shipments/${shipmentId}`, options);
+  },
+
+  /**
+   * Cancel every booking in a shipment
+   * @param {string} shipmentId - Shipment ID
+   * @param {Object} cancellation - { reason, note } (see CANCELLATION_REASONS)
+   * @returns {Promise} API response
+   */
+  cancelShipment: async (shipmentId, cancellation) => {
+    const response = await api.delete(`/shipments/${shipmentId}`, { data: cancellation });
+    invalidateQueries(
+      '/bookings',
+      '/shipments',
+      '/vehicles/available',
+      ...response.data.data.bookings.map(booking => `/vehicles/${getBookingVehicleId(booking)}`)
+    );
+    return response;
+  },
+};
+
+/**
+ * Waitlist API methods
+ * Searches that found no vehicle, re-checked by the server until one frees up and is held for the customer
+ */
+export const waitlistAPI = {
+  /**
+   * Get the current user's waitlist entries, newest first
+   * @param {Object} options - Request options (e.g. { signal, forceRefresh })
+   * @returns {Promise} API response
+   */
+  getWaitlist: (options = {}) => {
+    return cachedGet(api, '/waitlist', options);
+  },
+
+  /**
+   * Join the waitlist for a search
+   * @param {Object} entryData - Search parameters with customerId and flexibilityHours
+   * @returns {Promise} API response
+   */
+  joinWaitlist: async (entryData) => {
+    const response = await api.post('/waitlist', entryData);
+    invalidateQueries('/waitlist', '/vehicles/available');
+    return response;
+  },
+
+  /**
+   * Leave the waitlist, releasing any vehicle held for the entry
+   * @param {string} entryId - Waitlist entry ID
+   * @returns {Promise} API response
+   */
+  leaveWaitlist: async (entryId) => {
+    const response = await api.delete(`/waitlist/${entryId}`);
+    invalidateQueries('/waitlist', '/vehicles/available');
+    return response;
+  },
+};
+
+/**
+ * Pricing API methods
+ */
+export const pricingAPI = {
+  /**
+   * Get the pricing settings (rate cards, surcharges and GST)
+   * @param {Object} options - Request options (e.g. { signal, forceRefresh })
+   * @returns {Promise} API response
+   */
+  getSettings: (options = {}) => {
+    return cachedGet(api, '/pricing/settings', options);
+  },
+
+  /**
+   * Update the pricing settings
+   * @param {Object} settings - Pricing settings
+   * @returns {Promise} API response
+   */
+  updateSettings: async (settings) => {
+    const response = await api.put('/pricing/settings', settings);
+    invalidateQueries('/pricing');
+    return response;
   },
 };
 
@@ -214,6 +645,15 @@ export const getErrorMessage = (error) => {
   return error.message || 'An unexpected error occurred';
 };
 
+/**
+ * Utility function to check if a request was cancelled
+ * @param {Error} error - API error
+ * @returns {boolean} Whether the request was aborted
+ */
+export const isRequestCancelled = (error) => {
+  return axios.isCancel(error);
+};
+
 /**
  * Utility function to check if response is successful
  * @param {Object} response - API response
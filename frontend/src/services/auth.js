@@ -0,0 +1,100 @@
+/**
+ * Auth Session
+ * Stores the logged-in user's tokens and profile and notifies listeners when they change
+ */
+
+import { storage } from '../utils/helpers';
+import { clearQueryCache } from './queryCache';
+
+const SESSION_KEY = 'fleetlink_session';
+
+const listeners = new Set();
+
+const notify = (session) => {
+  listeners.forEach(listener => listener(session));
+};
+
+// Keep tabs in sync when the user logs in or out elsewhere
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key === SESSION_KEY) {
+      clearQueryCache();
+      notify(getSession());
+    }
+  });
+}
+
+/**
+ * Get the current session
+ * @returns {Object|null} { accessToken, refreshToken, user } or null if logged out
+ */
+export const getSession = () => {
+  return storage.get(SESSION_KEY);
+};
+
+/**
+ * Get the current access token
+ * @returns {string|null} Access token
+ */
+export const getAccessToken = () => {
+  return getSession()?.accessToken || null;
+};
+
+/**
+ * Get the logged-in user
+ * @returns {Object|null} User profile
+ */
+export const getCurrentUser = () => {
+  return getSession()?.user || null;
+};
+
+/**
+ * Start a new session (login)
+ * @param {Object} session - { accessToken, refreshToken, user }
+ */
+export const setSession = ({ accessToken, refreshToken, user }) => {
+  const session = { accessToken, refreshToken, user };
+  storage.set(SESSION_KEY, session);
+
+  // Cached data may belong to another user
+  clearQueryCache();
+  notify(session);
+};
+
+/**
+ * Update the tokens of the current session (silent refresh)
+ * @param {Object} updates - Fields to update
+ */
+export const updateSession = (updates) => {
+  const session = { ...getSession(), ...updates };
+  storage.set(SESSION_KEY, session);
+  notify(session);
+};
+
+/**
+ * End the current session (logout or expired refresh token)
+ */
+export const clearSession = () => {
+  storage.remove(SESSION_KEY);
+  clearQueryCache();
+  notify(null);
+};
+
+/**
+ * Subscribe to session changes
+ * @param {Function} listener - Called with the new session (or null)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Get the customer ID bookings are made under for a user
+ * @param {Object} user - User profile
+ * @returns {string|null} Customer ID
+ */
+export const getCustomerId = (user) => {
+  return user?.customerId || user?.id || null;
+};
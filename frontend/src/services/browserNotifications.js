@@ -0,0 +1,45 @@
+/**
+ * Browser Notifications
+ * System notifications for events the user should see even when the tab is in
+ * the background. Everything here is a no-op where the Notification API is
+ * missing or permission was refused, so callers needn't check.
+ */
+
+const isSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/**
+ * Ask for permission to show notifications, if it hasn't been answered yet
+ * @returns {Promise<boolean>} True if notifications may be shown
+ */
+export const requestNotificationPermission = async () => {
+  if (!isSupported()) return false;
+  if (Notification.permission === 'default') {
+    try {
+      await Notification.requestPermission();
+    } catch (error) {
+      console.error('Error requesting notification permission:', error);
+    }
+  }
+  return Notification.permission === 'granted';
+};
+
+/**
+ * Show a notification, focusing the app when it is clicked
+ * @param {string} title - Notification title
+ * @param {Object} options - { body, tag, onClick }
+ */
+export const showBrowserNotification = (title, { body, tag, onClick } = {}) => {
+  if (!isSupported() || Notification.permission !== 'granted') return;
+
+  try {
+    const notification = new Notification(title, { body, tag });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      onClick?.();
+    };
+  } catch (error) {
+    // Some browsers only allow notifications from a service worker
+    console.error('Error showing notification:', error);
+  }
+};
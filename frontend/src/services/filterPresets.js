@@ -0,0 +1,63 @@
+/**
+ * Filter Presets
+ * Filter combinations each user has saved by name for a list page, kept as the
+ * URL query they apply
+ */
+
+import { storage, generateId } from '../utils/helpers';
+
+const STORAGE_KEY = 'fleetlink_filter_presets';
+const MAX_FILTER_PRESETS = 10;
+
+/**
+ * Get a user's saved presets for a list
+ * @param {string} userId - User ID
+ * @param {string} list - List the presets filter (e.g. 'vehicles')
+ * @returns {Object[]} Presets ({ id, name, query }), oldest first
+ */
+export const getFilterPresets = (userId, list) => {
+  if (!userId) return [];
+  return storage.get(STORAGE_KEY, {})[userId]?.[list] || [];
+};
+
+/**
+ * Store a user's presets for a list
+ * @param {string} userId - User ID
+ * @param {string} list - List the presets filter
+ * @param {Object[]} presets - Presets
+ * @returns {Object[]} The stored presets
+ */
+const setFilterPresets = (userId, list, presets) => {
+  const all = storage.get(STORAGE_KEY, {});
+  storage.set(STORAGE_KEY, { ...all, [userId]: { ...all[userId], [list]: presets } });
+  return presets;
+};
+
+/**
+ * Save the current filters under a name, replacing any preset with the same name
+ * The oldest presets are dropped once there are more than 10
+ * @param {string} userId - User ID
+ * @param {string} list - List the presets filter
+ * @param {string} name - Preset name
+ * @param {string} query - URL query the preset applies
+ * @returns {Object[]} The updated presets
+ */
+export const saveFilterPreset = (userId, list, name, query) => {
+  if (!userId) return [];
+
+  const others = getFilterPresets(userId, list)
+    .filter(preset => preset.name.toLowerCase() !== name.toLowerCase());
+  return setFilterPresets(userId, list, [...others, { id: generateId(), name, query }].slice(-MAX_FILTER_PRESETS));
+};
+
+/**
+ * Delete a saved preset
+ * @param {string} userId - User ID
+ * @param {string} list - List the presets filter
+ * @param {string} presetId - Preset ID
+ * @returns {Object[]} The updated presets
+ */
+export const deleteFilterPreset = (userId, list, presetId) => {
+  if (!userId) return [];
+  return setFilterPresets(userId, list, getFilterPresets(userId, list).filter(preset => preset.id !== presetId));
+};
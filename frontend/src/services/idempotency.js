@@ -0,0 +1,109 @@
+/**
+ * Idempotency Keys
+ * Generates and persists one idempotency key per mutation attempt so that
+ * retries and repeated clicks are deduplicated by the server
+ */
+
+import { storage, generateId } from '../utils/helpers';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const STORAGE_KEY = 'fleetlink_idempotency_keys';
+const KEY_TTL_MS = 24 * 60 * 60 * 1000; // Keys are kept for 24 hours
+
+/**
+ * Generate a new random idempotency key
+ * @returns {string} Idempotency key
+ */
+const createKey = () => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return generateId();
+};
+
+/**
+ * Load stored keys, dropping expired entries
+ * @returns {Object} Map of attempt id to { key, createdAt }
+ */
+const loadKeys = () => {
+  const keys = storage.get(STORAGE_KEY, {});
+  const now = Date.now();
+
+  return Object.fromEntries(
+    Object.entries(keys).filter(([, entry]) => now - entry.createdAt < KEY_TTL_MS)
+  );
+};
+
+/**
+ * Serialise a value as JSON with object keys sorted at every level, so equal
+ * payloads give the same text whatever order their fields were set in
+ * @param {*} value - Value to serialise
+ * @returns {string} JSON text
+ */
+const stableStringify = (value) => {
+  return JSON.stringify(value, (key, nested) => (
+    nested && typeof nested === 'object' && !Array.isArray(nested)
+      ? Object.fromEntries(Object.keys(nested).sort().map(field => [field, nested[field]]))
+      : nested
+  ));
+};
+
+/**
+ * Build a stable attempt id from the operation and its identifying fields
+ * Nested fields (cargo, contacts) are part of the attempt, so any edit gets a new key
+ * @param {string} scope - Operation name (e.g. 'createBooking')
+ * @param {Object} fields - Fields identifying the attempt
+ * @returns {string} Attempt id
+ */
+const getAttemptId = (scope, fields) => {
+  return `${scope}:${stableStringify(fields)}`;
+};
+
+/**
+ * Get the idempotency key for an attempt, creating and persisting one if needed
+ * @param {string} scope - Operation name (e.g. 'createBooking')
+ * @param {Object} fields - Fields identifying the attempt
+ * @returns {string} Idempotency key
+ */
+export const getIdempotencyKey = (scope, fields) => {
+  const keys = loadKeys();
+  const attemptId = getAttemptId(scope, fields);
+
+  if (!keys[attemptId]) {
+    keys[attemptId] = { key: createKey(), createdAt: Date.now() };
+    storage.set(STORAGE_KEY, keys);
+  }
+
+  return keys[attemptId].key;
+};
+
+/**
+ * Forget the idempotency key for an attempt once it has been resolved
+ * @param {string} scope - Operation name (e.g. 'createBooking')
+ * @param {Object} fields - Fields identifying the attempt
+ */
+export const clearIdempotencyKey = (scope, fields) => {
+  const keys = loadKeys();
+  delete keys[getAttemptId(scope, fields)];
+  storage.set(STORAGE_KEY, keys);
+};
+
+/**
+ * Check whether a response is a replay of an earlier request with the same key
+ * @param {Object} response - Axios response
+ * @returns {boolean} True if the server reported a replay
+ */
+export const isReplayedResponse = (response) => {
+  return response?.headers?.['idempotent-replayed'] === 'true' || response?.data?.replayed === true;
+};
+
+/**
+ * Check whether an error is the server rejecting a replayed key whose original request succeeded
+ * @param {Error} error - API error
+ * @returns {boolean} True if the error carries the original result
+ */
+export const isReplayConflict = (error) => {
+  const { status, data } = error.response || {};
+  return status === 409 && data?.error?.code === 'IDEMPOTENCY_KEY_REPLAYED';
+};
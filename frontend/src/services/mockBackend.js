@@ -0,0 +1,1779 @@
+/**
+ * Mock Backend
+ * In-browser implementation of the FleetLink API, plugged into axios as an adapter
+ * so the frontend can run without the API server. Data is kept in memory and
+ * persisted to localStorage between reloads.
+ *
+ * Enable with VITE_USE_MOCK_API=true, or from the login page (setMockMode) for this
+ * browser only. The Navbar's demo badge offers resetMockData to start over.
+ */
+
+import { AxiosError, CanceledError } from 'axios';
+import { addHours, addDays, addMinutes } from 'date-fns';
+import { storage } from '../utils/helpers';
+import { estimateRoute } from '../utils/geo';
+import { calculateQuote, validatePricingSettings } from '../utils/pricing';
+import {
+  BODY_TYPES,
+  FUEL_TYPES,
+  isValidRegistrationNumber,
+  normaliseRegistrationNumber,
+  calculateCargoVolume,
+} from '../utils/vehicles';
+import { parseCargoQuery, matchVehicleToCargo } from '../utils/cargo';
+import {
+  WAITLIST_HOLD_MINUTES,
+  MAX_WAITLIST_ENTRIES,
+  WAITLIST_FLEXIBILITY_OPTIONS,
+  ACTIVE_WAITLIST_STATUSES,
+  getWaitlistStartTimes,
+} from '../utils/waitlist';
+import {
+  MAX_SPLIT_VEHICLES,
+  MAX_SPLIT_CAPACITY_KG,
+  groupCoversCargo,
+  allocateLoad,
+  findVehicleGroups,
+  getShipmentStatus,
+} from '../utils/shipments';
+import { parseBookingDetails } from '../utils/bookingDetails';
+import { createSeedData, createObjectId } from './mockData';
+import { getCustomerId } from './auth';
+import {
+  BOOKING_STATUSES,
+  MAX_STATUS_NOTE_LENGTH,
+  getBookingTransitionError,
+  getVehicleTransitionError,
+} from '../utils/statusTransitions';
+import { getBookingModificationError, getNewStartTimeError } from '../utils/bookingChanges';
+import { MAX_PAGE_SIZE, SORT_ORDERS } from '../utils/listQuery';
+import { matchesBookingSearch } from '../utils/bookingSearch';
+import { matchesVehicleSearch } from '../utils/vehicleSearch';
+import {
+  PERMISSIONS,
+  hasPermission,
+  isOwnBooking,
+  canViewBooking,
+  canCancelBooking,
+  canModifyBooking,
+  canSetVehicleStatus,
+} from '../utils/permissions';
+
+const DB_STORAGE_KEY = 'fleetlink_mock_db';
+const MODE_STORAGE_KEY = 'fleetlink_mock_api';
+const MIN_LATENCY_MS = 150;
+const MAX_LATENCY_MS = 450;
+
+const BLOCKING_BOOKING_STATUSES = ['confirmed', 'in-progress'];
+
+/**
+ * Check whether the build always uses the mock backend, whatever this browser chose
+ * @returns {boolean} True if VITE_USE_MOCK_API is set
+ */
+export const isMockModeForced = () => {
+  return import.meta.env.VITE_USE_MOCK_API === 'true';
+};
+
+/**
+ * Check whether the mock backend is enabled
+ * @returns {boolean} True if requests are served by the mock backend
+ */
+export const isMockMode = () => {
+  return isMockModeForced() || storage.get(MODE_STORAGE_KEY) === true;
+};
+
+/**
+ * Enable or disable the mock backend (takes effect on next page load)
+ * @param {boolean} enabled - Whether to use the mock backend
+ */
+export const setMockMode = (enabled) => {
+  storage.set(MODE_STORAGE_KEY, enabled);
+};
+
+let db = null;
+
+const saveDb = () => storage.set(DB_STORAGE_KEY, db);
+
+// Another tab changed the data - reload it on next access
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key === DB_STORAGE_KEY) {
+      db = null;
+    }
+  });
+}
+
+// Server push: events go to listeners in this tab and, via BroadcastChannel, to other tabs
+const eventListeners = new Set();
+const eventChannel = typeof BroadcastChannel !== 'undefined'
+  ? new BroadcastChannel('fleetlink_mock_events')
+  : null;
+
+eventChannel?.addEventListener('message', (message) => {
+  eventListeners.forEach(listener => listener(message.data));
+});
+
+/**
+ * Publish a realtime event, as the real server would
+ * @param {string} type - Event type (e.g. 'booking.created')
+ * @param {Object} data - Event payload
+ */
+const publishEvent = (type, data) => {
+  const event = { type, data };
+  eventListeners.forEach(listener => listener(event));
+  eventChannel?.postMessage(event);
+};
+
+/**
+ * Subscribe to realtime events published by the mock backend
+ * @param {Function} listener - Called with { type, data }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToMockEvents = (listener) => {
+  eventListeners.add(listener);
+  return () => eventListeners.delete(listener);
+};
+
+const getDb = () => {
+  if (!db) {
+    // Fill in collections added since the data was first seeded
+    db = { ...createSeedData(), ...storage.get(DB_STORAGE_KEY, {}) };
+    saveDb();
+  }
+  return db;
+};
+
+/**
+ * Replace the mock database with fresh seed data
+ * Seeded users get new IDs, so existing sessions stop working
+ */
+export const resetMockData = () => {
+  db = createSeedData();
+  saveDb();
+};
+
+/**
+ * Error thrown by route handlers, converted into an error envelope by the adapter
+ */
+class MockHttpError extends Error {
+  constructor(status, message, details = null) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const success = (data, status = 200, headers = {}) => ({
+  status,
+  headers,
+  data: { success: true, data },
+});
+
+// Pages past the end are served as the last page, so a stale shared link still shows results
+const paginate = (items, query, totalKey) => {
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit) || 10));
+  const totalPages = Math.max(1, Math.ceil(items.length / limit));
+  const page = Math.min(totalPages, Math.max(1, parseInt(query.page) || 1));
+
+  return {
+    items: items.slice((page - 1) * limit, page * limit),
+    pagination: {
+      currentPage: page,
+      totalPages,
+      [totalKey]: items.length,
+      hasNext: page < totalPages,
+      hasPrev: page > 1,
+    },
+  };
+};
+
+/**
+ * Sort a list by the field and order a client asked for, newest first among equals
+ * @param {Object[]} items - Items to sort
+ * @param {Object} query - { sort, order }
+ * @param {Object} sortValues - Field → function returning the value an item is sorted by
+ * @param {string} defaultSort - Field used when the query names none
+ * @returns {Object[]} Sorted copy of the items
+ */
+const sortItems = (items, query, sortValues, defaultSort) => {
+  const sort = query.sort || defaultSort;
+  const order = query.order || 'desc';
+  const validationErrors = [];
+  if (!sortValues[sort]) {
+    validationErrors.push({ path: 'sort', message: `Sort must be one of: ${Object.keys(sortValues).join(', ')}` });
+  }
+  if (!SORT_ORDERS.some(option => option.value === order)) {
+    validationErrors.push({ path: 'order', message: `Order must be one of: ${SORT_ORDERS.map(option => option.value).join(', ')}` });
+  }
+  if (validationErrors.length > 0) {
+    throw new MockHttpError(400, 'Validation failed', { validationErrors });
+  }
+
+  const direction = order === 'asc' ? 1 : -1;
+  const valueOf = sortValues[sort];
+  return [...items].sort((a, b) => {
+    const x = valueOf(a);
+    const y = valueOf(b);
+    return ((x > y) - (x < y)) * direction || byNewest(a, b);
+  });
+};
+
+const findVehicle = (id) => {
+  const vehicle = getDb().vehicles.find(v => v.id === id);
+  if (!vehicle) throw new MockHttpError(404, 'Vehicle not found');
+  return vehicle;
+};
+
+const findBooking = (id) => {
+  const booking = getDb().bookings.find(b => b.id === id);
+  if (!booking) throw new MockHttpError(404, 'Booking not found');
+  return booking;
+};
+
+// Other users' waitlist entries and holds are reported as missing rather than forbidden
+const findWaitlistEntry = (id, user) => {
+  const entry = getDb().waitlist.find(e => e.id === id && e.userId === user.id);
+  if (!entry) throw new MockHttpError(404, 'Waitlist entry not found');
+  return entry;
+};
+
+const findHold = (id, user) => {
+  const hold = getActiveHolds().find(h => h.id === id && h.userId === user.id);
+  if (!hold) throw new MockHttpError(409, 'Your hold on this vehicle has expired or was released');
+  return hold;
+};
+
+const findShipment = (id) => {
+  const shipment = getDb().shipments.find(s => s.id === id);
+  if (!shipment) throw new MockHttpError(404, 'Shipment not found');
+  return shipment;
+};
+
+// Bookings are returned with the vehicle populated, like the real API
+const populateBooking = (booking) => ({
+  ...withStatusHistory(booking),
+  vehicleId: getDb().vehicles.find(v => v.id === booking.vehicleId) || null,
+});
+
+// Shipments are returned with their bookings and the status they add up to
+const populateShipment = (shipment) => {
+  const bookings = getDb().bookings.filter(b => b.shipmentId === shipment.id);
+  return {
+    ...shipment,
+    status: getShipmentStatus(bookings),
+    bookings: bookings.map(populateBooking),
+  };
+};
+
+// Waitlist entries are returned with the offered vehicle populated
+const populateWaitlistEntry = (entry) => ({
+  ...entry,
+  offer: entry.offer && {
+    ...entry.offer,
+    vehicle: getDb().vehicles.find(v => v.id === entry.offer.vehicleId) || null,
+  },
+});
+
+const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+const BOOKING_SORT_VALUES = {
+  createdAt: booking => new Date(booking.createdAt).getTime(),
+  startTime: booking => new Date(booking.startTime).getTime(),
+  totalCost: booking => booking.totalCost || 0,
+  // Statuses sort in the order a booking moves through them
+  status: booking => BOOKING_STATUSES.findIndex(option => option.value === booking.status),
+};
+
+const VEHICLE_SORT_VALUES = {
+  createdAt: vehicle => new Date(vehicle.createdAt).getTime(),
+  name: vehicle => vehicle.name.toLowerCase(),
+  capacityKg: vehicle => vehicle.capacityKg,
+  utilisation: vehicle => vehicle.utilisationPercent,
+};
+
+/**
+ * Search, filter, sort and page a set of bookings for a booking list
+ * @param {Object[]} bookings - Stored bookings
+ * @param {Object} query - { search, status, fromDate, toDate, sort, order, page, limit }
+ * @returns {Object} { bookings, pagination }, with vehicles populated
+ */
+const listBookings = (bookings, query) => {
+  const fromDate = query.fromDate ? new Date(`${query.fromDate}T00:00:00`) : null;
+  const toDate = query.toDate ? new Date(`${query.toDate}T23:59:59.999`) : null;
+  const vehicleNames = new Map(getDb().vehicles.map(v => [v.id, v.name]));
+
+  const matching = bookings
+    .filter(b => !query.status || b.status === query.status)
+    .filter(b => !fromDate || new Date(b.startTime) >= fromDate)
+    .filter(b => !toDate || new Date(b.startTime) <= toDate)
+    .filter(b => matchesBookingSearch(b, vehicleNames.get(b.vehicleId), query.search));
+
+  const sorted = sortItems(matching, query, BOOKING_SORT_VALUES, 'createdAt');
+  const { items, pagination } = paginate(sorted, query, 'totalBookings');
+  return { bookings: items.map(populateBooking), pagination };
+};
+
+// Vehicles and bookings stored before status history was recorded start with their current status
+const withStatusHistory = (record) => ({
+  ...record,
+  statusHistory: record.statusHistory || [
+    { status: record.status, changedAt: record.createdAt, changedBy: null },
+  ],
+});
+
+/**
+ * Move a booking to a new status, recording who changed it and why in its history
+ * @param {Object} booking - Stored booking
+ * @param {string} status - New status
+ * @param {Object} user - User making the change
+ * @param {Object} details - { reason, note }: reason code and what happened, when the status alone doesn't say
+ */
+const setBookingStatus = (booking, status, user, { reason = null, note = null } = {}) => {
+  addHistoryEntry(booking, {
+    status,
+    changedAt: new Date().toISOString(),
+    changedBy: user.name,
+    ...(reason && { reason }),
+    ...(note && { note }),
+  });
+  booking.status = status;
+};
+
+/**
+ * Append an entry to a booking's history
+ * @param {Object} booking - Stored booking
+ * @param {Object} entry - { status, changedAt, changedBy, ... }
+ */
+const addHistoryEntry = (booking, entry) => {
+  booking.statusHistory = [...withStatusHistory(booking).statusHistory, entry];
+  booking.updatedAt = entry.changedAt;
+};
+
+/**
+ * Look up who a customer ID belongs to, for linking a booking to its customer
+ * @param {string} customerId - Customer ID
+ * @returns {Object|null} { customerId, name, email }, or null for customers without an account
+ */
+const findCustomer = (customerId) => {
+  const account = getDb().users.find(u => getCustomerId(u) === customerId);
+  return account ? { customerId, name: account.name, email: account.email } : null;
+};
+
+const UTILISATION_WINDOW_DAYS = 30;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Summarise a vehicle's bookings: counts, revenue and utilisation over the last 30 days
+ * @param {Object[]} bookings - The vehicle's bookings
+ * @returns {Object} Summary
+ */
+const summariseVehicleBookings = (bookings) => {
+  const now = Date.now();
+  const windowStart = now - UTILISATION_WINDOW_DAYS * 24 * HOUR_MS;
+  const worked = bookings.filter(b => b.status !== 'cancelled');
+
+  const bookedMs = worked.reduce((total, booking) => {
+    const start = Math.max(new Date(booking.startTime).getTime(), windowStart);
+    const end = Math.min(new Date(booking.endTime).getTime(), now);
+    return total + Math.max(0, end - start);
+  }, 0);
+
+  const completed = bookings.filter(b => b.status === 'completed');
+  const upcoming = bookings.filter(b => b.status === 'confirmed' && new Date(b.startTime).getTime() > now);
+
+  return {
+    totalBookings: bookings.length,
+    completedBookings: completed.length,
+    upcomingBookings: upcoming.length,
+    cancelledBookings: bookings.length - worked.length,
+    revenue: completed.reduce((total, b) => total + (b.totalCost || 0), 0),
+    upcomingRevenue: upcoming.reduce((total, b) => total + (b.totalCost || 0), 0),
+    hoursBooked: Math.round(bookedMs / HOUR_MS * 10) / 10,
+    utilisationPercent: Math.round(bookedMs / (UTILISATION_WINDOW_DAYS * 24 * HOUR_MS) * 1000) / 10,
+    utilisationWindowDays: UTILISATION_WINDOW_DAYS,
+  };
+};
+
+/**
+ * Check whether a vehicle has a blocking booking overlapping a time window
+ * @param {string} vehicleId - Vehicle ID
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @param {string} excludeBookingId - Booking being moved, which doesn't count
+ * @returns {boolean} True if the vehicle is already booked
+ */
+const hasOverlappingBooking = (vehicleId, start, end, excludeBookingId = null) => {
+  return getDb().bookings.some(booking =>
+    booking.id !== excludeBookingId &&
+    booking.vehicleId === vehicleId &&
+    BLOCKING_BOOKING_STATUSES.includes(booking.status) &&
+    new Date(booking.startTime) < end &&
+    new Date(booking.endTime) > start
+  );
+};
+
+/**
+ * Get the reservation holds that haven't expired yet
+ * @returns {Object[]} Holds
+ */
+const getActiveHolds = () => {
+  const now = new Date();
+  return getDb().holds.filter(hold => new Date(hold.expiresAt) > now);
+};
+
+/**
+ * Check whether a vehicle is booked or held by someone for a time window
+ * @param {string} vehicleId - Vehicle ID
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @param {Object} options - { holdId, bookingId } of a hold the caller owns or a booking being moved, which don't count
+ * @returns {boolean} True if the vehicle can't be booked for the window
+ */
+const isVehicleBusy = (vehicleId, start, end, { holdId = null, bookingId = null } = {}) => {
+  return hasOverlappingBooking(vehicleId, start, end, bookingId) || getActiveHolds().some(hold =>
+    hold.id !== holdId &&
+    hold.vehicleId === vehicleId &&
+    new Date(hold.startTime) < end &&
+    new Date(hold.endTime) > start
+  );
+};
+
+/**
+ * Get a vehicle's confirmed or in-progress bookings that haven't finished yet
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {Object[]} Bookings
+ */
+const getPendingBookings = (vehicleId) => {
+  const now = new Date();
+  return getDb().bookings.filter(booking =>
+    booking.vehicleId === vehicleId &&
+    BLOCKING_BOOKING_STATUSES.includes(booking.status) &&
+    new Date(booking.endTime) > now
+  );
+};
+
+/**
+ * Find the vehicles that can carry a load and are free for a time window
+ * @param {Object} cargo - { weightKg, volumeM3, item, requirements }
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @returns {Object[]} [{ vehicle, match }], smallest vehicle first
+ */
+const findAvailableVehicles = (cargo, start, end) => {
+  return getDb().vehicles
+    .filter(v => v.status === 'active' && !v.archivedAt)
+    .map(v => ({ vehicle: v, match: matchVehicleToCargo(v, cargo) }))
+    .filter(({ match }) => match.matches)
+    .filter(({ vehicle }) => !isVehicleBusy(vehicle.id, start, end))
+    .sort((a, b) => a.vehicle.capacityKg - b.vehicle.capacityKg);
+};
+
+// How long a vehicle picked in the search is held while the booking is reviewed
+const CHECKOUT_HOLD_MINUTES = 5;
+
+// Start times tried around a search with no results: hours either side, then the following days
+const SUGGESTION_OFFSETS_HOURS = [-1, 1, -2, 2, -3, 3, -4, 4, -6, 6, 24, 48, 72];
+const MAX_SUGGESTIONS = 5;
+// Bookings need an hour's notice; the extra half hour leaves time to pick a slot
+const SUGGESTION_LEAD_TIME_MINUTES = 90;
+
+/**
+ * Get what a booking's vehicle has to carry: its cargo, or for bookings made
+ * without cargo details, as much as the booked vehicle carries
+ * @param {Object} booking - Stored booking
+ * @returns {Object} { weightKg, volumeM3, item, requirements }
+ */
+const getBookingLoad = (booking) => {
+  if (booking.cargo?.weightKg) return booking.cargo;
+  const vehicle = getDb().vehicles.find(v => v.id === booking.vehicleId);
+  return { weightKg: vehicle?.capacityKg || 1, requirements: [] };
+};
+
+/**
+ * Work out a change to a booking's start time, drop pincode or vehicle: the new
+ * trip, what it costs and whether the vehicle is free for it
+ * @param {Object} booking - Stored booking
+ * @param {Object} request - { startTime, toPincode, vehicleId }; anything left out stays as booked
+ * @returns {Object} { start, end, duration, distanceKm, toPincode, vehicle, quote, changes, unavailableReason }
+ */
+const planBookingChange = (booking, request) => {
+  const toPincode = request.toPincode || booking.toPincode;
+  const { start, end, duration, distanceKm } = validateTrip({
+    fromPincode: booking.fromPincode,
+    toPincode,
+    startTime: request.startTime || booking.startTime,
+  });
+  const vehicle = findVehicle(request.vehicleId || booking.vehicleId);
+
+  const changes = [
+    start.getTime() !== new Date(booking.startTime).getTime() &&
+      { field: 'startTime', from: booking.startTime, to: start.toISOString() },
+    toPincode !== booking.toPincode && { field: 'toPincode', from: booking.toPincode, to: toPincode },
+    vehicle.id !== booking.vehicleId && {
+      field: 'vehicle',
+      from: getDb().vehicles.find(v => v.id === booking.vehicleId)?.name || 'Vehicle removed',
+      to: vehicle.name,
+    },
+  ].filter(Boolean);
+  if (changes.length === 0) {
+    throw new MockHttpError(400, 'Change the start time, drop pincode or vehicle');
+  }
+
+  const startTimeError = changes.some(change => change.field === 'startTime') && getNewStartTimeError(start);
+  if (startTimeError) {
+    throw new MockHttpError(400, 'Validation failed', {
+      validationErrors: [{ path: 'startTime', message: startTimeError }],
+    });
+  }
+  if (vehicle.id !== booking.vehicleId) {
+    const match = matchVehicleToCargo(vehicle, getBookingLoad(booking));
+    if (!match.matches) {
+      throw new MockHttpError(400, `Vehicle doesn't suit this cargo: ${match.failures.join('; ')}`);
+    }
+  }
+
+  const quote = calculateQuote({ vehicle, distanceKm, durationHours: duration, startTime: start }, getDb().pricing);
+  if (quote.total !== booking.totalCost) {
+    changes.push({ field: 'totalCost', from: booking.totalCost, to: quote.total });
+  }
+
+  let unavailableReason = null;
+  if (vehicle.status !== 'active' || vehicle.archivedAt) {
+    unavailableReason = `${vehicle.name} is out of service (${vehicle.archivedAt ? 'archived' : vehicle.status})`;
+  } else if (isVehicleBusy(vehicle.id, start, end, { bookingId: booking.id })) {
+    unavailableReason = `${vehicle.name} is already booked for an overlapping time slot`;
+  }
+
+  return { start, end, duration, distanceKm, toPincode, vehicle, quote, changes, unavailableReason };
+};
+
+/**
+ * Find other ways to make a change whose vehicle is busy: other suitable vehicles
+ * free at the new time, and nearby start times when the booked vehicle is free
+ * @param {Object} booking - Stored booking
+ * @param {Object} plan - Result of planBookingChange
+ * @returns {Object} { vehicles, startTimes }, each priced against the booked cost
+ */
+const findBookingChangeAlternatives = (booking, plan) => {
+  const { pricing } = getDb();
+  const priceTrip = (vehicle, start) => {
+    const { total } = calculateQuote({ vehicle, distanceKm: plan.distanceKm, durationHours: plan.duration, startTime: start }, pricing);
+    return { totalCost: total, priceDifference: total - booking.totalCost };
+  };
+
+  const vehicles = findAvailableVehicles(getBookingLoad(booking), plan.start, plan.end)
+    .filter(({ vehicle }) => vehicle.id !== plan.vehicle.id)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ vehicle, match }) => ({ ...vehicle, matchReasons: match.reasons, ...priceTrip(vehicle, plan.start) }));
+
+  // A vehicle out of service has no free slots to offer
+  const earliestStart = addMinutes(new Date(), SUGGESTION_LEAD_TIME_MINUTES);
+  const startTimes = plan.vehicle.status !== 'active' || plan.vehicle.archivedAt ? [] : SUGGESTION_OFFSETS_HOURS
+    .map(offsetHours => ({ offsetHours, start: addHours(plan.start, offsetHours) }))
+    .filter(({ start }) => start >= earliestStart &&
+      !isVehicleBusy(plan.vehicle.id, start, addHours(start, plan.duration), { bookingId: booking.id }))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ offsetHours, start }) => ({ startTime: start.toISOString(), offsetHours, ...priceTrip(plan.vehicle, start) }));
+
+  return { vehicles, startTimes };
+};
+
+/**
+ * Find the nearest start time in a waitlist entry's window with a suitable vehicle free
+ * @param {Object} entry - Waitlist entry
+ * @param {Date} earliestStart - Start times before this are skipped
+ * @returns {Object|null} { vehicle, start, end }, or null if nothing has freed up
+ */
+const findWaitlistSlot = (entry, earliestStart) => {
+  const { durationHours } = estimateRoute(entry.fromPincode, entry.toPincode);
+  for (const start of getWaitlistStartTimes(entry.startTime, entry.flexibilityHours, earliestStart)) {
+    const end = addHours(start, durationHours);
+    const [available] = findAvailableVehicles(entry.cargo, start, end);
+    if (available) return { vehicle: available.vehicle, start, end };
+  }
+  return null;
+};
+
+/**
+ * Move the waitlist on: offers whose hold ran out are missed, entries whose window
+ * has passed expire, and waiting entries are offered any vehicle that has freed up,
+ * oldest entry first, with the vehicle held for them. Stands in for the server's
+ * background job, so it runs after every change and whenever the waitlist is read.
+ */
+const processWaitlist = () => {
+  const db = getDb();
+  const now = new Date();
+  const updatedAt = now.toISOString();
+  const earliestStart = addMinutes(now, SUGGESTION_LEAD_TIME_MINUTES);
+  let changed = false;
+
+  const activeHolds = getActiveHolds();
+  if (activeHolds.length !== db.holds.length) {
+    db.holds = activeHolds;
+    changed = true;
+  }
+
+  db.waitlist.forEach(entry => {
+    if (entry.status === 'offered' && new Date(entry.offer.expiresAt) <= now) {
+      Object.assign(entry, { status: 'missed', updatedAt });
+      changed = true;
+    } else if (entry.status === 'waiting' && addHours(new Date(entry.startTime), entry.flexibilityHours) < earliestStart) {
+      Object.assign(entry, { status: 'expired', updatedAt });
+      changed = true;
+    }
+  });
+
+  const offered = db.waitlist
+    .filter(entry => entry.status === 'waiting')
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .filter(entry => {
+      const slot = findWaitlistSlot(entry, earliestStart);
+      if (!slot) return false;
+
+      const hold = {
+        id: createObjectId(),
+        vehicleId: slot.vehicle.id,
+        userId: entry.userId,
+        startTime: slot.start.toISOString(),
+        endTime: slot.end.toISOString(),
+        expiresAt: addMinutes(now, WAITLIST_HOLD_MINUTES).toISOString(),
+        waitlistId: entry.id,
+        createdAt: updatedAt,
+      };
+      db.holds.push(hold);
+      Object.assign(entry, {
+        status: 'offered',
+        offer: {
+          vehicleId: hold.vehicleId,
+          holdId: hold.id,
+          startTime: hold.startTime,
+          endTime: hold.endTime,
+          expiresAt: hold.expiresAt,
+        },
+        updatedAt,
+      });
+      return true;
+    });
+
+  if (changed || offered.length > 0) {
+    saveDb();
+  }
+  offered.forEach(entry => publishEvent('waitlist.offered', populateWaitlistEntry(entry)));
+};
+
+/**
+ * Validate the total weight of a split shipment
+ * @param {*} value - Weight in kg
+ * @param {string} path - Field name for the validation error
+ * @returns {number} Weight in kg
+ */
+const validateSplitWeight = (value, path) => {
+  const weightKg = Number(value);
+  if (!Number.isInteger(weightKg) || weightKg < 1 || weightKg > MAX_SPLIT_CAPACITY_KG) {
+    throw new MockHttpError(400, 'Validation failed', {
+      validationErrors: [{ path, message: `Total weight must be a whole number between 1-${MAX_SPLIT_CAPACITY_KG.toLocaleString('en-IN')} kg` }],
+    });
+  }
+  return weightKg;
+};
+
+/**
+ * Validate trip fields shared by availability search and booking creation
+ * @param {Object} trip - { fromPincode, toPincode, startTime }
+ * @returns {Object} { start, end, duration, distanceKm }
+ */
+const validateTrip = ({ fromPincode, toPincode, startTime }) => {
+  const validationErrors = [];
+  if (!/^\d{6}$/.test(fromPincode || '')) {
+    validationErrors.push({ path: 'fromPincode', message: 'From pincode must be exactly 6 digits' });
+  }
+  if (!/^\d{6}$/.test(toPincode || '')) {
+    validationErrors.push({ path: 'toPincode', message: 'To pincode must be exactly 6 digits' });
+  }
+  const start = new Date(startTime);
+  if (!startTime || isNaN(start.getTime())) {
+    validationErrors.push({ path: 'startTime', message: 'Start time must be a valid date' });
+  }
+  if (validationErrors.length > 0) {
+    throw new MockHttpError(400, 'Validation failed', { validationErrors });
+  }
+
+  const { durationHours: duration, distanceKm } = estimateRoute(fromPincode, toPincode);
+  return { start, end: addHours(start, duration), duration, distanceKm };
+};
+
+// Cargo box limits in metres: [min, max]
+const DIMENSION_LIMITS = {
+  lengthM: [0.5, 20],
+  widthM: [0.5, 3],
+  heightM: [0.3, 4.5],
+};
+
+/**
+ * Validate vehicle fields and return them ready to store
+ * @param {Object} body - Request body
+ * @param {string} vehicleId - ID of the vehicle being edited, so it doesn't clash with itself
+ * @returns {Object} Vehicle fields
+ */
+const validateVehicle = (body, vehicleId = null) => {
+  const { name, registrationNumber, bodyType, fuelType, capacityKg, tyres, dimensions } = body;
+  const validationErrors = [];
+  if (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 100) {
+    validationErrors.push({ path: 'name', message: 'Vehicle name must be between 2-100 characters' });
+  }
+  if (!isValidRegistrationNumber(registrationNumber)) {
+    validationErrors.push({ path: 'registrationNumber', message: 'Registration number must be a valid Indian RTO number' });
+  }
+  if (!BODY_TYPES.some(option => option.value === bodyType)) {
+    validationErrors.push({ path: 'bodyType', message: `Body type must be one of: ${BODY_TYPES.map(option => option.value).join(', ')}` });
+  }
+  if (!FUEL_TYPES.some(option => option.value === fuelType)) {
+    validationErrors.push({ path: 'fuelType', message: `Fuel type must be one of: ${FUEL_TYPES.map(option => option.value).join(', ')}` });
+  }
+  if (!Number.isInteger(capacityKg) || capacityKg < 1 || capacityKg > 50000) {
+    validationErrors.push({ path: 'capacityKg', message: 'Capacity must be between 1-50,000 kg' });
+  }
+  if (!Number.isInteger(tyres) || tyres < 2 || tyres > 18) {
+    validationErrors.push({ path: 'tyres', message: 'Number of tyres must be between 2-18' });
+  }
+  if (dimensions) {
+    Object.entries(DIMENSION_LIMITS).forEach(([field, [min, max]]) => {
+      const value = dimensions[field];
+      if (typeof value !== 'number' || !(value >= min && value <= max)) {
+        validationErrors.push({ path: field, message: `Must be between ${min}-${max} m` });
+      }
+    });
+  }
+  if (validationErrors.length > 0) {
+    throw new MockHttpError(400, 'Validation failed', { validationErrors });
+  }
+
+  const normalisedRegistration = normaliseRegistrationNumber(registrationNumber);
+  const duplicate = getDb().vehicles.find(v =>
+    v.id !== vehicleId && normaliseRegistrationNumber(v.registrationNumber) === normalisedRegistration
+  );
+  if (duplicate) {
+    throw new MockHttpError(409, 'Registration number is already in use', {
+      validationErrors: [{ path: 'registrationNumber', message: `Already registered to ${duplicate.name}` }],
+    });
+  }
+
+  const cargoBox = dimensions
+    ? { lengthM: dimensions.lengthM, widthM: dimensions.widthM, heightM: dimensions.heightM }
+    : null;
+  return {
+    name: name.trim(),
+    registrationNumber: normalisedRegistration,
+    bodyType,
+    fuelType,
+    capacityKg,
+    tyres,
+    dimensions: cargoBox,
+    volumeM3: calculateCargoVolume(cargoBox),
+  };
+};
+
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const EVENTS_TOKEN_TTL_MS = 60 * 1000; // Only needs to last until the stream is open
+const TOKEN_EXEMPT_PATHS = ['/auth/login', '/auth/refresh', '/auth/logout'];
+
+const toPublicUser = (user) => {
+  const publicUser = { ...user };
+  delete publicUser.password;
+  return publicUser;
+};
+
+/**
+ * Issue a new access/refresh token pair for a user
+ * @param {Object} user - User record
+ * @returns {Object} { accessToken, refreshToken, user }
+ */
+const issueTokens = (user) => {
+  const db = getDb();
+  const now = Date.now();
+
+  // Drop expired sessions while we're here
+  db.sessions = Object.fromEntries(
+    Object.entries(db.sessions).filter(([, session]) => session.expiresAt > now)
+  );
+
+  const accessToken = `mock-access-${createObjectId()}`;
+  const refreshToken = `mock-refresh-${createObjectId()}`;
+  db.sessions[accessToken] = { userId: user.id, type: 'access', expiresAt: now + ACCESS_TOKEN_TTL_MS };
+  db.sessions[refreshToken] = { userId: user.id, type: 'refresh', expiresAt: now + REFRESH_TOKEN_TTL_MS };
+  saveDb();
+
+  return { accessToken, refreshToken, user: toPublicUser(user) };
+};
+
+/**
+ * Resolve the user behind a token
+ * @param {string} token - Access or refresh token
+ * @param {string} type - Expected token type
+ * @returns {Object|null} User record, or null if the token is invalid or expired
+ */
+const findUserByToken = (token, type) => {
+  const db = getDb();
+  const session = db.sessions[token];
+  if (!session || session.type !== type || session.expiresAt <= Date.now()) return null;
+  return db.users.find(u => u.id === session.userId) || null;
+};
+
+const requireUser = (user) => {
+  if (!user) throw new MockHttpError(401, 'Authentication required');
+  return user;
+};
+
+/**
+ * Reject the request unless a logged-in user passes a permission check
+ * @param {Object} user - Requesting user
+ * @param {Function} check - Permission check receiving the user
+ */
+const authorize = (user, check) => {
+  requireUser(user);
+  if (!check(user)) throw new MockHttpError(403, 'Access denied');
+};
+
+/**
+ * Route table: [method, path pattern, handler({ params, query, body, headers, user })]
+ */
+const routes = [
+  ['post', /^\/auth\/login$/, ({ body }) => {
+    const email = (body.email || '').trim().toLowerCase();
+    const user = getDb().users.find(u => u.email === email && u.password === body.password);
+    if (!user) throw new MockHttpError(401, 'Invalid email or password');
+    return success(issueTokens(user));
+  }],
+
+  ['post', /^\/auth\/refresh$/, ({ body }) => {
+    const user = findUserByToken(body.refreshToken, 'refresh');
+    if (!user) throw new MockHttpError(401, 'Session expired. Please log in again');
+
+    // Refresh tokens are single use
+    delete getDb().sessions[body.refreshToken];
+    return success(issueTokens(user));
+  }],
+
+  ['post', /^\/auth\/logout$/, ({ body, headers }) => {
+    const db = getDb();
+    delete db.sessions[body.refreshToken];
+    delete db.sessions[(headers.authorization || '').replace(/^Bearer /, '')];
+    saveDb();
+    return success(null);
+  }],
+
+  ['get', /^\/auth\/me$/, ({ user }) => {
+    return success(toPublicUser(requireUser(user)));
+  }],
+
+  // The mock pushes events between tabs, but issues stream tokens like the real API
+  ['post', /^\/auth\/events-token$/, ({ user }) => {
+    requireUser(user);
+    const token = `mock-events-${createObjectId()}`;
+    const expiresAt = Date.now() + EVENTS_TOKEN_TTL_MS;
+    getDb().sessions[token] = { userId: user.id, type: 'events', expiresAt };
+    saveDb();
+    return success({ token, expiresAt: new Date(expiresAt).toISOString() });
+  }],
+
+  ['get', /^\/vehicles\/available$/, ({ query }) => {
+    const capacityRequired = Number(query.capacityRequired);
+    if (!capacityRequired || capacityRequired < 1) {
+      throw new MockHttpError(400, 'Validation failed', {
+        validationErrors: [{ path: 'capacityRequired', message: 'Required capacity must be a positive number' }],
+      });
+    }
+    const { cargo, validationErrors } = parseCargoQuery(query);
+    if (validationErrors.length > 0) {
+      throw new MockHttpError(400, 'Validation failed', { validationErrors });
+    }
+    const { start, end, duration } = validateTrip(query);
+
+    // Each result says why it matched, so the client can explain the choice
+    const vehicles = findAvailableVehicles({ ...cargo, weightKg: capacityRequired }, start, end)
+      .map(({ vehicle, match }) => ({
+        ...vehicle,
+        estimatedRideDurationHours: duration,
+        matchReasons: match.reasons,
+      }));
+
+    return success(vehicles);
+  }],
+
+  // Nearby start times with suitable vehicles free, nearest first
+  ['get', /^\/vehicles\/available\/suggestions$/, ({ query }) => {
+    const capacityRequired = Number(query.capacityRequired);
+    if (!capacityRequired || capacityRequired < 1) {
+      throw new MockHttpError(400, 'Validation failed', {
+        validationErrors: [{ path: 'capacityRequired', message: 'Required capacity must be a positive number' }],
+      });
+    }
+    const { cargo, validationErrors } = parseCargoQuery(query);
+    if (validationErrors.length > 0) {
+      throw new MockHttpError(400, 'Validation failed', { validationErrors });
+    }
+    const { start, duration } = validateTrip(query);
+    const load = { ...cargo, weightKg: capacityRequired };
+    const earliestStart = addMinutes(new Date(), SUGGESTION_LEAD_TIME_MINUTES);
+
+    const probe = (slotStart, offsetHours) => {
+      const vehicles = findAvailableVehicles(load, slotStart, addHours(slotStart, duration));
+      if (vehicles.length === 0) return null;
+      return {
+        startTime: slotStart.toISOString(),
+        offsetHours,
+        availableCount: vehicles.length,
+        vehicleNames: vehicles.slice(0, 3).map(({ vehicle }) => vehicle.name),
+      };
+    };
+
+    const suggestions = [];
+    for (const offsetHours of SUGGESTION_OFFSETS_HOURS) {
+      if (suggestions.length === MAX_SUGGESTIONS) break;
+      const slotStart = addHours(start, offsetHours);
+      const suggestion = slotStart >= earliestStart && probe(slotStart, offsetHours);
+      if (suggestion) suggestions.push(suggestion);
+    }
+    // Nothing nearby - look further ahead for the first day the load can go at the same time
+    for (let days = 4; suggestions.length === 0 && days <= 14; days++) {
+      const suggestion = probe(addDays(start, days), days * 24);
+      if (suggestion) suggestions.push(suggestion);
+    }
+
+    return success(suggestions);
+  }],
+
+  // Groups of vehicles for a load no single vehicle can carry, cheapest first
+  ['get', /^\/vehicles\/available\/split$/, ({ query }) => {
+    const weightKg = validateSplitWeight(query.capacityRequired, 'capacityRequired');
+    const { cargo, validationErrors } = parseCargoQuery(query);
+    if (validationErrors.length > 0) {
+      throw new MockHttpError(400, 'Validation failed', { validationErrors });
+    }
+    const { start, end, duration, distanceKm } = validateTrip(query);
+    const { pricing } = getDb();
+
+    // Handling requirements apply to every vehicle; weight, volume and the largest item to the group
+    const candidates = getDb().vehicles
+      .filter(v => v.status === 'active' && !v.archivedAt)
+      .filter(v => matchVehicleToCargo(v, { requirements: cargo.requirements }).matches)
+      .filter(v => !isVehicleBusy(v.id, start, end))
+      .map(vehicle => ({
+        vehicle,
+        cost: calculateQuote({ vehicle, distanceKm, durationHours: duration, startTime: start }, pricing).total,
+      }));
+
+    const options = findVehicleGroups(candidates, { ...cargo, weightKg }).map(group => {
+      const loads = allocateLoad(group.vehicles.map(candidate => candidate.vehicle), weightKg);
+      return {
+        vehicles: group.vehicles.map(({ vehicle, cost }, index) => ({
+          ...vehicle,
+          estimatedRideDurationHours: duration,
+          estimatedCost: cost,
+          loadKg: loads[index],
+        })),
+        totalCost: group.totalCost,
+        totalCapacityKg: group.capacityKg,
+      };
+    });
+
+    return success({
+      options,
+      // Let the client point out when splitting isn't needed at all
+      singleVehicleAvailable: candidates.some(({ vehicle }) =>
+        matchVehicleToCargo(vehicle, { ...cargo, weightKg }).matches
+      ),
+    });
+  }],
+
+  ['get', /^\/vehicles$/, ({ query }) => {
+    // Archived vehicles are only listed when asked for
+    const archived = query.archived === 'true' || query.archived === true;
+    const vehicles = getDb().vehicles
+      .filter(v => Boolean(v.archivedAt) === archived)
+      .filter(v => !query.status || v.status === query.status)
+      .filter(v => !query.bodyType || v.bodyType === query.bodyType)
+      .filter(v => !query.fuelType || v.fuelType === query.fuelType)
+      .filter(v => !query.minCapacity || v.capacityKg >= Number(query.minCapacity))
+      .filter(v => !query.maxCapacity || v.capacityKg <= Number(query.maxCapacity))
+      .filter(v => matchesVehicleSearch(v, query.search))
+      .map(v => ({
+        ...v,
+        utilisationPercent: summariseVehicleBookings(getDb().bookings.filter(b => b.vehicleId === v.id)).utilisationPercent,
+      }));
+
+    const sorted = sortItems(vehicles, query, VEHICLE_SORT_VALUES, 'createdAt');
+    const { items, pagination } = paginate(sorted, query, 'totalVehicles');
+    return success({ vehicles: items, pagination });
+  }],
+
+  ['post', /^\/vehicles$/, ({ body, user }) => {
+    authorize(user, u => hasPermission(u, PERMISSIONS.VEHICLE_CREATE));
+    const fields = validateVehicle(body);
+    const now = new Date().toISOString();
+    const vehicle = {
+      id: createObjectId(),
+      ...fields,
+      status: 'active',
+      statusHistory: [{ status: 'active', changedAt: now, changedBy: user.name }],
+      createdAt: now,
+      updatedAt: now,
+    };
+    getDb().vehicles.push(vehicle);
+    saveDb();
+    return success(vehicle, 201);
+  }],
+
+  ['get', /^\/vehicles\/([^/]+)$/, ({ params }) => {
+    return success(withStatusHistory(findVehicle(params[0])));
+  }],
+
+  ['put', /^\/vehicles\/([^/]+)$/, ({ params, body, user }) => {
+    authorize(user, u => hasPermission(u, PERMISSIONS.VEHICLE_UPDATE));
+    const vehicle = findVehicle(params[0]);
+    if (vehicle.archivedAt) {
+      throw new MockHttpError(400, 'Archived vehicles cannot be edited');
+    }
+    Object.assign(vehicle, validateVehicle(body, vehicle.id));
+    vehicle.updatedAt = new Date().toISOString();
+    saveDb();
+    publishEvent('vehicle.updated', vehicle);
+    return success(withStatusHistory(vehicle));
+  }],
+
+  // Vehicles are archived rather than deleted so past bookings keep their vehicle
+  ['delete', /^\/vehicles\/([^/]+)$/, ({ params, user }) => {
+    authorize(user, u => hasPermission(u, PERMISSIONS.VEHICLE_ARCHIVE));
+    const vehicle = findVehicle(params[0]);
+    if (vehicle.archivedAt) {
+      throw new MockHttpError(400, 'Vehicle is already archived');
+    }
+    const pendingBookings = getPendingBookings(vehicle.id);
+    if (pendingBookings.length > 0) {
+      throw new MockHttpError(
+        409,
+        `Vehicle has ${pendingBookings.length} upcoming booking${pendingBookings.length === 1 ? '' : 's'}. Cancel or complete them before archiving`,
+        { bookingIds: pendingBookings.map(b => b.id) }
+      );
+    }
+    const now = new Date().toISOString();
+    vehicle.archivedAt = now;
+    vehicle.archivedBy = user.name;
+    vehicle.updatedAt = now;
+    saveDb();
+    publishEvent('vehicle.archived', vehicle);
+    return success(withStatusHistory(vehicle));
+  }],
+
+  ['post', /^\/vehicles\/([^/]+)\/restore$/, ({ params, user }) => {
+    authorize(user, u => hasPermission(u, PERMISSIONS.VEHICLE_ARCHIVE));
+    const vehicle = findVehicle(params[0]);
+    if (!vehicle.archivedAt) {
+      throw new MockHttpError(400, 'Vehicle is not archived');
+    }
+    delete vehicle.archivedAt;
+    delete vehicle.archivedBy;
+    vehicle.updatedAt = new Date().toISOString();
+    saveDb();
+    publishEvent('vehicle.restored', vehicle);
+    return success(withStatusHistory(vehicle));
+  }],
+
+  ['get', /^\/vehicles\/([^/]+)\/bookings$/, ({ params, user }) => {
+    authorize(user, u => hasPermission(u, PERMISSIONS.VEHICLE_VIEW) && hasPermission(u, PERMISSIONS.BOOKING_VIEW_ALL));
+    const vehicle = findVehicle(params[0]);
+    const bookings = getDb().bookings
+      .filter(b => b.vehicleId === vehicle.id)
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+    return success({
+      bookings: bookings.map(populateBooking),
+      summary: summariseVehicleBookings(bookings),
+    });
+  }],
+
+  ['patch', /^\/vehicles\/([^/]+)\/status$/, ({ params, body, user }) => {
+    authorize(user, u => canSetVehicleStatus(u, body.status));
+    const vehicle = findVehicle(params[0]);
+    if (vehicle.archivedAt) {
+      throw new MockHttpError(400, 'Restore the vehicle before changing its status');
+    }
+    const transitionError = getVehicleTransitionError(vehicle, body.status);
+    if (transitionError) {
+      throw new MockHttpError(400, transitionError);
+    }
+    // A vehicle out on a trip can't be taken off the road, and a retired one can't be booked again
+    const pendingBookings = getPendingBookings(vehicle.id);
+    const onTrip = pendingBookings.filter(b => b.status === 'in-progress');
+    if (body.status !== 'active' && onTrip.length > 0) {
+      throw new MockHttpError(409, 'Vehicle is out on a trip. Complete the trip first', {
+        bookingIds: onTrip.map(b => b.id),
+      });
+    }
+    if (body.status === 'retired' && pendingBookings.length > 0) {
+      throw new MockHttpError(
+        409,
+        `Vehicle has ${pendingBookings.length} upcoming booking${pendingBookings.length === 1 ? '' : 's'}. Cancel or complete them before retiring it`,
+        { bookingIds: pendingBookings.map(b => b.id) }
+      );
+    }
+    const now = new Date().toISOString();
+    vehicle.statusHistory = [
+      ...withStatusHistory(vehicle).statusHistory,
+      { status: body.status, changedAt: now, changedBy: user.name },
+    ];
+    vehicle.status = body.status;
+    vehicle.updatedAt = now;
+    saveDb();
+    publishEvent('vehicle.status_changed', vehicle);
+    return success(vehicle);
+  }],
+
+  ['get', /^\/pricing\/settings$/, () => {
+    return success(getDb().pricing);
+  }],
+
+  ['put', /^\/pricing\/settings$/, ({ body, user }) => {
+    authorize(user, u => hasPermission(u, PERMISSIONS.PRICING_MANAGE));
+    const validationErrors = validatePricingSettings(body);
+    if (validationErrors.length > 0) {
+      throw new MockHttpError(400, 'Validation failed', { validationErrors });
+    }
+    const db = getDb();
+    db.pricing = {
+      rateCards: body.rateCards,
+      surcharges: body.surcharges,
+      gstPercent: body.gstPercent,
+      updatedAt: new Date().toISOString(),
+    };
+    saveDb();
+    return success(db.pricing);
+  }],
+
+  ['get', /^\/bookings$/, ({ query, user }) => {
+    authorize(user, u => hasPermission(u, PERMISSIONS.BOOKING_VIEW_ALL));
+    return success(listBookings(getDb().bookings, query));
+  }],
+
+  ['post', /^\/bookings$/, ({ body, headers, user }) => {
+    authorize(user, u => hasPermission(u, PERMISSIONS.BOOKING_CREATE));
+    const db = getDb();
+    const idempotencyKey = headers['idempotency-key'];
+
+    // Replay of an earlier successful request
+    if (idempotencyKey && db.idempotencyKeys[idempotencyKey]) {
+      const existing = findBooking(db.idempotencyKeys[idempotencyKey]);
+      return success(populateBooking(existing), 201, { 'idempotent-replayed': 'true' });
+    }
+
+    if (!body.customerId) {
+      throw new MockHttpError(400, 'Validation failed', {
+        validationErrors: [{ path: 'customerId', message: 'Customer ID is required' }],
+      });
+    }
+    // Staff may book on behalf of anyone, customers only for themselves
+    if (!hasPermission(user, PERMISSIONS.BOOKING_VIEW_ALL) && !isOwnBooking(user, body)) {
+      throw new MockHttpError(403, 'Customers can only book for themselves');
+    }
+    const { start, end, duration, distanceKm } = validateTrip(body);
+    const vehicle = findVehicle(body.vehicleId);
+
+    if (vehicle.status !== 'active' || vehicle.archivedAt) {
+      throw new MockHttpError(400, 'Vehicle is not available for booking');
+    }
+    // Cargo is optional; when given the vehicle must still suit it
+    let cargo = null;
+    if (body.cargo) {
+      const parsed = parseCargoQuery(body.cargo);
+      if (parsed.validationErrors.length > 0) {
+        throw new MockHttpError(400, 'Validation failed', { validationErrors: parsed.validationErrors });
+      }
+      cargo = { weightKg: Number(body.cargo.weightKg) || null, ...parsed.cargo };
+      const match = matchVehicleToCargo(vehicle, cargo);
+      if (!match.matches) {
+        throw new MockHttpError(400, `Vehicle doesn't suit this cargo: ${match.failures.join('; ')}`);
+      }
+    }
+    // Checkout details are optional too, but all or nothing once any is given
+    let details = null;
+    if (body.consignor || body.consignee || body.termsAccepted !== undefined) {
+      const parsed = parseBookingDetails(body);
+      if (parsed.validationErrors.length > 0) {
+        throw new MockHttpError(400, 'Validation failed', { validationErrors: parsed.validationErrors });
+      }
+      details = parsed.details;
+    }
+    // A hold, such as a waitlist offer, reserves the vehicle for its owner
+    const hold = body.holdId ? findHold(body.holdId, user) : null;
+    if (hold && (hold.vehicleId !== vehicle.id || new Date(hold.startTime).getTime() !== start.getTime())) {
+      throw new MockHttpError(400, 'The hold is for a different vehicle or start time');
+    }
+    if (isVehicleBusy(vehicle.id, start, end, { holdId: hold?.id })) {
+      throw new MockHttpError(409, 'Vehicle is already booked for an overlapping time slot');
+    }
+
+    const quote = calculateQuote({ vehicle, distanceKm, durationHours: duration, startTime: start }, db.pricing);
+    const now = new Date().toISOString();
+    const booking = {
+      id: createObjectId(),
+      vehicleId: vehicle.id,
+      customerId: body.customerId,
+      fromPincode: body.fromPincode,
+      toPincode: body.toPincode,
+      startTime: start.toISOString(),
+      endTime: end.toISOString(),
+      estimatedRideDurationHours: duration,
+      totalCost: quote.total,
+      quote,
+      ...(cargo && { cargo }),
+      ...(details && {
+        consignor: details.consignor,
+        consignee: details.consignee,
+        cargo: { ...cargo, ...details.cargo },
+        termsAcceptedAt: now,
+      }),
+      status: 'confirmed',
+      statusHistory: [{
+        status: 'confirmed',
+        changedAt: now,
+        changedBy: user.name,
+        note: hold?.waitlistId ? 'Booked from the waitlist' : 'Booked',
+      }],
+      createdAt: now,
+      updatedAt: now,
+    };
+    db.bookings.push(booking);
+    if (idempotencyKey) {
+      db.idempotencyKeys[idempotencyKey] = booking.id;
+    }
+    if (hold) {
+      db.holds = db.holds.filter(h => h.id !== hold.id);
+      const entry = db.waitlist.find(e => e.id === hold.waitlistId);
+      if (entry) {
+        Object.assign(entry, { status: 'booked', bookingId: booking.id, updatedAt: now });
+      }
+    }
+    saveDb();
+    publishEvent('booking.created', populateBooking(booking));
+    return success(populateBooking(booking), 201);
+  }],
+
+  ['get', /^\/bookings\/customer\/([^/]+)$/, ({ params, query, user }) => {
+    authorize(user, u => canViewBooking(u, { customerId: params[0] }));
+    return success(listBookings(getDb().bookings.filter(b => b.customerId === params[0]), query));
+  }],
+
+  ['get', /^\/bookings\/([^/]+)$/, ({ params, user }) => {
+    const booking = findBooking(params[0]);
+    authorize(user, u => canViewBooking(u, booking));
+    return success({ ...populateBooking(booking), customer: findCustomer(booking.customerId) });
+  }],
+
+  // What a change to the booking would cost, with alternatives if its vehicle is busy; nothing is saved
+  ['get', /^\/bookings\/([^/]+)\/modification$/, ({ params, query, user }) => {
+    const booking = findBooking(params[0]);
+    authorize(user, u => canModifyBooking(u, booking));
+    const modificationError = getBookingModificationError(booking);
+    if (modificationError) {
+      throw new MockHttpError(400, modificationError);
+    }
+    const plan = planBookingChange(booking, query);
+
+    return success({
+      fromPincode: booking.fromPincode,
+      toPincode: plan.toPincode,
+      startTime: plan.start.toISOString(),
+      endTime: plan.end.toISOString(),
+      estimatedRideDurationHours: plan.duration,
+      vehicle: plan.vehicle,
+      quote: plan.quote,
+      previousTotal: booking.totalCost,
+      priceDifference: plan.quote.total - booking.totalCost,
+      changes: plan.changes,
+      available: !plan.unavailableReason,
+      unavailableReason: plan.unavailableReason,
+      alternatives: plan.unavailableReason
+        ? findBookingChangeAlternatives(booking, plan)
+        : { vehicles: [], startTimes: [] },
+    });
+  }],
+
+  // Reschedule a booking, change its drop pincode or move it to another vehicle
+  ['patch', /^\/bookings\/([^/]+)$/, ({ params, body, user }) => {
+    const booking = findBooking(params[0]);
+    authorize(user, u => canModifyBooking(u, booking));
+    const modificationError = getBookingModificationError(booking);
+    if (modificationError) {
+      throw new MockHttpError(400, modificationError);
+    }
+    if (String(body.note || '').length > MAX_STATUS_NOTE_LENGTH) {
+      throw new MockHttpError(400, `Note must be at most ${MAX_STATUS_NOTE_LENGTH} characters`);
+    }
+    const plan = planBookingChange(booking, body);
+    if (plan.unavailableReason) {
+      throw new MockHttpError(409, plan.unavailableReason);
+    }
+    // The change is only made at the price the customer was shown
+    if (body.expectedTotal !== undefined && Number(body.expectedTotal) !== plan.quote.total) {
+      throw new MockHttpError(409, 'The price has changed since this change was checked. Review the new price and try again');
+    }
+
+    const note = body.note?.trim();
+    Object.assign(booking, {
+      vehicleId: plan.vehicle.id,
+      toPincode: plan.toPincode,
+      startTime: plan.start.toISOString(),
+      endTime: plan.end.toISOString(),
+      estimatedRideDurationHours: plan.duration,
+      totalCost: plan.quote.total,
+      quote: plan.quote,
+    });
+    addHistoryEntry(booking, {
+      status: booking.status,
+      changedAt: new Date().toISOString(),
+      changedBy: user.name,
+      changes: plan.changes,
+      ...(note && { note }),
+    });
+    saveDb();
+    publishEvent('booking.modified', populateBooking(booking));
+    return success(populateBooking(booking));
+  }],
+
+  ['patch', /^\/bookings\/([^/]+)\/status$/, ({ params, body, user }) => {
+    authorize(user, u => hasPermission(u, PERMISSIONS.BOOKING_UPDATE_STATUS));
+    const booking = findBooking(params[0]);
+    if (body.status === 'cancelled' && booking.shipmentId) {
+      throw new MockHttpError(400, 'This booking is part of a split shipment. Cancel the whole shipment instead');
+    }
+    const transitionError = getBookingTransitionError(booking, body.status, body);
+    if (transitionError) {
+      throw new MockHttpError(400, transitionError);
+    }
+    setBookingStatus(booking, body.status, user, { reason: body.reason, note: body.note?.trim() });
+    saveDb();
+    publishEvent(body.status === 'cancelled' ? 'booking.cancelled' : 'booking.status_changed', populateBooking(booking));
+    return success(populateBooking(booking));
+  }],
+
+  ['delete', /^\/bookings\/([^/]+)$/, ({ params, body, user }) => {
+    const booking = findBooking(params[0]);
+    authorize(user, u => canCancelBooking(u, booking));
+    if (booking.shipmentId) {
+      throw new MockHttpError(400, 'This booking is part of a split shipment. Cancel the whole shipment instead');
+    }
+    const transitionError = getBookingTransitionError(booking, 'cancelled', body);
+    if (transitionError) {
+      throw new MockHttpError(400, transitionError);
+    }
+    setBookingStatus(booking, 'cancelled', user, { reason: body.reason, note: body.note?.trim() });
+    saveDb();
+    publishEvent('booking.cancelled', populateBooking(booking));
+    return success(populateBooking(booking));
+  }],
+
+  // Holding a vehicle while the booking is reviewed; the booking then completes the hold
+  ['post', /^\/holds$/, ({ body, user }) => {
+    authorize(user, u => hasPermission(u, PERMISSIONS.BOOKING_CREATE));
+    const db = getDb();
+    const { start, end } = validateTrip(body);
+    const vehicle = findVehicle(body.vehicleId);
+
+    if (vehicle.status !== 'active' || vehicle.archivedAt) {
+      throw new MockHttpError(400, 'Vehicle is not available for booking');
+    }
+    // Only one vehicle is held per checkout - picking another lets the last one go,
+    // even if the new pick turns out to be taken
+    const previousHolds = getActiveHolds().filter(hold => hold.userId === user.id && !hold.waitlistId);
+    if (previousHolds.length > 0) {
+      db.holds = db.holds.filter(hold => !previousHolds.includes(hold));
+      saveDb();
+      previousHolds.forEach(hold => publishEvent('hold.released', hold));
+    }
+    if (isVehicleBusy(vehicle.id, start, end)) {
+      throw new MockHttpError(409, 'Vehicle is no longer available for this time slot');
+    }
+
+    const now = new Date();
+    const hold = {
+      id: createObjectId(),
+      vehicleId: vehicle.id,
+      userId: user.id,
+      startTime: start.toISOString(),
+      endTime: end.toISOString(),
+      expiresAt: addMinutes(now, CHECKOUT_HOLD_MINUTES).toISOString(),
+      waitlistId: null,
+      createdAt: now.toISOString(),
+    };
+    db.holds.push(hold);
+    saveDb();
+    publishEvent('hold.created', hold);
+    return success(hold, 201);
+  }],
+
+  ['delete', /^\/holds\/([^/]+)$/, ({ params, user }) => {
+    requireUser(user);
+    const db = getDb();
+    const hold = db.holds.find(h => h.id === params[0] && h.userId === user.id);
+    if (!hold) throw new MockHttpError(404, 'Hold not found');
+    if (hold.waitlistId) {
+      throw new MockHttpError(400, 'Leave the waitlist to give up a vehicle held for it');
+    }
+    db.holds = db.holds.filter(h => h.id !== hold.id);
+    saveDb();
+    publishEvent('hold.released', hold);
+    return success(hold);
+  }],
+
+  // A split shipment books all of its vehicles at once or none of them
+  ['post', /^\/shipments$/, ({ body, headers, user }) => {
+    authorize(user, u => hasPermission(u, PERMISSIONS.BOOKING_CREATE));
+    const db = getDb();
+    const idempotencyKey = headers['idempotency-key'];
+
+    if (idempotencyKey && db.idempotencyKeys[idempotencyKey]) {
+      const existing = findShipment(db.idempotencyKeys[idempotencyKey]);
+      return success(populateShipment(existing), 201, { 'idempotent-replayed': 'true' });
+    }
+
+    if (!body.customerId) {
+      throw new MockHttpError(400, 'Validation failed', {
+        validationErrors: [{ path: 'customerId', message: 'Customer ID is required' }],
+      });
+    }
+    if (!hasPermission(user, PERMISSIONS.BOOKING_VIEW_ALL) && !isOwnBooking(user, body)) {
+      throw new MockHttpError(403, 'Customers can only book for themselves');
+    }
+    const vehicleIds = Array.isArray(body.vehicleIds) ? [...new Set(body.vehicleIds)] : [];
+    if (vehicleIds.length < 2 || vehicleIds.length > MAX_SPLIT_VEHICLES) {
+      throw new MockHttpError(400, 'Validation failed', {
+        validationErrors: [{ path: 'vehicleIds', message: `Choose between 2-${MAX_SPLIT_VEHICLES} different vehicles` }],
+      });
+    }
+    const weightKg = validateSplitWeight(body.cargo?.weightKg, 'cargo.weightKg');
+    const parsed = parseCargoQuery(body.cargo);
+    if (parsed.validationErrors.length > 0) {
+      throw new MockHttpError(400, 'Validation failed', { validationErrors: parsed.validationErrors });
+    }
+    const cargo = { weightKg, ...parsed.cargo };
+    const { start, end, duration, distanceKm } = validateTrip(body);
+
+    const vehicles = vehicleIds.map(findVehicle);
+    vehicles.forEach(vehicle => {
+      if (vehicle.status !== 'active' || vehicle.archivedAt) {
+        throw new MockHttpError(400, `${vehicle.name} is not available for booking`);
+      }
+      const match = matchVehicleToCargo(vehicle, { requirements: cargo.requirements });
+      if (!match.matches) {
+        throw new MockHttpError(400, `${vehicle.name} doesn't suit this cargo: ${match.failures.join('; ')}`);
+      }
+      if (isVehicleBusy(vehicle.id, start, end)) {
+        throw new MockHttpError(409, `${vehicle.name} is already booked for an overlapping time slot`);
+      }
+    });
+    if (!groupCoversCargo(vehicles, cargo)) {
+      throw new MockHttpError(400, "These vehicles can't carry the whole load between them");
+    }
+
+    const now = new Date().toISOString();
+    const shipmentId = createObjectId();
+    const loads = allocateLoad(vehicles, weightKg);
+    const bookings = vehicles.map((vehicle, index) => {
+      const quote = calculateQuote({ vehicle, distanceKm, durationHours: duration, startTime: start }, db.pricing);
+      return {
+        id: createObjectId(),
+        vehicleId: vehicle.id,
+        customerId: body.customerId,
+        fromPincode: body.fromPincode,
+        toPincode: body.toPincode,
+        startTime: start.toISOString(),
+        endTime: end.toISOString(),
+        estimatedRideDurationHours: duration,
+        totalCost: quote.total,
+        quote,
+        shipmentId,
+        loadKg: loads[index],
+        status: 'confirmed',
+        statusHistory: [{ status: 'confirmed', changedAt: now, changedBy: user.name, note: 'Booked as part of a split shipment' }],
+        createdAt: now,
+        updatedAt: now,
+      };
+    });
+    const shipment = {
+      id: shipmentId,
+      customerId: body.customerId,
+      fromPincode: body.fromPincode,
+      toPincode: body.toPincode,
+      startTime: start.toISOString(),
+      endTime: end.toISOString(),
+      cargo,
+      totalCost: bookings.reduce((total, booking) => total + booking.totalCost, 0),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    db.bookings.push(...bookings);
+    db.shipments.push(shipment);
+    if (idempotencyKey) {
+      db.idempotencyKeys[idempotencyKey] = shipment.id;
+    }
+    saveDb();
+    bookings.forEach(booking => publishEvent('booking.created', populateBooking(booking)));
+    return success(populateShipment(shipment), 201);
+  }],
+
+  ['get', /^\/shipments\/([^/]+)$/, ({ params, user }) => {
+    const shipment = findShipment(params[0]);
+    authorize(user, u => canViewBooking(u, shipment));
+    return success(populateShipment(shipment));
+  }],
+
+  ['delete', /^\/shipments\/([^/]+)$/, ({ params, body, user }) => {
+    const shipment = findShipment(params[0]);
+    authorize(user, u => canCancelBooking(u, shipment));
+    const bookings = getDb().bookings.filter(b => b.shipmentId === shipment.id);
+    const status = getShipmentStatus(bookings);
+    if (status !== 'confirmed') {
+      throw new MockHttpError(400, `Cannot cancel a shipment that is ${status}`);
+    }
+    // The shipment's bookings share a start time, so the same rules apply to all of them
+    const transitionError = getBookingTransitionError({ ...shipment, status }, 'cancelled', body);
+    if (transitionError) {
+      throw new MockHttpError(400, transitionError);
+    }
+    const now = new Date().toISOString();
+    const note = [body.note?.trim(), 'Cancelled with the split shipment'].filter(Boolean).join(' · ');
+    bookings
+      .filter(booking => booking.status === 'confirmed')
+      .forEach(booking => setBookingStatus(booking, 'cancelled', user, { reason: body.reason, note }));
+    shipment.updatedAt = now;
+    saveDb();
+    bookings.forEach(booking => publishEvent('booking.cancelled', populateBooking(booking)));
+    return success(populateShipment(shipment));
+  }],
+  // The waitlist is per user: searches they're waiting on and vehicles held for them
+  ['get', /^\/waitlist$/, ({ user }) => {
+    requireUser(user);
+    processWaitlist();
+    const entries = getDb().waitlist
+      .filter(entry => entry.userId === user.id)
+      .sort(byNewest);
+    return success(entries.map(populateWaitlistEntry));
+  }],
+
+  ['post', /^\/waitlist$/, ({ body, user }) => {
+    authorize(user, u => hasPermission(u, PERMISSIONS.BOOKING_CREATE));
+    const db = getDb();
+
+    if (!body.customerId) {
+      throw new MockHttpError(400, 'Validation failed', {
+        validationErrors: [{ path: 'customerId', message: 'Customer ID is required' }],
+      });
+    }
+    if (!hasPermission(user, PERMISSIONS.BOOKING_VIEW_ALL) && !isOwnBooking(user, body)) {
+      throw new MockHttpError(403, 'Customers can only book for themselves');
+    }
+    const capacityRequired = Number(body.capacityRequired);
+    if (!capacityRequired || capacityRequired < 1) {
+      throw new MockHttpError(400, 'Validation failed', {
+        validationErrors: [{ path: 'capacityRequired', message: 'Required capacity must be a positive number' }],
+      });
+    }
+    const flexibilityHours = Number(body.flexibilityHours ?? 0);
+    if (!WAITLIST_FLEXIBILITY_OPTIONS.some(option => option.value === flexibilityHours)) {
+      throw new MockHttpError(400, 'Validation failed', {
+        validationErrors: [{
+          path: 'flexibilityHours',
+          message: `Flexibility must be one of: ${WAITLIST_FLEXIBILITY_OPTIONS.map(option => option.value).join(', ')} hours`,
+        }],
+      });
+    }
+    const { cargo, validationErrors } = parseCargoQuery(body);
+    if (validationErrors.length > 0) {
+      throw new MockHttpError(400, 'Validation failed', { validationErrors });
+    }
+    const { start } = validateTrip(body);
+    if (addHours(start, flexibilityHours) < addMinutes(new Date(), SUGGESTION_LEAD_TIME_MINUTES)) {
+      throw new MockHttpError(400, 'Validation failed', {
+        validationErrors: [{ path: 'startTime', message: 'This time window is too soon to wait for a vehicle' }],
+      });
+    }
+
+    const activeEntries = db.waitlist.filter(entry =>
+      entry.userId === user.id && ACTIVE_WAITLIST_STATUSES.includes(entry.status)
+    );
+    const duplicate = activeEntries.some(entry =>
+      entry.customerId === body.customerId &&
+      entry.fromPincode === body.fromPincode &&
+      entry.toPincode === body.toPincode &&
+      new Date(entry.startTime).getTime() === start.getTime() &&
+      entry.cargo.weightKg === capacityRequired
+    );
+    if (duplicate) {
+      throw new MockHttpError(409, "You're already on the waitlist for this search");
+    }
+    if (activeEntries.length >= MAX_WAITLIST_ENTRIES) {
+      throw new MockHttpError(409, `You can wait on at most ${MAX_WAITLIST_ENTRIES} searches at a time. Leave one to join another`);
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      id: createObjectId(),
+      userId: user.id,
+      customerId: body.customerId,
+      fromPincode: body.fromPincode,
+      toPincode: body.toPincode,
+      startTime: start.toISOString(),
+      flexibilityHours,
+      cargo: { weightKg: capacityRequired, ...cargo },
+      status: 'waiting',
+      offer: null,
+      bookingId: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    db.waitlist.push(entry);
+    saveDb();
+    // A vehicle may already be free elsewhere in a flexible window
+    processWaitlist();
+    return success(populateWaitlistEntry(entry), 201);
+  }],
+
+  ['delete', /^\/waitlist\/([^/]+)$/, ({ params, user }) => {
+    requireUser(user);
+    const db = getDb();
+    const entry = findWaitlistEntry(params[0], user);
+    if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+      throw new MockHttpError(400, "You're no longer waiting on this search");
+    }
+    // Leaving gives up any vehicle held for the entry
+    db.holds = db.holds.filter(hold => hold.waitlistId !== entry.id);
+    Object.assign(entry, { status: 'cancelled', updatedAt: new Date().toISOString() });
+    saveDb();
+    return success(populateWaitlistEntry(entry));
+  }],
+];
+
+/**
+ * Wait for a simulated network delay
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise} Resolves after the delay
+ */
+const simulateLatency = (signal) => {
+  const delay = MIN_LATENCY_MS + Math.random() * (MAX_LATENCY_MS - MIN_LATENCY_MS);
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CanceledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(new CanceledError());
+    };
+
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+/**
+ * Normalise axios request headers into a lower-cased plain object
+ * @param {Object} headers - Axios headers
+ * @returns {Object} Plain headers
+ */
+const toPlainHeaders = (headers) => {
+  const plain = typeof headers?.toJSON === 'function' ? headers.toJSON() : { ...headers };
+  return Object.fromEntries(
+    Object.entries(plain).map(([name, value]) => [name.toLowerCase(), value])
+  );
+};
+
+/**
+ * Dispatch a request to the matching route
+ * @param {Object} config - Axios request config
+ * @returns {Object} { status, headers, data }
+ */
+const handleRequest = (config) => {
+  const method = (config.method || 'get').toLowerCase();
+  const [path, queryString] = config.url.split('?');
+  const query = {
+    ...Object.fromEntries(new URLSearchParams(queryString || '')),
+    ...config.params,
+  };
+  const body = typeof config.data === 'string' ? JSON.parse(config.data || '{}') : (config.data || {});
+
+  try {
+    const headers = toPlainHeaders(config.headers);
+
+    // A bearer token that is sent must be valid, so clients can refresh it
+    let user = null;
+    if (headers.authorization && !TOKEN_EXEMPT_PATHS.includes(path)) {
+      user = findUserByToken(headers.authorization.replace(/^Bearer /, ''), 'access');
+      if (!user) throw new MockHttpError(401, 'Access token expired');
+    }
+
+    for (const [routeMethod, pattern, handler] of routes) {
+      const match = routeMethod === method && path.match(pattern);
+      if (match) {
+        const response = handler({ params: match.slice(1), query, body, headers, user });
+        // Any change may free a vehicle someone is waiting for
+        if (method !== 'get') processWaitlist();
+        return response;
+      }
+    }
+    throw new MockHttpError(404, `Route ${method.toUpperCase()} ${path} not found`);
+  } catch (error) {
+    if (!(error instanceof MockHttpError)) {
+      console.error('Mock backend error:', error);
+    }
+    const status = error.status || 500;
+    return {
+      status,
+      headers: {},
+      data: {
+        success: false,
+        error: {
+          message: error.message,
+          ...(error.details && { details: error.details }),
+        },
+      },
+    };
+  }
+};
+
+/**
+ * Axios adapter serving requests from the mock backend
+ * @param {Object} config - Axios request config
+ * @returns {Promise} Axios response
+ */
+export const mockAdapter = async (config) => {
+  await simulateLatency(config.signal);
+
+  const { status, headers, data } = handleRequest(config);
+  const response = {
+    data,
+    status,
+    statusText: status < 400 ? 'OK' : 'Error',
+    headers,
+    config,
+    request: {},
+  };
+
+  if (!config.validateStatus || config.validateStatus(status)) {
+    return response;
+  }
+
+  throw new AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    response.request,
+    response
+  );
+};
@@ -0,0 +1,142 @@
+/**
+ * Mock Seed Data
+ * Initial fleet and bookings used by the in-browser mock backend
+ */
+
+import { addHours, subDays, subHours } from 'date-fns';
+import { estimateRoute } from '../utils/geo';
+import { calculateQuote, DEFAULT_PRICING_SETTINGS } from '../utils/pricing';
+import { calculateCargoVolume } from '../utils/vehicles';
+
+/**
+ * Generate a MongoDB-style 24 character hex ID
+ * @returns {string} Object ID
+ */
+export const createObjectId = () => {
+  const timestamp = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0');
+  let random = '';
+  for (let i = 0; i < 16; i++) {
+    random += Math.floor(Math.random() * 16).toString(16);
+  }
+  return timestamp + random;
+};
+
+// Demo accounts - every user's password is 'password123'
+export const DEMO_PASSWORD = 'password123';
+
+export const DEMO_USERS = [
+  { name: 'Asha Admin', email: 'admin@fleetlink.test', role: 'admin' },
+  { name: 'Farhan Khan', email: 'fleet@fleetlink.test', role: 'fleet_manager' },
+  { name: 'Divya Rao', email: 'dispatch@fleetlink.test', role: 'dispatcher' },
+  { name: 'Chirag Mehta', email: 'customer@fleetlink.test', role: 'customer', customerId: 'CUST100001' },
+  { name: 'Meera Iyer', email: 'meera@fleetlink.test', role: 'customer', customerId: 'CUST100002' },
+];
+
+// Cargo box dimensions are [length, width, height] in metres
+const SEED_VEHICLES = [
+  { name: 'Tata Ace Gold', registrationNumber: 'MH12KT4821', bodyType: 'open', fuelType: 'cng', capacityKg: 750, tyres: 4, box: [2.2, 1.5, 1.2] },
+  { name: 'Mahindra Bolero Pickup', registrationNumber: 'KA05MN7312', bodyType: 'open', fuelType: 'diesel', capacityKg: 1500, tyres: 4, box: [2.7, 1.7, 1.3] },
+  { name: 'Ashok Leyland Dost+', registrationNumber: 'TN09BY2290', bodyType: 'container', fuelType: 'diesel', capacityKg: 1500, tyres: 4, box: [2.8, 1.7, 1.6] },
+  { name: 'Eicher Pro 2049', registrationNumber: 'DL1LAB5067', bodyType: 'container', fuelType: 'cng', capacityKg: 3500, tyres: 6, box: [4.3, 2.0, 2.0] },
+  { name: 'Tata 407 Gold SFC', registrationNumber: 'GJ01DX8833', bodyType: 'reefer', fuelType: 'diesel', capacityKg: 4500, tyres: 6, box: [3.2, 1.9, 1.8] },
+  { name: 'BharatBenz 1215R', registrationNumber: 'HR55AC4410', bodyType: 'container', fuelType: 'diesel', capacityKg: 9000, tyres: 6, box: [6.1, 2.3, 2.4] },
+  { name: 'Ashok Leyland 1616', registrationNumber: 'MH04GR1977', bodyType: 'open', fuelType: 'diesel', capacityKg: 12000, tyres: 10, box: [7.3, 2.4, 1.8] },
+  { name: 'Tata Signa 2823.K', registrationNumber: 'RJ14GC6402', bodyType: 'open', fuelType: 'diesel', capacityKg: 18000, tyres: 10, box: [5.8, 2.4, 1.5] },
+  { name: 'Eicher Pro 6028', registrationNumber: 'UP32HN7719', bodyType: 'tanker', fuelType: 'diesel', capacityKg: 25000, tyres: 12, box: [8.5, 2.45, 2.0], status: 'maintenance' },
+  { name: 'Volvo FM 420', registrationNumber: '23BH0457AA', bodyType: 'flatbed', fuelType: 'lng', capacityKg: 40000, tyres: 18, box: [12.2, 2.45, 2.5] },
+  { name: 'Tata LPT 709', registrationNumber: 'WB23E5521', bodyType: 'container', fuelType: 'diesel', capacityKg: 5000, tyres: 6, box: null, status: 'retired' },
+];
+
+const SEED_BOOKINGS = [
+  { vehicle: 1, customerId: 'CUST100001', fromPincode: '110001', toPincode: '110020', startOffsetHours: 3, status: 'confirmed' },
+  { vehicle: 3, customerId: 'CUST100002', fromPincode: '400001', toPincode: '400070', startOffsetHours: 26, status: 'confirmed' },
+  { vehicle: 5, customerId: 'CUST100003', fromPincode: '560001', toPincode: '560100', startOffsetHours: -2, status: 'in-progress' },
+  { vehicle: 7, customerId: 'CUST100001', fromPincode: '600001', toPincode: '600040', startOffsetHours: -72, status: 'completed' },
+  { vehicle: 0, customerId: 'CUST100004', fromPincode: '700001', toPincode: '700091', startOffsetHours: -48, status: 'cancelled' },
+  { vehicle: 9, customerId: 'CUST100002', fromPincode: '380001', toPincode: '380015', startOffsetHours: 50, status: 'confirmed' },
+];
+
+/**
+ * Build a fresh copy of the seed data relative to the current time
+ * @returns {Object} { users, sessions, vehicles, bookings, shipments, idempotencyKeys, pricing }
+ */
+export const createSeedData = () => {
+  const now = new Date();
+
+  const users = DEMO_USERS.map(user => ({
+    id: createObjectId(),
+    ...user,
+    password: DEMO_PASSWORD,
+  }));
+
+  const vehicles = SEED_VEHICLES.map(({ box, ...vehicle }, index) => {
+    const createdAt = subDays(now, 30 - index).toISOString();
+    const statusHistory = [{ status: 'active', changedAt: createdAt, changedBy: DEMO_USERS[1].name }];
+    if (vehicle.status) {
+      statusHistory.push({ status: vehicle.status, changedAt: subDays(now, 3).toISOString(), changedBy: DEMO_USERS[1].name });
+    }
+
+    const dimensions = box && { lengthM: box[0], widthM: box[1], heightM: box[2] };
+
+    return {
+      id: createObjectId(),
+      status: 'active',
+      ...vehicle,
+      dimensions,
+      volumeM3: calculateCargoVolume(dimensions),
+      statusHistory,
+      createdAt,
+      updatedAt: statusHistory[statusHistory.length - 1].changedAt,
+    };
+  });
+
+  const bookings = SEED_BOOKINGS.map(({ vehicle, startOffsetHours, ...booking }) => {
+    const startTime = addHours(now, startOffsetHours);
+    const { distanceKm, durationHours: duration } = estimateRoute(booking.fromPincode, booking.toPincode);
+    const quote = calculateQuote(
+      { vehicle: vehicles[vehicle], distanceKm, durationHours: duration, startTime },
+      DEFAULT_PRICING_SETTINGS
+    );
+    const createdAt = subDays(startTime, 1).toISOString();
+    const endTime = addHours(startTime, duration);
+
+    // Customers with an account booked for themselves, the rest were booked by dispatch
+    const bookedBy = DEMO_USERS.find(user => user.customerId === booking.customerId) || DEMO_USERS[2];
+    const statusHistory = [{ status: 'confirmed', changedAt: createdAt, changedBy: bookedBy.name, note: 'Booked' }];
+    if (booking.status === 'cancelled') {
+      statusHistory.push({ status: 'cancelled', changedAt: subHours(startTime, 12).toISOString(), changedBy: bookedBy.name });
+    }
+    if (['in-progress', 'completed'].includes(booking.status)) {
+      statusHistory.push({ status: 'in-progress', changedAt: startTime.toISOString(), changedBy: DEMO_USERS[2].name });
+    }
+    if (booking.status === 'completed') {
+      statusHistory.push({ status: 'completed', changedAt: endTime.toISOString(), changedBy: DEMO_USERS[2].name });
+    }
+
+    return {
+      id: createObjectId(),
+      vehicleId: vehicles[vehicle].id,
+      ...booking,
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      estimatedRideDurationHours: duration,
+      totalCost: quote.total,
+      quote,
+      statusHistory,
+      createdAt,
+      updatedAt: statusHistory[statusHistory.length - 1].changedAt,
+    };
+  });
+
+  return {
+    users,
+    sessions: {},
+    vehicles,
+    bookings,
+    shipments: [],
+    waitlist: [],
+    holds: [],
+    idempotencyKeys: {},
+    pricing: structuredClone(DEFAULT_PRICING_SETTINGS),
+  };
+};
@@ -0,0 +1,279 @@
+/**
+ * Query Cache
+ * Client-side cache for GET requests with stale-while-revalidate semantics,
+ * ETag revalidation, request deduplication and explicit invalidation
+ */
+
+import { CanceledError } from 'axios';
+
+const DEFAULT_STALE_TIME_MS = 30 * 1000; // Cached data is fresh for 30 seconds
+const MAX_ENTRIES = 100;
+
+// key -> { response, etag, fetchedAt, invalidated, promise, controller, waiters }
+const cache = new Map();
+const listeners = new Set();
+// Bumped when the cache is cleared, so requests started before then can't write into it
+let generation = 0;
+
+/**
+ * Build a stable cache key from an endpoint and its query parameters
+ * @param {string} url - Endpoint URL
+ * @param {Object} params - Query parameters
+ * @returns {string} Cache key
+ */
+export const getQueryKey = (url, params = {}) => {
+  const query = Object.keys(params)
+    .filter(field => params[field] !== undefined && params[field] !== null && params[field] !== '')
+    .sort()
+    .map(field => `${field}=${encodeURIComponent(params[field])}`)
+    .join('&');
+
+  return query ? `${url}?${query}` : url;
+};
+
+/**
+ * Check whether a cache key belongs to an endpoint
+ * @param {string} key - Cache key
+ * @param {string} prefix - Endpoint prefix (e.g. '/vehicles')
+ * @param {boolean} exact - Only match the endpoint itself, not sub-paths
+ * @returns {boolean} True if the key matches
+ */
+const matchesPrefix = (key, prefix, exact = false) => {
+  if (key === prefix || key.startsWith(`${prefix}?`)) return true;
+  return !exact && key.startsWith(`${prefix}/`);
+};
+
+/**
+ * Notify subscribers about a cache event
+ * @param {string} key - Cache key
+ * @param {string} type - Event type ('updated' or 'invalidated')
+ */
+const notify = (key, type) => {
+  listeners.forEach(listener => listener({ key, type }));
+};
+
+/**
+ * Subscribe to background updates and invalidations of an endpoint
+ * @param {string} prefix - Endpoint prefix (e.g. '/vehicles')
+ * @param {Function} callback - Called with { key, type }
+ * @param {Object} options - { exact } to ignore sub-paths
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToQueries = (prefix, callback, { exact = false } = {}) => {
+  const listener = (event) => {
+    if (matchesPrefix(event.key, prefix, exact)) {
+      callback(event);
+    }
+  };
+
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Store an entry, evicting the least recently written one when full
+ * @param {string} key - Cache key
+ * @param {Object} entry - Cache entry
+ */
+const setEntry = (key, entry) => {
+  cache.delete(key);
+  cache.set(key, entry);
+
+  if (cache.size > MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+/**
+ * Reject with a cancellation error when the caller aborts, without
+ * cancelling the shared request other callers may be waiting on
+ * @param {Promise} promise - Shared request promise
+ * @param {AbortSignal} signal - Caller's abort signal
+ * @returns {Promise} Promise bound to the caller's signal
+ */
+const withSignal = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(new CanceledError());
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new CanceledError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+/**
+ * Count a caller as waiting on an in-flight request. The request is aborted once
+ * every caller waiting on it has aborted; a caller without a signal keeps it alive.
+ * @param {Object} entry - Cache entry holding the in-flight request
+ * @param {AbortSignal} signal - Caller's abort signal
+ */
+const addWaiter = (entry, signal) => {
+  entry.waiters += 1;
+  if (!signal) return;
+
+  const { controller } = entry;
+  const onAbort = () => {
+    entry.waiters -= 1;
+    if (entry.waiters === 0) controller.abort();
+  };
+  if (signal.aborted) {
+    onAbort();
+  } else {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  entry.promise
+    .catch(() => {})
+    .finally(() => signal.removeEventListener('abort', onAbort));
+};
+
+/**
+ * Fetch a query from the network, revalidating with ETag when possible
+ * The request gets its own abort controller, shared by every caller waiting on it
+ * @param {Object} api - Axios instance
+ * @param {string} key - Cache key
+ * @param {string} url - Endpoint URL
+ * @param {Object} config - Axios request config (without signal)
+ * @returns {Object} Cache entry holding the in-flight request
+ */
+const fetchQuery = (api, key, url, config) => {
+  const existing = cache.get(key);
+  const startedAt = Date.now();
+  const startedGeneration = generation;
+  const controller = new AbortController();
+
+  const request = (etag) => api.get(url, {
+    ...config,
+    signal: controller.signal,
+    headers: {
+      ...config.headers,
+      ...(etag && { 'If-None-Match': etag }),
+    },
+    validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+  });
+
+  const promise = request(existing?.response && existing.etag)
+    // Nothing to reuse for a 304 if the entry went in the meantime - ask for the full response
+    .then((response) => (response.status === 304 && !cache.get(key)?.response ? request(null) : response))
+    .then((response) => {
+      // The cache was cleared (login or logout) while this was in flight
+      if (generation !== startedGeneration) return response;
+
+      const current = cache.get(key);
+      const result = response.status === 304 && current?.response ? current.response : response;
+      const invalidatedDuringFetch = current?.invalidatedAt > startedAt;
+
+      setEntry(key, {
+        response: result,
+        etag: response.headers?.etag || current?.etag || null,
+        fetchedAt: Date.now(),
+        invalidated: invalidatedDuringFetch,
+        invalidatedAt: current?.invalidatedAt || 0,
+        promise: null,
+      });
+
+      return result;
+    })
+    .finally(() => {
+      const current = cache.get(key);
+      if (current?.promise === promise) {
+        current.promise = null;
+      }
+    });
+
+  const entry = { ...(existing || { response: null, etag: null, fetchedAt: 0 }), promise, controller, waiters: 0 };
+  setEntry(key, entry);
+  return entry;
+};
+
+/**
+ * GET a resource through the cache
+ * @param {Object} api - Axios instance
+ * @param {string} url - Endpoint URL
+ * @param {Object} config - Axios request config; may include `signal`, `forceRefresh`
+ *   and `staleTime` (ms, default 30s) and `staleWhileRevalidate` (default true)
+ * @returns {Promise} API response
+ */
+export const cachedGet = (api, url, config = {}) => {
+  const {
+    signal,
+    forceRefresh = false,
+    staleTime = DEFAULT_STALE_TIME_MS,
+    staleWhileRevalidate = true,
+    ...requestConfig
+  } = config;
+
+  const key = getQueryKey(url, requestConfig.params);
+  const entry = cache.get(key);
+  const hasUsableData = entry?.response && !entry.invalidated && !forceRefresh;
+
+  // Fresh data - no network round trip
+  if (hasUsableData && Date.now() - entry.fetchedAt < staleTime) {
+    return Promise.resolve(entry.response);
+  }
+
+  // Stale data - serve it now and refresh in the background
+  if (hasUsableData && staleWhileRevalidate) {
+    if (!entry.promise) {
+      const revalidation = fetchQuery(api, key, url, requestConfig);
+      // Nobody waits on a background refresh, so later callers joining it can't cancel it
+      addWaiter(revalidation);
+      revalidation.promise
+        .then(() => notify(key, 'updated'))
+        .catch((error) => {
+          if (!(error instanceof CanceledError)) console.error('Background revalidation failed:', error);
+        });
+    }
+    return Promise.resolve(entry.response);
+  }
+
+  // Deduplicate concurrent identical requests, unless every earlier caller has given up on it
+  const inFlight = entry?.promise && !entry.controller.signal.aborted && !forceRefresh
+    ? entry
+    : fetchQuery(api, key, url, requestConfig);
+
+  // A request with no other callers is cancelled with the caller's signal; a shared
+  // one only when its last caller aborts, while each caller is released at once
+  addWaiter(inFlight, signal);
+  return withSignal(inFlight.promise, signal);
+};
+
+/**
+ * Mark cached queries stale without notifying subscribers
+ * @param {...string} prefixes - Endpoint prefixes (e.g. '/vehicles', '/bookings')
+ * @returns {string[]} Keys that were marked stale
+ */
+export const markQueriesStale = (...prefixes) => {
+  const now = Date.now();
+  const keys = [];
+
+  cache.forEach((entry, key) => {
+    if (prefixes.some(prefix => matchesPrefix(key, prefix))) {
+      entry.invalidated = true;
+      entry.invalidatedAt = now;
+      keys.push(key);
+    }
+  });
+
+  return keys;
+};
+
+/**
+ * Invalidate cached queries so the next read goes to the network
+ * @param {...string} prefixes - Endpoint prefixes (e.g. '/vehicles', '/bookings')
+ */
+export const invalidateQueries = (...prefixes) => {
+  markQueriesStale(...prefixes).forEach(key => notify(key, 'invalidated'));
+};
+
+/**
+ * Drop every cached query, cancelling requests still in flight
+ */
+export const clearQueryCache = () => {
+  generation += 1;
+  cache.forEach(entry => entry.controller?.abort());
+  cache.clear();
+};
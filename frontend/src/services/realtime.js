@@ -0,0 +1,192 @@
+/**
+ * Realtime Updates
+ * Live vehicle, booking and waitlist events pushed by the server over Server-Sent Events
+ * (or by the mock backend in mock mode). The connection is opened on the first
+ * subscription and closed when the last subscriber leaves.
+ *
+ * Events have the shape { type, data } where type is one of REALTIME_EVENTS.
+ *
+ * EventSource can't send the Authorization header, so the stream is opened with a
+ * short-lived token from POST /auth/events-token in its query string, and only
+ * while someone is signed in.
+ */
+
+import { markQueriesStale, invalidateQueries } from './queryCache';
+import { isMockMode, subscribeToMockEvents } from './mockBackend';
+import { getCurrentUser, subscribeToSession } from './auth';
+import { authAPI } from './api';
+
+export const REALTIME_EVENTS = {
+  VEHICLE_STATUS_CHANGED: 'vehicle.status_changed',
+  VEHICLE_UPDATED: 'vehicle.updated',
+  VEHICLE_ARCHIVED: 'vehicle.archived',
+  VEHICLE_RESTORED: 'vehicle.restored',
+  BOOKING_CREATED: 'booking.created',
+  BOOKING_STATUS_CHANGED: 'booking.status_changed',
+  BOOKING_CANCELLED: 'booking.cancelled',
+  BOOKING_MODIFIED: 'booking.modified',
+  WAITLIST_OFFERED: 'waitlist.offered',
+  HOLD_CREATED: 'hold.created',
+  HOLD_RELEASED: 'hold.released',
+};
+
+const EVENTS_URL = import.meta.env.VITE_REALTIME_URL ||
+  `${import.meta.env.VITE_BASE_API_URL || 'http://localhost:1234/api'}/events`;
+
+// Wait before opening the stream again after the server refused it
+const RECONNECT_DELAY_MS = 5000;
+
+const listeners = new Set();
+let disconnect = null;
+
+/**
+ * Deliver an event to subscribers, marking affected cached queries stale first
+ * @param {Object} event - { type, data }
+ */
+const dispatch = (event) => {
+  if (!event?.type) return;
+
+  if (event.type.startsWith('vehicle.')) {
+    markQueriesStale('/vehicles');
+  } else if (event.type.startsWith('booking.')) {
+    markQueriesStale('/bookings', '/vehicles/available', `/vehicles/${getBookingVehicleId(event.data)}`);
+    if (event.data?.shipmentId) {
+      markQueriesStale(`/shipments/${event.data.shipmentId}`);
+    }
+  } else if (event.type.startsWith('waitlist.')) {
+    markQueriesStale('/waitlist', '/vehicles/available');
+  } else if (event.type.startsWith('hold.')) {
+    markQueriesStale('/vehicles/available');
+  }
+
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Realtime listener error:', error);
+    }
+  });
+};
+
+/**
+ * Open a Server-Sent Events connection for the signed-in user, reopening it when
+ * they change or the server refuses an expired token
+ * @returns {Function} Function closing the connection
+ */
+const connectEventSource = () => {
+  if (typeof EventSource === 'undefined') return () => {};
+
+  let source = null;
+  let userId = null;
+  let reconnectTimer = null;
+  let attempt = 0;
+  let closed = false;
+  let hadError = false;
+
+  const close = () => {
+    clearTimeout(reconnectTimer);
+    source?.close();
+    source = null;
+  };
+
+  const parse = (type) => (message) => {
+    try {
+      const payload = JSON.parse(message.data);
+      dispatch(type ? { type, data: payload } : payload);
+    } catch (error) {
+      console.error('Invalid realtime event:', error);
+    }
+  };
+
+  const open = async () => {
+    close();
+    const thisAttempt = ++attempt;
+    if (!userId) return;
+
+    let token = null;
+    try {
+      const response = await authAPI.getEventsToken();
+      token = response.data.data.token;
+    } catch (error) {
+      console.error('Error getting realtime token:', error);
+    }
+
+    // Closed, or reopened for another user, while the token was on its way
+    if (closed || thisAttempt !== attempt) return;
+    if (!token) {
+      reconnectTimer = setTimeout(open, RECONNECT_DELAY_MS);
+      return;
+    }
+
+    const current = new EventSource(`${EVENTS_URL}?token=${encodeURIComponent(token)}`);
+    source = current;
+
+    // Unnamed messages carry { type, data }; named events carry just the payload
+    current.onmessage = parse(null);
+    Object.values(REALTIME_EVENTS).forEach(type => current.addEventListener(type, parse(type)));
+
+    // The browser retries dropped connections itself, but gives up once the server
+    // refuses one (e.g. the token has expired) - open a new stream with a fresh token
+    current.onerror = () => {
+      hadError = true;
+      if (current.readyState === EventSource.CLOSED && source === current) {
+        source = null;
+        reconnectTimer = setTimeout(open, RECONNECT_DELAY_MS);
+      }
+    };
+
+    // Events may have been missed while disconnected - refetch everything once back
+    current.onopen = () => {
+      if (hadError) {
+        hadError = false;
+        invalidateQueries('/vehicles', '/bookings');
+      }
+    };
+  };
+
+  // Events are scoped to the user, so the stream follows logins and logouts
+  const follow = (user) => {
+    if ((user?.id || null) === userId) return;
+    userId = user?.id || null;
+    open();
+  };
+
+  follow(getCurrentUser());
+  const unsubscribeSession = subscribeToSession(session => follow(session?.user));
+
+  return () => {
+    closed = true;
+    close();
+    unsubscribeSession();
+  };
+};
+
+/**
+ * Subscribe to realtime events
+ * @param {Function} listener - Called with { type, data }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToRealtime = (listener) => {
+  listeners.add(listener);
+
+  if (!disconnect) {
+    disconnect = isMockMode() ? subscribeToMockEvents(dispatch) : connectEventSource();
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && disconnect) {
+      disconnect();
+      disconnect = null;
+    }
+  };
+};
+
+/**
+ * Get the vehicle ID of a booking whether or not the vehicle is populated
+ * @param {Object} booking - Booking
+ * @returns {string} Vehicle ID
+ */
+export const getBookingVehicleId = (booking) => {
+  return typeof booking?.vehicleId === 'object' ? booking.vehicleId?.id : booking?.vehicleId;
+};
@@ -0,0 +1,35 @@
+/**
+ * Recent Locations
+ * Remembers the pincodes each user searched with most recently, so the search
+ * form can offer them again
+ */
+
+import { storage } from '../utils/helpers';
+
+const STORAGE_KEY = 'fleetlink_recent_locations';
+const MAX_RECENT_LOCATIONS = 6;
+
+/**
+ * Get a user's recently used pincodes, most recent first
+ * @param {string} userId - User ID
+ * @returns {string[]} Pincodes
+ */
+export const getRecentLocations = (userId) => {
+  if (!userId) return [];
+  return storage.get(STORAGE_KEY, {})[userId] || [];
+};
+
+/**
+ * Record pincodes a user has just used
+ * @param {string} userId - User ID
+ * @param {string[]} pincodes - Pincodes, most important first
+ * @returns {string[]} The updated list
+ */
+export const addRecentLocations = (userId, pincodes) => {
+  if (!userId) return [];
+
+  const all = storage.get(STORAGE_KEY, {});
+  const recent = [...new Set([...pincodes, ...(all[userId] || [])])].slice(0, MAX_RECENT_LOCATIONS);
+  storage.set(STORAGE_KEY, { ...all, [userId]: recent });
+  return recent;
+};
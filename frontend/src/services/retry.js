@@ -0,0 +1,144 @@
+/**
+ * Retry Policy
+ * Decides whether a failed request should be retried and how long to wait
+ */
+
+import axios, { CanceledError } from 'axios';
+
+// Default policy - can be changed globally or overridden per request via `config.retry`
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  baseDelayMs: 300,
+  maxDelayMs: 5000,
+  maxRetryAfterMs: 30000,
+  retryableMethods: ['get', 'head', 'options'],
+  retryableStatuses: [408, 429, 500, 502, 503, 504],
+  retryAfterStatuses: [429, 503],
+  idempotencyHeader: 'Idempotency-Key',
+};
+
+let currentPolicy = { ...DEFAULT_RETRY_POLICY };
+
+/**
+ * Change the global retry policy
+ * @param {Object} overrides - Policy fields to override
+ * @returns {Object} The updated policy
+ */
+export const configureRetryPolicy = (overrides = {}) => {
+  currentPolicy = { ...currentPolicy, ...overrides };
+  return currentPolicy;
+};
+
+/**
+ * Resolve the effective policy for a request
+ * @param {Object} config - Axios request config
+ * @returns {Object|null} Policy, or null if retries are disabled for this request
+ */
+export const resolveRetryPolicy = (config) => {
+  if (!config || config.retry === false) return null;
+  return { ...currentPolicy, ...(config.retry || {}) };
+};
+
+/**
+ * Check whether the request carries an idempotency key
+ * @param {Object} config - Axios request config
+ * @param {string} headerName - Idempotency header name
+ * @returns {boolean} True if the header is present
+ */
+const hasIdempotencyKey = (config, headerName) => {
+  const headers = config.headers;
+  if (!headers) return false;
+  const value = typeof headers.get === 'function' ? headers.get(headerName) : headers[headerName];
+  return Boolean(value);
+};
+
+/**
+ * Decide whether a failed request should be retried
+ * @param {Error} error - Axios error
+ * @param {Object} policy - Effective retry policy
+ * @returns {boolean} True if the request should be retried
+ */
+export const shouldRetry = (error, policy) => {
+  const { config } = error;
+  if (!config || !policy || axios.isCancel(error)) return false;
+  if ((config.retryCount || 0) >= policy.retries) return false;
+
+  // Non-idempotent methods are only safe to replay when the server can deduplicate them
+  const method = (config.method || 'get').toLowerCase();
+  if (!policy.retryableMethods.includes(method) && !hasIdempotencyKey(config, policy.idempotencyHeader)) {
+    return false;
+  }
+
+  if (error.response) {
+    return policy.retryableStatuses.includes(error.response.status);
+  }
+
+  // No response at all - network blip or timeout
+  return Boolean(error.request);
+};
+
+/**
+ * Parse a Retry-After header value (seconds or HTTP date)
+ * @param {string} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if unparseable
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+};
+
+/**
+ * Calculate the delay before the next attempt
+ * @param {Error} error - Axios error
+ * @param {number} attempt - Retry attempt number (1-based)
+ * @param {Object} policy - Effective retry policy
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (error, attempt, policy) => {
+  const status = error.response?.status;
+
+  if (policy.retryAfterStatuses.includes(status)) {
+    const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, policy.maxRetryAfterMs);
+    }
+  }
+
+  // Exponential backoff with equal jitter
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return exponential / 2 + Math.random() * (exponential / 2);
+};
+
+/**
+ * Wait before retrying, aborting early if the request is cancelled
+ * @param {number} delay - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise} Resolves after the delay
+ */
+export const waitForRetry = (delay, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CanceledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(new CanceledError());
+    };
+
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
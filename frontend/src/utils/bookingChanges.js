@@ -0,0 +1,85 @@
+/**
+ * Booking Changes
+ * When a confirmed booking may be rescheduled or sent to a different drop pincode,
+ * and how each change is described in its history
+ */
+
+import { addHours } from 'date-fns';
+import { formatCurrency, formatDate } from './helpers';
+
+// A new start time needs the same notice as a new booking
+export const MODIFICATION_LEAD_TIME_HOURS = 1;
+
+export const BOOKING_CHANGE_FIELDS = [
+  { value: 'startTime', label: 'Start time' },
+  { value: 'toPincode', label: 'Drop pincode' },
+  { value: 'vehicle', label: 'Vehicle' },
+  { value: 'totalCost', label: 'Price' }
+];
+
+/**
+ * Check whether a booking can still be changed
+ * @param {Object} booking - Booking ({ status, startTime, shipmentId })
+ * @param {Date} now - Current time
+ * @returns {string|null} Why it can't be changed, or null if it can
+ */
+export const getBookingModificationError = (booking, now = new Date()) => {
+  if (booking.shipmentId) {
+    return "Bookings in a split shipment can't be changed one at a time. Cancel the shipment and book again";
+  }
+  if (booking.status !== 'confirmed') {
+    return `A booking that is ${booking.status} can no longer be changed`;
+  }
+  if (new Date(booking.startTime) <= now) {
+    return 'The trip has already started, so the booking can no longer be changed';
+  }
+  return null;
+};
+
+/**
+ * Check whether a booking can still be rescheduled or have its drop-off changed
+ * @param {Object} booking - Booking ({ status, startTime, shipmentId })
+ * @param {Date} now - Current time
+ * @returns {boolean} True if it can be changed
+ */
+export const isBookingModifiable = (booking, now = new Date()) => {
+  return !getBookingModificationError(booking, now);
+};
+
+/**
+ * Check a new start time for a booking
+ * @param {string|Date} startTime - New start time
+ * @param {Date} now - Current time
+ * @returns {string|null} Why the time can't be used, or null if it can
+ */
+export const getNewStartTimeError = (startTime, now = new Date()) => {
+  if (new Date(startTime) < addHours(now, MODIFICATION_LEAD_TIME_HOURS)) {
+    return `New start time must be at least ${MODIFICATION_LEAD_TIME_HOURS} hour from now`;
+  }
+  return null;
+};
+
+/**
+ * Format the difference between a new and the booked price (e.g. "+₹450", "-₹120", "No change")
+ * @param {number} difference - New price minus the booked price
+ * @returns {string} Formatted difference
+ */
+export const formatPriceDifference = (difference) => {
+  if (!difference) return 'No change';
+  return `${difference > 0 ? '+' : '-'}${formatCurrency(Math.abs(difference))}`;
+};
+
+/**
+ * Describe one change recorded in a booking's history
+ * @param {Object} change - { field, from, to } (see BOOKING_CHANGE_FIELDS)
+ * @returns {string} Description (e.g. "Drop pincode: 380015 → 380009")
+ */
+export const describeBookingChange = ({ field, from, to }) => {
+  const label = BOOKING_CHANGE_FIELDS.find(option => option.value === field)?.label || field;
+  const formatValue = {
+    startTime: value => formatDate(value, 'PP p'),
+    totalCost: value => formatCurrency(value)
+  }[field] || (value => value);
+
+  return `${label}: ${formatValue(from)} → ${formatValue(to)}`;
+};
@@ -0,0 +1,132 @@
+/**
+ * Booking Details
+ * Who hands the goods over and who receives them, what the goods are and
+ * what they're worth: collected at checkout and checked again by the server
+ */
+
+import { validateForm } from './helpers';
+
+export const MAX_DECLARED_VALUE = 10000000; // ₹1 crore
+
+export const CONTACT_ROLES = [
+  { value: 'consignor', label: 'Consignor', description: 'Hands the goods over at pickup', addressLabel: 'Pickup address' },
+  { value: 'consignee', label: 'Consignee', description: 'Receives the goods at delivery', addressLabel: 'Delivery address' }
+];
+
+// Terms of carriage the customer accepts at checkout
+export const TERMS_OF_CARRIAGE = [
+  'Our liability for loss or damage is limited to the declared value of the goods.',
+  'Goods must be packed for the journey and legal to carry; hazardous goods must be declared.',
+  'Bookings can be cancelled free of charge until the trip starts.',
+  'Waiting at pickup or delivery beyond 2 hours may be charged separately.'
+];
+
+export const EMPTY_CHECKOUT_FORM = {
+  consignorName: '',
+  consignorPhone: '',
+  consignorAddress: '',
+  consigneeName: '',
+  consigneePhone: '',
+  consigneeAddress: '',
+  cargoDescription: '',
+  declaredValue: '',
+  termsAccepted: false
+};
+
+/**
+ * Check an Indian mobile number, with or without +91, spaces or hyphens
+ * @param {string} value - Phone number
+ * @returns {boolean} True if valid
+ */
+export const isValidPhone = (value) => {
+  return /^(\+91)?[6-9]\d{9}$/.test(String(value || '').replace(/[\s-]/g, ''));
+};
+
+const lengthBetween = (min, max, message) => (value) => {
+  const length = String(value).trim().length;
+  return (length < min || length > max) && message;
+};
+
+const contactRules = ({ value: role, label, addressLabel }) => ({
+  [`${role}Name`]: {
+    required: true,
+    requiredMessage: `Enter the ${label.toLowerCase()}'s name`,
+    validate: lengthBetween(2, 100, 'Name must be between 2-100 characters')
+  },
+  [`${role}Phone`]: {
+    required: true,
+    requiredMessage: `Enter the ${label.toLowerCase()}'s phone number`,
+    validate: (value) => !isValidPhone(value) && 'Enter a 10 digit Indian mobile number'
+  },
+  [`${role}Address`]: {
+    required: true,
+    requiredMessage: `Enter the ${addressLabel.toLowerCase()}`,
+    validate: lengthBetween(10, 300, 'Address must be between 10-300 characters')
+  }
+});
+
+export const CHECKOUT_VALIDATION_RULES = {
+  ...CONTACT_ROLES.reduce((rules, role) => ({ ...rules, ...contactRules(role) }), {}),
+  cargoDescription: {
+    required: true,
+    requiredMessage: 'Describe the goods being carried',
+    validate: lengthBetween(3, 200, 'Description must be between 3-200 characters')
+  },
+  declaredValue: {
+    required: true,
+    requiredMessage: 'Enter the declared value of the goods',
+    validate: (value) => {
+      const amount = Number(value);
+      return !(amount >= 1 && amount <= MAX_DECLARED_VALUE) &&
+        `Declared value must be between ₹1-${MAX_DECLARED_VALUE.toLocaleString('en-IN')}`;
+    }
+  },
+  termsAccepted: {
+    required: true,
+    requiredMessage: 'Accept the terms and conditions to book'
+  }
+};
+
+/**
+ * Convert checkout form values into booking request fields
+ * @param {Object} form - Checkout form values
+ * @returns {Object} { consignor, consignee, cargo: { description, declaredValue }, termsAccepted }
+ */
+export const toBookingDetails = (form) => ({
+  ...Object.fromEntries(CONTACT_ROLES.map(({ value: role }) => [role, {
+    name: form[`${role}Name`].trim(),
+    phone: form[`${role}Phone`].replace(/[\s-]/g, ''),
+    address: form[`${role}Address`].trim()
+  }])),
+  cargo: {
+    description: form.cargoDescription.trim(),
+    declaredValue: Number(form.declaredValue)
+  },
+  termsAccepted: form.termsAccepted
+});
+
+/**
+ * Read and validate the checkout details of a booking request
+ * @param {Object} body - Booking request (see toBookingDetails)
+ * @returns {Object} { details, validationErrors }
+ */
+export const parseBookingDetails = (body) => {
+  const form = {
+    ...Object.fromEntries(CONTACT_ROLES.flatMap(({ value: role }) => [
+      [`${role}Name`, String(body[role]?.name ?? '')],
+      [`${role}Phone`, String(body[role]?.phone ?? '')],
+      [`${role}Address`, String(body[role]?.address ?? '')]
+    ])),
+    cargoDescription: String(body.cargo?.description ?? ''),
+    declaredValue: body.cargo?.declaredValue ?? '',
+    termsAccepted: body.termsAccepted === true
+  };
+  const { errors } = validateForm(form, CHECKOUT_VALIDATION_RULES);
+
+  return {
+    details: toBookingDetails(form),
+    validationErrors: Object.entries(errors)
+      .filter(([, message]) => message)
+      .map(([path, message]) => ({ path, message }))
+  };
+};
@@ -0,0 +1,51 @@
+/**
+ * Booking Search
+ * The search, filters and sort of the booking list, shared by the booking history
+ * page and the (mock) backend
+ */
+
+import { PAGE_SIZE_OPTIONS, SORT_ORDERS } from './listQuery';
+
+export const BOOKING_SORT_FIELDS = [
+  { value: 'createdAt', label: 'Date booked' },
+  { value: 'startTime', label: 'Start time' },
+  { value: 'totalCost', label: 'Cost' },
+  { value: 'status', label: 'Status' }
+];
+
+export const BOOKING_FILTER_KEYS = ['search', 'status', 'fromDate', 'toDate', 'mine'];
+
+export const DEFAULT_BOOKING_QUERY = {
+  search: '',
+  status: '',
+  fromDate: '',
+  toDate: '',
+  mine: false,
+  sort: 'createdAt',
+  order: 'desc',
+  page: 1,
+  limit: PAGE_SIZE_OPTIONS[0]
+};
+
+// Values a booking list URL may hold for its sort and page size
+export const BOOKING_QUERY_VALUES = {
+  sort: BOOKING_SORT_FIELDS.map(option => option.value),
+  order: SORT_ORDERS.map(option => option.value),
+  limit: PAGE_SIZE_OPTIONS
+};
+
+/**
+ * Check whether a booking matches a search term: its customer ID, booking ID
+ * (or the short code shown for it), vehicle name or either pincode
+ * @param {Object} booking - Booking
+ * @param {string} vehicleName - Name of the booking's vehicle
+ * @param {string} term - Search term
+ * @returns {boolean} True if the booking matches
+ */
+export const matchesBookingSearch = (booking, vehicleName, term) => {
+  const needle = String(term || '').trim().toLowerCase();
+  if (!needle) return true;
+
+  return [booking.customerId, booking.id, vehicleName, booking.fromPincode, booking.toPincode]
+    .some(value => String(value || '').toLowerCase().includes(needle));
+};
@@ -0,0 +1,214 @@
+/**
+ * Cargo Matching
+ * Cargo volume, largest-item and handling requirements for a search, and the
+ * check of a vehicle against them with the reasons it matched (or didn't)
+ */
+
+import { formatCapacity } from './helpers';
+import { BODY_TYPES, getOptionLabel, formatDimensions, formatVolume } from './vehicles';
+
+/**
+ * Handling requirements and the body types that can meet them
+ */
+export const CARGO_REQUIREMENTS = [
+  { value: 'refrigerated', label: 'Refrigerated', description: 'Chilled or frozen goods', bodyTypes: ['reefer'] },
+  { value: 'hazardous', label: 'Hazardous', description: 'Chemicals, fuels, gases', bodyTypes: ['tanker', 'container'] },
+  { value: 'fragile', label: 'Fragile', description: 'Needs an enclosed box', bodyTypes: ['container', 'reefer'] },
+  { value: 'covered', label: 'Covered', description: 'Keep out of rain and sun', bodyTypes: ['container', 'reefer', 'tanker'] },
+];
+
+const ITEM_FIELDS = ['itemLengthM', 'itemWidthM', 'itemHeightM'];
+
+// Like the vehicle cargo box, the largest item needs all three dimensions or none
+const validateItemDimension = (value, data) => {
+  const isMissing = ITEM_FIELDS.some(field => String(data[field] ?? '').trim() === '');
+  return isMissing && 'Enter length, width and height of the largest item together';
+};
+
+export const CARGO_VALIDATION_RULES = {
+  cargoVolumeM3: {
+    type: 'number',
+    min: 0.01,
+    max: 200
+  },
+  itemLengthM: {
+    type: 'number',
+    min: 0.01,
+    max: 20,
+    validate: validateItemDimension
+  },
+  itemWidthM: {
+    type: 'number',
+    min: 0.01,
+    max: 3,
+    validate: validateItemDimension
+  },
+  itemHeightM: {
+    type: 'number',
+    min: 0.01,
+    max: 4.5,
+    validate: validateItemDimension
+  }
+};
+
+export const EMPTY_CARGO_FORM = {
+  cargoVolumeM3: '',
+  itemLengthM: '',
+  itemWidthM: '',
+  itemHeightM: '',
+  requirements: []
+};
+
+/**
+ * Convert cargo form values into search query parameters, leaving out what wasn't entered
+ * @param {Object} cargoForm - Cargo form values
+ * @returns {Object} Query parameters
+ */
+export const toCargoParams = (cargoForm) => {
+  const hasItem = ITEM_FIELDS.every(field => String(cargoForm[field] ?? '').trim() !== '');
+
+  return {
+    ...(cargoForm.cargoVolumeM3 !== '' && { cargoVolumeM3: Number(cargoForm.cargoVolumeM3) }),
+    ...(hasItem && {
+      itemLengthM: Number(cargoForm.itemLengthM),
+      itemWidthM: Number(cargoForm.itemWidthM),
+      itemHeightM: Number(cargoForm.itemHeightM)
+    }),
+    ...(cargoForm.requirements.length > 0 && { requirements: cargoForm.requirements.join(',') })
+  };
+};
+
+/**
+ * Read cargo details from search query parameters
+ * @param {Object} query - Query parameters (see toCargoParams)
+ * @returns {Object} { cargo: { volumeM3, item, requirements }, validationErrors }
+ */
+export const parseCargoQuery = (query) => {
+  const validationErrors = [];
+
+  const readNumber = (field, max) => {
+    if (query[field] === undefined || query[field] === '') return null;
+    const value = Number(query[field]);
+    if (!(value > 0 && value <= max)) {
+      validationErrors.push({ path: field, message: `Must be a number between 0-${max}` });
+      return null;
+    }
+    return value;
+  };
+
+  const volumeM3 = readNumber('cargoVolumeM3', 200);
+  const [lengthM, widthM, heightM] = [
+    readNumber('itemLengthM', 20),
+    readNumber('itemWidthM', 3),
+    readNumber('itemHeightM', 4.5),
+  ];
+  const itemValues = [lengthM, widthM, heightM].filter(value => value !== null);
+  if (itemValues.length > 0 && itemValues.length < 3 && validationErrors.length === 0) {
+    validationErrors.push({ path: 'itemLengthM', message: 'Largest item needs length, width and height' });
+  }
+
+  const requirements = String(query.requirements || '').split(',').map(value => value.trim()).filter(Boolean);
+  const unknown = requirements.filter(value => !CARGO_REQUIREMENTS.some(option => option.value === value));
+  if (unknown.length > 0) {
+    validationErrors.push({
+      path: 'requirements',
+      message: `Requirements must be from: ${CARGO_REQUIREMENTS.map(option => option.value).join(', ')}`
+    });
+  }
+
+  return {
+    cargo: {
+      volumeM3,
+      item: itemValues.length === 3 ? { lengthM, widthM, heightM } : null,
+      requirements
+    },
+    validationErrors
+  };
+};
+
+/**
+ * Convert parsed cargo back into query parameters, the reverse of parseCargoQuery
+ * @param {Object} cargo - { weightKg, volumeM3, item, requirements }
+ * @returns {Object} Query parameters
+ */
+export const toCargoQuery = (cargo) => ({
+  ...(cargo.weightKg && { weightKg: cargo.weightKg }),
+  ...(cargo.volumeM3 && { cargoVolumeM3: cargo.volumeM3 }),
+  ...(cargo.item && {
+    itemLengthM: cargo.item.lengthM,
+    itemWidthM: cargo.item.widthM,
+    itemHeightM: cargo.item.heightM
+  }),
+  ...(cargo.requirements?.length > 0 && { requirements: cargo.requirements.join(',') })
+});
+
+/**
+ * Check whether an item fits a cargo box, turning it whichever way fits best
+ * @param {Object} item - { lengthM, widthM, heightM }
+ * @param {Object} box - { lengthM, widthM, heightM }
+ * @returns {boolean} True if it fits
+ */
+export const itemFitsBox = (item, box) => {
+  const descending = (dimensions) => [dimensions.lengthM, dimensions.widthM, dimensions.heightM].sort((a, b) => b - a);
+  const itemSides = descending(item);
+  const boxSides = descending(box);
+  return itemSides.every((side, index) => side <= boxSides[index]);
+};
+
+/**
+ * Check a vehicle against the weight and cargo of a search
+ * @param {Object} vehicle - Vehicle
+ * @param {Object} cargo - { weightKg, volumeM3, item, requirements } (see parseCargoQuery)
+ * @returns {Object} { matches, reasons, failures } - reasons explain each requirement the vehicle meets
+ */
+export const matchVehicleToCargo = (vehicle, cargo) => {
+  const reasons = [];
+  const failures = [];
+
+  if (cargo.weightKg) {
+    if (vehicle.capacityKg >= cargo.weightKg) {
+      reasons.push(`Carries up to ${formatCapacity(vehicle.capacityKg)} (you need ${formatCapacity(cargo.weightKg)})`);
+    } else {
+      failures.push(`Carries only ${formatCapacity(vehicle.capacityKg)}`);
+    }
+  }
+
+  if (cargo.volumeM3) {
+    if (!vehicle.volumeM3) {
+      failures.push('No cargo box dimensions on record');
+    } else if (vehicle.volumeM3 >= cargo.volumeM3) {
+      const fillPercent = Math.round(cargo.volumeM3 / vehicle.volumeM3 * 100);
+      reasons.push(`${formatVolume(vehicle.volumeM3)} cargo box fits ${formatVolume(cargo.volumeM3)} (${fillPercent}% full)`);
+    } else {
+      failures.push(`Cargo box holds only ${formatVolume(vehicle.volumeM3)}`);
+    }
+  }
+
+  if (cargo.item) {
+    if (!vehicle.dimensions) {
+      failures.push('No cargo box dimensions on record');
+    } else if (itemFitsBox(cargo.item, vehicle.dimensions)) {
+      reasons.push(`Largest item (${formatDimensions(cargo.item)}) fits the ${formatDimensions(vehicle.dimensions)} box`);
+    } else {
+      failures.push(`Largest item doesn't fit the ${formatDimensions(vehicle.dimensions)} box`);
+    }
+  }
+
+  const bodyLabel = getOptionLabel(BODY_TYPES, vehicle.bodyType);
+  CARGO_REQUIREMENTS
+    .filter(option => cargo.requirements?.includes(option.value))
+    .forEach(option => {
+      if (option.bodyTypes.includes(vehicle.bodyType)) {
+        reasons.push(`${bodyLabel} body suits ${option.label.toLowerCase()} cargo`);
+      } else {
+        failures.push(`${bodyLabel} body isn't suitable for ${option.label.toLowerCase()} cargo`);
+      }
+    });
+
+  return {
+    matches: failures.length === 0,
+    reasons,
+    // Missing dimensions fail both the volume and the item check
+    failures: [...new Set(failures)]
+  };
+};
@@ -0,0 +1,213 @@
+/**
+ * Route Geodata Utilities
+ * Pincode lookup, road distance and travel time estimates built on the offline pincode directory
+ */
+
+import { PINCODE_DIRECTORY } from '../data/pincodes';
+
+const EARTH_RADIUS_KM = 6371;
+
+// Roads are rarely straight - road distance is ~30% longer than the great-circle distance
+export const ROAD_FACTOR = 1.3;
+
+// Average truck speed for each stretch of a trip: city traffic first, then highways
+const SPEED_BANDS = [
+  { uptoKm: 50, kmph: 25 },
+  { uptoKm: 300, kmph: 40 },
+  { uptoKm: Infinity, kmph: 50 },
+];
+
+// Loading and unloading time added to every trip
+const HANDLING_HOURS = 1;
+
+// Drivers rest for REST_HOURS after every DRIVING_HOURS_PER_SHIFT on the road
+const DRIVING_HOURS_PER_SHIFT = 10;
+const REST_HOURS = 8;
+
+// Used when either pincode can't be located
+const DEFAULT_DURATION_HOURS = 2;
+
+const pincodeIndex = new Map(PINCODE_DIRECTORY.map(entry => [entry.pincode, entry]));
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Look up a pincode in the directory
+ * @param {string} pincode - 6 digit pincode
+ * @returns {Object|null} { pincode, locality, district, state, latitude, longitude } or null if unknown
+ */
+export const findPincode = (pincode) => {
+  return pincodeIndex.get(String(pincode || '').trim()) || null;
+};
+
+/**
+ * Locate a pincode, approximating unknown ones from directory entries that share its prefix
+ * (the first 3 digits identify the sorting district, the first 2 the postal circle)
+ * @param {string} pincode - 6 digit pincode
+ * @returns {Object|null} Directory entry, with isApproximate set for estimates; null if it can't be placed
+ */
+export const locatePincode = (pincode) => {
+  const code = String(pincode || '').trim();
+  const exact = findPincode(code);
+  if (exact) return { ...exact, isApproximate: false };
+
+  if (!/^\d{6}$/.test(code)) return null;
+
+  for (const prefixLength of [3, 2]) {
+    const prefix = code.slice(0, prefixLength);
+    const matches = PINCODE_DIRECTORY.filter(entry => entry.pincode.startsWith(prefix));
+    if (matches.length === 0) continue;
+
+    const shared = (field) => matches.every(entry => entry[field] === matches[0][field]) ? matches[0][field] : null;
+
+    return {
+      pincode: code,
+      locality: null,
+      district: prefixLength === 3 ? shared('district') : null,
+      state: shared('state'),
+      latitude: matches.reduce((sum, entry) => sum + entry.latitude, 0) / matches.length,
+      longitude: matches.reduce((sum, entry) => sum + entry.longitude, 0) / matches.length,
+      isApproximate: true,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Check a trip pincode: any code that can be placed, exactly or by its prefix, is accepted
+ * @param {string} pincode - 6 digit pincode
+ * @returns {string|null} Error message, or null if the pincode can be routed
+ */
+export const getPincodeError = (pincode) => {
+  return locatePincode(pincode) ? null : `${pincode} is not in a postal area we serve`;
+};
+
+/**
+ * Format a located pincode for display, e.g. "Fort, Mumbai" or "Pune (approx.)"
+ * @param {Object} location - Result of locatePincode
+ * @returns {string} Place name
+ */
+export const formatPlaceName = (location) => {
+  if (!location) return 'Unknown location';
+
+  if (location.isApproximate) {
+    return `${location.district || location.state || 'Unknown area'} (approx.)`;
+  }
+
+  return location.locality === location.district
+    ? `${location.district}, ${location.state}`
+    : `${location.locality}, ${location.district}`;
+};
+
+/**
+ * Format a directory entry as an option label, e.g. "110001 – Connaught Place, New Delhi"
+ * @param {Object} entry - Directory entry
+ * @returns {string} Label
+ */
+export const formatPincodeLabel = (entry) => {
+  return `${entry.pincode} – ${formatPlaceName(entry)}`;
+};
+
+/**
+ * Search the directory by pincode, locality, district (city) or state
+ * Pincode prefix matches rank first, then names that start with the query, then other matches.
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum number of results (default 8)
+ * @returns {Object[]} Matching directory entries
+ */
+export const searchPincodes = (query, limit = 8) => {
+  const text = String(query || '').trim().toLowerCase();
+  if (!text) return [];
+
+  const rank = (entry) => {
+    if (entry.pincode.startsWith(text)) return 0;
+
+    const names = [entry.locality, entry.district, entry.state].map(name => name.toLowerCase());
+    if (names.some(name => name.startsWith(text) || name.includes(` ${text}`))) return 1;
+    if (names.some(name => name.includes(text))) return 2;
+    return null;
+  };
+
+  return PINCODE_DIRECTORY
+    .map(entry => ({ entry, score: rank(entry) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => a.score - b.score || a.entry.pincode.localeCompare(b.entry.pincode))
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+};
+
+/**
+ * Great-circle distance between two coordinates (haversine formula)
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in km
+ */
+export const haversineDistanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Estimated road distance between two pincodes
+ * @param {string} fromPincode - Starting pincode
+ * @param {string} toPincode - Destination pincode
+ * @returns {number|null} Distance in km (rounded), or null if either pincode can't be located
+ */
+export const calculateDistanceKm = (fromPincode, toPincode) => {
+  return estimateRoute(fromPincode, toPincode).distanceKm;
+};
+
+/**
+ * Estimated trip time for a road distance, including handling and driver rest stops
+ * @param {number} distanceKm - Road distance in km
+ * @returns {number} Duration in hours, rounded up to the next half hour
+ */
+export const estimateTravelHours = (distanceKm) => {
+  let remainingKm = Math.max(0, distanceKm);
+  let previousLimit = 0;
+  let drivingHours = 0;
+
+  for (const band of SPEED_BANDS) {
+    const stretchKm = Math.min(remainingKm, band.uptoKm - previousLimit);
+    drivingHours += stretchKm / band.kmph;
+    remainingKm -= stretchKm;
+    previousLimit = band.uptoKm;
+    if (remainingKm <= 0) break;
+  }
+
+  const restStops = Math.floor(drivingHours / DRIVING_HOURS_PER_SHIFT);
+  const totalHours = drivingHours + restStops * REST_HOURS + HANDLING_HOURS;
+
+  return Math.ceil(totalHours * 2) / 2;
+};
+
+/**
+ * Estimate a route between two pincodes
+ * @param {string} fromPincode - Starting pincode
+ * @param {string} toPincode - Destination pincode
+ * @returns {Object} { from, to, distanceKm, durationHours, isApproximate } - distanceKm is null if unknown
+ */
+export const estimateRoute = (fromPincode, toPincode) => {
+  const from = locatePincode(fromPincode);
+  const to = locatePincode(toPincode);
+
+  if (!from || !to) {
+    return { from, to, distanceKm: null, durationHours: DEFAULT_DURATION_HOURS, isApproximate: true };
+  }
+
+  const distanceKm = Math.round(haversineDistanceKm(from, to) * ROAD_FACTOR);
+
+  return {
+    from,
+    to,
+    distanceKm,
+    durationHours: estimateTravelHours(distanceKm),
+    isApproximate: from.isApproximate || to.isApproximate,
+  };
+};
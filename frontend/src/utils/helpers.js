@@ -4,6 +4,7 @@
  */
 
 import { format, parseISO, isValid, addHours, isFuture } from 'date-fns';
+import { estimateRoute } from './geo';
 
 /**
  * Format date for display
@@ -115,24 +116,13 @@ export const formatCurrency = (amount, currency = 'INR') => {
 };
 
 /**
- * Calculate estimated ride duration (matching backend logic)
+ * Calculate estimated ride duration from the road distance between two pincodes
  * @param {string} fromPincode - Starting pincode
  * @param {string} toPincode - Destination pincode
  * @returns {number} Duration in hours
  */
 export const calculateRideDuration = (fromPincode, toPincode) => {
-  try {
-    const from = parseInt(fromPincode);
-    const to = parseInt(toPincode);
-    
-    if (isNaN(from) || isNaN(to)) return 2;
-    
-    const duration = Math.abs(from - to) % 24;
-    return Math.max(duration, 1);
-  } catch (error) {
-    console.error(error)
-    return 2; // Default 2 hours
-  }
+  return estimateRoute(fromPincode, toPincode).durationHours;
 };
 
 /**
@@ -150,6 +140,7 @@ export const getStatusBadgeClass = (status) => {
       return 'badge-warning';
     case 'maintenance':
     case 'cancelled':
+    case 'no-show':
       return 'badge-danger';
     case 'retired':
       return 'badge-secondary';
@@ -241,7 +232,7 @@ export const validateForm = (data, rules) => {
     
     // Required field validation
     if (rule.required && (!value || value.toString().trim() === '')) {
-      errors[field] = `${field} is required`;
+      errors[field] = rule.requiredMessage || `${field} is required`;
       return;
     }
     
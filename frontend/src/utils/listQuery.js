@@ -0,0 +1,67 @@
+/**
+ * List Queries
+ * Search, filters, sort and page of a list page. They live in the URL so a view
+ * can be shared and survives a reload, and the server applies them to the whole list.
+ */
+
+export const PAGE_SIZE_OPTIONS = [10, 25, 50];
+
+// Largest page the API returns, whatever the client asks for
+export const MAX_PAGE_SIZE = 100;
+
+export const SORT_ORDERS = [
+  { value: 'asc', label: 'Ascending' },
+  { value: 'desc', label: 'Descending' }
+];
+
+/**
+ * Read a list query from URL search params
+ * @param {URLSearchParams} searchParams - URL search params
+ * @param {Object} defaults - Every key of the query with its default; the default's type decides how the value is read
+ * @param {Object} allowedValues - Key → values it may take; anything else falls back to the default
+ * @returns {Object} Query
+ */
+export const readListQuery = (searchParams, defaults, allowedValues = {}) => {
+  return Object.fromEntries(Object.entries(defaults).map(([key, fallback]) => {
+    const raw = searchParams.get(key);
+    if (raw === null) return [key, fallback];
+
+    let value = raw;
+    if (typeof fallback === 'boolean') {
+      value = raw === 'true';
+    } else if (typeof fallback === 'number') {
+      value = parseInt(raw);
+      if (!Number.isInteger(value) || value < 1) return [key, fallback];
+    }
+
+    if (allowedValues[key] && !allowedValues[key].includes(value)) return [key, fallback];
+    return [key, value];
+  }));
+};
+
+/**
+ * Write a list query as URL search params, leaving out anything at its default
+ * @param {Object} query - Query
+ * @param {Object} defaults - Defaults the query was read with
+ * @returns {URLSearchParams} Search params
+ */
+export const toListSearchParams = (query, defaults) => {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== defaults[key] && value !== '' && value !== null && value !== undefined) {
+      params.set(key, String(value));
+    }
+  });
+  return params;
+};
+
+/**
+ * Check whether any of the filters differ from their defaults
+ * @param {Object} query - Query
+ * @param {Object} defaults - Defaults the query was read with
+ * @param {string[]} filterKeys - Keys that filter the list, as opposed to sort or page it
+ * @returns {boolean} True if the list is filtered
+ */
+export const hasActiveFilters = (query, defaults, filterKeys) => {
+  return filterKeys.some(key => query[key] !== defaults[key]);
+};
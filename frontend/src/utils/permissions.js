@@ -0,0 +1,148 @@
+/**
+ * Roles & Permissions
+ * Role definitions and the permission checks used by route guards, the navbar and page actions
+ */
+
+import { getCustomerId } from '../services/auth';
+
+export const ROLES = {
+  ADMIN: 'admin',
+  FLEET_MANAGER: 'fleet_manager',
+  DISPATCHER: 'dispatcher',
+  CUSTOMER: 'customer',
+};
+
+export const ROLE_LABELS = {
+  [ROLES.ADMIN]: 'Admin',
+  [ROLES.FLEET_MANAGER]: 'Fleet Manager',
+  [ROLES.DISPATCHER]: 'Dispatcher',
+  [ROLES.CUSTOMER]: 'Customer',
+};
+
+export const PERMISSIONS = {
+  VEHICLE_VIEW: 'vehicle:view',
+  VEHICLE_CREATE: 'vehicle:create',
+  VEHICLE_UPDATE: 'vehicle:update',
+  VEHICLE_ARCHIVE: 'vehicle:archive',
+  VEHICLE_UPDATE_STATUS: 'vehicle:update-status',
+  VEHICLE_RETIRE: 'vehicle:retire',
+  BOOKING_CREATE: 'booking:create',
+  BOOKING_VIEW_OWN: 'booking:view-own',
+  BOOKING_VIEW_ALL: 'booking:view-all',
+  BOOKING_UPDATE_STATUS: 'booking:update-status',
+  BOOKING_CANCEL_OWN: 'booking:cancel-own',
+  BOOKING_CANCEL_ANY: 'booking:cancel-any',
+  BOOKING_MODIFY_OWN: 'booking:modify-own',
+  BOOKING_MODIFY_ANY: 'booking:modify-any',
+  PRICING_MANAGE: 'pricing:manage',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.FLEET_MANAGER]: [
+    PERMISSIONS.VEHICLE_VIEW,
+    PERMISSIONS.VEHICLE_CREATE,
+    PERMISSIONS.VEHICLE_UPDATE,
+    PERMISSIONS.VEHICLE_ARCHIVE,
+    PERMISSIONS.VEHICLE_UPDATE_STATUS,
+    PERMISSIONS.VEHICLE_RETIRE,
+    PERMISSIONS.BOOKING_CREATE,
+    PERMISSIONS.BOOKING_VIEW_ALL,
+    PERMISSIONS.BOOKING_UPDATE_STATUS,
+    PERMISSIONS.BOOKING_CANCEL_ANY,
+    PERMISSIONS.BOOKING_MODIFY_ANY,
+    PERMISSIONS.PRICING_MANAGE,
+  ],
+  [ROLES.DISPATCHER]: [
+    PERMISSIONS.VEHICLE_VIEW,
+    PERMISSIONS.BOOKING_CREATE,
+    PERMISSIONS.BOOKING_VIEW_ALL,
+    PERMISSIONS.BOOKING_UPDATE_STATUS,
+    PERMISSIONS.BOOKING_CANCEL_ANY,
+    PERMISSIONS.BOOKING_MODIFY_ANY,
+  ],
+  [ROLES.CUSTOMER]: [
+    PERMISSIONS.BOOKING_CREATE,
+    PERMISSIONS.BOOKING_VIEW_OWN,
+    PERMISSIONS.BOOKING_CANCEL_OWN,
+    PERMISSIONS.BOOKING_MODIFY_OWN,
+  ],
+};
+
+/**
+ * Check whether a user has a permission
+ * @param {Object} user - User profile (or null when logged out)
+ * @param {string} permission - Permission from PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+export const hasPermission = (user, permission) => {
+  if (!user) return false;
+  return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+/**
+ * Check whether a user has at least one of several permissions
+ * @param {Object} user - User profile
+ * @param {string[]} permissions - Permissions from PERMISSIONS
+ * @returns {boolean} True if any is allowed
+ */
+export const hasAnyPermission = (user, permissions) => {
+  return permissions.some(permission => hasPermission(user, permission));
+};
+
+/**
+ * Check whether a booking belongs to a user
+ * @param {Object} user - User profile
+ * @param {Object} booking - Booking
+ * @returns {boolean} True if the user is the booking's customer
+ */
+export const isOwnBooking = (user, booking) => {
+  if (!user || !booking) return false;
+  return booking.customerId === getCustomerId(user);
+};
+
+/**
+ * Check whether a user may view a booking
+ * @param {Object} user - User profile
+ * @param {Object} booking - Booking
+ * @returns {boolean} True if allowed
+ */
+export const canViewBooking = (user, booking) => {
+  return hasPermission(user, PERMISSIONS.BOOKING_VIEW_ALL) ||
+    (hasPermission(user, PERMISSIONS.BOOKING_VIEW_OWN) && isOwnBooking(user, booking));
+};
+
+/**
+ * Check whether a user may cancel a booking
+ * @param {Object} user - User profile
+ * @param {Object} booking - Booking
+ * @returns {boolean} True if allowed
+ */
+export const canCancelBooking = (user, booking) => {
+  return hasPermission(user, PERMISSIONS.BOOKING_CANCEL_ANY) ||
+    (hasPermission(user, PERMISSIONS.BOOKING_CANCEL_OWN) && isOwnBooking(user, booking));
+};
+
+/**
+ * Check whether a user may reschedule a booking or change its drop-off or vehicle
+ * @param {Object} user - User profile
+ * @param {Object} booking - Booking
+ * @returns {boolean} True if allowed
+ */
+export const canModifyBooking = (user, booking) => {
+  return hasPermission(user, PERMISSIONS.BOOKING_MODIFY_ANY) ||
+    (hasPermission(user, PERMISSIONS.BOOKING_MODIFY_OWN) && isOwnBooking(user, booking));
+};
+
+/**
+ * Check whether a user may move a vehicle to a status
+ * @param {Object} user - User profile
+ * @param {string} status - Target vehicle status
+ * @returns {boolean} True if allowed
+ */
+export const canSetVehicleStatus = (user, status) => {
+  if (status === 'retired') {
+    return hasPermission(user, PERMISSIONS.VEHICLE_RETIRE);
+  }
+  return hasPermission(user, PERMISSIONS.VEHICLE_UPDATE_STATUS);
+};
@@ -0,0 +1,255 @@
+/**
+ * Pricing Engine
+ * Rate cards and itemised quotes for bookings. The same calculation runs in the
+ * search preview, the booking confirmation and the (mock) backend, so the price
+ * a customer sees is the price they are charged.
+ */
+
+import { format, parseISO, isValid } from 'date-fns';
+
+// National holidays on the same date every year (month-day). Festivals that move
+// with the lunar calendar (Holi, Diwali...) have to be added by an admin each year.
+const FIXED_HOLIDAYS = ['01-26', '08-15', '10-02'];
+
+/**
+ * Fixed-date national holidays for a year and the next, so a fresh rate card
+ * doesn't run out of holidays at the end of the year
+ * @param {number} year - First year
+ * @returns {string[]} Dates (YYYY-MM-DD)
+ */
+export const getDefaultHolidays = (year = new Date().getFullYear()) => {
+  return [year, year + 1].flatMap(y => FIXED_HOLIDAYS.map(day => `${y}-${day}`));
+};
+
+/**
+ * Get the configured holidays that are today or later
+ * @param {Object} surcharges - Surcharge settings
+ * @param {Date} now - Current time
+ * @returns {string[]} Dates (YYYY-MM-DD)
+ */
+export const getUpcomingHolidays = (surcharges, now = new Date()) => {
+  const today = format(now, 'yyyy-MM-dd');
+  return surcharges.holidays.filter(date => date >= today);
+};
+
+export const DEFAULT_PRICING_SETTINGS = {
+  // Cards are matched by vehicle capacity; the last card has no upper limit
+  rateCards: [
+    { id: 'light', name: 'Light (up to 1.5 t)', maxCapacityKg: 1500, baseFare: 300, perKm: 18, perHour: 150, perTonne: 100, minimumCharge: 800 },
+    { id: 'medium', name: 'Medium (up to 7.5 t)', maxCapacityKg: 7500, baseFare: 600, perKm: 28, perHour: 250, perTonne: 120, minimumCharge: 1500 },
+    { id: 'heavy', name: 'Heavy (up to 20 t)', maxCapacityKg: 20000, baseFare: 1200, perKm: 42, perHour: 400, perTonne: 150, minimumCharge: 3500 },
+    { id: 'extra-heavy', name: 'Extra Heavy (over 20 t)', maxCapacityKg: null, baseFare: 2000, perKm: 60, perHour: 600, perTonne: 180, minimumCharge: 6000 },
+  ],
+  surcharges: {
+    nightPercent: 15,
+    nightStartHour: 22,
+    nightEndHour: 6,
+    holidayPercent: 20,
+    holidays: getDefaultHolidays(),
+  },
+  gstPercent: 18,
+};
+
+export const RATE_CARD_FIELDS = [
+  { key: 'baseFare', label: 'Base fare (₹)' },
+  { key: 'perKm', label: 'Per km (₹)' },
+  { key: 'perHour', label: 'Per hour (₹)' },
+  { key: 'perTonne', label: 'Per tonne (₹)' },
+  { key: 'minimumCharge', label: 'Minimum charge (₹)' },
+];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const toDate = (value) => (typeof value === 'string' ? parseISO(value) : value);
+
+/**
+ * Pick the rate card that applies to a vehicle
+ * @param {Object} settings - Pricing settings
+ * @param {number} capacityKg - Vehicle capacity in kg
+ * @returns {Object} Rate card
+ */
+export const getRateCard = (settings, capacityKg) => {
+  const cards = [...settings.rateCards].sort(
+    (a, b) => (a.maxCapacityKg ?? Infinity) - (b.maxCapacityKg ?? Infinity)
+  );
+  return cards.find(card => card.maxCapacityKg === null || capacityKg <= card.maxCapacityKg) || cards[cards.length - 1];
+};
+
+/**
+ * Check whether a trip starts during night hours
+ * @param {Object} surcharges - Surcharge settings
+ * @param {Date} start - Trip start
+ * @returns {boolean} True if the night surcharge applies
+ */
+export const isNightTrip = (surcharges, start) => {
+  const hour = start.getHours();
+  const { nightStartHour, nightEndHour } = surcharges;
+
+  // The window usually wraps past midnight (e.g. 22:00 - 06:00)
+  return nightStartHour > nightEndHour
+    ? hour >= nightStartHour || hour < nightEndHour
+    : hour >= nightStartHour && hour < nightEndHour;
+};
+
+/**
+ * Check whether a trip starts on a configured holiday
+ * @param {Object} surcharges - Surcharge settings
+ * @param {Date} start - Trip start
+ * @returns {boolean} True if the holiday surcharge applies
+ */
+export const isHolidayTrip = (surcharges, start) => {
+  return surcharges.holidays.includes(format(start, 'yyyy-MM-dd'));
+};
+
+/**
+ * Pricing rules, applied in order. Each receives { card, trip, settings, subtotal } and
+ * returns a line item { code, label, detail, amount } or null when it doesn't apply.
+ * Rules run against the running subtotal, so surcharges see the charges before them.
+ */
+export const PRICING_RULES = [
+  ({ card }) => ({ code: 'base', label: 'Base fare', amount: card.baseFare }),
+
+  ({ card, trip }) => trip.distanceKm > 0 && {
+    code: 'distance',
+    label: 'Distance',
+    detail: `${trip.distanceKm} km × ₹${card.perKm}`,
+    amount: trip.distanceKm * card.perKm,
+  },
+
+  ({ card, trip }) => ({
+    code: 'time',
+    label: 'Time',
+    detail: `${trip.durationHours} h × ₹${card.perHour}`,
+    amount: trip.durationHours * card.perHour,
+  }),
+
+  ({ card, trip }) => {
+    const tonnes = trip.vehicle.capacityKg / 1000;
+    return {
+      code: 'load',
+      label: 'Vehicle tonnage',
+      detail: `${tonnes} t × ₹${card.perTonne}`,
+      amount: tonnes * card.perTonne,
+    };
+  },
+
+  ({ card, subtotal }) => subtotal < card.minimumCharge && {
+    code: 'minimum',
+    label: 'Minimum charge adjustment',
+    detail: `Minimum ₹${card.minimumCharge}`,
+    amount: card.minimumCharge - subtotal,
+  },
+
+  ({ settings, trip, subtotal }) => isNightTrip(settings.surcharges, trip.start) && settings.surcharges.nightPercent > 0 && {
+    code: 'night',
+    label: 'Night surcharge',
+    detail: `${settings.surcharges.nightPercent}%`,
+    amount: subtotal * settings.surcharges.nightPercent / 100,
+  },
+
+  ({ settings, trip, subtotal }) => isHolidayTrip(settings.surcharges, trip.start) && settings.surcharges.holidayPercent > 0 && {
+    code: 'holiday',
+    label: 'Holiday surcharge',
+    detail: `${settings.surcharges.holidayPercent}%`,
+    amount: subtotal * settings.surcharges.holidayPercent / 100,
+  },
+];
+
+/**
+ * Calculate an itemised quote for a trip
+ * @param {Object} trip - { vehicle, distanceKm, durationHours, startTime }
+ * @param {Object} settings - Pricing settings (defaults to DEFAULT_PRICING_SETTINGS)
+ * @param {Function[]} rules - Pricing rules (defaults to PRICING_RULES)
+ * @returns {Object} { rateCard, lineItems, subtotal, gstPercent, gst, total, currency }
+ */
+export const calculateQuote = (trip, settings = DEFAULT_PRICING_SETTINGS, rules = PRICING_RULES) => {
+  const start = toDate(trip.startTime);
+  const context = {
+    card: getRateCard(settings, trip.vehicle.capacityKg),
+    settings,
+    trip: {
+      ...trip,
+      distanceKm: trip.distanceKm || 0,
+      start: isValid(start) ? start : new Date(),
+    },
+    subtotal: 0,
+  };
+
+  const lineItems = [];
+  for (const rule of rules) {
+    const item = rule(context);
+    if (!item) continue;
+
+    const lineItem = { detail: null, ...item, amount: roundMoney(item.amount) };
+    lineItems.push(lineItem);
+    context.subtotal = roundMoney(context.subtotal + lineItem.amount);
+  }
+
+  const gst = roundMoney(context.subtotal * settings.gstPercent / 100);
+
+  return {
+    rateCard: { id: context.card.id, name: context.card.name },
+    lineItems,
+    subtotal: context.subtotal,
+    gstPercent: settings.gstPercent,
+    gst,
+    total: Math.round(context.subtotal + gst),
+    currency: 'INR',
+  };
+};
+
+/**
+ * Validate pricing settings before saving them
+ * @param {Object} settings - Pricing settings
+ * @returns {Object[]} Validation errors as [{ path, message }] (empty when valid)
+ */
+export const validatePricingSettings = (settings) => {
+  const errors = [];
+  const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  const isPercent = (value) => isAmount(value) && value <= 100;
+  const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 23;
+
+  if (!Array.isArray(settings?.rateCards) || settings.rateCards.length === 0) {
+    return [{ path: 'rateCards', message: 'At least one rate card is required' }];
+  }
+
+  settings.rateCards.forEach((card, index) => {
+    if (!card.name || !String(card.name).trim()) {
+      errors.push({ path: `rateCards.${index}.name`, message: 'Name is required' });
+    }
+    if (card.maxCapacityKg !== null && !(isAmount(card.maxCapacityKg) && card.maxCapacityKg > 0)) {
+      errors.push({ path: `rateCards.${index}.maxCapacityKg`, message: 'Capacity limit must be a positive number' });
+    }
+    RATE_CARD_FIELDS.forEach(({ key, label }) => {
+      if (!isAmount(card[key])) {
+        errors.push({ path: `rateCards.${index}.${key}`, message: `${label} must be 0 or more` });
+      }
+    });
+  });
+
+  if (!settings.rateCards.some(card => card.maxCapacityKg === null)) {
+    errors.push({ path: 'rateCards', message: 'One rate card must have no capacity limit' });
+  }
+
+  const { surcharges = {} } = settings;
+  if (!isPercent(surcharges.nightPercent)) {
+    errors.push({ path: 'surcharges.nightPercent', message: 'Night surcharge must be between 0-100%' });
+  }
+  if (!isHour(surcharges.nightStartHour)) {
+    errors.push({ path: 'surcharges.nightStartHour', message: 'Night start must be an hour between 0-23' });
+  }
+  if (!isHour(surcharges.nightEndHour)) {
+    errors.push({ path: 'surcharges.nightEndHour', message: 'Night end must be an hour between 0-23' });
+  }
+  if (!isPercent(surcharges.holidayPercent)) {
+    errors.push({ path: 'surcharges.holidayPercent', message: 'Holiday surcharge must be between 0-100%' });
+  }
+  if (!Array.isArray(surcharges.holidays) || surcharges.holidays.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+    errors.push({ path: 'surcharges.holidays', message: 'Holidays must be dates (YYYY-MM-DD)' });
+  }
+  if (!isPercent(settings.gstPercent)) {
+    errors.push({ path: 'gstPercent', message: 'GST must be between 0-100%' });
+  }
+
+  return errors;
+};
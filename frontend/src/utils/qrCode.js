@@ -0,0 +1,335 @@
+/**
+ * QR Codes
+ * A small QR code encoder for short texts such as booking links: byte mode,
+ * error correction level M, versions 1-10 (up to 213 bytes). Follows ISO/IEC 18004
+ * and returns the grid of modules for the caller to draw, so no QR library is needed.
+ */
+
+const MAX_VERSION = 10;
+// Level M error correction for versions 1-10
+const ECC_CODEWORDS_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const ERROR_CORRECTION_BLOCKS = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const LEVEL_M_FORMAT_BITS = 0;
+
+const MASK_PATTERNS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+/**
+ * Count the modules available for data and error correction in a version
+ * @param {number} version - QR version
+ * @returns {number} Module count
+ */
+const getRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignmentCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+const getDataCodewordCount = (version) => {
+  return Math.floor(getRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[version - 1] * ERROR_CORRECTION_BLOCKS[version - 1];
+};
+
+/**
+ * Centre positions of the alignment patterns along each axis
+ * @param {number} version - QR version
+ * @returns {number[]} Positions
+ */
+const getAlignmentPositions = (version) => {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let position = version * 4 + 10; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+};
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x, y) => {
+  let product = 0;
+  for (let i = 7; i >= 0; i--) {
+    product = (product << 1) ^ ((product >>> 7) * 0x11d);
+    product ^= ((y >>> i) & 1) * x;
+  }
+  return product;
+};
+
+const reedSolomonDivisor = (degree) => {
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = gfMultiply(divisor[j], root);
+      if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return divisor;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+  const remainder = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    divisor.forEach((coefficient, i) => {
+      remainder[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return remainder;
+};
+
+/**
+ * Encode bytes as data codewords: mode, length, data, terminator and padding
+ * @param {Uint8Array} bytes - Text bytes
+ * @param {number} version - QR version
+ * @returns {number[]} Codewords
+ */
+const encodeData = (bytes, version) => {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4); // Byte mode
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacityBits = getDataCodewordCount(version) * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+/**
+ * Split data codewords into blocks, add error correction to each and interleave them
+ * @param {number[]} data - Data codewords
+ * @param {number} version - QR version
+ * @returns {number[]} Final codewords
+ */
+const addErrorCorrection = (data, version) => {
+  const blockCount = ERROR_CORRECTION_BLOCKS[version - 1];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version - 1];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const blockData = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+    offset += blockData.length;
+    const ecc = reedSolomonRemainder(blockData, divisor);
+    // Short blocks get a placeholder so every block lines up when interleaving
+    if (i < shortBlockCount) blockData.push(0);
+    blocks.push([...blockData, ...ecc]);
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+/**
+ * Score a symbol by the penalty rules; the mask with the lowest score is used
+ * @param {boolean[][]} modules - Module grid
+ * @returns {number} Penalty
+ */
+const getPenaltyScore = (modules) => {
+  const size = modules.length;
+  const lines = [
+    ...modules.map(row => row.map(Number).join('')),
+    ...modules.map((_, x) => modules.map(row => Number(row[x])).join('')),
+  ];
+  let penalty = 0;
+
+  // Runs of five or more modules of the same colour
+  lines.forEach(line => {
+    (line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+      penalty += run.length - 2;
+    });
+    // Patterns that look like a finder
+    penalty += ((line.match(/(?=10111010000|00001011101)/g) || []).length) * 40;
+  });
+
+  // 2x2 blocks of the same colour
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const colour = modules[y][x];
+      if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) {
+        penalty += 3;
+      }
+    }
+  }
+
+  // Balance of dark and light modules
+  const dark = modules.reduce((total, row) => total + row.filter(Boolean).length, 0);
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+  return penalty;
+};
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode (up to 213 bytes of UTF-8)
+ * @returns {boolean[][]} Rows of modules, true for dark
+ * @throws {Error} If the text is too long
+ */
+export const createQrCode = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let version = 1;
+  while (4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > getDataCodewordCount(version) * 8) {
+    if (++version > MAX_VERSION) throw new Error('Text is too long for a QR code');
+  }
+
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunctionModule = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunctionModule(6, i, i % 2 === 0);
+    setFunctionModule(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([centreX, centreY]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = centreX + dx;
+        const y = centreY + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          setFunctionModule(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Alignment patterns, except where they would overlap the finders
+  const alignmentPositions = getAlignmentPositions(version);
+  const last = alignmentPositions.length - 1;
+  alignmentPositions.forEach((centreX, i) => {
+    alignmentPositions.forEach((centreY, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunctionModule(centreX + dx, centreY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  const drawFormatBits = (mask) => {
+    const data = (LEVEL_M_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) setFunctionModule(8, i, getBit(bits, i));
+    setFunctionModule(8, 7, getBit(bits, 6));
+    setFunctionModule(8, 8, getBit(bits, 7));
+    setFunctionModule(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) setFunctionModule(14 - i, 8, getBit(bits, i));
+    for (let i = 0; i < 8; i++) setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) setFunctionModule(8, size - 15 + i, getBit(bits, i));
+    setFunctionModule(8, size - 8, true); // Always-dark module
+  };
+
+  // Reserve the format areas before placing data
+  drawFormatBits(0);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunctionModule(a, b, getBit(bits, i));
+      setFunctionModule(b, a, getBit(bits, i));
+    }
+  }
+
+  // Data, in two-module columns zigzagging up and down from the bottom right
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // Skip the vertical timing pattern
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && MASK_PATTERNS[mask](x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  };
+
+  // Masking twice undoes it, so each mask can be tried in place
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  MASK_PATTERNS.forEach((_, mask) => {
+    applyMask(mask);
+    drawFormatBits(mask);
+    const penalty = getPenaltyScore(modules);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(mask);
+  });
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+
+  return modules;
+};
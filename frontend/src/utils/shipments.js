@@ -0,0 +1,122 @@
+/**
+ * Split Shipments
+ * Loads too heavy or bulky for any single vehicle, carried by a group of
+ * vehicles booked together: finding the cheapest groups, sharing the load
+ * between them and the status of the group as a whole
+ */
+
+import { itemFitsBox } from './cargo';
+
+export const MAX_SPLIT_VEHICLES = 4;
+export const MAX_SPLIT_OPTIONS = 5;
+export const MAX_SPLIT_CAPACITY_KG = 200000;
+
+// Vehicles considered from each end of a large fleet (biggest, and best value per kg)
+const SHORTLIST_SIZE = 12;
+
+/**
+ * Check whether a group of vehicles can carry the cargo between them
+ * @param {Object[]} vehicles - Vehicles in the group
+ * @param {Object} cargo - { weightKg, volumeM3, item }
+ * @returns {boolean} True if the group covers the weight and volume and one vehicle fits the largest item
+ */
+export const groupCoversCargo = (vehicles, cargo) => {
+  const capacityKg = vehicles.reduce((total, vehicle) => total + vehicle.capacityKg, 0);
+  const volumeM3 = vehicles.reduce((total, vehicle) => total + (vehicle.volumeM3 || 0), 0);
+
+  return capacityKg >= (cargo.weightKg || 0) &&
+    (!cargo.volumeM3 || volumeM3 >= cargo.volumeM3) &&
+    (!cargo.item || vehicles.some(vehicle => vehicle.dimensions && itemFitsBox(cargo.item, vehicle.dimensions)));
+};
+
+/**
+ * Share a load's weight between vehicles in proportion to their capacity
+ * @param {Object[]} vehicles - Vehicles in the group
+ * @param {number} weightKg - Total weight
+ * @returns {number[]} Weight for each vehicle, in the same order
+ */
+export const allocateLoad = (vehicles, weightKg) => {
+  const capacityKg = vehicles.reduce((total, vehicle) => total + vehicle.capacityKg, 0);
+  const shares = vehicles.map(vehicle => Math.floor(weightKg * vehicle.capacityKg / capacityKg));
+
+  // Rounding leftovers go to the vehicles with the most spare room
+  let remainder = weightKg - shares.reduce((total, share) => total + share, 0);
+  const bySpareRoom = vehicles
+    .map((vehicle, index) => index)
+    .sort((a, b) => (vehicles[b].capacityKg - shares[b]) - (vehicles[a].capacityKg - shares[a]));
+  for (const index of bySpareRoom) {
+    if (remainder <= 0) break;
+    const extra = Math.min(remainder, vehicles[index].capacityKg - shares[index]);
+    shares[index] += extra;
+    remainder -= extra;
+  }
+  return shares;
+};
+
+/**
+ * Find the cheapest groups of vehicles that can carry a load together
+ * Only groups where every vehicle is needed are considered - adding a spare
+ * vehicle to a group that already works never makes it cheaper.
+ * @param {Object[]} candidates - [{ vehicle, cost }] for each available vehicle
+ * @param {Object} cargo - { weightKg, volumeM3, item }
+ * @param {Object} options - { maxVehicles, limit }
+ * @returns {Object[]} [{ vehicles: [{ vehicle, cost }], totalCost, capacityKg }], cheapest first
+ */
+export const findVehicleGroups = (candidates, cargo, { maxVehicles = MAX_SPLIT_VEHICLES, limit = MAX_SPLIT_OPTIONS } = {}) => {
+  const byCapacity = [...candidates].sort((a, b) => b.vehicle.capacityKg - a.vehicle.capacityKg);
+  const byValue = [...candidates].sort((a, b) => a.cost / a.vehicle.capacityKg - b.cost / b.vehicle.capacityKg);
+  const shortlist = [...new Set([...byCapacity.slice(0, SHORTLIST_SIZE), ...byValue.slice(0, SHORTLIST_SIZE)])]
+    .sort((a, b) => b.vehicle.capacityKg - a.vehicle.capacityKg);
+
+  const groups = [];
+
+  const search = (start, group) => {
+    const vehicles = group.map(candidate => candidate.vehicle);
+    const capacityKg = vehicles.reduce((total, vehicle) => total + vehicle.capacityKg, 0);
+
+    if (group.length >= 2 && groupCoversCargo(vehicles, cargo)) {
+      const isMinimal = vehicles.every((vehicle, index) =>
+        !groupCoversCargo(vehicles.filter((other, otherIndex) => otherIndex !== index), cargo)
+      );
+      if (isMinimal) {
+        groups.push({
+          vehicles: group,
+          totalCost: group.reduce((total, candidate) => total + candidate.cost, 0),
+          capacityKg,
+        });
+      }
+      return;
+    }
+    if (group.length === maxVehicles) return;
+
+    for (let index = start; index < shortlist.length; index++) {
+      // The shortlist is biggest first, so if the next few can't make up the weight nothing later will
+      const reachableKg = shortlist
+        .slice(index, index + maxVehicles - group.length)
+        .reduce((total, candidate) => total + candidate.vehicle.capacityKg, capacityKg);
+      if (reachableKg < (cargo.weightKg || 0)) break;
+
+      search(index + 1, [...group, shortlist[index]]);
+    }
+  };
+  search(0, []);
+
+  return groups
+    .sort((a, b) => a.totalCost - b.totalCost || a.vehicles.length - b.vehicles.length || a.capacityKg - b.capacityKg)
+    .slice(0, limit);
+};
+
+/**
+ * Work out a shipment's status from its bookings
+ * @param {Object[]} bookings - The shipment's bookings
+ * @returns {string} 'confirmed', 'in-progress', 'completed', 'cancelled' or 'no-show'
+ */
+export const getShipmentStatus = (bookings) => {
+  const active = bookings.filter(booking => !['cancelled', 'no-show'].includes(booking.status));
+  if (active.length === 0) {
+    return bookings.some(booking => booking.status === 'no-show') ? 'no-show' : 'cancelled';
+  }
+  if (active.every(booking => booking.status === 'completed')) return 'completed';
+  if (active.every(booking => booking.status === 'confirmed')) return 'confirmed';
+  return 'in-progress';
+};
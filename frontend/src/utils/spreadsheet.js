@@ -0,0 +1,249 @@
+/**
+ * Spreadsheet Utilities
+ * Read CSV and XLSX files into rows of cell text, and write rows back out as CSV.
+ * XLSX files are unzipped with the browser's DecompressionStream, so no parser library is needed.
+ */
+
+/**
+ * Parse CSV text into rows, detecting comma, semicolon or tab delimiters
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of cells
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => [candidate, firstLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Convert rows into CSV text
+ * @param {Array[]} rows - Rows of cell values
+ * @returns {string} CSV text
+ */
+export const toCsv = (rows) => {
+  const escapeCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
+};
+
+// How long the download link and its object URL outlive the click
+const DOWNLOAD_CLEANUP_DELAY_MS = 1000;
+
+/**
+ * Download rows as a CSV file
+ * @param {string} filename - File name
+ * @param {Array[]} rows - Rows of cell values
+ */
+export const downloadCsv = (filename, rows) => {
+  // BOM so Excel opens the file as UTF-8
+  const blob = new Blob(['\uFEFF', toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+
+  // Some browsers start the download after click() returns - keep the URL alive until then
+  setTimeout(() => {
+    link.remove();
+    URL.revokeObjectURL(url);
+  }, DOWNLOAD_CLEANUP_DELAY_MS);
+};
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+
+/**
+ * List the files in a zip archive
+ * @param {ArrayBuffer} buffer - Zip data
+ * @returns {Map<string, Function>} File name → async function returning its bytes
+ */
+const readZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+
+  // The end-of-central-directory record sits at the end, before an optional comment
+  let endOffset = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) throw new Error('Not a valid XLSX file');
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_DIRECTORY_ENTRY) break;
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    entries.set(name, async () => {
+      // The local header's name and extra field lengths can differ from the central directory's
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method !== 8) throw new Error('Unsupported XLSX compression');
+
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+/**
+ * Convert a cell reference's column letters into a zero-based index (A → 0, AA → 26)
+ * @param {string} ref - Cell reference (e.g. 'C12')
+ * @returns {number} Column index
+ */
+const getColumnIndex = (ref) => {
+  const letters = ref.match(/^[A-Z]+/)?.[0] || 'A';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+// Match elements by local name whatever namespace prefix the workbook uses
+const byTag = (node, tag) => Array.from(node.getElementsByTagNameNS('*', tag));
+
+/**
+ * Read the first worksheet of an XLSX workbook into rows
+ * @param {ArrayBuffer} buffer - XLSX data
+ * @returns {Promise<string[][]>} Rows of cells
+ */
+export const parseXlsx = async (buffer) => {
+  const entries = readZipEntries(buffer);
+  const decoder = new TextDecoder();
+  const parser = new DOMParser();
+
+  const readXml = async (path) => {
+    const read = entries.get(path);
+    return read ? parser.parseFromString(decoder.decode(await read()), 'application/xml') : null;
+  };
+
+  // Find the first sheet in tab order via the workbook relationships
+  let sheetPath = null;
+  const workbook = await readXml('xl/workbook.xml');
+  const relationships = await readXml('xl/_rels/workbook.xml.rels');
+  const firstSheet = workbook && byTag(workbook, 'sheet')[0];
+  if (firstSheet && relationships) {
+    const relationshipId = Array.from(firstSheet.attributes).find(attr => attr.localName === 'id')?.value;
+    const target = byTag(relationships, 'Relationship')
+      .find(rel => rel.getAttribute('Id') === relationshipId)
+      ?.getAttribute('Target');
+    if (target) {
+      sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+  }
+  if (!sheetPath || !entries.has(sheetPath)) {
+    sheetPath = [...entries.keys()].filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name)).sort()[0];
+  }
+  if (!sheetPath) throw new Error('The workbook has no worksheets');
+
+  const sharedStringsXml = await readXml('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? byTag(sharedStringsXml, 'si').map(item => byTag(item, 't').map(t => t.textContent).join(''))
+    : [];
+
+  const sheet = await readXml(sheetPath);
+  const rows = [];
+
+  byTag(sheet, 'row').forEach((rowNode, position) => {
+    const rowIndex = (parseInt(rowNode.getAttribute('r')) || position + 1) - 1;
+    const cells = [];
+
+    byTag(rowNode, 'c').forEach((cellNode, column) => {
+      const ref = cellNode.getAttribute('r');
+      const columnIndex = ref ? getColumnIndex(ref) : column;
+      const type = cellNode.getAttribute('t');
+      const value = byTag(cellNode, 'v')[0]?.textContent ?? '';
+
+      let text;
+      if (type === 's') {
+        text = sharedStrings[parseInt(value)] ?? '';
+      } else if (type === 'inlineStr') {
+        text = byTag(cellNode, 't').map(t => t.textContent).join('');
+      } else if (type === 'b') {
+        text = value === '1' ? 'TRUE' : 'FALSE';
+      } else {
+        text = value;
+      }
+      cells[columnIndex] = text;
+    });
+
+    rows[rowIndex] = Array.from(cells, cell => cell ?? '');
+  });
+
+  return Array.from(rows, row => row ?? []);
+};
+
+/**
+ * Read a CSV or XLSX file into rows
+ * @param {File} file - Selected file
+ * @returns {Promise<string[][]>} Rows of cells
+ */
+export const readSpreadsheetFile = async (file) => {
+  if (/\.xlsx$/i.test(file.name)) {
+    return parseXlsx(await file.arrayBuffer());
+  }
+  if (/\.(csv|txt)$/i.test(file.name)) {
+    return parseCsv(await file.text());
+  }
+  throw new Error('Unsupported file type. Upload a .csv or .xlsx file');
+};
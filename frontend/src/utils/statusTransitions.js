@@ -0,0 +1,152 @@
+/**
+ * Status Transitions
+ * Which status a booking or vehicle may move to next, and when: the same rules
+ * decide what the UI offers and what the server accepts
+ */
+
+export const BOOKING_STATUSES = [
+  { value: 'confirmed', label: 'Confirmed' },
+  { value: 'in-progress', label: 'In Progress', action: 'Mark In Progress' },
+  { value: 'completed', label: 'Completed', action: 'Mark Completed' },
+  { value: 'cancelled', label: 'Cancelled', action: 'Cancel Booking' },
+  { value: 'no-show', label: 'No-show', action: 'Mark No-show' }
+];
+
+export const VEHICLE_STATUSES = [
+  { value: 'active', label: 'Active' },
+  { value: 'maintenance', label: 'Maintenance' },
+  { value: 'retired', label: 'Retired' }
+];
+
+// Where each status may move next; statuses with nothing listed are final
+const BOOKING_TRANSITIONS = {
+  confirmed: ['in-progress', 'cancelled', 'no-show'],
+  'in-progress': ['completed'],
+  completed: [],
+  cancelled: [],
+  'no-show': []
+};
+
+const VEHICLE_TRANSITIONS = {
+  active: ['maintenance', 'retired'],
+  maintenance: ['active', 'retired'],
+  retired: []
+};
+
+// A trip may be started a little before its booked start time
+export const EARLY_START_HOURS = 2;
+
+export const MAX_STATUS_NOTE_LENGTH = 300;
+
+export const CANCELLATION_REASONS = [
+  { value: 'customer_request', label: 'Customer changed plans' },
+  { value: 'booked_by_mistake', label: 'Booked by mistake or twice' },
+  { value: 'found_alternative', label: 'Found another transporter' },
+  { value: 'vehicle_unavailable', label: 'Vehicle broke down or is unavailable' },
+  { value: 'goods_not_ready', label: 'Goods not ready for pickup' },
+  { value: 'other', label: 'Other' }
+];
+
+/**
+ * Get the display label of a status or reason code
+ * @param {Object[]} options - Statuses or reasons
+ * @param {string} value - Code
+ * @returns {string} Label, or the code itself if unknown
+ */
+export const getStatusLabel = (options, value) => {
+  return options.find(option => option.value === value)?.label || value;
+};
+
+/**
+ * Check whether a booking may move to a status
+ * @param {Object} booking - Booking ({ status, startTime })
+ * @param {string} status - Target status
+ * @param {Object} details - { reason, note }: a reason code is required to cancel, and a note for 'other'
+ * @param {Date} now - Current time
+ * @returns {string|null} Why the change isn't allowed, or null if it is
+ */
+export const getBookingTransitionError = (booking, status, { reason, note } = {}, now = new Date()) => {
+  if (!BOOKING_STATUSES.some(option => option.value === status)) {
+    return `Status must be one of: ${BOOKING_STATUSES.map(option => option.value).join(', ')}`;
+  }
+  if (booking.status === status) {
+    return `Booking is already ${status}`;
+  }
+  if (!(BOOKING_TRANSITIONS[booking.status] || []).includes(status)) {
+    return `A booking that is ${booking.status} cannot be marked ${status}`;
+  }
+
+  const msToStart = new Date(booking.startTime).getTime() - now.getTime();
+  if (status === 'cancelled' && msToStart <= 0) {
+    return 'The trip has already started, so the booking can no longer be cancelled';
+  }
+  if (status === 'cancelled' && !CANCELLATION_REASONS.some(option => option.value === reason)) {
+    return 'Choose a reason for cancelling';
+  }
+  if (status === 'cancelled' && reason === 'other' && !String(note || '').trim()) {
+    return 'Say why the booking is being cancelled';
+  }
+  if (String(note || '').length > MAX_STATUS_NOTE_LENGTH) {
+    return `Note must be at most ${MAX_STATUS_NOTE_LENGTH} characters`;
+  }
+  if (status === 'in-progress' && msToStart > EARLY_START_HOURS * 60 * 60 * 1000) {
+    return `A trip can be started at most ${EARLY_START_HOURS} hours before its start time`;
+  }
+  if (status === 'no-show' && msToStart > 0) {
+    return 'A booking can only be marked as a no-show once its start time has passed';
+  }
+  return null;
+};
+
+/**
+ * Get the statuses a booking may move to now
+ * Cancelling is left out, as it asks for a reason and has its own action
+ * @param {Object} booking - Booking ({ status, startTime })
+ * @param {Date} now - Current time
+ * @returns {Object[]} Statuses ({ value, label, action })
+ */
+export const getNextBookingStatuses = (booking, now = new Date()) => {
+  return BOOKING_STATUSES.filter(option =>
+    option.value !== 'cancelled' && !getBookingTransitionError(booking, option.value, {}, now)
+  );
+};
+
+/**
+ * Check whether a booking can still be cancelled
+ * @param {Object} booking - Booking ({ status, startTime })
+ * @param {Date} now - Current time
+ * @returns {boolean} True if it can be cancelled
+ */
+export const isBookingCancellable = (booking, now = new Date()) => {
+  return !getBookingTransitionError(booking, 'cancelled', { reason: CANCELLATION_REASONS[0].value }, now);
+};
+
+/**
+ * Check whether a vehicle may move to a status
+ * @param {Object} vehicle - Vehicle ({ status })
+ * @param {string} status - Target status
+ * @returns {string|null} Why the change isn't allowed, or null if it is
+ */
+export const getVehicleTransitionError = (vehicle, status) => {
+  if (!VEHICLE_STATUSES.some(option => option.value === status)) {
+    return `Status must be one of: ${VEHICLE_STATUSES.map(option => option.value).join(', ')}`;
+  }
+  if (vehicle.status === status) {
+    return `Vehicle is already ${status}`;
+  }
+  if (!(VEHICLE_TRANSITIONS[vehicle.status] || []).includes(status)) {
+    return vehicle.status === 'retired'
+      ? 'Retired vehicles cannot be returned to service'
+      : `A vehicle that is ${vehicle.status} cannot be marked ${status}`;
+  }
+  return null;
+};
+
+/**
+ * Get the statuses a vehicle may move to
+ * @param {Object} vehicle - Vehicle ({ status })
+ * @returns {Object[]} Statuses ({ value, label })
+ */
+export const getNextVehicleStatuses = (vehicle) => {
+  return VEHICLE_STATUSES.filter(option => !getVehicleTransitionError(vehicle, option.value));
+};
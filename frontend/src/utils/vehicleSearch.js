@@ -0,0 +1,64 @@
+/**
+ * Vehicle Search
+ * The search, filters and sort of the fleet list, shared by the vehicle list page
+ * and the (mock) backend
+ */
+
+import { SORT_ORDERS } from './listQuery';
+import { BODY_TYPES, FUEL_TYPES, normaliseRegistrationNumber } from './vehicles';
+import { VEHICLE_STATUSES } from './statusTransitions';
+
+// Vehicles are shown in a grid of up to four columns
+export const VEHICLE_PAGE_SIZE = 12;
+
+export const VEHICLE_SORT_FIELDS = [
+  { value: 'createdAt', label: 'Date added' },
+  { value: 'name', label: 'Name' },
+  { value: 'capacityKg', label: 'Capacity' },
+  { value: 'utilisation', label: 'Utilisation (30 days)' }
+];
+
+// 'archived' is offered with the statuses but is a separate flag on the API
+export const VEHICLE_STATUS_FILTERS = [
+  ...VEHICLE_STATUSES,
+  { value: 'archived', label: 'Archived' }
+];
+
+export const VEHICLE_FILTER_KEYS = ['search', 'status', 'bodyType', 'fuelType', 'minCapacity', 'maxCapacity'];
+
+export const DEFAULT_VEHICLE_QUERY = {
+  search: '',
+  status: '',
+  bodyType: '',
+  fuelType: '',
+  minCapacity: '',
+  maxCapacity: '',
+  sort: 'createdAt',
+  order: 'desc',
+  page: 1
+};
+
+// Values a fleet list URL may hold for its filters and sort
+export const VEHICLE_QUERY_VALUES = {
+  status: VEHICLE_STATUS_FILTERS.map(option => option.value),
+  bodyType: BODY_TYPES.map(option => option.value),
+  fuelType: FUEL_TYPES.map(option => option.value),
+  sort: VEHICLE_SORT_FIELDS.map(option => option.value),
+  order: SORT_ORDERS.map(option => option.value)
+};
+
+/**
+ * Check whether a vehicle matches a search term: its name, or its registration
+ * number however it's spaced
+ * @param {Object} vehicle - Vehicle
+ * @param {string} term - Search term
+ * @returns {boolean} True if the vehicle matches
+ */
+export const matchesVehicleSearch = (vehicle, term) => {
+  const needle = String(term || '').trim().toLowerCase();
+  if (!needle) return true;
+
+  const registration = normaliseRegistrationNumber(needle);
+  return vehicle.name.toLowerCase().includes(needle) ||
+    Boolean(registration && normaliseRegistrationNumber(vehicle.registrationNumber).includes(registration));
+};
@@ -0,0 +1,287 @@
+/**
+ * Vehicle Utilities
+ * Body and fuel types, registration numbers and cargo volume, plus the validation
+ * rules and form conversions shared by the add/edit vehicle forms and bulk import
+ */
+
+export const BODY_TYPES = [
+  { value: 'open', label: 'Open' },
+  { value: 'container', label: 'Container' },
+  { value: 'reefer', label: 'Reefer' },
+  { value: 'tanker', label: 'Tanker' },
+  { value: 'flatbed', label: 'Flatbed' },
+];
+
+export const FUEL_TYPES = [
+  { value: 'diesel', label: 'Diesel' },
+  { value: 'petrol', label: 'Petrol' },
+  { value: 'cng', label: 'CNG' },
+  { value: 'lng', label: 'LNG' },
+  { value: 'electric', label: 'Electric' },
+];
+
+/**
+ * Get the label of a body or fuel type
+ * @param {Object[]} options - BODY_TYPES or FUEL_TYPES
+ * @param {string} value - Type value
+ * @returns {string} Label, or 'Not set' for vehicles saved before the field existed
+ */
+export const getOptionLabel = (options, value) => {
+  return options.find(option => option.value === value)?.label || 'Not set';
+};
+
+// State and union territory codes issued by RTOs (including older OR and UA series)
+const RTO_STATE_CODES = [
+  'AN', 'AP', 'AR', 'AS', 'BR', 'CG', 'CH', 'DD', 'DL', 'DN', 'GA', 'GJ', 'HP', 'HR', 'JH', 'JK',
+  'KA', 'KL', 'LA', 'LD', 'MH', 'ML', 'MN', 'MP', 'MZ', 'NL', 'OD', 'OR', 'PB', 'PY', 'RJ', 'SK',
+  'TN', 'TR', 'TS', 'UA', 'UK', 'UP', 'WB',
+];
+
+// State code, RTO number, optional series letters, four-digit number (e.g. MH 12 AB 1234)
+const STATE_SERIES_PATTERN = /^([A-Z]{2})(\d{1,2})([A-Z]{0,3})(\d{4})$/;
+// Bharat series: year, BH, four-digit number, series letters (e.g. 22 BH 1234 AA)
+const BHARAT_SERIES_PATTERN = /^(\d{2})(BH)(\d{4})([A-Z]{1,2})$/;
+
+/**
+ * Normalise a registration number for storage and comparison (upper case, no spaces or dashes)
+ * @param {string} value - Registration number as typed
+ * @returns {string} Normalised registration number
+ */
+export const normaliseRegistrationNumber = (value) => {
+  return String(value || '').toUpperCase().replace(/[\s.-]/g, '');
+};
+
+/**
+ * Check a registration number against the Indian RTO formats
+ * @param {string} value - Registration number (spacing and case don't matter)
+ * @returns {boolean} True if valid
+ */
+export const isValidRegistrationNumber = (value) => {
+  const normalised = normaliseRegistrationNumber(value);
+  const match = normalised.match(STATE_SERIES_PATTERN);
+  if (match) {
+    return RTO_STATE_CODES.includes(match[1]) && Number(match[2]) > 0 && Number(match[4]) > 0;
+  }
+  return BHARAT_SERIES_PATTERN.test(normalised);
+};
+
+/**
+ * Format a registration number for display (MH12AB1234 → MH 12 AB 1234)
+ * @param {string} value - Registration number
+ * @returns {string} Formatted registration number
+ */
+export const formatRegistrationNumber = (value) => {
+  const normalised = normaliseRegistrationNumber(value);
+  const match = normalised.match(STATE_SERIES_PATTERN) || normalised.match(BHARAT_SERIES_PATTERN);
+  if (!match) return value || '';
+
+  const [, ...parts] = match;
+  return parts.filter(Boolean).join(' ');
+};
+
+const DIMENSION_FIELDS = ['lengthM', 'widthM', 'heightM'];
+
+/**
+ * Calculate cargo volume from box dimensions
+ * @param {Object} dimensions - { lengthM, widthM, heightM }
+ * @returns {number|null} Volume in cubic metres (2 decimals), or null without dimensions
+ */
+export const calculateCargoVolume = (dimensions) => {
+  if (!dimensions) return null;
+  const { lengthM, widthM, heightM } = dimensions;
+  return Math.round(lengthM * widthM * heightM * 100) / 100;
+};
+
+/**
+ * Format cargo box dimensions
+ * @param {Object} dimensions - { lengthM, widthM, heightM }
+ * @returns {string} e.g. '6.1 × 2.3 × 2.4 m'
+ */
+export const formatDimensions = (dimensions) => {
+  if (!dimensions) return 'Not set';
+  return `${dimensions.lengthM} × ${dimensions.widthM} × ${dimensions.heightM} m`;
+};
+
+/**
+ * Format a cargo volume
+ * @param {number} volume - Volume in cubic metres
+ * @returns {string} e.g. '33.67 m³'
+ */
+export const formatVolume = (volume) => {
+  return volume ? `${volume} m³` : 'Not set';
+};
+
+// Dimensions are optional, but a box needs all three
+const validateDimension = (value, data) => {
+  const isMissing = DIMENSION_FIELDS.some(field => String(data[field] ?? '').trim() === '');
+  return isMissing && 'Enter length, width and height together';
+};
+
+export const VEHICLE_VALIDATION_RULES = {
+  name: {
+    required: true,
+    minLength: 2,
+    maxLength: 100,
+    message: 'Vehicle name must be between 2-100 characters'
+  },
+  registrationNumber: {
+    required: true,
+    validate: (value) => !isValidRegistrationNumber(value) && 'Enter a valid registration number (e.g. MH 12 AB 1234 or 22 BH 1234 AA)'
+  },
+  bodyType: {
+    required: true,
+    validate: (value) => !BODY_TYPES.some(option => option.value === value) && 'Choose a body type'
+  },
+  fuelType: {
+    required: true,
+    validate: (value) => !FUEL_TYPES.some(option => option.value === value) && 'Choose a fuel type'
+  },
+  capacityKg: {
+    required: true,
+    type: 'number',
+    min: 1,
+    max: 50000,
+    message: 'Capacity must be between 1-50,000 kg',
+    validate: (value) => !Number.isInteger(Number(value)) && 'Capacity must be a whole number of kg'
+  },
+  tyres: {
+    required: true,
+    type: 'number',
+    min: 2,
+    max: 18,
+    message: 'Number of tyres must be between 2-18',
+    validate: (value) => !Number.isInteger(Number(value)) && 'Number of tyres must be a whole number'
+  },
+  lengthM: {
+    type: 'number',
+    min: 0.5,
+    max: 20,
+    validate: validateDimension
+  },
+  widthM: {
+    type: 'number',
+    min: 0.5,
+    max: 3,
+    validate: validateDimension
+  },
+  heightM: {
+    type: 'number',
+    min: 0.3,
+    max: 4.5,
+    validate: validateDimension
+  }
+};
+
+export const EMPTY_VEHICLE_FORM = {
+  name: '',
+  registrationNumber: '',
+  bodyType: '',
+  fuelType: '',
+  capacityKg: '',
+  tyres: '',
+  lengthM: '',
+  widthM: '',
+  heightM: ''
+};
+
+/**
+ * Convert a vehicle into form values
+ * @param {Object} vehicle - Vehicle
+ * @returns {Object} Form data
+ */
+export const toVehicleFormData = (vehicle) => ({
+  name: vehicle.name,
+  registrationNumber: formatRegistrationNumber(vehicle.registrationNumber),
+  bodyType: vehicle.bodyType || '',
+  fuelType: vehicle.fuelType || '',
+  capacityKg: String(vehicle.capacityKg),
+  tyres: String(vehicle.tyres),
+  lengthM: vehicle.dimensions ? String(vehicle.dimensions.lengthM) : '',
+  widthM: vehicle.dimensions ? String(vehicle.dimensions.widthM) : '',
+  heightM: vehicle.dimensions ? String(vehicle.dimensions.heightM) : ''
+});
+
+/**
+ * Convert form values into the API payload
+ * @param {Object} formData - Form data
+ * @returns {Object} Vehicle data
+ */
+export const toVehiclePayload = (formData) => {
+  const hasDimensions = DIMENSION_FIELDS.every(field => String(formData[field] ?? '').trim() !== '');
+
+  return {
+    name: formData.name.trim(),
+    registrationNumber: normaliseRegistrationNumber(formData.registrationNumber),
+    bodyType: formData.bodyType,
+    fuelType: formData.fuelType,
+    capacityKg: parseInt(formData.capacityKg),
+    tyres: parseInt(formData.tyres),
+    dimensions: hasDimensions
+      ? {
+        lengthM: Number(formData.lengthM),
+        widthM: Number(formData.widthM),
+        heightM: Number(formData.heightM)
+      }
+      : null
+  };
+};
+
+/**
+ * Map server validation errors onto form fields
+ * @param {Object} error - Axios error
+ * @returns {Object|null} Field errors, or null if the server sent none
+ */
+export const getServerFieldErrors = (error) => {
+  const validationErrors = error.response?.data?.error?.details?.validationErrors;
+  if (!validationErrors) return null;
+
+  return validationErrors.reduce((fieldErrors, err) => ({ ...fieldErrors, [err.path]: err.message }), {});
+};
+
+/**
+ * Columns a bulk import file can map onto, with the header names recognised for each.
+ * Optional columns may be left unmapped; option columns accept the value or its label.
+ */
+export const VEHICLE_IMPORT_FIELDS = [
+  { field: 'name', label: 'Vehicle Name', required: true, aliases: ['name', 'vehicle', 'vehiclename'] },
+  { field: 'registrationNumber', label: 'Registration Number', required: true, aliases: ['registrationnumber', 'registration', 'regno', 'registrationno', 'vehiclenumber'] },
+  { field: 'bodyType', label: 'Body Type', required: true, options: BODY_TYPES, aliases: ['bodytype', 'body', 'type'] },
+  { field: 'fuelType', label: 'Fuel Type', required: true, options: FUEL_TYPES, aliases: ['fueltype', 'fuel'] },
+  { field: 'capacityKg', label: 'Capacity (kg)', required: true, aliases: ['capacitykg', 'capacity', 'payload', 'payloadkg'] },
+  { field: 'tyres', label: 'Number of Tyres', required: true, aliases: ['tyres', 'tires', 'numberoftyres', 'numberoftires', 'wheels'] },
+  { field: 'lengthM', label: 'Length (m)', aliases: ['lengthm', 'length', 'cargolength'] },
+  { field: 'widthM', label: 'Width (m)', aliases: ['widthm', 'width', 'cargowidth'] },
+  { field: 'heightM', label: 'Height (m)', aliases: ['heightm', 'height', 'cargoheight'] },
+];
+
+/**
+ * Read one import row into form values using the column mapping
+ * @param {string[]} cells - Row cells
+ * @param {Object} mapping - Field → column index ('' when unmapped)
+ * @returns {Object} Form data
+ */
+export const readImportRow = (cells, mapping) => {
+  return Object.fromEntries(VEHICLE_IMPORT_FIELDS.map(({ field, options }) => {
+    const value = mapping[field] === '' || mapping[field] === undefined
+      ? ''
+      : String(cells[mapping[field]] ?? '').trim();
+    const option = options?.find(({ value: optionValue, label }) =>
+      [optionValue, label.toLowerCase()].includes(value.toLowerCase())
+    );
+    return [field, option ? option.value : value];
+  }));
+};
+
+/**
+ * Guess which file column holds each vehicle field from the header row
+ * @param {string[]} headers - Header row
+ * @returns {Object} Field → column index, or '' when no header matches
+ */
+export const guessImportMapping = (headers) => {
+  const normalised = headers.map(header => String(header).toLowerCase().replace(/[^a-z0-9]/g, ''));
+
+  return Object.fromEntries(VEHICLE_IMPORT_FIELDS.map(({ field, aliases }) => {
+    const index = normalised.findIndex(header => aliases.includes(header));
+    return [field, index >= 0 ? index : ''];
+  }));
+};
@@ -0,0 +1,57 @@
+/**
+ * Waitlist
+ * Searches that found no vehicle, kept so the customer can be offered one
+ * when it frees up: how flexible the start time is, entry statuses and the
+ * start times tried for an entry
+ */
+
+import { addHours } from 'date-fns';
+
+// How long an offered vehicle is held for the customer to book it
+export const WAITLIST_HOLD_MINUTES = 10;
+export const MAX_WAITLIST_ENTRIES = 5;
+
+export const WAITLIST_FLEXIBILITY_OPTIONS = [
+  { value: 0, label: 'Exact start time only' },
+  { value: 2, label: 'Up to 2 hours earlier or later' },
+  { value: 6, label: 'Up to 6 hours earlier or later' },
+  { value: 24, label: 'Up to a day earlier or later' }
+];
+
+export const WAITLIST_STATUSES = [
+  { value: 'waiting', label: 'Waiting', badgeClass: 'badge-warning' },
+  { value: 'offered', label: 'Vehicle held', badgeClass: 'badge-success' },
+  { value: 'booked', label: 'Booked', badgeClass: 'badge-success' },
+  { value: 'missed', label: 'Hold expired', badgeClass: 'badge-danger' },
+  { value: 'expired', label: 'Window passed', badgeClass: 'badge-secondary' },
+  { value: 'cancelled', label: 'Left', badgeClass: 'badge-secondary' }
+];
+
+// Entries still waiting for, or holding, a vehicle
+export const ACTIVE_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+/**
+ * Get the display details of a waitlist status
+ * @param {string} status - Entry status
+ * @returns {Object} { value, label, badgeClass }
+ */
+export const getWaitlistStatus = (status) => {
+  return WAITLIST_STATUSES.find(option => option.value === status) ||
+    { value: status, label: status, badgeClass: 'badge-secondary' };
+};
+
+/**
+ * Start times to try for a waitlist entry, on the hour either side of the requested start, nearest first
+ * @param {string|Date} startTime - Requested start time
+ * @param {number} flexibilityHours - Hours either side the customer accepts
+ * @param {Date} earliestStart - Start times before this are skipped
+ * @returns {Date[]} Start times
+ */
+export const getWaitlistStartTimes = (startTime, flexibilityHours, earliestStart) => {
+  const requested = new Date(startTime);
+  const startTimes = [requested];
+  for (let hours = 1; hours <= flexibilityHours; hours++) {
+    startTimes.push(addHours(requested, -hours), addHours(requested, hours));
+  }
+  return startTimes.filter(start => start >= earliestStart);
+};